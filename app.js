@@ -1,23 +1,103 @@
 // app.js — main UI + state
 import {
-  ensureDefaultNovel,
+  ensureNovel,
+  listNovels,
+  createNovel,
+  duplicateNovel,
+  deleteNovel,
+  setNovelArchived,
+  markNovelOpened,
   getNovel,
   updateNovelTitle,
+  updateNovelMeta,
+  updateNovelSettings,
+  listFonts,
+  getFont,
+  addFont,
+  getCover,
+  addCover,
+  releaseCover,
+  deleteFont,
+  listProgress,
+  getProgressDay,
+  putProgressDay,
   createChapter,
+  getChapter,
   updateChapterMeta,
   deleteChapter,
+  listTrash,
+  restoreTrashItem,
+  purgeTrashItem,
+  emptyTrash,
+  purgeExpiredTrash,
+  listRevisions,
+  getRevision,
+  captureRevision,
+  maybeAutoSnapshot,
   reorderChapters,
-  exportBackup,
-  importBackup,
+  saveOutline,
+  updateChapterContents,
+  onOutboxChange,
   resetAllData
 } from "./storage.js";
 
-import { createNovelEditor, setEditorDoc, bindToolbar } from "./editor.js";
+import { createNovelEditor, setEditorDoc, bindToolbar, editorCommands, editorToPlainText, FOCUS_MODES, spellErrorAt } from "./editor.js";
+import { createCommands, eventToKeys, formatKeys, matchScore } from "./commands.js";
+import { footnotesIn, insertFootnote, updateFootnote, removeFootnote } from "./footnotes.js";
+import { SCENE_BREAK_STYLES, DEFAULT_SCENE_BREAK, sceneBreakText, scenesOf } from "./scenebreak.js";
+import { EMPTY_STATS, docStats, addStats, readingMinutes, pageCount } from "./stats.js";
+import { dayKey, netWords, streaks, goalPace, heatmapWeeks } from "./goals.js";
+import { SPELL_LANGUAGES, defaultSpellLanguage, createSpellChecker, spellingReport } from "./spellcheck.js";
+import { PDF_PROFILES, PDF_FONTS, PAPER_SIZES, TRIM_SIZES, DEFAULT_PDF_SETTINGS, CUSTOM_FONT_PREFIX, surnameOf, fontFileStyle, fontFamilyName, isFontFile } from "./manuscript.js";
+import { compilePresets, compileManuscript, DEFAULT_COMPILE, CHAPTER_FORMATS, PART_FORMATS, NUMBER_STYLES, COMPILE_SCENE_BREAKS } from "./compile.js";
+import { diffWords, diffStats } from "./diff.js";
+import { buildMatcher, findInDoc, replaceInDoc, textblocksOf, blockRange } from "./search.js";
+import {
+  COMMENT_FILTERS,
+  threadsOf,
+  novelThreads,
+  newThread,
+  newMessage,
+  addComment,
+  updateThread,
+  threadRange,
+  threadIdsAt
+} from "./comments.js";
+import {
+  KIND_LABELS,
+  nodeKind,
+  buildOutline,
+  outlineRows,
+  subtreeIds,
+  rollUp,
+  moveInOutline,
+  kindChangeProblem
+} from "./outline.js";
+import {
+  syncNovel,
+  getSyncState,
+  pendingChangeCount,
+  novelsWithPendingChanges,
+  prepareOutboxJob,
+  backgroundSyncError,
+  checkRemotePassphrase,
+  reencryptRemote,
+  OUTBOX_SYNC_TAG
+} from "./sync.js";
+import {
+  exportBackup,
+  importBackup,
+  migrateBackup,
+  planImport,
+  exportLibraryZip,
+  readLibraryZip,
+  restoreLibrary
+} from "./backup.js";
 
 
 async function replaceNovelWithImport(parsed) {
-  // Backward-compatible importer: does NOT rely on storage.js exporting replaceFromImport.
-  // Uses existing exported storage operations.
+  // Goes through the regular storage operations, so the old chapters reach the Trash and every
+  // change is queued for sync.
   const novelTitle = parsed?.novelTitle || "Untitled Novel";
   const chapters = Array.isArray(parsed?.chapters) ? parsed.chapters : [];
   if (!chapters.length) throw new Error("No chapters to import");
@@ -25,18 +105,21 @@ async function replaceNovelWithImport(parsed) {
   // Update novel title
   await updateNovelTitle(state.novelId, novelTitle);
 
-  // Delete existing chapters
+  // Move existing chapters to the trash
   const current = await getNovel(state.novelId);
   for (const c of (current.chapters || [])) {
-    await deleteChapter(c.id);
+    await deleteChapter(c.id, { reason: "Replaced by import" });
   }
 
-  // Create new chapters + set content
+  // Create new parts/chapters + set content (chapters point at their part by index)
   const newIds = [];
   for (let i = 0; i < chapters.length; i++) {
     const ch = chapters[i] || {};
     const title = ch.title || `Chapter ${i + 1}`;
-    const created = await createChapter(state.novelId, title);
+    const created = await createChapter(state.novelId, title, {
+      kind: ch.kind || "chapter",
+      parentId: ch.parentIndex != null ? newIds[ch.parentIndex] : null
+    });
     await updateChapterMeta(created.id, {
       title,
       order: i + 1,
@@ -56,14 +139,19 @@ const $ = (sel) => document.querySelector(sel);
 
 function debounce(fn, ms) {
   let t;
-  return (...args) => {
+  const debounced = (...args) => {
     clearTimeout(t);
     t = setTimeout(() => fn(...args), ms);
   };
+  debounced.cancel = () => clearTimeout(t);
+  return debounced;
 }
 
 function downloadJSON(obj, filename) {
-  const blob = new Blob([JSON.stringify(obj, null, 2)], { type: "application/json" });
+  downloadBlob(new Blob([JSON.stringify(obj, null, 2)], { type: "application/json" }), filename);
+}
+
+function downloadBlob(blob, filename) {
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
@@ -84,35 +172,91 @@ function setStatus(text) {
   $("#saveStatus").textContent = text;
 }
 
-// Word counts (fast, no heavy deps)
-function countWordsInString(s) {
-  if (!s) return 0;
-  const m = String(s).match(/[A-Za-z0-9]+(?:'[A-Za-z0-9]+)?/g);
-  return m ? m.length : 0;
+// Word counts (see stats.js); per-chapter results are cached in nodeStats()
+function novelWords() {
+  return state.chapters.reduce((acc, c) => acc + nodeWords(c), 0);
+}
+function novelStats() {
+  return state.chapters.reduce((acc, c) => addStats(acc, nodeStats(c)), EMPTY_STATS);
 }
-function countWordsFromJson(node) {
-  if (!node) return 0;
-  if (node.type === "text") return countWordsInString(node.text || "");
-  let sum = 0;
-  const c = node.content || [];
-  for (const child of c) sum += countWordsFromJson(child);
-  return sum;
+// Word-count dialog: the open chapter per scene (split at its scene breaks); a click goes to the scene
+function renderSceneCounts() {
+  const list = $("#wcScenes");
+  if (!list) return;
+  const active = state.chapters.find(c => c.id === state.activeChapterId);
+  const scenes = scenesOf(active?.content);
+  list.replaceChildren();
+  $("#wcScenesBlock").hidden = scenes.length < 2;
+  if (scenes.length < 2) return;
+  scenes.forEach((content, i) => {
+    const { words } = docStats({ type: "doc", content });
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "wcScene";
+    btn.dataset.scene = String(i);
+    btn.innerHTML = `<span>Scene ${i + 1}</span><span class="muted">${words.toLocaleString()} word${words === 1 ? "" : "s"}</span>`;
+    list.appendChild(btn);
+  });
 }
+
 const updateCountsDebounced = debounce(() => {
   try {
     const active = state.chapters.find(c => c.id === state.activeChapterId);
-    const chapterWords = active?.content ? countWordsFromJson(active.content) : 0;
-    const totalWords = state.chapters.reduce((acc, c) => acc + (c.content ? countWordsFromJson(c.content) : 0), 0);
+    const chapterWords = nodeWords(active);
+    const totalWords = novelWords();
+    updateOutlineCounts();
+    renderSprint();
+    renderGoalPill();
     $("#chapterWords") && ($("#chapterWords").textContent = chapterWords.toLocaleString());
     $("#totalWords") && ($("#totalWords").textContent = totalWords.toLocaleString());
-    const wc = document.getElementById("wordCountModal");
-    if (wc && wc.open) {
-      $("#wcChapter") && ($("#wcChapter").textContent = chapterWords.toLocaleString());
-      $("#wcTotal") && ($("#wcTotal").textContent = totalWords.toLocaleString());
-    }
+    if ($("#wordCountModal").open) renderWordCount();
   } catch {}
 }, 500);
 
+const formatMinutes = (minutes) => (minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`);
+
+// Word-count dialog: statistics of the open chapter and the novel, then every outline node
+function renderWordCount() {
+  const active = state.chapters.find(c => c.id === state.activeChapterId);
+  const chapter = nodeStats(active);
+  const novel = novelStats();
+  $("#wcChapter").textContent = chapter.words.toLocaleString();
+  $("#wcTotal").textContent = novel.words.toLocaleString();
+
+  const rows = [
+    ["Words", (s) => s.words.toLocaleString()],
+    ["Characters (with spaces)", (s) => s.characters.toLocaleString()],
+    ["Characters (no spaces)", (s) => s.charactersNoSpaces.toLocaleString()],
+    ["Paragraphs", (s) => s.paragraphs.toLocaleString()],
+    ["Sentences", (s) => s.sentences.toLocaleString()],
+    ["Reading time", (s) => formatMinutes(readingMinutes(s.words))],
+    ["Manuscript pages", (s) => pageCount(s.words).toLocaleString()]
+  ];
+  $("#wcStats").innerHTML = rows.map(([label, value]) =>
+    `<tr><th scope="row">${label}</th><td>${value(chapter)}</td><td>${value(novel)}</td></tr>`).join("");
+
+  // Parts and chapters include everything inside them, like the outline
+  const { roots } = buildOutline(state.chapters);
+  const words = rollUp(roots, nodeWords);
+  const characters = rollUp(roots, (node) => nodeStats(node).characters);
+  const list = $("#wcChapters");
+  list.replaceChildren();
+  for (const row of outlineRows(state.chapters)) {
+    const tr = document.createElement("tr");
+    tr.className = "wcChapterRow" + (row.id === state.activeChapterId ? " is-active" : "");
+    tr.dataset.id = row.id;
+    tr.style.setProperty("--depth", String(row.depth || 0));
+    const w = words.get(row.id) || 0;
+    tr.innerHTML = `
+      <th scope="row">${escapeHtml(row.title || "Untitled")}</th>
+      <td>${w.toLocaleString()}</td>
+      <td>${(characters.get(row.id) || 0).toLocaleString()}</td>
+      <td>${formatMinutes(readingMinutes(w))}</td>`;
+    list.appendChild(tr);
+  }
+  renderSceneCounts();
+}
+
 function setConnectionPill() {
   const online = navigator.onLine;
   const pill = $("#connPill");
@@ -127,6 +271,15 @@ function setConnectionPill() {
 function applyViewPrefs() {
   document.body.classList.toggle("pageView", !!state.pageView);
   document.body.classList.toggle("sidebarHidden", !!state.sidebarHidden);
+  document.body.classList.toggle("commentsShown", !!state.commentsShown);
+  document.body.classList.toggle("notesShown", !!state.notesShown);
+  document.body.classList.toggle("distractionFree", !!state.distractionFree);
+  document.body.classList.toggle("typewriter", !!state.typewriter);
+}
+
+// The editor draws scene breaks with this variable (see .sceneBreak in styles.css)
+function applySceneBreak() {
+  document.documentElement.style.setProperty("--scene-break", JSON.stringify(sceneBreakText(state.sceneBreak)));
 }
 
 function applyTheme() {
@@ -177,21 +330,59 @@ function updateHeaderHeight() {
   App State
 --------------------------- */
 const state = {
-  novelId: "default",
+  novelId: null,
+  lastNovelId: null,
   pageView: true,
   sidebarHidden: false,
   theme: "dark",
   novelTitle: "Untitled Novel",
   chapters: [],
   activeChapterId: null,
+  // Outline nodes folded in the sidebar
+  collapsedIds: new Set(),
+  // Comments side panel
+  commentsShown: false,
+  commentFilter: "open",
+  commentAuthor: "",
+  // Footnotes side panel
+  notesShown: false,
+  // Suggesting mode (track changes) in the editor
+  suggesting: false,
+  // Writing modes: no app chrome, cursor line kept centred, dimming ("off" | "paragraph" | "sentence")
+  distractionFree: false,
+  typewriter: false,
+  focusMode: "off",
+  // Word sprint defaults (a running sprint is `sprint`, below)
+  sprintMinutes: 25,
+  sprintWords: 500,
+  // The user's own keyboard shortcuts: { [commandId]: ["Mod+Alt+K"] } (see commands.js)
+  keybindings: {},
   autosaveMs: 800,
+  trashDays: 30,
+  // Remote id of the open novel (stored per novel as `syncId`)
+  novelSyncId: "",
+  // Scene-break glyph of the open novel (per-novel setting `sceneBreak`, see scenebreak.js)
+  sceneBreak: DEFAULT_SCENE_BREAK,
+  // Spelling language ("" = off) and accepted words of the open novel (per-novel settings
+  // `spellLang` and `dictionary`, see spellcheck.js)
+  spellLang: "",
+  dictionary: [],
+  // Goal of the open novel (per-novel settings, see goals.js): target words and "YYYY-MM-DD" deadline
+  goalWords: 0,
+  goalDeadline: "",
   sync: {
-    novelId: "default",
     url: "",
-    auth: ""
+    auth: "",
+    // Opt-in: push queued changes in the background instead of only on "Sync Now"
+    auto: false,
+    // Opt-in end-to-end encryption; the passphrase itself is never persisted (see syncPassphrase)
+    encrypt: false
   }
 };
 
+// Sync passphrase for this session only (not in localStorage, not in backups)
+let syncPassphrase = "";
+
 // Persist small settings (not content) in localStorage
 const SETTINGS_KEY = "novelwriter_settings_v1";
 
@@ -199,14 +390,28 @@ function loadSettings() {
   try {
     const s = JSON.parse(localStorage.getItem(SETTINGS_KEY) || "{}");
     if (typeof s.autosaveMs === "number") state.autosaveMs = s.autosaveMs;
+    if (typeof s.trashDays === "number") state.trashDays = s.trashDays;
     if (s.sync) state.sync = { ...state.sync, ...s.sync };
     if (typeof s.pageView === "boolean") state.pageView = s.pageView;
     if (typeof s.sidebarHidden === "boolean") state.sidebarHidden = s.sidebarHidden;
     if (typeof s.theme === "string") state.theme = s.theme;
+    if (typeof s.lastNovelId === "string") state.lastNovelId = s.lastNovelId;
+    if (Array.isArray(s.collapsedIds)) state.collapsedIds = new Set(s.collapsedIds);
+    if (typeof s.commentsShown === "boolean") state.commentsShown = s.commentsShown;
+    if (COMMENT_FILTERS.includes(s.commentFilter)) state.commentFilter = s.commentFilter;
+    if (typeof s.commentAuthor === "string") state.commentAuthor = s.commentAuthor;
+    if (typeof s.suggesting === "boolean") state.suggesting = s.suggesting;
+    if (typeof s.notesShown === "boolean") state.notesShown = s.notesShown;
+    if (typeof s.distractionFree === "boolean") state.distractionFree = s.distractionFree;
+    if (typeof s.typewriter === "boolean") state.typewriter = s.typewriter;
+    if (FOCUS_MODES.includes(s.focusMode)) state.focusMode = s.focusMode;
+    if (typeof s.sprintMinutes === "number") state.sprintMinutes = s.sprintMinutes;
+    if (typeof s.sprintWords === "number") state.sprintWords = s.sprintWords;
+    if (s.keybindings && typeof s.keybindings === "object") state.keybindings = s.keybindings;
   } catch {}
 }
 function saveSettings() {
-  localStorage.setItem(SETTINGS_KEY, JSON.stringify({ autosaveMs: state.autosaveMs, sync: state.sync, pageView: state.pageView, sidebarHidden: state.sidebarHidden, theme: state.theme }));
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify({ autosaveMs: state.autosaveMs, trashDays: state.trashDays, sync: state.sync, pageView: state.pageView, sidebarHidden: state.sidebarHidden, theme: state.theme, lastNovelId: state.lastNovelId, collapsedIds: [...state.collapsedIds], commentsShown: state.commentsShown, commentFilter: state.commentFilter, commentAuthor: state.commentAuthor, suggesting: state.suggesting, notesShown: state.notesShown, distractionFree: state.distractionFree, typewriter: state.typewriter, focusMode: state.focusMode, sprintMinutes: state.sprintMinutes, sprintWords: state.sprintWords, keybindings: state.keybindings }));
 }
 
 /* ---------------------------
@@ -229,15 +434,26 @@ function onEditorUpdate(jsonDoc) {
   if (!id) return;
   const ch = state.chapters.find(c => c.id === id);
   if (!ch) return;
+  const wordsBefore = nodeWords(ch);
   ch.content = jsonDoc;
   ch.updatedAt = Date.now();
+  logWords(nodeWords(ch) - wordsBefore);
   // async write to IndexedDB (debounced)
+  chapterWritePending = true;
   writeChapterDebounced(id, { content: jsonDoc });
   updateCountsDebounced();
+  refreshFindIfOpen();
+  renderCommentsDebounced();
 }
 
+// True between an editor change and its IndexedDB write (auto sync waits for it)
+let chapterWritePending = false;
+
 const writeChapterDebounced = debounce(async (id, patch) => {
+  chapterWritePending = false;
   try {
+    // Keep the stored version in history before it is overwritten (time/size cadence)
+    if (patch.content) await maybeAutoSnapshot(id);
     await updateChapterMeta(id, patch);
     setStatus(navigator.onLine ? "Saved (online)" : "Saved (offline)");
   } catch (e) {
@@ -247,181 +463,2711 @@ const writeChapterDebounced = debounce(async (id, patch) => {
 }, 350);
 
 /* ---------------------------
-  Chapter list rendering + drag reorder
+  Outline (parts / chapters / scenes) + drag to reorder or nest
 --------------------------- */
+// Counts per content object (the editor swaps in a new object on every change, so only the edited
+// chapter is counted again)
+const statsCache = new WeakMap();
+
+function nodeStats(node) {
+  if (!node?.content) return EMPTY_STATS;
+  let stats = statsCache.get(node.content);
+  if (!stats) {
+    stats = docStats(node.content);
+    statsCache.set(node.content, stats);
+  }
+  return stats;
+}
+
+const nodeWords = (node) => nodeStats(node).words;
+
+function outlineTotals() {
+  return rollUp(buildOutline(state.chapters).roots, nodeWords);
+}
+
 function renderChapters() {
   const ul = $("#chaptersList");
   ul.innerHTML = "";
+  const { roots } = buildOutline(state.chapters);
+  const totals = rollUp(roots, nodeWords);
+
+  const renderItems = (items) => {
+    for (const item of items) {
+      const ch = item.node;
+      const hasChildren = item.children.length > 0;
+      const collapsed = hasChildren && state.collapsedIds.has(ch.id);
+      const li = document.createElement("li");
+      li.className = `chapterItem chapterItem--${item.kind}` + (ch.id === state.activeChapterId ? " is-active" : "");
+      li.draggable = true;
+      li.dataset.id = ch.id;
+      li.style.setProperty("--depth", String(item.depth));
+
+      li.innerHTML = `
+        <div class="dragHandle" title="Drag to reorder; drop onto the middle of an item to nest"></div>
+        <button class="outlineToggle${hasChildren ? "" : " is-leaf"}" type="button" aria-label="${collapsed ? "Expand" : "Collapse"}" aria-expanded="${!collapsed}">${collapsed ? "▸" : "▾"}</button>
+        <span class="kindBadge" title="${KIND_LABELS[item.kind]}">${KIND_LABELS[item.kind][0]}</span>
+        <div class="chapterName">${escapeHtml(ch.title || "Untitled")}</div>
+        <div class="chapterMeta" data-words title="Words, including everything inside · edited ${formatMiniDate(ch.updatedAt)}">${outlineCountText(ch, totals.get(ch.id))}</div>
+      `;
+
+      li.querySelector(".outlineToggle").addEventListener("click", (e) => {
+        e.stopPropagation();
+        toggleCollapsed(ch.id);
+      });
+      li.addEventListener("click", () => openChapter(ch.id));
+      bindDragHandlers(li);
+      ul.appendChild(li);
+      if (!collapsed) renderItems(item.children);
+    }
+  };
+  renderItems(roots);
+}
+
+// Refreshes the roll-up counts without rebuilding the list (runs while typing)
+function updateOutlineCounts() {
+  const totals = outlineTotals();
+  document.querySelectorAll("#chaptersList [data-words]").forEach((el) => {
+    const id = el.closest(".chapterItem")?.dataset.id;
+    el.textContent = outlineCountText(state.chapters.find(c => c.id === id), totals.get(id) || 0);
+  });
+}
+
+// "1,234", or "1,234 / 3,000" for a node with a target
+function outlineCountText(ch, words) {
+  return ch?.targetWords ? `${words.toLocaleString()} / ${ch.targetWords.toLocaleString()}` : words.toLocaleString();
+}
+
+function toggleCollapsed(id) {
+  if (state.collapsedIds.has(id)) state.collapsedIds.delete(id);
+  else state.collapsedIds.add(id);
+  saveSettings();
+  renderChapters();
+}
+
+// Top/bottom quarter of a row = before/after it, the middle = inside it
+function dropPosition(li, e) {
+  const rect = li.getBoundingClientRect();
+  const y = (e.clientY - rect.top) / rect.height;
+  return y < 0.25 ? "before" : y > 0.75 ? "after" : "inside";
+}
+
+// dataTransfer can't be read during dragover, so remember what is being dragged
+let draggedNodeId = null;
+
+function clearDropMarks() {
+  document.querySelectorAll(".chapterItem").forEach(el => el.classList.remove("is-dragover", "is-drop-before", "is-drop-after", "is-drop-inside"));
+}
+
+function bindDragHandlers(li) {
+  li.addEventListener("dragstart", (e) => {
+    draggedNodeId = li.dataset.id;
+    li.classList.add("is-dragging");
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", li.dataset.id);
+  });
+
+  li.addEventListener("dragend", () => {
+    draggedNodeId = null;
+    li.classList.remove("is-dragging");
+    clearDropMarks();
+  });
+
+  li.addEventListener("dragover", (e) => {
+    e.preventDefault();
+    const position = dropPosition(li, e);
+    const valid = !!draggedNodeId && !!moveInOutline(state.chapters, draggedNodeId, li.dataset.id, position);
+    li.classList.remove("is-drop-before", "is-drop-after", "is-drop-inside");
+    li.classList.toggle("is-dragover", valid);
+    if (valid) li.classList.add(`is-drop-${position}`);
+    e.dataTransfer.dropEffect = valid ? "move" : "none";
+  });
+
+  li.addEventListener("dragleave", () => li.classList.remove("is-dragover", "is-drop-before", "is-drop-after", "is-drop-inside"));
+
+  li.addEventListener("drop", async (e) => {
+    e.preventDefault();
+    clearDropMarks();
+    const draggedId = e.dataTransfer.getData("text/plain");
+    const targetId = li.dataset.id;
+    const position = dropPosition(li, e);
+    const outline = draggedId ? moveInOutline(state.chapters, draggedId, targetId, position) : null;
+    if (!outline) return;
+
+    // Apply locally first so the list updates immediately
+    const placed = new Map(outline.map((o, i) => [o.id, { order: i + 1, parentId: o.parentId }]));
+    for (const c of state.chapters) Object.assign(c, placed.get(c.id));
+    state.chapters.sort((a, b) => a.order - b.order);
+    if (position === "inside") state.collapsedIds.delete(targetId);
+    renderChapters();
+
+    try {
+      await saveOutline(state.novelId, outline);
+      setStatus("Outline updated");
+    } catch (err) {
+      console.warn(err);
+      setStatus("Reorder failed");
+    }
+  });
+}
+
+const nearest = (item, kind) => {
+  for (let p = item; p; p = p.parent) if (p.kind === kind) return p;
+  return null;
+};
+
+// New chapters go into the part you're in, new scenes into the chapter you're in
+async function addNode(kind) {
+  await flushChapterTitle();
+  const { byId } = buildOutline(state.chapters);
+  const active = byId.get(state.activeChapterId);
+  let parent = null;
+  if (kind === "chapter") parent = nearest(active, "part");
+  if (kind === "scene") {
+    parent = nearest(active, "chapter");
+    if (!parent) {
+      alert("Open a chapter first: scenes live inside chapters.");
+      return;
+    }
+  }
+
+  const count = kind === "scene"
+    ? parent.children.length
+    : state.chapters.filter(c => nodeKind(c) === kind).length;
+  const chap = await createChapter(state.novelId, `${KIND_LABELS[kind]} ${count + 1}`, { kind, parentId: parent?.node.id ?? null });
+  state.chapters.push(chap);
+  if (parent) state.collapsedIds.delete(parent.node.id);
+  await openChapter(chap.id);
+  renderChapters();
+  setStatus(`${KIND_LABELS[kind]} added`);
+}
+
+// Title field, its placeholder and the kind picker for the open node
+function showNodeMeta(ch) {
+  const kind = nodeKind(ch);
+  $("#chapterTitle").value = ch?.title || "";
+  $("#chapterTitle").placeholder = `${KIND_LABELS[kind]} title…`;
+  $("#nodeKind").value = kind;
+  $("#nodeKind").disabled = !ch;
+}
+
+async function changeNodeKind(kind) {
+  const id = state.activeChapterId;
+  const ch = state.chapters.find(c => c.id === id);
+  if (!ch) return;
+  const problem = kindChangeProblem(state.chapters, id, kind);
+  if (problem) {
+    alert(`Can't make this a ${kind}: ${problem}`);
+    showNodeMeta(ch);
+    return;
+  }
+  ch.kind = kind;
+  showNodeMeta(ch);
+  renderChapters();
+  await updateChapterMeta(id, { kind });
+  setStatus(`Changed to ${kind}`);
+}
+
+/* ---------------------------
+  Chapter open/save
+--------------------------- */
+async function openChapter(id) {
+  if (id === state.activeChapterId) return;
+
+  // Save title of current chapter before switching
+  await flushChapterTitle();
+
+  state.activeChapterId = id;
+  const ch = state.chapters.find(c => c.id === id);
+  showNodeMeta(ch);
+
+  // Load content into editor (isolated per chapter)
+  setEditorDoc(editor, ch?.content);
+  renderChapters();
+  updateCountsDebounced();
+  if ($("#findScope").value === "chapter") refreshFindIfOpen();
+  if (pendingComment && pendingComment.chapterId !== id) closeCommentComposer();
+  renderComments();
+}
+
+async function flushChapterTitle() {
+  const id = state.activeChapterId;
+  if (!id) return;
+  const ch = state.chapters.find(c => c.id === id);
+  const title = $("#chapterTitle").value.trim() || `Untitled ${KIND_LABELS[nodeKind(ch)]}`;
+  if (!ch) return;
+  if (ch.title !== title) {
+    ch.title = title;
+    ch.updatedAt = Date.now();
+    renderChapters();
+    try { await updateChapterMeta(id, { title }); } catch {}
+  }
+}
+
+/* ---------------------------
+  Revision history
+--------------------------- */
+let historyRevisionId = null;
+
+// Writes the in-memory chapter (and drops any pending debounced write) so
+// history operations work on what the user currently sees.
+async function flushActiveChapter() {
+  const ch = state.chapters.find(c => c.id === state.activeChapterId);
+  if (!ch) return null;
+  writeChapterDebounced.cancel();
+  await flushChapterTitle();
+  // Writing bumps updatedAt and queues a sync, so only when there is something to save: the write that
+  // was just cancelled (with its auto snapshot), or text that differs from the stored copy
+  const stored = chapterWritePending ? null : await getChapter(ch.id);
+  if (chapterWritePending || JSON.stringify(stored?.content) !== JSON.stringify(ch.content)) {
+    await maybeAutoSnapshot(ch.id);
+    await updateChapterMeta(ch.id, { content: ch.content });
+  }
+  // The cancelled debounced write won't clear it (auto sync would wait for it forever)
+  chapterWritePending = false;
+  return ch;
+}
+
+async function saveSnapshot(label = "") {
+  const ch = await flushActiveChapter();
+  if (!ch) return;
+  await captureRevision(ch.id, { kind: "manual", label });
+  setStatus("Snapshot saved");
+}
+
+function formatRevisionDate(ts) {
+  const d = new Date(ts);
+  return d.toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+}
+
+async function openHistory() {
+  const ch = await flushActiveChapter();
+  if (!ch) return;
+  historyRevisionId = null;
+  $("#historyChapterName").textContent = ch.title || "Untitled Chapter";
+  $("#historyLabel").value = "";
+  await renderHistoryList();
+  $("#historyModal").showModal();
+}
+
+async function renderHistoryList() {
+  const ul = $("#historyList");
+  const revs = await listRevisions(state.activeChapterId);
+  ul.innerHTML = "";
+
+  if (!revs.length) {
+    ul.innerHTML = `<li class="historyItem muted">No snapshots yet. They are taken automatically as you write, or use “Save snapshot”.</li>`;
+    renderHistoryPane(null);
+    return;
+  }
 
-  for (const ch of state.chapters) {
+  const kinds = { auto: "Auto", manual: "Snapshot", restore: "Before restore", replace: "Before replace" };
+  for (const r of revs) {
     const li = document.createElement("li");
-    li.className = "chapterItem" + (ch.id === state.activeChapterId ? " is-active" : "");
-    li.draggable = true;
-    li.dataset.id = ch.id;
+    li.className = "historyItem" + (r.id === historyRevisionId ? " is-active" : "");
+    li.dataset.id = String(r.id);
+    li.innerHTML = `
+      <div class="historyItem__date">${escapeHtml(formatRevisionDate(r.createdAt))}</div>
+      <div class="chapterMeta">${escapeHtml(kinds[r.kind] || r.kind)}${r.label ? " · " + escapeHtml(r.label) : ""}</div>
+    `;
+    li.addEventListener("click", () => selectRevision(r.id));
+    ul.appendChild(li);
+  }
+
+  if (!historyRevisionId) await selectRevision(revs[0].id);
+}
+
+async function selectRevision(id) {
+  historyRevisionId = id;
+  document.querySelectorAll("#historyList .historyItem").forEach(li => {
+    li.classList.toggle("is-active", li.dataset.id === String(id));
+  });
+  renderHistoryPane(await getRevision(id));
+}
+
+async function renderHistoryPane(rev) {
+  const pane = $("#historyPane");
+  const summary = $("#historySummary");
+  const hasRev = !!rev;
+  $("#btnHistoryRestore").disabled = !hasRev;
+  $("#btnHistoryCopy").disabled = !hasRev;
+  if (!rev) {
+    pane.innerHTML = "";
+    summary.textContent = "";
+    return;
+  }
+
+  const mode = $("#historyMode").value;
+  if (mode === "version") {
+    const mod = await import("./export.js");
+    pane.classList.remove("is-diff");
+    pane.innerHTML = mod.tiptapJsonToHtml(rev.content, { sceneBreak: state.sceneBreak });
+    summary.textContent = `Version from ${formatRevisionDate(rev.createdAt)} — select text to copy it.`;
+    return;
+  }
+
+  const current = state.chapters.find(c => c.id === state.activeChapterId);
+  const plain = (doc) => editorToPlainText(doc, { sceneBreak: state.sceneBreak });
+  const runs = diffWords(plain(rev.content), plain(current?.content));
+  const { added, removed } = diffStats(runs);
+  pane.classList.add("is-diff");
+  pane.innerHTML = runs.map(r => {
+    const t = escapeHtml(r.text);
+    if (r.type === "insert") return `<ins class="diffIns">${t}</ins>`;
+    if (r.type === "delete") return `<del class="diffDel">${t}</del>`;
+    return t;
+  }).join("");
+  summary.textContent = (added || removed)
+    ? `Since this version: ${added.toLocaleString()} words added, ${removed.toLocaleString()} removed.`
+    : "Identical to the current text.";
+}
+
+async function restoreRevision() {
+  const rev = historyRevisionId ? await getRevision(historyRevisionId) : null;
+  const ch = state.chapters.find(c => c.id === state.activeChapterId);
+  if (!rev || !ch || rev.chapterId !== ch.id) return;
+  const ok = confirm(`Replace the current text of "${ch.title || "this chapter"}" with the version from ${formatRevisionDate(rev.createdAt)}? The current text is kept in history.`);
+  if (!ok) return;
+
+  await flushActiveChapter();
+  await captureRevision(ch.id, { kind: "restore", label: "Before restore" });
+  ch.content = rev.content;
+  ch.updatedAt = Date.now();
+  await updateChapterMeta(ch.id, { content: rev.content });
+  setEditorDoc(editor, rev.content);
+  updateCountsDebounced();
+  historyRevisionId = null;
+  await renderHistoryList();
+  setStatus("Chapter restored");
+}
+
+async function copyFromRevision() {
+  const pane = $("#historyPane");
+  const sel = document.getSelection();
+  const inPane = sel && !sel.isCollapsed && pane.contains(sel.anchorNode) && pane.contains(sel.focusNode);
+  let text;
+  let html;
+  if (inPane) {
+    text = sel.toString();
+    const box = document.createElement("div");
+    box.appendChild(sel.getRangeAt(0).cloneContents());
+    html = box.innerHTML;
+  } else {
+    const rev = await getRevision(historyRevisionId);
+    const mod = await import("./export.js");
+    text = editorToPlainText(rev?.content, { sceneBreak: state.sceneBreak });
+    html = mod.tiptapJsonToHtml(rev?.content, { sceneBreak: state.sceneBreak });
+  }
+  try {
+    if (window.ClipboardItem && $("#historyMode").value === "version") {
+      await navigator.clipboard.write([new ClipboardItem({
+        "text/plain": new Blob([text], { type: "text/plain" }),
+        "text/html": new Blob([html], { type: "text/html" })
+      })]);
+    } else {
+      await navigator.clipboard.writeText(text);
+    }
+    setStatus(inPane ? "Copied selection" : "Copied old version");
+  } catch (err) {
+    console.warn(err);
+    alert("Copy failed — select the text and use Ctrl/Cmd+C instead.");
+  }
+}
+
+/* ---------------------------
+  Find / replace
+--------------------------- */
+const find = {
+  results: [], // [{ chapter, hits }] in reading order
+  active: null, // { chapterId, block, start, end } — the hit selected in the editor
+  lastReplace: null // { novelId, query, before: [{ id, content }], after: [{ id, content }] }
+};
+
+function findOptions() {
+  return {
+    query: $("#findQuery").value,
+    caseSensitive: $("#findCase").checked,
+    wholeWord: $("#findWholeWord").checked,
+    regex: $("#findRegex").checked
+  };
+}
+
+function findScopeChapters() {
+  if ($("#findScope").value === "novel") return outlineRows(state.chapters);
+  return state.chapters.filter(c => c.id === state.activeChapterId);
+}
+
+const sameHit = (a, b) => !!a && !!b && a.block === b.block && a.start === b.start && a.end === b.end;
+
+function runFind() {
+  const list = $("#findResults");
+  const summary = $("#findSummary");
+  list.innerHTML = "";
+  find.results = [];
+  $("#btnFindUndo").hidden = find.lastReplace?.novelId !== state.novelId;
+
+  let re;
+  try {
+    re = buildMatcher(findOptions());
+  } catch (e) {
+    summary.textContent = e.message;
+    return;
+  }
+  if (!re) {
+    summary.textContent = "";
+    return;
+  }
+
+  let total = 0;
+  for (const chapter of findScopeChapters()) {
+    const hits = findInDoc(chapter.content, re);
+    if (!hits.length) continue;
+    find.results.push({ chapter, hits });
+    total += hits.length;
+
+    const head = document.createElement("li");
+    head.className = "findGroup";
+    head.textContent = `${chapter.title || "Untitled"} (${hits.length})`;
+    list.appendChild(head);
+    hits.forEach((hit, i) => {
+      const li = document.createElement("li");
+      li.className = "findHit" + (find.active?.chapterId === chapter.id && sameHit(find.active, hit) ? " is-active" : "");
+      li.dataset.chapterId = chapter.id;
+      li.dataset.index = String(i);
+      li.innerHTML = `${escapeHtml(hit.before)}<mark>${escapeHtml(hit.text)}</mark>${escapeHtml(hit.after)}`;
+      list.appendChild(li);
+    });
+  }
+
+  const chapters = find.results.length;
+  summary.textContent = total
+    ? `${total.toLocaleString()} match${total === 1 ? "" : "es"}${chapters > 1 ? ` in ${chapters} chapters` : ""}`
+    : "No matches";
+}
+
+const runFindDebounced = debounce(runFind, 200);
+
+function refreshFindIfOpen() {
+  if ($("#findPanel").open) runFindDebounced();
+}
+
+function openFind({ replace = false } = {}) {
+  const panel = $("#findPanel");
+  // Seed the query from a short, single-line selection
+  if (editor && !editor.state.selection.empty) {
+    const { from, to } = editor.state.selection;
+    const text = editor.state.doc.textBetween(from, to, "\n");
+    if (text && !text.includes("\n") && text.length <= 100) $("#findQuery").value = text;
+  }
+  if (!panel.open) panel.show();
+  const field = replace ? $("#findReplacement") : $("#findQuery");
+  field.focus();
+  field.select();
+  runFind();
+}
+
+async function jumpToHit(chapterId, hit) {
+  await openChapter(chapterId);
+  const range = editor && blockRange(editor.state.doc, hit);
+  if (!range) return;
+  find.active = { chapterId, block: hit.block, start: hit.start, end: hit.end };
+  editor.chain().focus().setTextSelection(range).scrollIntoView().run();
+  for (const li of $("#findResults").querySelectorAll(".findHit")) {
+    const r = find.results.find(g => g.chapter.id === li.dataset.chapterId);
+    li.classList.toggle("is-active", li.dataset.chapterId === chapterId && sameHit(r?.hits[Number(li.dataset.index)], hit));
+  }
+}
+
+// The first hit after a position (wrapping around), for "find next" and "replace"
+function nextHit(after) {
+  const flat = find.results.flatMap(r => r.hits.map(hit => ({ chapterId: r.chapter.id, hit })));
+  if (!after) return flat[0] || null;
+  const order = find.results.map(r => r.chapter.id);
+  const at = order.indexOf(after.chapterId);
+  return flat.find(({ chapterId, hit }) => {
+    const i = order.indexOf(chapterId);
+    if (i !== at) return i > at;
+    return hit.block > after.block || (hit.block === after.block && hit.start >= after.end);
+  }) || flat[0] || null;
+}
+
+async function findNext() {
+  runFind();
+  const next = nextHit(find.active);
+  if (next) await jumpToHit(next.chapterId, next.hit);
+}
+
+// Puts new chapter contents into memory and the editor (after they were stored)
+function applyContentChanges(changes) {
+  const now = Date.now();
+  for (const { id, content } of changes) {
+    const ch = state.chapters.find(c => c.id === id);
+    if (!ch) continue;
+    ch.content = content;
+    ch.updatedAt = now;
+    if (id === state.activeChapterId) setEditorDoc(editor, content);
+  }
+  updateCountsDebounced();
+  renderComments();
+}
+
+async function replaceMatches({ all = false } = {}) {
+  const options = findOptions();
+  let re;
+  try {
+    re = buildMatcher(options);
+  } catch (e) {
+    alert(e.message);
+    return;
+  }
+  if (!re) return;
+
+  runFind();
+  let targets;
+  if (all) {
+    targets = find.results.map(r => ({ chapter: r.chapter, only: null }));
+  } else {
+    // Replace the selected match; without one, select the first match instead
+    const group = find.results.find(r => r.chapter.id === find.active?.chapterId);
+    const hit = group?.hits.find(h => sameHit(h, find.active));
+    if (!hit) {
+      await findNext();
+      return;
+    }
+    targets = [{ chapter: group.chapter, only: hit }];
+  }
+  if (!targets.length) return;
+
+  await flushActiveChapter();
+  const replacement = $("#findReplacement").value;
+  const before = [];
+  const after = [];
+  let count = 0;
+  for (const { chapter, only } of targets) {
+    const result = replaceInDoc(chapter.content, re, replacement, { regex: options.regex, only });
+    if (!result.count) continue;
+    before.push({ id: chapter.id, content: chapter.content });
+    after.push({ id: chapter.id, content: result.doc });
+    count += result.count;
+  }
+  if (!count) return;
+
+  try {
+    await updateChapterContents(after, { label: `Replace “${options.query}”` });
+  } catch (e) {
+    console.warn(e);
+    alert("Replace failed: " + (e?.message || e));
+    return;
+  }
+  applyContentChanges(after);
+  find.lastReplace = { novelId: state.novelId, query: options.query, before, after };
+
+  if (all) {
+    find.active = null;
+    runFind();
+  } else {
+    // Continue after the inserted text
+    const { chapterId, block, start, end } = find.active;
+    const oldLength = textblocksOf(before[0].content)[block]?.text.length || 0;
+    const newLength = textblocksOf(after[0].content)[block]?.text.length || 0;
+    find.active = { chapterId, block, start, end: end + newLength - oldLength };
+    await findNext();
+  }
+  setStatus(`Replaced ${count.toLocaleString()} match${count === 1 ? "" : "es"}`);
+}
+
+async function undoReplace() {
+  const last = find.lastReplace;
+  if (!last || last.novelId !== state.novelId) return;
+  await flushActiveChapter();
+  const edited = last.after.some(({ id, content }) => {
+    const ch = state.chapters.find(c => c.id === id);
+    return ch && JSON.stringify(ch.content) !== JSON.stringify(content);
+  });
+  if (edited && !confirm("Some of these chapters were edited after the replace. Undo it anyway? Their current text is kept in history.")) return;
+
+  await updateChapterContents(last.before, { label: edited ? `Before undoing replace “${last.query}”` : "" });
+  applyContentChanges(last.before);
+  find.lastReplace = null;
+  find.active = null;
+  runFind();
+  setStatus("Replace undone");
+}
+
+/* ---------------------------
+  Comments (threads anchored to text, see comments.js)
+--------------------------- */
+let activeThreadId = null;
+let replyingTo = null;
+let pendingComment = null; // { chapterId, from, to, doc } while the new-comment box is open
+
+// Resolved and selected threads are styled per id; the marks themselves only know their thread id
+const commentStyles = document.createElement("style");
+document.head.appendChild(commentStyles);
+
+function updateCommentHighlights() {
+  const markFor = (id) => `body.commentsShown .commentMark[data-comment-id="${CSS.escape(id)}"]`;
+  const resolved = (editor ? threadsOf(editor.state.doc) : []).filter(t => t.resolved).map(t => markFor(t.id));
+  const rules = [];
+  if (resolved.length) rules.push(`${resolved.join(", ")}{background:none; border-bottom-color:transparent}`);
+  if (activeThreadId) rules.push(`${markFor(activeThreadId)}{background:rgba(251,191,36,.42)}`);
+  commentStyles.textContent = rules.join("\n");
+}
+
+function setCommentsShown(shown) {
+  state.commentsShown = shown;
+  saveSettings();
+  applyViewPrefs();
+  if (!shown) closeCommentComposer();
+  renderComments();
+}
 
+function renderComments() {
+  updateCommentHighlights();
+  if (!state.commentsShown) return;
+  const list = $("#commentList");
+
+  // Keep a reply that is being typed across re-renders (edits and syncs re-render the list)
+  const draft = list.querySelector(".commentReply textarea");
+  const draftValue = draft?.value || "";
+  const draftFocused = !!draft && document.activeElement === draft;
+
+  const items = novelThreads(outlineRows(state.chapters), state.commentFilter);
+  list.innerHTML = "";
+  if (!items.length) {
+    const empty = state.commentFilter === "resolved"
+      ? "No resolved comments."
+      : "No comments. Select some text and choose Comment (Ctrl/Cmd+Alt+M).";
+    list.innerHTML = `<li class="commentEmpty muted small">${empty}</li>`;
+    return;
+  }
+
+  let lastChapterId = null;
+  for (const { chapter, thread, anchor } of items) {
+    if (chapter.id !== lastChapterId) {
+      const head = document.createElement("li");
+      head.className = "commentGroup" + (chapter.id === state.activeChapterId ? " is-current" : "");
+      head.textContent = chapter.title || "Untitled";
+      list.appendChild(head);
+      lastChapterId = chapter.id;
+    }
+
+    const li = document.createElement("li");
+    li.className = "commentThread"
+      + (thread.resolved ? " is-resolved" : "")
+      + (thread.id === activeThreadId ? " is-active" : "");
+    li.dataset.chapterId = chapter.id;
+    li.dataset.threadId = thread.id;
+    const messages = (thread.messages || []).map(m => `
+      <div class="commentMsg">
+        <div class="commentMsg__meta"><b>${escapeHtml(m.author || "Anonymous")}</b> · ${escapeHtml(formatRevisionDate(m.createdAt))}</div>
+        <div class="commentMsg__text">${escapeHtml(m.text)}</div>
+      </div>`).join("");
     li.innerHTML = `
-      <div class="dragHandle" title="Drag to reorder"></div>
-      <div class="chapterName">${escapeHtml(ch.title || "Untitled")}</div>
-      <div class="chapterMeta">${formatMiniDate(ch.updatedAt)}</div>
+      <blockquote class="commentQuote${anchor === null ? " is-missing" : ""}">${anchor === null ? "Commented text was deleted" : escapeHtml(anchor)}</blockquote>
+      ${messages}
+      ${thread.id === replyingTo ? `
+        <div class="commentReply">
+          <textarea class="input" rows="2" placeholder="Reply…" aria-label="Reply"></textarea>
+          <div class="row">
+            <button class="btn btn--primary btn--small" type="button" data-comment-action="send">Reply</button>
+            <button class="btn btn--ghost btn--small" type="button" data-comment-action="cancel-reply">Cancel</button>
+          </div>
+        </div>` : ""}
+      <div class="commentThread__actions">
+        ${thread.id === replyingTo ? "" : `<button class="btn btn--ghost btn--small" type="button" data-comment-action="reply">Reply</button>`}
+        <button class="btn btn--ghost btn--small" type="button" data-comment-action="resolve">${thread.resolved ? "Reopen" : "Resolve"}</button>
+        <button class="btn btn--ghost btn--small" type="button" data-comment-action="delete">Delete</button>
+      </div>
     `;
+    list.appendChild(li);
+  }
 
-    li.addEventListener("click", () => openChapter(ch.id));
-    bindDragHandlers(li);
-    ul.appendChild(li);
+  const reply = list.querySelector(".commentReply textarea");
+  if (reply) {
+    reply.value = draftValue;
+    if (draftFocused) reply.focus();
   }
 }
 
-function bindDragHandlers(li) {
-  li.addEventListener("dragstart", (e) => {
-    li.classList.add("is-dragging");
-    e.dataTransfer.effectAllowed = "move";
-    e.dataTransfer.setData("text/plain", li.dataset.id);
-  });
+const renderCommentsDebounced = debounce(renderComments, 250);
+
+// The name on new comments and suggestions; asks once. null = cancelled.
+function commentAuthor() {
+  if (state.commentAuthor) return state.commentAuthor;
+  const name = prompt("Your name (shown on your comments and suggestions)", "");
+  if (name === null) return null;
+  state.commentAuthor = name.trim();
+  saveSettings();
+  return state.commentAuthor;
+}
+
+function startComment() {
+  if (!editor || !state.activeChapterId) return;
+  const { from, to, empty } = editor.state.selection;
+  if (empty) {
+    alert("Select the text you want to comment on first.");
+    return;
+  }
+  pendingComment = { chapterId: state.activeChapterId, from, to, doc: editor.state.doc };
+  if (!state.commentsShown) setCommentsShown(true);
+  $("#commentComposerQuote").textContent = editor.state.doc.textBetween(from, to, " ");
+  $("#commentComposer").hidden = false;
+  $("#commentText").value = "";
+  $("#commentText").focus();
+}
+
+function closeCommentComposer() {
+  pendingComment = null;
+  $("#commentComposer").hidden = true;
+}
+
+function saveComment() {
+  const text = $("#commentText").value.trim();
+  const pending = pendingComment;
+  if (!text || !pending) return;
+  if (pending.chapterId !== state.activeChapterId || editor.state.doc !== pending.doc) {
+    alert("The chapter changed while you were typing. Select the text again to comment on it.");
+    closeCommentComposer();
+    return;
+  }
+  const author = commentAuthor();
+  if (author === null) return;
+  const thread = newThread({ author, text });
+  addComment(editor, pending, thread);
+  closeCommentComposer();
+  activeThreadId = thread.id;
+  replyingTo = null;
+  renderComments();
+  setStatus("Comment added");
+}
+
+// Opens the thread's chapter and selects the commented text
+async function showThread(chapterId, threadId) {
+  await openChapter(chapterId);
+  activeThreadId = threadId;
+  const range = editor && threadRange(editor.state.doc, threadId);
+  if (range) editor.chain().focus().setTextSelection(range).scrollIntoView().run();
+  renderComments();
+}
+
+// Cursor moved: highlight the thread(s) it sits in
+function onEditorSelection() {
+  const ids = threadIdsAt(editor.state);
+  const id = ids[ids.length - 1];
+  if (!id || id === activeThreadId) return;
+  activeThreadId = id;
+  updateCommentHighlights();
+  if (!state.commentsShown) return;
+  for (const li of $("#commentList").querySelectorAll(".commentThread")) {
+    li.classList.toggle("is-active", li.dataset.threadId === id);
+    if (li.dataset.threadId === id) li.scrollIntoView({ block: "nearest" });
+  }
+}
+
+async function onCommentAction(e) {
+  const li = e.target.closest(".commentThread");
+  if (!li) return;
+  const { chapterId, threadId } = li.dataset;
+  const action = e.target.closest("[data-comment-action]")?.dataset.commentAction;
+  if (!action) {
+    if (!e.target.closest(".commentReply")) await showThread(chapterId, threadId);
+    return;
+  }
+  if (action === "reply" || action === "cancel-reply") {
+    replyingTo = action === "reply" ? threadId : null;
+    renderComments();
+    if (replyingTo) $("#commentList").querySelector(".commentReply textarea")?.focus();
+    return;
+  }
+
+  // Changes go through the editor of the thread's chapter, so they are undoable like any edit
+  const text = li.querySelector(".commentReply textarea")?.value.trim() || "";
+  if (action === "send" && !text) return;
+  if (action === "delete" && !confirm("Delete this comment thread? The text stays; only the comment is removed.")) return;
+  await openChapter(chapterId);
+
+  if (action === "send") {
+    const author = commentAuthor();
+    if (author === null) return;
+    // Replying to a resolved thread reopens it
+    updateThread(editor, threadId, t => ({ ...t, resolved: false, resolvedAt: null, messages: [...(t.messages || []), newMessage({ author, text })] }));
+    replyingTo = null;
+  } else if (action === "resolve") {
+    updateThread(editor, threadId, t => ({ ...t, resolved: !t.resolved, resolvedAt: t.resolved ? null : Date.now() }));
+  } else if (action === "delete") {
+    updateThread(editor, threadId, () => null);
+    if (activeThreadId === threadId) activeThreadId = null;
+  }
+  renderComments();
+}
+
+/* ---------------------------
+  Suggestions (track changes)
+--------------------------- */
+// Called by the editor whenever suggesting mode is switched (toolbar, menu or at startup)
+function onSuggestingChange(on) {
+  // Suggestions carry a name; ask for it when the mode is switched on by hand
+  if (on && !state.suggesting) commentAuthor();
+  state.suggesting = on;
+  saveSettings();
+  setStatus(on ? "Suggesting — edits are tracked" : "Editing");
+}
+
+/* ---------------------------
+  Footnotes (notes panel)
+--------------------------- */
+function setNotesShown(shown) {
+  state.notesShown = shown;
+  saveSettings();
+  applyViewPrefs();
+  renderNotes();
+}
+
+const noteItem = (id) => $("#noteList").querySelector(`.noteItem[data-note-id="${CSS.escape(id)}"]`);
+
+// Notes of the open chapter. The list is only rebuilt when notes are added, removed or moved, so the
+// note being typed keeps its textarea (and focus) while the editor saves it.
+function renderNotes() {
+  if (!state.notesShown || !editor) return;
+  const list = $("#noteList");
+  const notes = footnotesIn(editor.state.doc);
+  const ids = notes.map(n => n.id).join(",");
+  if (list.dataset.ids === ids && list.childElementCount) {
+    for (const note of notes) {
+      const textarea = noteItem(note.id)?.querySelector("textarea");
+      if (textarea && textarea !== document.activeElement && textarea.value !== note.text) textarea.value = note.text;
+    }
+    return;
+  }
+  list.dataset.ids = ids;
+  list.innerHTML = "";
+  if (!notes.length) {
+    list.innerHTML = `<li class="muted small">No notes in this chapter. Insert one with Insert → Footnote (Ctrl/Cmd+Alt+F).</li>`;
+    return;
+  }
+  notes.forEach((note, i) => {
+    const li = document.createElement("li");
+    li.className = "noteItem";
+    li.dataset.noteId = note.id;
+    li.innerHTML = `
+      <div class="noteItem__head">
+        <span class="noteItem__number">${i + 1}</span>
+        <button class="btn btn--ghost btn--small" type="button" data-note-action="go">Go to</button>
+        <button class="btn btn--ghost btn--small" type="button" data-note-action="delete">Delete</button>
+      </div>
+      <textarea class="input" rows="2" aria-label="Note ${i + 1}" placeholder="Note text…"></textarea>`;
+    li.querySelector("textarea").value = note.text;
+    list.appendChild(li);
+  });
+}
+
+const renderNotesDebounced = debounce(renderNotes, 200);
+
+// Shows a note in the panel and puts the cursor in it
+function showNote(id) {
+  if (!state.notesShown) setNotesShown(true);
+  else renderNotes();
+  for (const li of $("#noteList").querySelectorAll(".noteItem")) li.classList.toggle("is-active", li.dataset.noteId === id);
+  const textarea = noteItem(id)?.querySelector("textarea");
+  textarea?.scrollIntoView({ block: "nearest" });
+  textarea?.focus();
+}
+
+function addFootnote() {
+  if (!editor || !state.activeChapterId) return;
+  showNote(insertFootnote(editor));
+}
+
+function onNoteAction(e) {
+  const li = e.target.closest(".noteItem");
+  const action = e.target.closest("[data-note-action]")?.dataset.noteAction;
+  if (!li || !action) return;
+  const note = footnotesIn(editor.state.doc).find(n => n.id === li.dataset.noteId);
+  if (!note) return;
+  if (action === "go") editor.chain().focus().setNodeSelection(note.pos).scrollIntoView().run();
+  // Undo brings a deleted note back
+  else if (action === "delete") removeFootnote(editor, note.id);
+}
+
+/* ---------------------------
+  Writing modes (distraction-free, typewriter, focus) and word sprints
+--------------------------- */
+function setDistractionFree(on) {
+  state.distractionFree = on;
+  saveSettings();
+  applyViewPrefs();
+  updateHeaderHeight();
+  // Full screen needs a click or key press, so after a reload only the chrome stays hidden
+  if (on && !document.fullscreenElement) document.documentElement.requestFullscreen?.().catch(() => {});
+  if (!on && document.fullscreenElement) document.exitFullscreen?.().catch(() => {});
+  editor?.commands.focus();
+}
+
+function setTypewriter(on) {
+  state.typewriter = on;
+  saveSettings();
+  applyViewPrefs();
+  editor?.commands.setTypewriter(on);
+  setStatus(on ? "Typewriter mode on" : "Typewriter mode off");
+}
+
+function setFocusMode(mode) {
+  state.focusMode = FOCUS_MODES.includes(mode) ? mode : "off";
+  saveSettings();
+  editor?.commands.setFocusMode(state.focusMode);
+  setStatus(state.focusMode === "off" ? "Focus off" : `Focus on the current ${state.focusMode}`);
+}
+
+// Running sprint: { endsAt, startWords, target, timer, done }. Words are counted over the whole novel,
+// so switching chapters mid-sprint is fine; deleting text counts against it.
+let sprint = null;
+
+function renderSprint() {
+  const pill = $("#sprintPill");
+  pill.hidden = !sprint;
+  if (!sprint) {
+    $("#focusSprint").textContent = "";
+    return;
+  }
+  const words = novelWords() - sprint.startWords;
+  const left = Math.max(0, sprint.endsAt - Date.now());
+  const clock = sprint.done ? "Done" : `${Math.floor(left / 60000)}:${String(Math.floor(left / 1000) % 60).padStart(2, "0")}`;
+  const count = `${words.toLocaleString()}${sprint.target ? ` / ${sprint.target.toLocaleString()}` : ""} words`;
+  $("#sprintPillText").textContent = `${clock} · ${count}`;
+  $("#focusSprint").textContent = `${clock} · ${count}`;
+  pill.classList.toggle("is-reached", !!sprint.target && words >= sprint.target);
+}
+
+function startSprint() {
+  const minutes = Math.max(1, Math.min(240, Math.round(Number($("#sprintMinutes").value) || 25)));
+  const target = Math.max(0, Math.round(Number($("#sprintWords").value) || 0));
+  state.sprintMinutes = minutes;
+  state.sprintWords = target;
+  saveSettings();
+  if (sprint) clearInterval(sprint.timer);
+  sprint = { endsAt: Date.now() + minutes * 60000, startWords: novelWords(), target, done: false };
+  sprint.timer = setInterval(() => {
+    if (Date.now() >= sprint.endsAt) finishSprint();
+    else renderSprint();
+  }, 1000);
+  renderSprint();
+  setStatus(`Sprint started: ${minutes} min${target ? `, ${target.toLocaleString()} words` : ""}`);
+  editor?.commands.focus();
+}
+
+// The result stays in the pill until it is clicked
+function finishSprint() {
+  clearInterval(sprint.timer);
+  sprint.done = true;
+  const words = novelWords() - sprint.startWords;
+  renderSprint();
+  setStatus(`Sprint over: ${words.toLocaleString()} words${sprint.target ? (words >= sprint.target ? " — target reached" : ` of ${sprint.target.toLocaleString()}`) : ""}`);
+}
+
+function onSprintPillClick() {
+  if (!sprint) return;
+  if (!sprint.done && !confirm("Stop the sprint?")) return;
+  clearInterval(sprint.timer);
+  sprint = null;
+  renderSprint();
+}
+
+function openSprintDialog() {
+  $("#sprintMinutes").value = String(state.sprintMinutes);
+  $("#sprintWords").value = String(state.sprintWords);
+  $("#sprintModal").showModal();
+}
+
+/* ---------------------------
+  Goals, daily progress log and streaks
+--------------------------- */
+// Today's row of the open novel's progress log ({ novelId, date, added, removed, words }); kept here and
+// written to IndexedDB shortly after each change
+let today = null;
+let todayDirty = false;
+
+async function saveToday() {
+  writeTodayDebounced.cancel();
+  if (!todayDirty) return;
+  todayDirty = false;
+  try {
+    await putProgressDay({ ...today });
+  } catch (e) {
+    console.warn("Progress log:", e);
+  }
+}
+
+const writeTodayDebounced = debounce(saveToday, 1000);
+
+async function loadToday() {
+  await saveToday();
+  const date = dayKey();
+  today = (await getProgressDay(state.novelId, date)) || { novelId: state.novelId, date, added: 0, removed: 0, words: novelWords() };
+}
+
+// Called with the change in the open chapter's word count on every edit (chapter loads don't count)
+function logWords(delta) {
+  if (!today || !delta) return;
+  if (today.date !== dayKey()) {
+    // Past midnight: close yesterday's row and start a new day
+    saveToday();
+    today = { novelId: state.novelId, date: dayKey(), added: 0, removed: 0, words: 0 };
+  }
+  if (delta > 0) today.added += delta;
+  else today.removed -= delta;
+  today.words = novelWords();
+  todayDirty = true;
+  writeTodayDebounced();
+}
+
+const currentGoal = () => ({ goalWords: state.goalWords, goalDeadline: state.goalDeadline });
+
+// Header pill: today's words against the daily pace, or the share of the goal without a deadline
+function renderGoalPill() {
+  const pill = $("#goalPill");
+  const pace = today && goalPace(currentGoal(), novelWords(), netWords(today));
+  pill.hidden = !pace;
+  if (!pace) return;
+  if (pace.perDay !== null) {
+    $("#goalPillLabel").textContent = "Today";
+    $("#goalPillText").textContent = `${netWords(today).toLocaleString()} / ${pace.perDay.toLocaleString()}`;
+  } else {
+    $("#goalPillLabel").textContent = "Goal";
+    $("#goalPillText").textContent = `${Math.floor(Math.min(1, novelWords() / state.goalWords) * 100)}%`;
+  }
+  pill.classList.toggle("is-reached", pace.left === 0 || pace.todayLeft === 0);
+}
+
+const formatDay = (key) => new Date(`${key}T12:00:00`).toLocaleDateString(undefined, { weekday: "short", day: "numeric", month: "short", year: "numeric" });
+
+async function renderGoals() {
+  await saveToday();
+  const rows = await listProgress(state.novelId);
+  const total = novelWords();
+  const todayNet = netWords(today);
+  const pace = goalPace(currentGoal(), total, todayNet);
+
+  const share = state.goalWords ? Math.min(1, total / state.goalWords) : 0;
+  $("#goalBarFill").style.width = `${(share * 100).toFixed(1)}%`;
+  let summary = "Set a target (and a deadline) to see how much to write each day.";
+  if (pace) {
+    summary = `${total.toLocaleString()} of ${state.goalWords.toLocaleString()} words (${Math.floor(share * 100)}%)`;
+    if (!pace.left) summary += " — goal reached!";
+    else if (pace.overdue) summary += ` — the deadline has passed with ${pace.left.toLocaleString()} words to go`;
+    else if (pace.daysLeft) summary += ` · ${pace.left.toLocaleString()} to go in ${pace.daysLeft} day${pace.daysLeft === 1 ? "" : "s"}`;
+    else summary += ` · ${pace.left.toLocaleString()} to go`;
+  }
+  $("#goalSummary").textContent = summary;
+
+  const { current, best } = streaks(rows);
+  $("#goalToday").textContent = todayNet.toLocaleString();
+  $("#goalTodayGross").textContent = `${today.added.toLocaleString()} written, ${today.removed.toLocaleString()} deleted`;
+  $("#goalPerDay").textContent = pace?.perDay != null ? pace.perDay.toLocaleString() : "—";
+  $("#goalPerDayNote").textContent = pace?.todayLeft ? `${pace.todayLeft.toLocaleString()} more today` : (pace?.perDay != null ? "Done for today" : "Needs a target and deadline");
+  $("#goalStreak").textContent = `${current} day${current === 1 ? "" : "s"}`;
+  $("#goalBestStreak").textContent = `Best: ${best} day${best === 1 ? "" : "s"}`;
+
+  const heatmap = $("#goalHeatmap");
+  heatmap.replaceChildren();
+  for (const week of heatmapWeeks(rows)) {
+    for (const day of week) {
+      const cell = document.createElement("span");
+      cell.className = "heatCell" + (day.future ? " is-future" : "");
+      cell.dataset.level = String(day.level);
+      if (!day.future) cell.title = `${formatDay(day.date)}: ${day.net.toLocaleString()} words (${day.added.toLocaleString()} written, ${day.removed.toLocaleString()} deleted)`;
+      heatmap.appendChild(cell);
+    }
+  }
+
+  renderChapterTargets();
+}
+
+// Per-node targets; parts and chapters compare against everything inside them, like the outline counts
+function renderChapterTargets() {
+  const list = $("#chapterTargets");
+  const totals = outlineTotals();
+  list.replaceChildren();
+  for (const row of outlineRows(state.chapters)) {
+    const words = totals.get(row.id) || 0;
+    const item = document.createElement("div");
+    item.className = "targetRow";
+    item.style.setProperty("--depth", String(row.depth || 0));
+    item.innerHTML = `
+      <div class="targetRow__name">${escapeHtml(row.title || "Untitled")}</div>
+      <div class="targetRow__bar"><div class="goalBar"><div class="goalBar__fill"></div></div></div>
+      <div class="targetRow__words muted small"></div>
+      <input class="input input--small" type="number" min="0" step="500" placeholder="Target" aria-label="Target words for ${escapeHtml(row.title || "Untitled")}" />`;
+    const input = item.querySelector("input");
+    const show = () => {
+      const target = row.targetWords || 0;
+      input.value = target ? String(target) : "";
+      item.querySelector(".goalBar__fill").style.width = target ? `${(Math.min(1, words / target) * 100).toFixed(1)}%` : "0";
+      item.querySelector(".goalBar").hidden = !target;
+      item.querySelector(".targetRow__words").textContent = outlineCountText(row, words);
+    };
+    input.addEventListener("change", async () => {
+      const target = Math.max(0, Math.round(Number(input.value) || 0));
+      const ch = state.chapters.find(c => c.id === row.id);
+      if (!ch) return;
+      ch.targetWords = target || undefined;
+      row.targetWords = ch.targetWords;
+      show();
+      updateOutlineCounts();
+      await updateChapterMeta(ch.id, { targetWords: ch.targetWords });
+    });
+    show();
+    list.appendChild(item);
+  }
+}
+
+async function openGoals() {
+  $("#goalWords").value = state.goalWords ? String(state.goalWords) : "";
+  $("#goalDeadline").value = state.goalDeadline;
+  await renderGoals();
+  $("#goalsModal").showModal();
+}
+
+async function saveGoal() {
+  state.goalWords = Math.max(0, Math.round(Number($("#goalWords").value) || 0));
+  state.goalDeadline = $("#goalDeadline").value;
+  await updateNovelSettings(state.novelId, { goalWords: state.goalWords, goalDeadline: state.goalDeadline });
+  renderGoalPill();
+  await renderGoals();
+}
+
+/* ---------------------------
+  Spelling (squiggles, suggestions, novel dictionary, report)
+--------------------------- */
+const spell = createSpellChecker();
+
+// Applies the open novel's language and words; false when the dictionary couldn't be loaded
+async function applySpelling() {
+  spell.setPersonalWords(state.dictionary);
+  // Our squiggles replace the browser's, which would flag the novel's names all over again
+  editor?.view.dom.setAttribute("spellcheck", String(!state.spellLang));
+  let ok = true;
+  try {
+    await spell.setLanguage(state.spellLang);
+  } catch (e) {
+    console.warn("Spelling dictionary:", e);
+    ok = false;
+    editor?.view.dom.setAttribute("spellcheck", "true");
+    setStatus(navigator.onLine ? "Spelling dictionary failed to load" : "Spelling dictionary not downloaded yet (offline)");
+  }
+  editor?.commands.recheckSpelling();
+  return ok;
+}
+
+async function saveDictionary() {
+  state.dictionary.sort((a, b) => a.localeCompare(b));
+  await updateNovelSettings(state.novelId, { dictionary: state.dictionary });
+  spell.setPersonalWords(state.dictionary);
+  editor?.commands.recheckSpelling();
+}
+
+async function addToDictionary(word) {
+  if (!state.dictionary.includes(word)) {
+    state.dictionary = [...state.dictionary, word];
+    await saveDictionary();
+  }
+  setStatus(`“${word}” added to this novel's dictionary`);
+}
+
+// The word the menu is open for: { from, to, word } (see spellErrorAt)
+let spellMenuError = null;
+
+function closeSpellMenu() {
+  spellMenuError = null;
+  $("#spellMenu").classList.remove("is-open");
+}
+
+function spellMenuItem(label, data) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = "menuItem";
+  btn.textContent = label;
+  Object.assign(btn.dataset, data);
+  return btn;
+}
+
+async function openSpellMenu(error, x, y) {
+  const menu = $("#spellMenu");
+  spellMenuError = error;
+  const note = document.createElement("div");
+  note.className = "spellMenu__note muted small";
+  note.textContent = "Looking up suggestions…";
+  const sep = document.createElement("div");
+  sep.className = "menuSep";
+  menu.replaceChildren(note, sep,
+    spellMenuItem("Add to novel dictionary", { spell: "add" }),
+    spellMenuItem("Ignore", { spell: "ignore" }));
+  menu.classList.add("is-open");
+  const rect = menu.getBoundingClientRect();
+  menu.style.left = Math.round(Math.max(8, Math.min(x, window.innerWidth - rect.width - 8))) + "px";
+  menu.style.top = Math.round(y + rect.height > window.innerHeight - 8 ? Math.max(8, y - rect.height) : y) + "px";
+
+  const suggestions = await spell.suggest(error.word).catch(() => []);
+  if (spellMenuError !== error) return;
+  if (suggestions.length) note.replaceWith(...suggestions.map(s => spellMenuItem(s, { suggestion: s })));
+  else note.textContent = "No suggestions";
+}
+
+async function onSpellMenuClick(e) {
+  const item = e.target.closest(".menuItem");
+  const error = spellMenuError;
+  if (!item || !error) return;
+  closeSpellMenu();
+  if (item.dataset.spell === "add") {
+    await addToDictionary(error.word);
+  } else if (item.dataset.spell === "ignore") {
+    spell.ignore(error.word);
+    editor.commands.recheckSpelling();
+  } else if (editor.state.doc.textBetween(error.from, error.to) === error.word) {
+    // Inserted as text so the word keeps its formatting (and is tracked while suggesting)
+    editor.chain().focus().insertContentAt({ from: error.from, to: error.to }, { type: "text", text: item.dataset.suggestion }).run();
+  }
+}
+
+function onEditorContextMenu(e) {
+  if (!editor || !e.target.closest(".spellError")) return;
+  const at = editor.view.posAtCoords({ left: e.clientX, top: e.clientY });
+  const error = at && spellErrorAt(editor.state, at.pos);
+  if (!error) return;
+  e.preventDefault();
+  openSpellMenu(error, e.clientX, e.clientY);
+}
+
+// Shows every occurrence of a word in the find panel
+function findWord(word) {
+  $("#findQuery").value = word;
+  $("#findScope").value = "novel";
+  $("#findCase").checked = true;
+  $("#findWholeWord").checked = true;
+  $("#findRegex").checked = false;
+  find.active = null;
+  if (!$("#findPanel").open) $("#findPanel").show();
+  runFind();
+}
+
+async function openSpellingReport() {
+  if (!state.spellLang) {
+    alert("Spell checking is off for this novel. Choose a language in Settings first.");
+    return;
+  }
+  const list = $("#spellReportList");
+  const summary = $("#spellReportSummary");
+  list.replaceChildren();
+  summary.textContent = "Checking the whole novel…";
+  $("#spellReportModal").showModal();
+
+  let report;
+  try {
+    report = await spellingReport(spell, outlineRows(state.chapters));
+  } catch (e) {
+    console.warn(e);
+    summary.textContent = "The dictionary could not be loaded. Connect once to download it.";
+    return;
+  }
+  const renderSummary = () => {
+    const n = list.children.length;
+    summary.textContent = n
+      ? `${n.toLocaleString()} unrecognised word${n === 1 ? "" : "s"} (${SPELL_LANGUAGES[state.spellLang].label}). Names and invented words can go in the novel dictionary.`
+      : "No spelling mistakes found.";
+  };
+  for (const { word, count, chapters } of report) {
+    const li = document.createElement("li");
+    li.className = "libraryItem";
+    li.innerHTML = `
+      <div class="libraryItem__main">
+        <div class="libraryItem__title">${escapeHtml(word)} <span class="muted small">× ${count}</span></div>
+        <div class="muted small">${escapeHtml(chapters.map(c => c.title || "Untitled").join(", "))}</div>
+      </div>
+      <div class="libraryItem__actions">
+        <button class="btn btn--ghost" type="button" data-act="find">Find</button>
+        <button class="btn btn--ghost" type="button" data-act="add">Add to dictionary</button>
+      </div>`;
+    li.querySelector('[data-act="find"]').addEventListener("click", () => {
+      $("#spellReportModal").close();
+      findWord(word);
+    });
+    li.querySelector('[data-act="add"]').addEventListener("click", async () => {
+      await addToDictionary(word);
+      li.remove();
+      renderSummary();
+    });
+    list.appendChild(li);
+  }
+  renderSummary();
+}
+
+/* ---------------------------
+  Trash (recycle bin)
+--------------------------- */
+async function openTrash() {
+  await renderTrash();
+  $("#trashModal").showModal();
+}
+
+async function renderTrash() {
+  const ul = $("#trashList");
+  const items = await listTrash();
+  ul.innerHTML = "";
+  $("#btnEmptyTrash").disabled = !items.length;
+  $("#trashRetention").textContent = state.trashDays > 0
+    ? `Items are deleted permanently after ${state.trashDays} day${state.trashDays === 1 ? "" : "s"}.`
+    : "Items are kept until you delete them.";
+
+  if (!items.length) {
+    ul.innerHTML = `<li class="libraryItem muted">The trash is empty.</li>`;
+    return;
+  }
+
+  for (const item of items) {
+    const li = document.createElement("li");
+    li.className = "libraryItem";
+    li.dataset.id = String(item.id);
+    const what = item.kind === "novel"
+      ? `Novel · ${item.chapterCount || 0} chapter${item.chapterCount === 1 ? "" : "s"}`
+      : `Chapter ${item.order || ""} of “${escapeHtml(item.novelTitle || "Untitled Novel")}”`;
+    li.innerHTML = `
+      <div class="libraryItem__main">
+        <div class="libraryItem__title">${escapeHtml(item.title || "Untitled")}</div>
+        <div class="chapterMeta">${what} · ${escapeHtml(item.reason || "Deleted")} ${formatMiniDate(item.deletedAt)}</div>
+      </div>
+      <div class="libraryItem__actions">
+        <button class="btn btn--primary btn--small" type="button" data-act="restore">Restore</button>
+        <button class="btn btn--ghost btn--small" type="button" data-act="purge">Delete forever</button>
+      </div>
+    `;
+    ul.appendChild(li);
+  }
+}
+
+async function onTrashAction(e) {
+  const btn = e.target.closest("button[data-act]");
+  if (!btn) return;
+  const id = Number(btn.closest(".libraryItem")?.dataset.id);
+  if (!id) return;
+
+  try {
+    if (btn.dataset.act === "restore") {
+      await flushActiveChapter();
+      const { novelId, chapterId } = await restoreTrashItem(id, { fallbackNovelId: state.novelId });
+      if (novelId === state.novelId) {
+        await loadFromDB();
+        if (chapterId) await openChapter(chapterId);
+      }
+      setStatus(novelId === state.novelId ? "Restored from Trash" : "Restored to Library");
+    } else if (btn.dataset.act === "purge") {
+      const ok = confirm("Delete this item permanently? This cannot be undone.");
+      if (!ok) return;
+      await purgeTrashItem(id);
+    }
+  } catch (err) {
+    console.warn(err);
+    alert("Trash action failed: " + (err?.message || err));
+  }
+  await renderTrash();
+}
+
+/* ---------------------------
+  Backup import dialog
+--------------------------- */
+let pendingImport = null; // { raw, backup }
+
+async function openImportDialog(raw) {
+  await flushActiveChapter();
+  const backup = await migrateBackup(raw);
+  pendingImport = { raw, backup };
+
+  const exported = backup.exportedAt ? new Date(backup.exportedAt).toLocaleString() : "unknown date";
+  const from = raw.schemaVersion === backup.schemaVersion ? "" : ` (upgraded from v${raw.schemaVersion})`;
+  $("#importSummary").textContent =
+    `“${backup.novel.title || "Untitled Novel"}” · ${backup.chapters.length} chapter${backup.chapters.length === 1 ? "" : "s"} · exported ${exported} · format v${raw.schemaVersion}${from}${backup.appVersion ? ` · app ${backup.appVersion}` : ""}`;
+
+  // Target novel: the backup's own novel if it is in the library, else the open one
+  const novels = await listNovels();
+  const inLibrary = novels.some(n => n.id === backup.novel.id);
+  const select = $("#importTarget");
+  select.innerHTML = "";
+  if (!inLibrary) {
+    select.add(new Option(`${backup.novel.title || "Untitled Novel"} (from backup, not in library)`, backup.novel.id));
+  }
+  for (const n of novels) {
+    select.add(new Option(`${n.title || "Untitled Novel"}${n.id === state.novelId ? " (open)" : ""}`, n.id));
+  }
+  select.value = inLibrary ? backup.novel.id : state.novelId;
+
+  const mode = inLibrary ? "merge" : "new";
+  document.querySelectorAll('input[name="importMode"]').forEach(r => { r.checked = r.value === mode; });
+
+  await renderImportPlan();
+  $("#importModal").showModal();
+}
+
+function importOptions() {
+  const mode = document.querySelector('input[name="importMode"]:checked')?.value || "replace";
+  return { mode, targetNovelId: $("#importTarget").value };
+}
+
+async function renderImportPlan() {
+  if (!pendingImport) return;
+  const opts = importOptions();
+  $("#importTargetField").hidden = opts.mode === "new";
+
+  const box = $("#importPlan");
+  try {
+    const plan = await planImport(pendingImport.backup, opts);
+    const parts = [];
+    if (plan.added.length) parts.push(`${plan.added.length} new`);
+    if (plan.updated.length) parts.push(`${plan.updated.length} updated`);
+    if (plan.removed.length) parts.push(`${plan.removed.length} removed (moved to Trash)`);
+    if (plan.unchanged.length) parts.push(`${plan.unchanged.length} unchanged`);
+    const where = opts.mode === "new" ? "a new novel" : `“${escapeHtml(plan.targetTitle || "Untitled Novel")}”`;
+
+    let html = `<p>Into ${where}: ${parts.join(", ") || "no changes"}.</p>`;
+    if (plan.conflicts.length) {
+      html += `<p class="muted small">Chapters that differ — the newer version wins (replaced chapters on this device go to the Trash):</p>
+        <table class="conflictTable">
+          <thead><tr><th>Chapter</th><th>This device</th><th>Backup</th><th>Keeps</th></tr></thead>
+          <tbody>${plan.conflicts.map(c => `
+            <tr>
+              <td>${escapeHtml(c.title || "Untitled")}</td>
+              <td>${escapeHtml(formatRevisionDate(c.localUpdatedAt))}</td>
+              <td>${escapeHtml(formatRevisionDate(c.backupUpdatedAt))}</td>
+              <td>${c.winner === "backup" ? "Backup" : "This device"}</td>
+            </tr>`).join("")}
+          </tbody>
+        </table>`;
+    }
+    box.innerHTML = html;
+    $("#btnImportApply").disabled = false;
+  } catch (err) {
+    box.textContent = err?.message || String(err);
+    $("#btnImportApply").disabled = true;
+  }
+}
+
+async function applyImport() {
+  if (!pendingImport) return;
+  const opts = importOptions();
+  try {
+    const plan = await importBackup(pendingImport.raw, opts);
+    pendingImport = null;
+    $("#importModal").close();
+    await switchNovel(plan.targetNovelId);
+    setStatus(opts.mode === "merge" ? "Backup merged" : "Backup imported");
+  } catch (err) {
+    console.warn(err);
+    alert("Import failed: " + (err?.message || err));
+  }
+}
+
+/* ---------------------------
+  Whole-library backup (ZIP)
+--------------------------- */
+let pendingLibrary = null; // { file, archive }
+
+async function backupEverything() {
+  try {
+    setStatus("Backing up library…");
+    await flushActiveChapter();
+    const settings = JSON.parse(localStorage.getItem(SETTINGS_KEY) || "{}");
+    const blob = await exportLibraryZip({ settings });
+    downloadBlob(blob, `NovelWriter_library_${nowStamp()}.zip`);
+    setStatus("Library backed up");
+  } catch (err) {
+    console.warn(err);
+    setStatus("Backup failed");
+    alert("Backup failed: " + (err?.message || err));
+  }
+}
+
+async function openLibraryRestore(file) {
+  await flushActiveChapter();
+  setStatus("Checking library backup…");
+  const archive = await readLibraryZip(file, { mode: $("#restoreMode").value });
+  pendingLibrary = { file, archive };
+  setStatus("Ready");
+
+  const m = archive.manifest;
+  const exported = m.exportedAt ? new Date(m.exportedAt).toLocaleString() : "unknown date";
+  $("#restoreSummary").textContent =
+    `${archive.novels.length} novel${archive.novels.length === 1 ? "" : "s"} · exported ${exported}${m.appVersion ? ` · app ${m.appVersion}` : ""} · all files passed their integrity check.`;
+  $("#restoreSettings").checked = false;
+  $("#restoreSettings").disabled = !archive.settings;
+  renderLibraryRestore();
+  $("#restoreModal").showModal();
+}
+
+function renderLibraryRestore() {
+  const ul = $("#restoreList");
+  ul.innerHTML = "";
+  for (const n of pendingLibrary?.archive.novels || []) {
+    const p = n.plan;
+    const parts = [];
+    if (p.added.length) parts.push(`${p.added.length} new`);
+    if (p.updated.length) parts.push(`${p.updated.length} updated`);
+    if (p.removed.length) parts.push(`${p.removed.length} removed`);
+    if (p.unchanged.length) parts.push(`${p.unchanged.length} unchanged`);
+    const effect = n.exists
+      ? `In library${n.localTitle && n.localTitle !== n.title ? ` as “${escapeHtml(n.localTitle)}”` : ""}: ${parts.join(", ") || "no changes"}`
+      : `New to this device: ${n.backup.chapters.length} chapter${n.backup.chapters.length === 1 ? "" : "s"}`;
+
+    const li = document.createElement("li");
+    li.className = "libraryItem";
+    li.innerHTML = `
+      <label class="check libraryItem__main">
+        <input type="checkbox" data-id="${escapeHtml(n.id)}" checked />
+        <span>
+          <span class="libraryItem__title">${escapeHtml(n.title || "Untitled Novel")}</span>
+          <span class="chapterMeta">${effect}${p.conflicts.length ? ` · ${p.conflicts.length} differ` : ""} · ${n.revisions.length} snapshots</span>
+        </span>
+      </label>
+    `;
+    ul.appendChild(li);
+  }
+}
+
+async function applyLibraryRestore() {
+  if (!pendingLibrary) return;
+  const { archive } = pendingLibrary;
+  const novelIds = Array.from(document.querySelectorAll("#restoreList input[type=checkbox]:checked")).map(el => el.dataset.id);
+  const withSettings = $("#restoreSettings").checked && archive.settings;
+  if (!novelIds.length && !withSettings) {
+    alert("Nothing selected to restore.");
+    return;
+  }
+
+  try {
+    setStatus("Restoring library…");
+    await restoreLibrary(archive, {
+      novelIds,
+      mode: $("#restoreMode").value,
+      includeRevisions: $("#restoreRevisions").checked
+    });
+
+    if (withSettings) {
+      // Keep this device's credentials; the archive never contains them
+      const restored = { ...archive.settings, sync: { ...(archive.settings.sync || {}), auth: state.sync.auth } };
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify(restored));
+      loadSettings();
+      applyTheme();
+      updateThemeButton();
+      applyViewPrefs();
+      configureAutosave();
+    }
+
+    pendingLibrary = null;
+    $("#restoreModal").close();
+    const next = await ensureNovel(state.lastNovelId || state.novelId);
+    await switchNovel(next.id);
+    setStatus("Library restored");
+  } catch (err) {
+    console.warn(err);
+    setStatus("Restore failed");
+    alert("Restore failed: " + (err?.message || err));
+  }
+}
+
+/* ---------------------------
+  Online Sync (optional)
+--------------------------- */
+function setSyncStatus(text) {
+  $("#syncStatus").textContent = text;
+}
+
+// Passphrase to use for sync ("" = send clear text)
+function activePassphrase() {
+  return state.sync.encrypt ? syncPassphrase : "";
+}
+
+function needsPassphrase() {
+  return state.sync.encrypt && !syncPassphrase;
+}
+
+// Errors that retrying can't fix: they wait for the user (see encryption.js)
+const PASSPHRASE_ERRORS = {
+  "passphrase-required": "Passphrase needed",
+  "wrong-passphrase": "Wrong passphrase",
+  "damaged": "Server copy damaged"
+};
+
+async function syncNow({ direction = "both" } = {}) {
+  const url = state.sync.url?.trim();
+  const remoteNovelId = state.novelSyncId?.trim();
+  if (!url || !remoteNovelId) {
+    setSyncStatus("Set Sync URL + Novel ID first.");
+    return;
+  }
+  if (needsPassphrase()) {
+    if (!$("#settingsModal").open) $("#btnSettings").click();
+    setSyncStatus("Enter your sync passphrase first (it is kept in memory until you close the app).");
+    $("#syncPassphrase").focus();
+    return;
+  }
+
+  setSyncStatus(direction === "pull" ? "Pulling…" : "Syncing…");
+
+  try {
+    await flushActiveChapter();
+    const result = await syncNovel({
+      novelId: state.novelId,
+      remoteId: remoteNovelId,
+      url,
+      auth: state.sync.auth,
+      passphrase: activePassphrase(),
+      direction,
+      resolveConflicts: resolveSyncConflicts
+    });
+    if (result.cancelled) {
+      setSyncStatus("Sync cancelled — nothing was changed.");
+      return;
+    }
+
+    await loadFromDB();
+    const parts = [];
+    if (result.pulled) parts.push(`${result.pulled} chapter${result.pulled === 1 ? "" : "s"} updated from server`);
+    if (result.removed) parts.push(`${result.removed} removed (in Trash)`);
+    if (result.novelFields) parts.push("novel details and settings updated from server");
+    if (result.conflicts) parts.push(`${result.conflicts} conflict${result.conflicts === 1 ? "" : "s"} resolved`);
+    if (result.pushed) parts.push("pushed to server");
+    setSyncStatus((parts.join(", ") || "Already up to date") + ".");
+    setStatus("Synced");
+    autoSync.attention.delete(state.novelId);
+  } catch (e) {
+    console.warn(e);
+    setSyncStatus(`Sync failed: ${e?.message || "check server / connection"}.`);
+    setStatus("Offline-ready (not synced)");
+  }
+  await renderSyncPill();
+}
+
+// Settings used to hold a single global remote id; keep honouring it for the original novel
+function remoteIdFor(novel) {
+  return (novel?.syncId ?? (novel?.id === "default" ? (state.sync.novelId || "") : "")).trim();
+}
+
+/* ---------------------------
+  Sync encryption
+--------------------------- */
+function clearPassphraseAttention() {
+  const reasons = Object.values(PASSPHRASE_ERRORS);
+  for (const [id, reason] of autoSync.attention) {
+    if (reasons.includes(reason)) autoSync.attention.delete(id);
+  }
+}
+
+async function checkPassphrase() {
+  const url = state.sync.url?.trim();
+  if (!url || !state.novelSyncId) {
+    setSyncStatus("Set Sync URL + Novel ID first.");
+    return;
+  }
+  if (!syncPassphrase) {
+    setSyncStatus("Enter the passphrase first.");
+    return;
+  }
+  setSyncStatus("Checking passphrase…");
+  try {
+    const result = await checkRemotePassphrase({ remoteId: state.novelSyncId, url, auth: state.sync.auth, passphrase: syncPassphrase });
+    setSyncStatus({
+      ok: "Passphrase is correct for this novel.",
+      wrong: "Wrong passphrase: the server copy of this novel was encrypted with a different one.",
+      clear: "The server copy isn't encrypted yet; the next sync encrypts it.",
+      missing: "Nothing on the server yet; the first sync uploads it encrypted."
+    }[result]);
+  } catch (e) {
+    setSyncStatus(`Check failed: ${e?.message || "check server / connection"}.`);
+  }
+}
+
+function openPassphraseDialog() {
+  $("#ppCurrent").value = syncPassphrase;
+  $("#ppNew").value = "";
+  $("#ppConfirm").value = "";
+  $("#ppStatus").textContent = "";
+  $("#passphraseModal").showModal();
+}
+
+async function applyPassphraseChange() {
+  const status = (text) => { $("#ppStatus").textContent = text; };
+  const current = $("#ppCurrent").value;
+  const next = $("#ppNew").value;
+  const url = state.sync.url?.trim();
+  if (!url) return status("Set a Sync URL first.");
+  if (next.length < 8) return status("The new passphrase needs at least 8 characters.");
+  if (next !== $("#ppConfirm").value) return status("The new passphrases don't match.");
+
+  const btn = $("#btnPassphraseApply");
+  btn.disabled = true;
+  try {
+    const novels = (await listNovels()).map(n => ({ ...n, remoteId: remoteIdFor(n) })).filter(n => n.remoteId);
+
+    // Check every server copy first so a typo can't leave novels under two different passphrases
+    status("Checking the current passphrase…");
+    for (const n of novels) {
+      const result = await checkRemotePassphrase({ remoteId: n.remoteId, url, auth: state.sync.auth, passphrase: current });
+      if (result === "wrong") throw new Error(`the current passphrase doesn't open "${n.title || "Untitled Novel"}"`);
+    }
+
+    let reencrypted = 0;
+    for (const [i, n] of novels.entries()) {
+      status(`Re-encrypting ${i + 1} of ${novels.length}…`);
+      const ok = await reencryptRemote({
+        novelId: n.id,
+        remoteId: n.remoteId,
+        url,
+        auth: state.sync.auth,
+        oldPassphrase: current,
+        newPassphrase: next
+      });
+      if (ok) reencrypted++;
+    }
+
+    syncPassphrase = next;
+    state.sync.encrypt = true;
+    saveSettings();
+    clearPassphraseAttention();
+    $("#syncEncrypt").checked = true;
+    $("#syncPassphrase").value = next;
+    $("#passphraseModal").close();
+    setSyncStatus(`Passphrase changed; ${reencrypted} server cop${reencrypted === 1 ? "y" : "ies"} re-encrypted.`);
+    await renderSyncPill();
+    scheduleAutoSync(0);
+  } catch (e) {
+    console.warn(e);
+    status(`Passphrase change failed: ${e?.message || e}.`);
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+/* ---------------------------
+  Auto sync + outbox
+--------------------------- */
+const AUTO_SYNC_DELAY_MS = 4000;
+const AUTO_SYNC_MAX_DELAY_MS = 10 * 60 * 1000;
+
+const autoSync = {
+  timer: null,
+  running: false,
+  failures: 0,
+  // novelId -> reason its sync stopped (conflict, passphrase); they wait for an interactive "Sync Now"
+  attention: new Map()
+};
+
+function autoSyncEnabled() {
+  return !!(state.sync.auto && state.sync.url?.trim());
+}
+
+function scheduleAutoSync(delay = AUTO_SYNC_DELAY_MS) {
+  if (!autoSyncEnabled()) return;
+  clearTimeout(autoSync.timer);
+  autoSync.timer = setTimeout(runAutoSync, delay);
+}
+
+// Exponential backoff with ±20% jitter so several tabs/devices don't retry in lockstep
+function retryDelay(failures) {
+  const base = Math.min(AUTO_SYNC_MAX_DELAY_MS, AUTO_SYNC_DELAY_MS * 2 ** failures);
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+}
+
+async function runAutoSync() {
+  if (!autoSyncEnabled()) return;
+  if (!navigator.onLine) {
+    // The "online" event resumes; meanwhile let the service worker try when the OS sees a network
+    await queueBackgroundDelivery();
+    return;
+  }
+  if (autoSync.running || chapterWritePending) {
+    scheduleAutoSync(1000);
+    return;
+  }
+  if (needsPassphrase()) {
+    // Locked until the passphrase is entered in Settings (which reschedules)
+    await renderSyncPill();
+    return;
+  }
+
+  autoSync.running = true;
+  try {
+    for (const novelId of await novelsWithPendingChanges()) {
+      if (autoSync.attention.has(novelId)) continue;
+      const { novel } = await getNovel(novelId);
+      const remoteId = remoteIdFor(novel);
+      if (!novel || !remoteId) continue;
+
+      const isOpen = novelId === state.novelId;
+      const active = isOpen ? state.chapters.find(c => c.id === state.activeChapterId) : null;
+      const before = active ? JSON.stringify(active.content) : null;
+
+      let result;
+      try {
+        result = await syncNovel({
+          novelId,
+          remoteId,
+          url: state.sync.url.trim(),
+          auth: state.sync.auth,
+          passphrase: activePassphrase(),
+          // Conflicts need the user: leave everything as is and flag the novel
+          resolveConflicts: async () => null
+        });
+      } catch (e) {
+        if (!PASSPHRASE_ERRORS[e?.code]) throw e;
+        autoSync.attention.set(novelId, PASSPHRASE_ERRORS[e.code]);
+        continue;
+      }
+      if (result.cancelled) {
+        autoSync.attention.set(novelId, "Conflict — resolve");
+        continue;
+      }
+      if (isOpen && (result.pulled || result.removed || result.novelFields)) await refreshAfterAutoSync(before);
+    }
+    autoSync.failures = 0;
+  } catch (e) {
+    console.warn("Auto sync failed:", e);
+    autoSync.failures++;
+    scheduleAutoSync(retryDelay(autoSync.failures));
+  } finally {
+    autoSync.running = false;
+  }
+  await renderSyncPill();
+}
+
+// Brings pulled changes into the open novel without clobbering typing that happened mid-sync
+async function refreshAfterAutoSync(activeBefore) {
+  const { novel, chapters } = await getNovel(state.novelId);
+  const activeId = state.activeChapterId;
+  const mine = state.chapters.find(c => c.id === activeId);
+  const stored = chapters.find(c => c.id === activeId);
+  const typedMeanwhile = mine && JSON.stringify(mine.content) !== activeBefore;
+
+  if (stored && typedMeanwhile && JSON.stringify(stored.content) !== activeBefore) {
+    // The pending write will overwrite the server text; keep that text in history first
+    await captureRevision(activeId, { kind: "manual", label: "Server version (auto sync)" });
+  }
+
+  state.novelTitle = novel?.title || state.novelTitle;
+  $("#novelTitle").value = state.novelTitle;
+  $("#docTitleTop") && ($("#docTitleTop").value = state.novelTitle);
+  readNovelSettings(novel?.settings);
+  applySpelling();
+  renderGoalPill();
+
+  if (stored && typedMeanwhile) stored.content = mine.content;
+  state.chapters = chapters;
+  if (!stored) {
+    // The open chapter was deleted on the server (it's in Trash)
+    state.activeChapterId = null;
+    await loadFromDB();
+    return;
+  }
+  renderChapters();
+  if (!typedMeanwhile && JSON.stringify(stored.content) !== activeBefore) {
+    showNodeMeta(stored);
+    setEditorDoc(editor, stored.content);
+  }
+  updateCountsDebounced();
+  renderComments();
+}
+
+// Hands queued pushes to the service worker (Background Sync) for when this tab is gone or offline
+async function queueBackgroundDelivery() {
+  if (!autoSyncEnabled() || !("serviceWorker" in navigator)) return;
+  try {
+    let prepared = 0;
+    for (const novelId of await novelsWithPendingChanges()) {
+      const { novel } = await getNovel(novelId);
+      const ok = await prepareOutboxJob({
+        novelId,
+        remoteId: remoteIdFor(novel),
+        url: state.sync.url.trim(),
+        auth: state.sync.auth,
+        passphrase: activePassphrase()
+      });
+      if (ok) prepared++;
+    }
+    if (!prepared) return;
+    const reg = await navigator.serviceWorker.ready;
+    if (reg.sync) await reg.sync.register(OUTBOX_SYNC_TAG);
+  } catch (e) {
+    console.warn("Background sync unavailable:", e);
+  }
+}
+
+function formatSyncTime(ts) {
+  if (!ts) return "never";
+  const d = new Date(ts);
+  if (d.toDateString() === new Date().toDateString()) {
+    return d.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+  }
+  return formatMiniDate(ts);
+}
+
+async function renderSyncPill() {
+  const pill = $("#syncPill");
+  if (!pill) return;
+  pill.hidden = !(state.sync.url?.trim() && state.novelSyncId);
+  if (pill.hidden) return;
+
+  const [pending, syncState, refused] = await Promise.all([
+    pendingChangeCount(state.novelId),
+    getSyncState(state.novelId, { url: state.sync.url?.trim(), remoteId: state.novelSyncId }),
+    backgroundSyncError(state.novelId)
+  ]);
+  // A background push the server refused (bad auth, too large, …) stays flagged until a sync from here succeeds
+  const attention = autoSync.attention.get(state.novelId) ||
+    (refused ? `Sync failed (${refused}) — sync now` : "") ||
+    (needsPassphrase() && pending ? "Locked — enter passphrase" : "");
+  const last = syncState?.syncedAt || 0;
+
+  let text = `Synced ${formatSyncTime(last)}`;
+  if (attention) text = attention;
+  else if (pending) text = `${pending} pending${navigator.onLine ? "" : " (offline)"}`;
+
+  $("#syncPillText").textContent = text;
+  pill.classList.toggle("is-pending", !!pending && !attention);
+  pill.classList.toggle("is-attention", !!attention);
+  pill.title = `Last synced: ${last ? new Date(last).toLocaleString() : "never"}` +
+    `\n${pending} change${pending === 1 ? "" : "s"} waiting to be sent — click to sync now`;
+}
+const renderSyncPillDebounced = debounce(renderSyncPill, 300);
+
+// Shows each chapter that changed on both sides and resolves with the user's choices (or null).
+function resolveSyncConflicts(conflicts) {
+  const modal = $("#conflictModal");
+  const list = $("#conflictList");
+  list.innerHTML = "";
+
+  const renderSide = (label, ch) => `
+    <div class="conflictSide">
+      <div class="conflictSide__head">
+        <strong>${label}</strong>
+        <span class="chapterMeta">${escapeHtml(ch.title || "Untitled")} · ${escapeHtml(formatRevisionDate(ch.updatedAt || 0))}</span>
+      </div>
+      <div class="historyPane" data-doc></div>
+    </div>`;
+
+  return import("./export.js").then((mod) => new Promise((resolve) => {
+    conflicts.forEach((c, i) => {
+      const item = document.createElement("div");
+      item.className = "conflictItem";
+      item.dataset.id = c.id;
+      item.innerHTML = `
+        <div class="h3">${escapeHtml(c.title || "Untitled Chapter")}</div>
+        <div class="conflictSides">${renderSide("This device", c.local)}${renderSide("Server", c.remote)}</div>
+        <div class="row">
+          <label class="check"><input type="radio" name="conflict-${i}" value="local" checked /> Keep this device</label>
+          <label class="check"><input type="radio" name="conflict-${i}" value="remote" /> Keep server</label>
+          <label class="check"><input type="radio" name="conflict-${i}" value="both" /> Keep both</label>
+        </div>`;
+      const panes = item.querySelectorAll("[data-doc]");
+      panes[0].innerHTML = mod.tiptapJsonToHtml(c.local.content, { sceneBreak: state.sceneBreak });
+      panes[1].innerHTML = mod.tiptapJsonToHtml(c.remote.content, { sceneBreak: state.sceneBreak });
+      list.appendChild(item);
+    });
+
+    const finish = (result) => {
+      modal.removeEventListener("close", onClose);
+      $("#btnConflictApply").removeEventListener("click", onApply);
+      resolve(result);
+    };
+    const onApply = () => {
+      const choices = new Map();
+      list.querySelectorAll(".conflictItem").forEach((item) => {
+        choices.set(item.dataset.id, item.querySelector("input[type=radio]:checked")?.value || "local");
+      });
+      finish(choices);
+      modal.close();
+    };
+    const onClose = () => finish(null);
+
+    $("#btnConflictApply").addEventListener("click", onApply);
+    modal.addEventListener("close", onClose);
+    $("#conflictCount").textContent = String(conflicts.length);
+    modal.showModal();
+  }));
+}
+
+/* ---------------------------
+  Library (multiple novels)
+--------------------------- */
+async function switchNovel(novelId) {
+  await flushChapterTitle();
+  state.novelId = novelId;
+  state.lastNovelId = novelId;
+  state.activeChapterId = null;
+  saveSettings();
+  await markNovelOpened(novelId);
+  await loadFromDB();
+}
+
+async function newNovel() {
+  const title = prompt("New novel title", "Untitled Novel")?.trim();
+  if (!title) return;
+  const novel = await createNovel(title);
+  await switchNovel(novel.id);
+  setStatus("Novel created");
+}
+
+async function openLibrary() {
+  await flushChapterTitle();
+  await renderLibrary();
+  $("#libraryModal").showModal();
+}
+
+async function renderLibrary() {
+  const ul = $("#libraryList");
+  const showArchived = $("#libraryShowArchived").checked;
+  const novels = (await listNovels()).filter(n => showArchived || !n.archived);
+  ul.innerHTML = "";
+
+  if (!novels.length) {
+    ul.innerHTML = `<li class="libraryItem muted">No novels${showArchived ? "" : " (archived novels are hidden)"}.</li>`;
+    return;
+  }
+
+  for (const n of novels) {
+    const li = document.createElement("li");
+    li.className = "libraryItem" + (n.id === state.novelId ? " is-active" : "") + (n.archived ? " is-archived" : "");
+    li.dataset.id = n.id;
+    const chapters = `${n.chapterCount} chapter${n.chapterCount === 1 ? "" : "s"}`;
+    li.innerHTML = `
+      <div class="libraryItem__main">
+        <div class="libraryItem__title">${escapeHtml(n.title || "Untitled Novel")}</div>
+        <div class="chapterMeta">${chapters} · edited ${formatMiniDate(n.updatedAt)}${n.archived ? " · archived" : ""}${n.id === state.novelId ? " · open" : ""}</div>
+      </div>
+      <div class="libraryItem__actions">
+        <button class="btn btn--primary btn--small" type="button" data-act="open">Open</button>
+        <button class="btn btn--ghost btn--small" type="button" data-act="rename">Rename</button>
+        <button class="btn btn--ghost btn--small" type="button" data-act="duplicate">Duplicate</button>
+        <button class="btn btn--ghost btn--small" type="button" data-act="archive">${n.archived ? "Unarchive" : "Archive"}</button>
+        <button class="btn btn--ghost btn--small" type="button" data-act="delete">Delete</button>
+      </div>
+    `;
+    ul.appendChild(li);
+  }
+}
+
+async function onLibraryAction(e) {
+  const btn = e.target.closest("button[data-act]");
+  if (!btn) return;
+  const id = btn.closest(".libraryItem")?.dataset.id;
+  if (!id) return;
+  const { novel } = await getNovel(id);
+  if (!novel) return;
+
+  try {
+    switch (btn.dataset.act) {
+      case "open":
+        $("#libraryModal").close();
+        if (id !== state.novelId) await switchNovel(id);
+        break;
+      case "rename": {
+        const title = prompt("Rename novel", novel.title || "")?.trim();
+        if (!title) return;
+        await updateNovelTitle(id, title);
+        if (id === state.novelId) {
+          state.novelTitle = title;
+          $("#novelTitle").value = title;
+          $("#docTitleTop") && ($("#docTitleTop").value = title);
+        }
+        break;
+      }
+      case "duplicate":
+        await duplicateNovel(id);
+        setStatus("Novel duplicated");
+        break;
+      case "archive":
+        await setNovelArchived(id, !novel.archived);
+        break;
+      case "delete": {
+        const ok = confirm(`Move "${novel.title || "this novel"}" and all of its chapters to the Trash?`);
+        if (!ok) return;
+        await deleteNovel(id);
+        if (id === state.novelId) {
+          const next = await ensureNovel();
+          await switchNovel(next.id);
+        }
+        setStatus("Novel deleted");
+        break;
+      }
+      default:
+        break;
+    }
+  } catch (err) {
+    console.warn(err);
+    alert("Library action failed: " + (err?.message || err));
+  }
+  if ($("#libraryModal").open) await renderLibrary();
+}
+
+/* ---------------------------
+  Export options: PDF layout (profiles and fonts in manuscript.js) and EPUB details
+--------------------------- */
+const ADD_FONT = "add";
+const MAX_COVER_BYTES = 5 * 1024 * 1024;
+// The chosen cover ({ id, name, type, data: data URL }) from the covers table; the novel keeps its id
+let epubCover = null;
+
+async function renderPdfFonts(selected) {
+  const uploaded = await listFonts();
+  const select = $("#pdfFont");
+  select.replaceChildren(new Option("Profile default", ""));
+  for (const [id, { label }] of Object.entries(PDF_FONTS)) select.add(new Option(label, id));
+  for (const font of uploaded) select.add(new Option(`${font.name} (uploaded)`, `${CUSTOM_FONT_PREFIX}${font.id}`));
+  select.add(new Option("Add font…", ADD_FONT));
+  select.value = [...select.options].some(o => o.value === selected && o.value !== ADD_FONT) ? selected : "";
+  select.dataset.value = select.value;
+  $("#btnRemovePdfFont").hidden = !select.value.startsWith(CUSTOM_FONT_PREFIX);
+}
+
+function showPdfFields() {
+  const profile = $("#pdfProfile").value;
+  $("#pdfManuscriptFields").hidden = profile !== "manuscript";
+  $("#pdfPaperbackFields").hidden = profile !== "paperback";
+}
+
+async function openExport() {
+  const { novel } = await getNovel(state.novelId);
+  const settings = novel?.settings || {};
+  const pdf = { ...DEFAULT_PDF_SETTINGS, ...settings.pdf };
+  $("#pdfProfile").value = Object.hasOwn(PDF_PROFILES, pdf.profile) ? pdf.profile : DEFAULT_PDF_SETTINGS.profile;
+  $("#pdfPaper").value = pdf.paper;
+  $("#pdfTrim").value = pdf.trim;
+  $("#pdfDropCaps").checked = !!pdf.dropCaps;
+  // The author defaults to the name on comments
+  $("#exportAuthor").value = settings.author ?? state.commentAuthor;
+  $("#pdfSurname").value = settings.surname || "";
+  $("#pdfSurname").placeholder = surnameOf($("#exportAuthor").value);
+  $("#pdfContact").value = settings.contact || "";
+  await renderPdfFonts(pdf.font);
+  showPdfFields();
+  const epub = settings.epub || {};
+  $("#epubLanguage").value = epub.language || state.spellLang || navigator.language || "en";
+  $("#epubIdentifier").value = epub.identifier || "";
+  $("#epubDescription").value = epub.description || "";
+  epubCover = (await getCover(epub.coverId)) || null;
+  renderEpubCover();
+  compileSettings = compilePresets(settings.compile);
+  renderCompile();
+  $("#exportModal").showModal();
+}
+
+// What the export needs from the PDF fields (also saved with the novel)
+function pdfFormData() {
+  return {
+    pdf: {
+      profile: $("#pdfProfile").value,
+      font: $("#pdfFont").dataset.value || "",
+      paper: $("#pdfPaper").value,
+      trim: $("#pdfTrim").value,
+      dropCaps: $("#pdfDropCaps").checked
+    },
+    author: $("#exportAuthor").value.trim(),
+    surname: $("#pdfSurname").value.trim(),
+    contact: $("#pdfContact").value.trim()
+  };
+}
+
+async function savePdfSettings() {
+  $("#pdfSurname").placeholder = surnameOf($("#exportAuthor").value);
+  await updateNovelSettings(state.novelId, pdfFormData());
+}
+
+function epubFormData() {
+  return {
+    language: $("#epubLanguage").value.trim(),
+    identifier: $("#epubIdentifier").value.trim(),
+    description: $("#epubDescription").value.trim(),
+    coverId: epubCover?.id || null
+  };
+}
+
+async function saveEpubSettings() {
+  await updateNovelSettings(state.novelId, { epub: epubFormData() });
+}
+
+function renderEpubCover() {
+  $("#epubCoverPreview").hidden = !epubCover;
+  if (epubCover) $("#epubCoverPreview").src = epubCover.data;
+  else $("#epubCoverPreview").removeAttribute("src");
+  $("#epubCoverName").textContent = epubCover?.name || "No cover image";
+  $("#btnRemoveEpubCover").hidden = !epubCover;
+}
+
+async function setEpubCover(file) {
+  if (!/^image\/(jpeg|png|gif|webp)$/.test(file.type)) throw new Error("Choose a JPEG, PNG, GIF or WebP image.");
+  if (file.size > MAX_COVER_BYTES) throw new Error("The cover image is larger than 5 MB. Ebook stores recommend about 1600 × 2560 pixels.");
+  const data = await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+  const previous = epubCover;
+  epubCover = { id: await addCover({ name: file.name, type: file.type, data }), name: file.name, type: file.type, data };
+  renderEpubCover();
+  await saveEpubSettings();
+  await releaseCover(previous?.id);
+}
+
+async function onPdfFontChange(e) {
+  if (e.target.value === ADD_FONT) {
+    // Back to the font in use until the new one is added
+    e.target.value = e.target.dataset.value || "";
+    $("#pdfFontFiles").click();
+    return;
+  }
+  e.target.dataset.value = e.target.value;
+  $("#btnRemovePdfFont").hidden = !e.target.value.startsWith(CUSTOM_FONT_PREFIX);
+  await savePdfSettings();
+}
+
+// One family from up to four files (regular, bold, italic, bold italic); the style comes from each file name
+async function addPdfFont(fileList) {
+  const files = {};
+  for (const file of fileList) {
+    const data = await file.arrayBuffer();
+    if (!isFontFile(data)) throw new Error(`${file.name} is not a TrueType or OpenType font (.ttf or .otf).`);
+    files[fontFileStyle(file.name)] ??= data;
+  }
+  // A single bold or italic file is still the family's only face
+  files.normal ??= Object.values(files)[0];
+  const name = fontFamilyName(fileList[0].name);
+  const id = await addFont(name, files);
+  await renderPdfFonts(`${CUSTOM_FONT_PREFIX}${id}`);
+  await savePdfSettings();
+  setStatus(`Added font ${name}`);
+}
+
+async function removePdfFont() {
+  const select = $("#pdfFont");
+  const label = select.selectedOptions[0]?.textContent || "this font";
+  if (!confirm(`Remove ${label} from the library? Novels using it go back to their profile's font.`)) return;
+  await deleteFont(Number(select.value.slice(CUSTOM_FONT_PREFIX.length)));
+  await renderPdfFonts("");
+  await savePdfSettings();
+}
+
+/* ---------------------------
+  Compile presets: what every export includes (see compile.js)
+--------------------------- */
+// The open novel's presets while the export dialog is open ({ current, presets })
+let compileSettings = compilePresets(null);
+
+function renderCompilePresets() {
+  const names = Object.keys(compileSettings.presets);
+  $("#compilePreset").replaceChildren(...names.map(name => new Option(name, name)));
+  $("#compilePreset").value = compileSettings.current;
+  $("#btnCompileDelete").disabled = names.length < 2;
+}
+
+function renderCompile() {
+  const preset = compileSettings.presets[compileSettings.current];
+  renderCompilePresets();
+  $("#compileTitlePage").checked = preset.titlePage;
+  $("#compileCopyright").value = preset.copyright;
+  $("#compileDedication").value = preset.dedication;
+  $("#compileToc").checked = preset.toc;
+  $("#compileAcknowledgements").value = preset.acknowledgements;
+  $("#exportIncludeChapterHeadings").checked = preset.includeHeadings;
+  $("#compileChapterFormat").value = preset.chapterFormat;
+  $("#compilePartFormat").value = preset.partFormat;
+  $("#compileNumberStyle").value = Object.hasOwn(NUMBER_STYLES, preset.numberStyle) ? preset.numberStyle : DEFAULT_COMPILE.numberStyle;
+  $("#compileSceneBreak").value = Object.hasOwn(COMPILE_SCENE_BREAKS, preset.sceneBreak) ? preset.sceneBreak : DEFAULT_COMPILE.sceneBreak;
+  renderCompileChapters(preset.exclude);
+}
 
-  li.addEventListener("dragend", () => {
-    li.classList.remove("is-dragging");
-    document.querySelectorAll(".chapterItem").forEach(el => el.classList.remove("is-dragover"));
-  });
+// A box per part and chapter (scenes go with their chapter)
+function renderCompileChapters(exclude) {
+  const list = $("#compileChapters");
+  const excluded = new Set(exclude);
+  list.replaceChildren();
+  for (const row of outlineRows(state.chapters)) {
+    if (row.kind === "scene") continue;
+    const item = document.createElement("label");
+    item.className = "check compileChapter";
+    item.style.setProperty("--depth", String(row.depth || 0));
+    item.innerHTML = `<input type="checkbox" /><span>${escapeHtml(row.title || "Untitled")}</span>`;
+    const box = item.querySelector("input");
+    box.dataset.id = row.id;
+    box.dataset.parentId = row.parentId ?? "";
+    box.checked = !excluded.has(row.id);
+    list.append(item);
+  }
+  if (!list.children.length) list.innerHTML = `<div class="muted small">No chapters yet.</div>`;
+  showCompileChapters();
+}
 
-  li.addEventListener("dragover", (e) => {
-    e.preventDefault();
-    li.classList.add("is-dragover");
-    e.dataTransfer.dropEffect = "move";
-  });
+// What is inside an unticked part or chapter is left out with it
+function showCompileChapters() {
+  const boxes = [...$("#compileChapters").querySelectorAll("input")];
+  const byId = new Map(boxes.map(b => [b.dataset.id, b]));
+  for (const box of boxes) {
+    let off = false;
+    for (let p = byId.get(box.dataset.parentId); p && !off; p = byId.get(p.dataset.parentId)) off = !p.checked;
+    box.disabled = off;
+    box.closest(".compileChapter").classList.toggle("is-disabled", off);
+  }
+}
 
-  li.addEventListener("dragleave", () => li.classList.remove("is-dragover"));
+function compileFormData() {
+  return {
+    exclude: [...$("#compileChapters").querySelectorAll("input")].filter(b => !b.checked).map(b => b.dataset.id),
+    titlePage: $("#compileTitlePage").checked,
+    copyright: $("#compileCopyright").value.trim(),
+    dedication: $("#compileDedication").value.trim(),
+    toc: $("#compileToc").checked,
+    acknowledgements: $("#compileAcknowledgements").value.trim(),
+    includeHeadings: $("#exportIncludeChapterHeadings").checked,
+    chapterFormat: $("#compileChapterFormat").value.trim() || DEFAULT_COMPILE.chapterFormat,
+    partFormat: $("#compilePartFormat").value.trim() || DEFAULT_COMPILE.partFormat,
+    numberStyle: $("#compileNumberStyle").value,
+    sceneBreak: $("#compileSceneBreak").value
+  };
+}
 
-  li.addEventListener("drop", async (e) => {
-    e.preventDefault();
-    li.classList.remove("is-dragover");
-    const draggedId = e.dataTransfer.getData("text/plain");
-    const targetId = li.dataset.id;
-    if (!draggedId || draggedId === targetId) return;
+async function saveCompile() {
+  compileSettings.presets[compileSettings.current] = compileFormData();
+  await updateNovelSettings(state.novelId, { compile: compileSettings });
+}
 
-    const ids = state.chapters.map(c => c.id);
-    const from = ids.indexOf(draggedId);
-    const to = ids.indexOf(targetId);
-    if (from < 0 || to < 0) return;
+async function switchCompilePreset(name) {
+  await saveCompile();
+  compileSettings.current = name;
+  renderCompile();
+  await updateNovelSettings(state.novelId, { compile: compileSettings });
+}
 
-    ids.splice(to, 0, ids.splice(from, 1)[0]);
-    // reorder state.chapters accordingly
-    state.chapters = ids.map(id => state.chapters.find(c => c.id === id));
-    renderChapters();
+async function saveCompilePresetAs() {
+  const name = prompt("Preset name", "")?.trim();
+  if (!name) return;
+  if (Object.hasOwn(compileSettings.presets, name) && !confirm(`Replace the preset "${name}"?`)) return;
+  compileSettings.presets[name] = compileFormData();
+  compileSettings.current = name;
+  renderCompilePresets();
+  await updateNovelSettings(state.novelId, { compile: compileSettings });
+  setStatus(`Saved preset ${name}`);
+}
 
-    try {
-      await reorderChapters(state.novelId, ids);
-      setStatus("Chapters reordered");
-    } catch (err) {
-      console.warn(err);
-      setStatus("Reorder failed");
-    }
-  });
+async function deleteCompilePreset() {
+  const name = compileSettings.current;
+  if (Object.keys(compileSettings.presets).length < 2 || !confirm(`Delete the preset "${name}"?`)) return;
+  delete compileSettings.presets[name];
+  compileSettings.current = Object.keys(compileSettings.presets)[0];
+  renderCompile();
+  await updateNovelSettings(state.novelId, { compile: compileSettings });
 }
 
 /* ---------------------------
-  Chapter open/save
+  Commands, command palette and keyboard shortcuts (see commands.js)
 --------------------------- */
-async function openChapter(id) {
-  if (id === state.activeChapterId) return;
-
-  // Save title of current chapter before switching
-  await flushChapterTitle();
+const commands = createCommands({
+  onBindingsChange(overrides) {
+    state.keybindings = overrides;
+    saveSettings();
+    renderShortcutHints();
+    if ($("#shortcutsModal").open) renderShortcuts();
+  }
+});
 
-  state.activeChapterId = id;
-  const ch = state.chapters.find(c => c.id === id);
-  $("#chapterTitle").value = ch?.title || "";
+function toggleView(key) {
+  state[key] = !state[key];
+  applyViewPrefs();
+  updateHeaderHeight();
+  saveSettings();
+}
 
-  // Load content into editor (isolated per chapter)
-  setEditorDoc(editor, ch?.content);
-  renderChapters();
-  updateCountsDebounced();
+// Everything the menus and the palette can do besides editing (those are editorCommands in editor.js)
+function appCommands() {
+  const command = (id, label, group, keys, run, active) => ({ id, label, group, keys, run, active });
+  const focus = (mode) => () => setFocusMode(state.focusMode === mode ? "off" : mode);
+  return [
+    command("library", "Library…", "File", [], openLibrary),
+    command("new-novel", "New Novel…", "File", [], newNovel),
+    command("export", "Export…", "File", [], openExport),
+    command("backup-export", "Export Backup", "File", [], () => $("#btnBackup").click()),
+    command("backup-import", "Import Backup…", "File", [], () => $("#importFile").click()),
+    command("import-docrtf", "Import Word/RTF/Markdown…", "File", [], () => $("#importDocRtf").click()),
+    command("backup-all", "Back Up Everything (ZIP)", "File", [], backupEverything),
+    command("restore-all", "Restore Library Backup…", "File", [], () => $("#importLibraryZip").click()),
+    command("trash", "Trash…", "File", [], openTrash),
+    command("settings", "Settings…", "File", ["Mod+,"], () => $("#btnSettings").click()),
+    command("find", "Find…", "Edit", ["Mod+F"], () => openFind()),
+    command("replace", "Find and Replace…", "Edit", ["Mod+H"], () => openFind({ replace: true })),
+    command("toggle-sidebar", "Toggle Chapters", "View", [], () => toggleView("sidebarHidden")),
+    command("toggle-page", "Toggle Page View", "View", [], () => toggleView("pageView"), () => !!state.pageView),
+    command("toggle-comments", "Toggle Comments", "View", [], () => setCommentsShown(!state.commentsShown), () => !!state.commentsShown),
+    command("toggle-notes", "Toggle Notes", "View", [], () => setNotesShown(!state.notesShown), () => !!state.notesShown),
+    command("distraction-free", "Distraction-Free Mode", "View", ["Mod+Alt+D"], () => setDistractionFree(!state.distractionFree), () => !!state.distractionFree),
+    command("typewriter", "Typewriter Mode", "View", ["Mod+Alt+Y"], () => setTypewriter(!state.typewriter), () => !!state.typewriter),
+    command("focus-paragraph", "Focus on Paragraph", "View", [], focus("paragraph"), () => state.focusMode === "paragraph"),
+    command("focus-sentence", "Focus on Sentence", "View", [], focus("sentence"), () => state.focusMode === "sentence"),
+    command("focus-cycle", "Next Focus Mode", "View", ["Mod+Alt+P"],
+      () => setFocusMode(FOCUS_MODES[(FOCUS_MODES.indexOf(state.focusMode) + 1) % FOCUS_MODES.length])),
+    command("sprint", "Word Sprint…", "View", [], openSprintDialog),
+    command("comment", "Comment", "Insert", ["Mod+Alt+M"], startComment),
+    command("footnote", "Footnote", "Insert", ["Mod+Alt+F"], addFootnote),
+    command("word-count", "Word Count", "Tools", [], () => {
+      renderWordCount();
+      $("#wordCountModal").showModal();
+    }),
+    command("goals", "Goals & Progress…", "Tools", [], openGoals),
+    command("spelling-report", "Spelling Report…", "Tools", [], openSpellingReport),
+    command("history", "Chapter History…", "Tools", [], openHistory),
+    command("snapshot", "Save Snapshot", "Tools", [], saveSnapshot),
+    command("palette", "Command Palette…", "Help", ["Mod+K"], () => openPalette()),
+    command("go-to-chapter", "Go to Chapter…", "Help", ["Mod+Alt+G"], () => openPalette("@")),
+    command("shortcuts", "Keyboard Shortcuts…", "Help", ["Mod+/"], openShortcuts),
+    command("about", "About", "Help", [], () => $("#aboutModal").showModal())
+  ];
 }
 
-async function flushChapterTitle() {
-  const id = state.activeChapterId;
-  if (!id) return;
-  const title = $("#chapterTitle").value.trim() || "Untitled Chapter";
-  const ch = state.chapters.find(c => c.id === id);
-  if (!ch) return;
-  if (ch.title !== title) {
-    ch.title = title;
-    ch.updatedAt = Date.now();
-    renderChapters();
-    try { await updateChapterMeta(id, { title }); } catch {}
-  }
+// Menu items show their first shortcut; toolbar buttons (and [data-shortcut] buttons) get it in the tooltip
+function renderShortcutHints() {
+  document.querySelectorAll(".menuItem[data-action]").forEach(item => {
+    const combo = commands.keysOf(item.dataset.action)[0];
+    let hint = item.querySelector(".menuKeys");
+    if (!combo) {
+      hint?.remove();
+      return;
+    }
+    if (!hint) {
+      hint = document.createElement("span");
+      hint.className = "menuKeys";
+      item.append(hint);
+    }
+    hint.textContent = formatKeys(combo);
+  });
+  document.querySelectorAll("#toolbar button[data-cmd], [data-shortcut]").forEach(el => {
+    el.dataset.baseTitle ??= el.title;
+    const combo = commands.keysOf(el.dataset.cmd || el.dataset.shortcut)[0];
+    el.title = combo ? `${el.dataset.baseTitle} (${formatKeys(combo)})` : el.dataset.baseTitle;
+  });
 }
 
-/* ---------------------------
-  Online Sync (optional)
---------------------------- */
-function setSyncStatus(text) {
-  $("#syncStatus").textContent = text;
+// Palette: commands and, when searching (or after "@"), parts, chapters and scenes to jump to
+const palette = { items: [], selected: 0 };
+const PALETTE_LIMIT = 50;
+
+function paletteItems(query) {
+  const chaptersOnly = query.startsWith("@");
+  const q = (chaptersOnly ? query.slice(1) : query).trim();
+  const items = [];
+  if (!chaptersOnly) {
+    for (const c of commands.list()) {
+      if (!commands.isEnabled(c.id)) continue;
+      const score = matchScore(q, c.label);
+      if (score < 0) continue;
+      items.push({ label: c.label, hint: c.group, keys: commands.keysOf(c.id)[0], score, run: () => commands.run(c.id) });
+    }
+  }
+  if (chaptersOnly || q) {
+    for (const row of outlineRows(state.chapters)) {
+      const title = row.title || "Untitled";
+      const score = matchScore(q, title);
+      if (score < 0) continue;
+      items.push({ label: title, hint: KIND_LABELS[row.kind], depth: row.depth, score, run: () => openChapter(row.id) });
+    }
+  }
+  // Without a query: everything in registry (or outline) order
+  if (!q) return items;
+  items.sort((a, b) => b.score - a.score);
+  return items.slice(0, PALETTE_LIMIT);
 }
 
-async function syncNow({ direction = "push" } = {}) {
-  const url = state.sync.url?.trim();
-  const remoteNovelId = state.sync.novelId?.trim();
-  if (!url || !remoteNovelId) {
-    setSyncStatus("Set Sync URL + Novel ID first.");
+function renderPalette() {
+  palette.items = paletteItems($("#paletteQuery").value);
+  palette.selected = Math.min(palette.selected, Math.max(0, palette.items.length - 1));
+  const list = $("#paletteList");
+  list.innerHTML = "";
+  if (!palette.items.length) {
+    list.innerHTML = `<div class="muted small palette__empty">Nothing found</div>`;
     return;
   }
+  palette.items.forEach((item, i) => {
+    const el = document.createElement("div");
+    el.className = "palette__item" + (i === palette.selected ? " is-selected" : "");
+    el.id = `paletteItem-${i}`;
+    el.setAttribute("role", "option");
+    el.setAttribute("aria-selected", String(i === palette.selected));
+    el.dataset.index = String(i);
+    if (item.depth) el.style.setProperty("--depth", String(item.depth));
+    el.innerHTML = `
+      <span class="palette__label">${escapeHtml(item.label)}</span>
+      <span class="palette__hint muted small">${escapeHtml(item.hint || "")}</span>
+      ${item.keys ? `<kbd class="keyChip">${escapeHtml(formatKeys(item.keys))}</kbd>` : ""}
+    `;
+    list.append(el);
+  });
+  $("#paletteQuery").setAttribute("aria-activedescendant", `paletteItem-${palette.selected}`);
+  $(`#paletteItem-${palette.selected}`)?.scrollIntoView?.({ block: "nearest" });
+}
 
-  const headers = { "Content-Type": "application/json" };
-  if (state.sync.auth?.trim()) headers["Authorization"] = state.sync.auth.trim();
-
-  setSyncStatus("Syncing…");
+function openPalette(query = "") {
+  $("#paletteQuery").value = query;
+  palette.selected = 0;
+  renderPalette();
+  $("#paletteModal").showModal();
+  $("#paletteQuery").focus();
+}
 
+async function runPaletteItem(index) {
+  const item = palette.items[index];
+  if (!item) return;
+  $("#paletteModal").close();
   try {
-    if (direction === "pull") {
-      const res = await fetch(`${url.replace(/\/$/, "")}/novels/${encodeURIComponent(remoteNovelId)}`, { headers });
-      if (!res.ok) throw new Error(`Pull failed: ${res.status}`);
-      const remote = await res.json();
-      await importBackup(remote);
-      await loadFromDB();
-      setSyncStatus("Pulled from server.");
-      setStatus("Synced");
-      return;
+    await item.run();
+  } catch (err) {
+    console.warn(err);
+    alert("Command failed: " + (err?.message || err));
+  }
+}
+
+function onPaletteKeydown(e) {
+  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+    e.preventDefault();
+    const n = palette.items.length;
+    if (!n) return;
+    palette.selected = (palette.selected + (e.key === "ArrowDown" ? 1 : n - 1)) % n;
+    renderPalette();
+  } else if (e.key === "Enter") {
+    e.preventDefault();
+    runPaletteItem(palette.selected);
+  }
+}
+
+// Shortcuts dialog: the cheat sheet, grouped like the menus, where every binding can be changed
+let recordingFor = null; // command id waiting for its new key press
+
+function renderShortcuts() {
+  const filter = $("#shortcutsFilter").value.trim().toLowerCase();
+  const groups = new Map();
+  for (const c of commands.list()) {
+    const keys = commands.keysOf(c.id);
+    const text = [c.label, c.group, ...keys.map(formatKeys)].join(" ").toLowerCase();
+    if (filter && !text.includes(filter)) continue;
+    if (!groups.has(c.group)) groups.set(c.group, []);
+    groups.get(c.group).push({ c, keys });
+  }
+  const list = $("#shortcutsList");
+  list.innerHTML = "";
+  for (const [group, rows] of groups) {
+    const h = document.createElement("h3");
+    h.className = "h3";
+    h.textContent = group;
+    list.append(h);
+    for (const { c, keys } of rows) {
+      const row = document.createElement("div");
+      row.className = "shortcutRow";
+      row.dataset.id = c.id;
+      const custom = JSON.stringify(keys) !== JSON.stringify(c.keys);
+      row.innerHTML = `
+        <span class="shortcutRow__label">${escapeHtml(c.label)}</span>
+        <span class="shortcutRow__keys">
+          ${keys.map(k => `<kbd class="keyChip">${escapeHtml(formatKeys(k))}<button type="button" class="keyChip__remove" data-act="remove" data-keys="${escapeHtml(k)}" aria-label="Remove ${escapeHtml(formatKeys(k))}">✕</button></kbd>`).join("")}
+          ${recordingFor === c.id ? `<span class="keyChip is-recording">Press keys…</span>` : ""}
+        </span>
+        <span class="shortcutRow__actions">
+          <button type="button" class="btn btn--ghost btn--small" data-act="add">${recordingFor === c.id ? "Cancel" : "Add"}</button>
+          <button type="button" class="btn btn--ghost btn--small" data-act="reset" ${custom ? "" : "hidden"}>Reset</button>
+        </span>
+      `;
+      list.append(row);
     }
+  }
+  if (!list.children.length) list.innerHTML = `<div class="muted small">No matching commands</div>`;
+}
 
-    // push
-    const payload = await exportBackup(state.novelId);
-    // save settings inside payload for portability? no (server stores novel only)
-    const res = await fetch(`${url.replace(/\/$/, "")}/novels/${encodeURIComponent(remoteNovelId)}`, {
-      method: "PUT",
-      headers,
-      body: JSON.stringify(payload)
-    });
-    if (!res.ok) throw new Error(`Push failed: ${res.status}`);
-    setSyncStatus("Pushed to server.");
-    setStatus("Synced");
-  } catch (e) {
-    console.warn(e);
-    setSyncStatus("Sync failed (check server / connection).");
-    setStatus("Offline-ready (not synced)");
+function openShortcuts() {
+  recordingFor = null;
+  $("#shortcutsFilter").value = "";
+  const note = $("#shortcutsNote");
+  note.dataset.help ??= note.textContent;
+  note.textContent = note.dataset.help;
+  renderShortcuts();
+  $("#shortcutsModal").showModal();
+}
+
+function onShortcutsClick(e) {
+  const btn = e.target.closest("button[data-act]");
+  const id = btn?.closest(".shortcutRow")?.dataset.id;
+  if (!id) return;
+  if (btn.dataset.act === "add") {
+    recordingFor = recordingFor === id ? null : id;
+    renderShortcuts();
+  } else if (btn.dataset.act === "remove") {
+    commands.setKeys(id, commands.keysOf(id).filter(k => k !== btn.dataset.keys));
+  } else if (btn.dataset.act === "reset") {
+    commands.reset(id);
+  }
+}
+
+// While recording, the next key press (with Ctrl/Cmd or Alt, or a function key) becomes the shortcut
+function onShortcutsKeydown(e) {
+  if (!recordingFor) return;
+  e.preventDefault();
+  e.stopPropagation();
+  if (e.key === "Escape") {
+    recordingFor = null;
+    renderShortcuts();
+    return;
+  }
+  const combo = eventToKeys(e);
+  if (!combo) return;
+  if (!/(^|\+)(Mod|Ctrl|Alt)\+/.test(combo) && !/^(Shift\+)?F\d+$/.test(combo)) {
+    $("#shortcutsNote").textContent = `${formatKeys(combo)} would get in the way of typing. Use Ctrl/Cmd or Alt with it, or a function key.`;
+    return;
   }
+  const id = recordingFor;
+  recordingFor = null;
+  const previous = commands.bind(id, combo);
+  $("#shortcutsNote").textContent = previous
+    ? `${formatKeys(combo)} now runs "${commands.get(id).label}" instead of "${previous.label}".`
+    : `${formatKeys(combo)} now runs "${commands.get(id).label}".`;
+  renderShortcuts();
 }
 
 /* ---------------------------
   Boot
 --------------------------- */
+// The open novel's settings that live in `state` (the export options are read when the dialog opens)
+function readNovelSettings(settings = {}) {
+  state.sceneBreak = Object.hasOwn(SCENE_BREAK_STYLES, settings.sceneBreak || "") ? settings.sceneBreak : DEFAULT_SCENE_BREAK;
+  applySceneBreak();
+  state.goalWords = settings.goalWords || 0;
+  state.goalDeadline = settings.goalDeadline || "";
+  state.spellLang = typeof settings.spellLang === "string" ? settings.spellLang : defaultSpellLanguage();
+  state.dictionary = Array.isArray(settings.dictionary) ? settings.dictionary : [];
+}
+
 async function loadFromDB() {
   const { novel, chapters } = await getNovel(state.novelId);
   state.novelTitle = novel?.title || "Untitled Novel";
   state.chapters = chapters || [];
+  state.novelSyncId = remoteIdFor(novel);
+  readNovelSettings(novel?.settings);
 
   $("#novelTitle").value = state.novelTitle;
   $("#docTitleTop") && ($("#docTitleTop").value = state.novelTitle);
 
   // Ensure an active chapter
   if (!state.activeChapterId || !state.chapters.some(c => c.id === state.activeChapterId)) {
-    state.activeChapterId = state.chapters[0]?.id || null;
+    state.activeChapterId = outlineRows(state.chapters)[0]?.id || null;
   }
   renderChapters();
 
   const active = state.chapters.find(c => c.id === state.activeChapterId);
-  $("#chapterTitle").value = active?.title || "";
+  showNodeMeta(active);
   setEditorDoc(editor, active?.content);
+  applySpelling();
+  await loadToday();
   updateCountsDebounced();
+  renderSyncPill();
+  refreshFindIfOpen();
+  renderComments();
 }
 
 async function boot() {
@@ -433,40 +3179,56 @@ async function boot() {
   requestAnimationFrame(() => updateHeaderHeight());
   setTimeout(updateHeaderHeight, 250);
 
-  await ensureDefaultNovel();
+  try {
+    await purgeExpiredTrash(state.trashDays);
+  } catch (e) {
+    console.warn("Trash purge failed:", e);
+  }
+
+  const novel = await ensureNovel(state.lastNovelId);
+  state.novelId = novel.id;
+  state.lastNovelId = novel.id;
+  saveSettings();
+  await markNovelOpened(novel.id);
 
   editor = createNovelEditor({
     element: $("#editor"),
-    onUpdate: onEditorUpdate
+    onUpdate: onEditorUpdate,
+    onSuggestingChange,
+    suggestionAuthor: () => state.commentAuthor,
+    spellChecker: spell
+  });
+  if (state.suggesting) editor.commands.setSuggesting(true);
+  if (state.typewriter) editor.commands.setTypewriter(true);
+  if (state.focusMode !== "off") editor.commands.setFocusMode(state.focusMode);
+
+  commands.register(...editorCommands(editor), ...appCommands());
+  commands.setOverrides(state.keybindings);
+  bindToolbar(editor, $("#toolbar"), commands);
+  renderShortcutHints();
+  editor.on("selectionUpdate", onEditorSelection);
+  // Covers edits and every chapter load (setEditorDoc doesn't emit "update")
+  editor.on("transaction", ({ transaction }) => {
+    if (transaction.docChanged) renderNotesDebounced();
   });
-
-  bindToolbar(editor, $("#toolbar"));
   configureAutosave();
 
   // Style dropdown (Word-ish)
-  $("#styleSelect")?.addEventListener("change", (e) => {
-    const v = e.target.value;
-    const btn = document.querySelector(`.tb[data-cmd="${v}"]`);
-    if (btn) btn.click();
-    // fallback actions
-    if (v === "h1") editor.chain().focus().toggleHeading({ level: 1 }).run();
-    if (v === "h2") editor.chain().focus().toggleHeading({ level: 2 }).run();
-    if (v === "p") editor.chain().focus().setParagraph().run();
-    if (v === "quote") editor.chain().focus().toggleBlockquote().run();
-  });
+  $("#styleSelect")?.addEventListener("change", (e) => commands.run(e.target.value));
 
   await loadFromDB();
 
   setStatus(navigator.onLine ? "Ready" : "Ready (offline)");
   setConnectionPill();
 
-  // Header toggles
-  $("#btnToggleSidebar")?.addEventListener("click", () => {
-    state.sidebarHidden = !state.sidebarHidden;
-    applyViewPrefs();
-    updateHeaderHeight();
-    saveSettings();
+  onOutboxChange(() => {
+    renderSyncPillDebounced();
+    scheduleAutoSync();
   });
+  scheduleAutoSync(1500);
+
+  // Header toggles
+  $("#btnToggleSidebar")?.addEventListener("click", () => commands.run("toggle-sidebar"));
 
   $("#btnTheme")?.addEventListener("click", () => {
     state.theme = (state.theme === "light") ? "dark" : "light";
@@ -507,27 +3269,209 @@ async function boot() {
   $("#chapterTitle").addEventListener("input", () => autosaveDebounced?.());
   $("#chapterTitle").addEventListener("blur", flushChapterTitle);
 
-  $("#btnNewChapter").addEventListener("click", async () => {
-    const chap = await createChapter(state.novelId, `Chapter ${state.chapters.length + 1}`);
-    state.chapters.push(chap);
-    await openChapter(chap.id);
-    renderChapters();
-    setStatus("Chapter added");
-  });
+  $("#btnNewChapter").addEventListener("click", () => addNode("chapter"));
+  $("#btnNewPart").addEventListener("click", () => addNode("part"));
+  $("#btnNewScene").addEventListener("click", () => addNode("scene"));
+  $("#nodeKind").addEventListener("change", (e) => changeNodeKind(e.target.value));
 
   $("#btnDeleteChapter").addEventListener("click", async () => {
     const id = state.activeChapterId;
     if (!id) return;
     const ch = state.chapters.find(c => c.id === id);
-    const ok = confirm(`Delete "${ch?.title || "this chapter"}"? This cannot be undone.`);
+    const label = KIND_LABELS[nodeKind(ch)];
+    const ids = subtreeIds(state.chapters, id);
+    const inside = ids.length - 1;
+    const ok = confirm(`Move "${ch?.title || `this ${label.toLowerCase()}`}"${inside ? ` and the ${inside} item${inside === 1 ? "" : "s"} inside it` : ""} to the Trash?`);
     if (!ok) return;
 
-    await deleteChapter(id);
-    state.chapters = state.chapters.filter(c => c.id !== id);
-    state.activeChapterId = state.chapters[0]?.id || null;
+    // Trash the latest text, not what was last written
+    await flushActiveChapter();
+    for (const nodeId of ids) {
+      await deleteChapter(nodeId, { reason: nodeId === id ? "Deleted" : `Deleted with "${ch?.title || label}"` });
+    }
+    state.chapters = state.chapters.filter(c => !ids.includes(c.id));
+    state.activeChapterId = null;
+    const next = outlineRows(state.chapters)[0]?.id;
+    if (next) await openChapter(next);
+    else {
+      showNodeMeta(null);
+      setEditorDoc(editor, null);
+    }
     renderChapters();
-    if (state.activeChapterId) await openChapter(state.activeChapterId);
-    setStatus("Chapter deleted");
+    setStatus(`${label} moved to Trash`);
+  });
+
+  // Revision history
+  $("#btnHistory").addEventListener("click", openHistory);
+  $("#btnSnapshot").addEventListener("click", () => saveSnapshot());
+  $("#historyMode").addEventListener("change", async () => {
+    renderHistoryPane(historyRevisionId ? await getRevision(historyRevisionId) : null);
+  });
+  $("#btnHistorySave").addEventListener("click", async () => {
+    await saveSnapshot($("#historyLabel").value.trim());
+    $("#historyLabel").value = "";
+    historyRevisionId = null;
+    await renderHistoryList();
+  });
+  $("#btnHistoryRestore").addEventListener("click", restoreRevision);
+  $("#btnHistoryCopy").addEventListener("click", copyFromRevision);
+
+  // Goals
+  $("#goalPill").addEventListener("click", openGoals);
+  $("#goalWords").addEventListener("change", saveGoal);
+  $("#goalDeadline").addEventListener("change", saveGoal);
+  // Don't lose the last second of writing when the tab goes away
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") saveToday();
+  });
+
+  // Spelling suggestions
+  $("#editor").addEventListener("contextmenu", onEditorContextMenu);
+  $("#spellMenu").addEventListener("click", onSpellMenuClick);
+  document.addEventListener("pointerdown", (e) => {
+    if (spellMenuError && !e.target.closest("#spellMenu")) closeSpellMenu();
+  });
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && spellMenuError) closeSpellMenu();
+  });
+  document.addEventListener("scroll", () => {
+    if (spellMenuError) closeSpellMenu();
+  }, true);
+
+  // Find / replace
+  for (const sel of ["#findQuery", "#findScope", "#findCase", "#findWholeWord", "#findRegex"]) {
+    $(sel).addEventListener(sel === "#findQuery" ? "input" : "change", () => {
+      find.active = null;
+      runFindDebounced();
+    });
+  }
+  $("#findQuery").addEventListener("keydown", (e) => {
+    if (e.key !== "Enter") return;
+    e.preventDefault();
+    findNext();
+  });
+  $("#findReplacement").addEventListener("keydown", (e) => {
+    if (e.key !== "Enter") return;
+    e.preventDefault();
+    replaceMatches();
+  });
+  $("#findResults").addEventListener("click", (e) => {
+    const li = e.target.closest(".findHit");
+    const group = li && find.results.find(r => r.chapter.id === li.dataset.chapterId);
+    const hit = group?.hits[Number(li.dataset.index)];
+    if (hit) jumpToHit(group.chapter.id, hit);
+  });
+  $("#btnReplaceOne").addEventListener("click", () => replaceMatches());
+  $("#btnReplaceAll").addEventListener("click", () => replaceMatches({ all: true }));
+  $("#btnFindUndo").addEventListener("click", undoReplace);
+  $("#findPanel").addEventListener("keydown", (e) => {
+    if (e.key === "Escape") $("#findPanel").close();
+  });
+  $("#findPanel").addEventListener("close", () => { find.active = null; });
+
+  // Comments
+  $("#btnComment").addEventListener("click", startComment);
+  $("#commentComposer").addEventListener("submit", (e) => {
+    e.preventDefault();
+    saveComment();
+  });
+  $("#commentText").addEventListener("keydown", (e) => {
+    if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) saveComment();
+    if (e.key === "Escape") closeCommentComposer();
+  });
+  $("#btnCommentCancel").addEventListener("click", closeCommentComposer);
+  $("#commentList").addEventListener("click", onCommentAction);
+  $("#commentFilter").value = state.commentFilter;
+  $("#commentFilter").addEventListener("change", (e) => {
+    state.commentFilter = e.target.value;
+    saveSettings();
+    renderComments();
+  });
+  $("#btnCloseComments").addEventListener("click", () => setCommentsShown(false));
+
+  // Footnotes
+  $("#editor").addEventListener("click", (e) => {
+    const ref = e.target.closest(".footnoteRef");
+    if (ref) showNote(ref.dataset.footnoteId);
+  });
+  $("#btnAddNote").addEventListener("click", addFootnote);
+  $("#btnCloseNotes").addEventListener("click", () => setNotesShown(false));
+  $("#noteList").addEventListener("click", onNoteAction);
+  $("#noteList").addEventListener("input", (e) => {
+    const li = e.target.closest(".noteItem");
+    if (li && e.target.matches("textarea")) updateFootnote(editor, li.dataset.noteId, e.target.value);
+  });
+  $("#noteList").addEventListener("keydown", (e) => {
+    if (e.key === "Escape") editor.commands.focus();
+  });
+
+  // Scenes (word-count breakdown)
+  $("#wcScenes").addEventListener("click", (e) => {
+    const btn = e.target.closest(".wcScene");
+    if (!btn) return;
+    $("#wordCountModal").close();
+    editor.chain().focus().goToScene(Number(btn.dataset.scene)).run();
+  });
+  $("#wcChapters").addEventListener("click", async (e) => {
+    const row = e.target.closest(".wcChapterRow");
+    if (!row) return;
+    await openChapter(row.dataset.id);
+    renderWordCount();
+  });
+
+  // Writing modes and sprints
+  $("#btnExitFocus").addEventListener("click", () => setDistractionFree(false));
+  $("#sprintPill").addEventListener("click", onSprintPillClick);
+  $("#btnStartSprint").addEventListener("click", () => {
+    $("#sprintModal").close();
+    startSprint();
+  });
+  // Leaving full screen with the browser's own Esc leaves the mode too
+  document.addEventListener("fullscreenchange", () => {
+    if (!document.fullscreenElement && state.distractionFree) setDistractionFree(false);
+  });
+
+  // Shortcuts run ahead of the editor's own keymap (capture phase), but not behind an open dialog
+  document.addEventListener("keydown", (e) => {
+    if (document.querySelector("dialog[open]")) return;
+    if (e.key === "Escape" && state.distractionFree) {
+      setDistractionFree(false);
+      return;
+    }
+    commands.handleKeydown(e, { inEditor: !!e.target.closest?.(".ProseMirror") });
+  }, true);
+
+  // Command palette
+  $("#paletteQuery").addEventListener("input", () => {
+    palette.selected = 0;
+    renderPalette();
+  });
+  $("#paletteQuery").addEventListener("keydown", onPaletteKeydown);
+  $("#paletteList").addEventListener("click", (e) => {
+    const item = e.target.closest(".palette__item");
+    if (item) runPaletteItem(Number(item.dataset.index));
+  });
+  $("#paletteModal").addEventListener("click", (e) => {
+    // Click on the backdrop
+    if (e.target === $("#paletteModal")) $("#paletteModal").close();
+  });
+
+  // Keyboard shortcuts dialog
+  $("#shortcutsFilter").addEventListener("input", renderShortcuts);
+  $("#shortcutsList").addEventListener("click", onShortcutsClick);
+  $("#shortcutsModal").addEventListener("keydown", onShortcutsKeydown, true);
+  $("#shortcutsModal").addEventListener("cancel", (e) => {
+    // Escape while recording only stops recording
+    if (recordingFor) e.preventDefault();
+  });
+  $("#shortcutsModal").addEventListener("close", () => {
+    recordingFor = null;
+  });
+  $("#btnResetShortcuts").addEventListener("click", () => {
+    if (!confirm("Put every keyboard shortcut back to its default?")) return;
+    recordingFor = null;
+    commands.resetAll();
+    setStatus("Shortcuts reset");
   });
 
   // Backup export/import
@@ -542,15 +3486,10 @@ async function boot() {
     if (!file) return;
     try {
       const text = await file.text();
-      const payload = JSON.parse(text);
-      await importBackup(payload);
-      state.novelId = payload.novel?.id || "default";
-      state.activeChapterId = null;
-      await loadFromDB();
-      setStatus("Backup imported");
+      await openImportDialog(JSON.parse(text));
     } catch (err) {
       console.warn(err);
-      alert("Import failed: invalid backup file.");
+      alert("Import failed: " + (err instanceof SyntaxError ? "invalid backup file." : (err?.message || err)));
     } finally {
       e.target.value = "";
     }
@@ -561,7 +3500,7 @@ async function boot() {
     const file = e.target.files?.[0];
     if (!file) return;
 
-    const ok = confirm("Importing a Word/RTF file will replace your current chapters in this novel. Continue?");
+    const ok = confirm("Importing a Word, RTF or Markdown file will replace your current chapters in this novel (they move to the Trash). Continue?");
     if (!ok) { e.target.value = ""; return; }
 
     try {
@@ -573,7 +3512,7 @@ async function boot() {
 
       state.activeChapterId = null;
       await loadFromDB();
-      setStatus("Imported Word/RTF");
+      setStatus("Imported document");
     } catch (err) {
       console.warn(err);
       alert("Import failed: " + (err?.message || err));
@@ -583,16 +3522,80 @@ async function boot() {
     }
   });
 
+  // Library
+  $("#btnLibrary")?.addEventListener("click", openLibrary);
+  $("#libraryShowArchived").addEventListener("change", renderLibrary);
+  $("#libraryList").addEventListener("click", onLibraryAction);
+  $("#btnLibraryCreate").addEventListener("click", async () => {
+    const input = $("#libraryNewTitle");
+    const title = input.value.trim() || "Untitled Novel";
+    const novel = await createNovel(title);
+    input.value = "";
+    $("#libraryModal").close();
+    await switchNovel(novel.id);
+    setStatus("Novel created");
+  });
+
+  // Backup import dialog
+  document.querySelectorAll('input[name="importMode"]').forEach(r => r.addEventListener("change", renderImportPlan));
+  $("#importTarget").addEventListener("change", renderImportPlan);
+  $("#btnImportApply").addEventListener("click", applyImport);
+  $("#importModal").addEventListener("close", () => { pendingImport = null; });
+
+  // Whole-library backup
+  $("#btnBackupAll").addEventListener("click", backupEverything);
+  $("#btnRestoreAll").addEventListener("click", () => $("#importLibraryZip").click());
+  $("#importLibraryZip").addEventListener("change", async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      await openLibraryRestore(file);
+    } catch (err) {
+      console.warn(err);
+      setStatus("Restore failed");
+      alert("Restore failed: " + (err?.message || err));
+    } finally {
+      e.target.value = "";
+    }
+  });
+  $("#restoreMode").addEventListener("change", async () => {
+    if (!pendingLibrary) return;
+    pendingLibrary.archive = await readLibraryZip(pendingLibrary.file, { mode: $("#restoreMode").value });
+    renderLibraryRestore();
+  });
+  $("#btnRestoreApply").addEventListener("click", applyLibraryRestore);
+  $("#restoreModal").addEventListener("close", () => { pendingLibrary = null; });
+
+  // Trash
+  $("#trashList").addEventListener("click", onTrashAction);
+  $("#btnEmptyTrash").addEventListener("click", async () => {
+    const ok = confirm("Permanently delete everything in the Trash? This cannot be undone.");
+    if (!ok) return;
+    await emptyTrash();
+    await renderTrash();
+    setStatus("Trash emptied");
+  });
+
   // Export modal
-  const exportModal = $("#exportModal");
-  $("#btnExport").addEventListener("click", () => exportModal.showModal());
+  $("#btnExport").addEventListener("click", openExport);
 
   const getExportData = async () => {
     await flushChapterTitle();
-    const includeHeadings = $("#exportIncludeChapterHeadings").checked;
+    const includeComments = $("#exportIncludeComments").checked;
+    const notePlacement = $("#exportNotes").value;
     // refresh chapters from DB to ensure latest order + titles
     const { novel, chapters } = await getNovel(state.novelId);
-    return { novelTitle: novel?.title, chapters, includeHeadings };
+    const { pdf, author, surname, contact } = pdfFormData();
+    const customFont = pdf.font.startsWith(CUSTOM_FONT_PREFIX) ? await getFont(Number(pdf.font.slice(CUSTOM_FONT_PREFIX.length))) : null;
+    // Reading order with kind/depth, so exporters can print parts, chapters and scene breaks; the compile
+    // preset picks the chapters, adds front/back matter and formats the headings
+    const compiled = compileManuscript(outlineRows(chapters), compileFormData(), novel?.settings?.sceneBreak);
+    // The title page's count covers what the preset exports, not the matter pages it adds
+    const words = compiled.chapters.reduce((acc, c) => acc + (c.matter ? 0 : nodeWords(c)), 0);
+    return {
+      novelTitle: novel?.title, ...compiled, includeComments, notePlacement,
+      pdf, author, surname, contact, customFont, words
+    };
   };
 
   $("#exportDocx").addEventListener("click", async () => {
@@ -605,10 +3608,109 @@ async function boot() {
 
   $("#exportPdf").addEventListener("click", async () => {
     setStatus("Exporting PDF…");
-    const data = await getExportData();
-    const mod = await import("./export.js");
-    await mod.exportPDF(data);
-    setStatus("Exported PDF");
+    try {
+      const data = await getExportData();
+      const mod = await import("./export.js");
+      await mod.exportPDF(data);
+      setStatus("Exported PDF");
+    } catch (err) {
+      console.warn(err);
+      setStatus("PDF export failed");
+      alert("PDF export failed: " + (err?.message || err));
+    }
+  });
+
+  // PDF layout
+  for (const [value, { label }] of Object.entries(PDF_PROFILES)) $("#pdfProfile").add(new Option(label, value));
+  for (const [value, { label }] of Object.entries(PAPER_SIZES)) $("#pdfPaper").add(new Option(label, value));
+  for (const [value, { label }] of Object.entries(TRIM_SIZES)) $("#pdfTrim").add(new Option(label, value));
+  $("#pdfProfile").addEventListener("change", () => {
+    showPdfFields();
+    savePdfSettings();
+  });
+  for (const id of ["#pdfPaper", "#pdfTrim", "#pdfDropCaps", "#exportAuthor", "#pdfSurname", "#pdfContact"]) {
+    $(id).addEventListener("change", savePdfSettings);
+  }
+  $("#pdfFont").addEventListener("change", onPdfFontChange);
+
+  // Compile presets
+  for (const [value, label] of Object.entries(NUMBER_STYLES)) $("#compileNumberStyle").add(new Option(label, value));
+  for (const [value, label] of Object.entries(COMPILE_SCENE_BREAKS)) $("#compileSceneBreak").add(new Option(label, value));
+  $("#compileChapterFormats").replaceChildren(...CHAPTER_FORMATS.map(f => new Option(f)));
+  $("#compilePartFormats").replaceChildren(...PART_FORMATS.map(f => new Option(f)));
+  for (const id of ["#compileTitlePage", "#compileCopyright", "#compileDedication", "#compileToc", "#compileAcknowledgements",
+    "#exportIncludeChapterHeadings", "#compileChapterFormat", "#compilePartFormat", "#compileNumberStyle", "#compileSceneBreak"]) {
+    $(id).addEventListener("change", saveCompile);
+  }
+  $("#compileChapters").addEventListener("change", () => {
+    showCompileChapters();
+    saveCompile();
+  });
+  $("#compilePreset").addEventListener("change", (e) => switchCompilePreset(e.target.value));
+  $("#btnCompileSaveAs").addEventListener("click", saveCompilePresetAs);
+  $("#btnCompileDelete").addEventListener("click", deleteCompilePreset);
+  for (const id of ["#epubLanguage", "#epubIdentifier", "#epubDescription"]) $(id).addEventListener("change", saveEpubSettings);
+  $("#btnEpubCover").addEventListener("click", () => $("#epubCoverFile").click());
+  $("#epubCoverFile").addEventListener("change", async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      await setEpubCover(file);
+    } catch (err) {
+      alert("Setting the cover failed: " + (err?.message || err));
+    }
+  });
+  $("#btnRemoveEpubCover").addEventListener("click", async () => {
+    const previous = epubCover;
+    epubCover = null;
+    renderEpubCover();
+    await saveEpubSettings();
+    await releaseCover(previous?.id);
+  });
+  $("#btnRemovePdfFont").addEventListener("click", removePdfFont);
+  $("#pdfFontFiles").addEventListener("change", async (e) => {
+    const files = [...(e.target.files || [])];
+    e.target.value = "";
+    if (!files.length) return;
+    try {
+      await addPdfFont(files);
+    } catch (err) {
+      alert("Adding the font failed: " + (err?.message || err));
+    }
+  });
+
+  $("#exportEpub").addEventListener("click", async () => {
+    setStatus("Exporting EPUB…");
+    try {
+      // The identifier has to stay the same across editions of the file, so a new one is kept
+      if (!$("#epubIdentifier").value.trim()) {
+        $("#epubIdentifier").value = `urn:uuid:${crypto.randomUUID()}`;
+        await saveEpubSettings();
+      }
+      const data = await getExportData();
+      const mod = await import("./export.js");
+      await mod.exportEPUB({ ...data, epub: { ...epubFormData(), cover: epubCover } });
+      setStatus("Exported EPUB");
+    } catch (err) {
+      console.warn(err);
+      setStatus("EPUB export failed");
+      alert("EPUB export failed: " + (err?.message || err));
+    }
+  });
+
+  $("#exportMarkdown").addEventListener("click", async () => {
+    setStatus("Exporting Markdown…");
+    try {
+      const data = await getExportData();
+      const mod = await import("./export.js");
+      await mod.exportMarkdown({ ...data, epub: epubFormData(), perChapter: $("#exportMarkdownPerChapter").checked });
+      setStatus("Exported Markdown");
+    } catch (err) {
+      console.warn(err);
+      setStatus("Markdown export failed");
+      alert("Markdown export failed: " + (err?.message || err));
+    }
   });
 
   $("#exportRtf").addEventListener("click", async () => {
@@ -622,10 +3724,18 @@ async function boot() {
   // Settings modal
   const settingsModal = $("#settingsModal");
   $("#btnSettings").addEventListener("click", () => {
-    $("#syncNovelId").value = state.sync.novelId || "default";
+    $("#syncNovelId").value = state.novelSyncId || "";
     $("#syncUrl").value = state.sync.url || "";
     $("#syncAuth").value = state.sync.auth || "";
+    $("#syncAuto").checked = !!state.sync.auto;
+    $("#syncEncrypt").checked = !!state.sync.encrypt;
+    $("#syncPassphrase").value = syncPassphrase;
     $("#autosaveMs").value = String(state.autosaveMs);
+    $("#trashDays").value = String(state.trashDays);
+    $("#commentAuthor").value = state.commentAuthor;
+    $("#sceneBreakStyle").value = state.sceneBreak;
+    $("#spellLang").value = state.spellLang;
+    $("#spellDictionary").value = state.dictionary.join("\n");
     $("#syncStatus").textContent = "";
     settingsModal.showModal();
   });
@@ -638,21 +3748,89 @@ async function boot() {
     setStatus("Settings saved");
   });
 
-  $("#syncNovelId").addEventListener("input", debounce((e) => {
-    state.sync.novelId = e.target.value.trim();
+  $("#trashDays").addEventListener("change", (e) => {
+    // 0 keeps deleted items until they are removed by hand
+    const days = Math.max(0, Math.min(3650, Math.round(Number(e.target.value || 0))));
+    state.trashDays = days;
+    e.target.value = String(days);
+    saveSettings();
+    setStatus("Settings saved");
+  });
+
+  $("#commentAuthor").addEventListener("change", (e) => {
+    state.commentAuthor = e.target.value.trim();
     saveSettings();
+    setStatus("Settings saved");
+  });
+
+  $("#sceneBreakStyle").addEventListener("change", async (e) => {
+    state.sceneBreak = e.target.value;
+    applySceneBreak();
+    await updateNovelSettings(state.novelId, { sceneBreak: state.sceneBreak });
+    setStatus("Settings saved");
+  });
+
+  for (const [value, { label }] of Object.entries(SPELL_LANGUAGES)) $("#spellLang").add(new Option(label, value));
+  $("#spellLang").addEventListener("change", async (e) => {
+    state.spellLang = e.target.value;
+    await updateNovelSettings(state.novelId, { spellLang: state.spellLang });
+    if (state.spellLang) setStatus("Loading dictionary…");
+    if (await applySpelling()) setStatus("Settings saved");
+  });
+
+  $("#spellDictionary").addEventListener("change", async (e) => {
+    state.dictionary = [...new Set(e.target.value.split(/\s+/).filter(Boolean))];
+    await saveDictionary();
+    setStatus("Settings saved");
+  });
+
+  $("#syncNovelId").addEventListener("input", debounce(async (e) => {
+    state.novelSyncId = e.target.value.trim();
+    await updateNovelMeta(state.novelId, { syncId: state.novelSyncId });
+    renderSyncPill();
   }, 200));
   $("#syncUrl").addEventListener("input", debounce((e) => {
     state.sync.url = e.target.value.trim();
     saveSettings();
+    renderSyncPill();
+  }, 200));
+  $("#syncEncrypt").addEventListener("change", (e) => {
+    state.sync.encrypt = e.target.checked;
+    saveSettings();
+    clearPassphraseAttention();
+    renderSyncPill();
+    scheduleAutoSync();
+  });
+  $("#syncPassphrase").addEventListener("input", debounce((e) => {
+    syncPassphrase = e.target.value;
+    clearPassphraseAttention();
+    renderSyncPill();
+    scheduleAutoSync();
   }, 200));
+  $("#btnCheckPassphrase").addEventListener("click", checkPassphrase);
+  $("#btnChangePassphrase").addEventListener("click", openPassphraseDialog);
+  $("#btnPassphraseApply").addEventListener("click", applyPassphraseChange);
+  $("#syncAuto").addEventListener("change", (e) => {
+    state.sync.auto = e.target.checked;
+    saveSettings();
+    if (state.sync.auto) scheduleAutoSync(0);
+    else clearTimeout(autoSync.timer);
+  });
   $("#syncAuth").addEventListener("input", debounce((e) => {
     state.sync.auth = e.target.value;
     saveSettings();
   }, 200));
 
+  $("#syncPill").addEventListener("click", async () => {
+    // Conflicts are only resolved interactively, so this is also how a flagged novel gets unstuck
+    await syncNow({ direction: "both" });
+  });
+
   $("#btnSyncNow").addEventListener("click", async () => {
-    await syncNow({ direction: "push" });
+    await syncNow({ direction: "both" });
+  });
+  $("#btnSyncPull").addEventListener("click", async () => {
+    await syncNow({ direction: "pull" });
   });
 
   $("#btnResetApp").addEventListener("click", async () => {
@@ -670,8 +3848,22 @@ async function boot() {
   window.addEventListener("orientationchange", () => setTimeout(updateHeaderHeight, 50));
 
   // Online/offline status
-  window.addEventListener("online", () => { setStatus("Online"); setConnectionPill(); });
-  window.addEventListener("offline", () => { setStatus("Offline"); setConnectionPill(); });
+  window.addEventListener("online", () => {
+    setStatus("Online");
+    setConnectionPill();
+    autoSync.failures = 0;
+    scheduleAutoSync(0);
+  });
+  window.addEventListener("offline", () => {
+    setStatus("Offline");
+    setConnectionPill();
+    renderSyncPill();
+    queueBackgroundDelivery();
+  });
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") queueBackgroundDelivery();
+    else { renderSyncPill(); scheduleAutoSync(500); }
+  });
 }
 
 function formatMiniDate(ts) {
@@ -779,86 +3971,11 @@ function setupMenus() {
     if (!inMenu) closeAllMenus();
   });
 
-  // Menu actions
-  document.querySelectorAll(".menuItem").forEach(item => {
-    item.addEventListener("click", async () => {
-      const a = item.dataset.action;
+  // Menu actions (menu items without data-action, like the spelling menu's, handle their own clicks)
+  document.querySelectorAll(".menuItem[data-action]").forEach(item => {
+    item.addEventListener("click", () => {
       closeAllMenus();
-
-      switch (a) {
-        case "export":
-          $("#exportModal").showModal();
-          break;
-        case "backup-export":
-          $("#btnBackup").click();
-          break;
-        case "backup-import":
-          // trigger existing file input (hidden inside sidebar label)
-          $("#importFile").click();
-          break;
-        case "import-docrtf":
-          $("#importDocRtf").click();
-          break;
-        case "settings":
-          $("#btnSettings").click();
-          break;
-        case "undo":
-          editor?.commands.undo();
-          break;
-        case "redo":
-          editor?.commands.redo();
-          break;
-        case "select-all":
-          document.getSelection()?.selectAllChildren(document.querySelector(".ProseMirror"));
-          break;
-        case "toggle-sidebar":
-          state.sidebarHidden = !state.sidebarHidden;
-          applyViewPrefs();
-  updateHeaderHeight();
-          saveSettings();
-          break;
-        case "toggle-page":
-          state.pageView = !state.pageView;
-          applyViewPrefs();
-  updateHeaderHeight();
-          saveSettings();
-          break;
-        case "hr":
-          editor?.chain().focus().setHorizontalRule().run();
-          break;
-        case "blockquote":
-          editor?.chain().focus().toggleBlockquote().run();
-          break;
-        case "bold":
-          editor?.chain().focus().toggleBold().run();
-          break;
-        case "italic":
-          editor?.chain().focus().toggleItalic().run();
-          break;
-        case "underline":
-          editor?.chain().focus().toggleUnderline().run();
-          break;
-        case "h1":
-          editor?.chain().focus().toggleHeading({ level: 1 }).run();
-          break;
-        case "h2":
-          editor?.chain().focus().toggleHeading({ level: 2 }).run();
-          break;
-        case "p":
-          editor?.chain().focus().setParagraph().run();
-          break;
-        case "word-count":
-          // Populate modal from pills (already updated)
-          $("#wcChapter") && ($("#wcChapter").textContent = $("#chapterWords")?.textContent || "0");
-          $("#wcTotal") && ($("#wcTotal").textContent = $("#totalWords")?.textContent || "0");
-          $("#wordCountModal").showModal();
-          break;
-        case "about":
-          $("#aboutModal").showModal();
-          break;
-        default:
-          break;
-      }
+      commands.run(item.dataset.action);
     });
   });
 }
@@ -0,0 +1,440 @@
+// backup.js — versioned backup format, migrations and import modes
+//
+// Format v2 (current):
+// {
+//   format: "novelwriter-backup", schemaVersion: 2, appVersion, exportedAt,
+//   novel: { id, title, createdAt, updatedAt, ... },   // novel record without local-only fields
+//   settings: { ... },                                  // per-novel settings
+//   chapters: [{ id, order, kind?, parentId?, title, updatedAt, content }],   // kind/parentId: see outline.js
+//   checksums: { algorithm: "SHA-256", novel, chapters: { [chapterId]: hex } }
+// }
+import { db, getNovel, markDirty, remapParent, trashChapterRow, trashReplacedChapters } from "./storage.js";
+import { nodeKind } from "./outline.js";
+
+export const APP_VERSION = "0.22.0";
+export const BACKUP_FORMAT = "novelwriter-backup";
+export const BACKUP_SCHEMA_VERSION = 2;
+export const LIBRARY_FORMAT = "novelwriter-library";
+export const LIBRARY_SCHEMA_VERSION = 1;
+
+// Fields that describe this device's library, not the manuscript
+const LOCAL_NOVEL_FIELDS = ["openedAt", "archived", "syncId"];
+
+// Splits a novel record into what backups and sync carry (`novel` details and `settings`) and this
+// device's own fields (`local`)
+export function splitNovelRecord(record) {
+  const { settings = {}, ...novel } = record;
+  const local = {};
+  for (const k of LOCAL_NOVEL_FIELDS) {
+    if (k in novel) local[k] = novel[k];
+    delete novel[k];
+  }
+  return { novel, settings, local };
+}
+
+/* ---------------------------
+  Checksums
+--------------------------- */
+// JSON with sorted keys, so the same data always hashes the same way
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+async function sha256Text(text) {
+  const hash = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(hash), b => b.toString(16).padStart(2, "0")).join("");
+}
+
+const sha256 = (value) => sha256Text(stableStringify(value));
+
+// Content fingerprint used by sync to tell whether a chapter changed
+export const hashJSON = sha256;
+
+// kind/parentId are left out when absent, so backups from before the outline still verify
+const chapterDigest = (c) => sha256({ id: c.id, title: c.title, order: c.order, kind: c.kind, parentId: c.parentId, content: c.content });
+
+const sameChapter = (a, b) =>
+  JSON.stringify(a.content) === JSON.stringify(b.content) && a.title === b.title &&
+  nodeKind(a) === nodeKind(b) && (a.parentId ?? null) === (b.parentId ?? null);
+const novelDigest = (novel, settings) => sha256({ novel, settings });
+
+async function computeChecksums(novel, settings, chapters) {
+  const byChapter = {};
+  for (const c of chapters) byChapter[c.id] = await chapterDigest(c);
+  return { algorithm: "SHA-256", novel: await novelDigest(novel, settings), chapters: byChapter };
+}
+
+async function verifyChecksums(payload) {
+  const sums = payload.checksums;
+  if (!sums) return; // migrated from a format without checksums
+  if (sums.algorithm !== "SHA-256") throw new Error(`Unsupported checksum algorithm: ${sums.algorithm}`);
+
+  if (sums.novel && sums.novel !== await novelDigest(payload.novel, payload.settings)) {
+    throw new Error("Backup is damaged: novel details do not match their checksum");
+  }
+  const bad = [];
+  for (const c of payload.chapters) {
+    const expected = sums.chapters?.[c.id];
+    if (expected && expected !== await chapterDigest(c)) bad.push(c.title || c.id);
+  }
+  if (bad.length) throw new Error(`Backup is damaged: checksum mismatch in ${bad.join(", ")}`);
+}
+
+/* ---------------------------
+  Export
+--------------------------- */
+export async function exportBackup(novelId) {
+  const { novel: record, chapters: rows } = await getNovel(novelId);
+  if (!record) throw new Error("Novel not found");
+
+  const { novel, settings } = splitNovelRecord(record);
+  const chapters = rows.map(({ novelId: _, ...c }) => c);
+
+  return {
+    format: BACKUP_FORMAT,
+    schemaVersion: BACKUP_SCHEMA_VERSION,
+    appVersion: APP_VERSION,
+    exportedAt: new Date().toISOString(),
+    novel,
+    settings,
+    chapters,
+    checksums: await computeChecksums(novel, settings, chapters)
+  };
+}
+
+/* ---------------------------
+  Migrations
+--------------------------- */
+// MIGRATIONS[n] upgrades a payload from schemaVersion n to n + 1.
+// Add a step here whenever BACKUP_SCHEMA_VERSION is bumped.
+const MIGRATIONS = {
+  1: (p) => {
+    // v1: { schemaVersion: 1, exportedAt, novel, chapters } — no settings, no checksums
+    const { settings = {}, ...novel } = p.novel || {};
+    return {
+      format: BACKUP_FORMAT,
+      schemaVersion: 2,
+      appVersion: null,
+      exportedAt: p.exportedAt || null,
+      novel,
+      settings,
+      chapters: (p.chapters || []).map(({ novelId: _, ...c }) => c),
+      checksums: null
+    };
+  }
+};
+
+function validateBackup(p) {
+  if (!p.novel?.id) throw new Error("Invalid backup: missing novel");
+  if (!Array.isArray(p.chapters)) throw new Error("Invalid backup: missing chapters");
+  for (const c of p.chapters) {
+    if (!c?.id || !c.content || typeof c.content !== "object") throw new Error("Invalid backup: malformed chapter");
+  }
+}
+
+// Reads any known backup version and returns it in the current format.
+export async function migrateBackup(payload) {
+  if (!payload || typeof payload !== "object") throw new Error("Unsupported backup format");
+  let p = payload;
+  let version = p.schemaVersion;
+  if (!Number.isInteger(version) || version < 1) throw new Error("Unsupported backup format");
+  if (version > BACKUP_SCHEMA_VERSION) {
+    throw new Error(`This backup uses format v${version}, which needs a newer version of NovelWriter`);
+  }
+  if (version > 1 && p.format !== BACKUP_FORMAT) throw new Error("Unsupported backup format");
+
+  while (version < BACKUP_SCHEMA_VERSION) {
+    const step = MIGRATIONS[version];
+    if (!step) throw new Error(`No migration from backup format v${version}`);
+    p = step(p);
+    version = p.schemaVersion;
+  }
+
+  validateBackup(p);
+  await verifyChecksums(p);
+  return p;
+}
+
+/* ---------------------------
+  Import
+--------------------------- */
+// Chapter ids are global keys: never let an import steal a chapter from another novel
+async function chapterIdFor(id, novelId) {
+  const other = await db.chapters.get(id);
+  return other && other.novelId !== novelId ? crypto.randomUUID() : id;
+}
+
+export const IMPORT_MODES = ["replace", "merge", "new"];
+
+// Works out what an import would do without writing anything.
+// mode: "replace" | "merge" (by chapter id, newer updatedAt wins) | "new" (copy as a new novel)
+export async function planImport(backup, { mode = "replace", targetNovelId } = {}) {
+  if (!IMPORT_MODES.includes(mode)) throw new Error(`Unknown import mode: ${mode}`);
+  const target = mode === "new" ? null : (targetNovelId || backup.novel.id);
+  const existing = target ? (await getNovel(target)) : { novel: null, chapters: [] };
+  const local = new Map((existing.chapters || []).map(c => [c.id, c]));
+
+  const plan = {
+    mode,
+    targetNovelId: target,
+    targetExists: !!existing.novel,
+    targetTitle: existing.novel?.title || backup.novel.title,
+    added: [],
+    updated: [],
+    unchanged: [],
+    removed: [],
+    conflicts: []
+  };
+
+  if (mode === "new") {
+    plan.added = backup.chapters.map(c => c.title);
+    return plan;
+  }
+
+  const incomingIds = new Set(backup.chapters.map(c => c.id));
+  for (const c of backup.chapters) {
+    const mine = local.get(c.id);
+    if (!mine) { plan.added.push(c.title); continue; }
+    if (sameChapter(mine, c)) { plan.unchanged.push(c.title); continue; }
+
+    if (mode === "replace") { plan.updated.push(c.title); continue; }
+
+    const backupWins = (c.updatedAt || 0) > (mine.updatedAt || 0);
+    plan.conflicts.push({
+      id: c.id,
+      title: mine.title || c.title,
+      winner: backupWins ? "backup" : "local",
+      localUpdatedAt: mine.updatedAt || 0,
+      backupUpdatedAt: c.updatedAt || 0
+    });
+    if (backupWins) plan.updated.push(c.title);
+  }
+  if (mode === "replace") {
+    plan.removed = (existing.chapters || []).filter(c => !incomingIds.has(c.id)).map(c => c.title);
+  }
+  return plan;
+}
+
+// Applies an import. Returns the plan that was carried out (including the novel id written to).
+export async function importBackup(payload, { mode = "replace", targetNovelId } = {}) {
+  const backup = await migrateBackup(payload);
+  const plan = await planImport(backup, { mode, targetNovelId });
+  const now = Date.now();
+
+  await db.transaction("rw", db.novels, db.chapters, db.trash, async () => {
+    if (mode === "new") {
+      const novelId = crypto.randomUUID();
+      await db.novels.put({
+        ...backup.novel,
+        id: novelId,
+        title: backup.novel.title || "Imported Novel",
+        settings: backup.settings,
+        createdAt: now,
+        updatedAt: now
+      });
+      const newIds = new Map(backup.chapters.map(c => [c.id, crypto.randomUUID()]));
+      for (const c of backup.chapters) {
+        await db.chapters.put({ ...c, id: newIds.get(c.id), parentId: remapParent(c, newIds), novelId });
+      }
+      plan.targetNovelId = novelId;
+      return;
+    }
+
+    const novelId = plan.targetNovelId;
+    const local = await db.novels.get(novelId);
+    const keep = {};
+    for (const k of LOCAL_NOVEL_FIELDS) if (local?.[k] !== undefined) keep[k] = local[k];
+
+    if (mode === "replace") {
+      await db.novels.put({ ...backup.novel, settings: backup.settings, ...keep, id: novelId, updatedAt: now });
+      // remove existing chapters for that novel id (to the trash if they'd be lost)
+      await trashReplacedChapters(novelId, backup.chapters, "Replaced by backup restore");
+      await db.chapters.where({ novelId }).delete();
+      const newIds = new Map();
+      for (const c of backup.chapters) newIds.set(c.id, await chapterIdFor(c.id, novelId));
+      for (const c of backup.chapters) {
+        await db.chapters.put({ ...c, id: newIds.get(c.id), parentId: remapParent(c, newIds), novelId });
+      }
+      return;
+    }
+
+    // merge
+    if (!local) {
+      await db.novels.put({ ...backup.novel, settings: backup.settings, id: novelId, updatedAt: now });
+    } else {
+      await db.novels.put({ ...local, settings: { ...backup.settings, ...(local.settings || {}) }, updatedAt: now });
+    }
+    const rows = await db.chapters.where({ novelId }).toArray();
+    const byId = new Map(rows.map(c => [c.id, c]));
+    let maxOrder = rows.reduce((m, c) => Math.max(m, c.order || 0), 0);
+    const newIds = new Map();
+    for (const c of backup.chapters) if (!byId.has(c.id)) newIds.set(c.id, await chapterIdFor(c.id, novelId));
+    for (const c of backup.chapters) {
+      const mine = byId.get(c.id);
+      if (!mine) {
+        await db.chapters.put({ ...c, id: newIds.get(c.id), parentId: remapParent(c, newIds), novelId, order: ++maxOrder });
+      } else if ((c.updatedAt || 0) > (mine.updatedAt || 0) && !sameChapter(mine, c)) {
+        await trashChapterRow(mine, "Replaced by backup merge");
+        await db.chapters.put({ ...c, parentId: remapParent(c, newIds), novelId, order: mine.order });
+      }
+    }
+  });
+
+  await markDirty(plan.targetNovelId);
+  return plan;
+}
+
+/* ---------------------------
+  Whole-library ZIP
+--------------------------- */
+// Layout:
+//   manifest.json                 { format, schemaVersion, appVersion, exportedAt, novels[], files{path: sha256} }
+//   settings.json                 app settings (secrets removed)
+//   novels/<id>/novel.json        a per-novel backup (format above)
+//   novels/<id>/revisions.json    chapter history for that novel
+const loadJSZip = async () => (await import("https://esm.sh/jszip@3.10.1")).default;
+
+export async function exportLibraryZip({ settings = {} } = {}) {
+  const JSZip = await loadJSZip();
+  const zip = new JSZip();
+  const files = {};
+  const add = async (path, value) => {
+    const text = JSON.stringify(value, null, 2);
+    files[path] = await sha256Text(text);
+    zip.file(path, text);
+  };
+
+  const novels = [];
+  for (const n of await db.novels.toArray()) {
+    const dir = `novels/${encodeURIComponent(n.id)}`;
+    const backup = await exportBackup(n.id);
+    const revisions = (await db.revisions.where({ novelId: n.id }).toArray()).map(({ id: _, ...r }) => r);
+    const progress = (await db.progress.where({ novelId: n.id }).toArray()).map(({ novelId: _, ...r }) => r);
+    await add(`${dir}/novel.json`, backup);
+    await add(`${dir}/revisions.json`, revisions);
+    await add(`${dir}/progress.json`, progress);
+    novels.push({
+      id: n.id,
+      title: n.title,
+      archived: !!n.archived,
+      chapterCount: backup.chapters.length,
+      revisionCount: revisions.length,
+      novel: `${dir}/novel.json`,
+      revisions: `${dir}/revisions.json`,
+      progress: `${dir}/progress.json`
+    });
+  }
+
+  // Auth headers are credentials — they don't belong in a file that gets copied around
+  const safeSettings = { ...settings, sync: settings.sync ? { ...settings.sync, auth: "" } : undefined };
+  await add("settings.json", safeSettings);
+
+  const manifest = {
+    format: LIBRARY_FORMAT,
+    schemaVersion: LIBRARY_SCHEMA_VERSION,
+    appVersion: APP_VERSION,
+    exportedAt: new Date().toISOString(),
+    novels,
+    settings: "settings.json",
+    files
+  };
+  zip.file("manifest.json", JSON.stringify(manifest, null, 2));
+  return zip.generateAsync({ type: "blob", compression: "DEFLATE" });
+}
+
+// Validates a library ZIP (manifest, hashes, every novel backup) and reports what a restore would change.
+export async function readLibraryZip(file, { mode = "merge" } = {}) {
+  const JSZip = await loadJSZip();
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(await file.arrayBuffer());
+  } catch {
+    throw new Error("Not a ZIP file");
+  }
+
+  const manifestText = await zip.file("manifest.json")?.async("string");
+  if (!manifestText) throw new Error("Not a NovelWriter library backup (manifest.json missing)");
+  const manifest = JSON.parse(manifestText);
+  if (manifest.format !== LIBRARY_FORMAT) throw new Error("Not a NovelWriter library backup");
+  if (manifest.schemaVersion > LIBRARY_SCHEMA_VERSION) {
+    throw new Error(`This library backup uses format v${manifest.schemaVersion}, which needs a newer version of NovelWriter`);
+  }
+
+  const read = async (path) => {
+    const text = await zip.file(path)?.async("string");
+    if (text == null) throw new Error(`Library backup is incomplete: ${path} missing`);
+    const expected = manifest.files?.[path];
+    if (expected && expected !== await sha256Text(text)) throw new Error(`Library backup is damaged: ${path} failed its integrity check`);
+    return JSON.parse(text);
+  };
+
+  const novels = [];
+  for (const entry of manifest.novels || []) {
+    const raw = await read(entry.novel);
+    const backup = await migrateBackup(raw);
+    const revisions = entry.revisions ? await read(entry.revisions) : [];
+    // Libraries from before the progress log have none
+    const progress = entry.progress ? await read(entry.progress) : [];
+    const existing = await db.novels.get(backup.novel.id);
+    novels.push({
+      id: backup.novel.id,
+      title: backup.novel.title,
+      raw,
+      backup,
+      revisions,
+      progress,
+      exists: !!existing,
+      localTitle: existing?.title || "",
+      plan: await planImport(backup, { mode: existing ? mode : "replace", targetNovelId: backup.novel.id })
+    });
+  }
+  const settings = manifest.settings ? await read(manifest.settings) : null;
+
+  return { manifest, novels, settings };
+}
+
+// Restores the chosen parts of a library read by readLibraryZip().
+// Existing novels are merged or replaced (per `mode`); missing novels are recreated with their own ids.
+export async function restoreLibrary(archive, { novelIds, mode = "merge", includeRevisions = true } = {}) {
+  const wanted = new Set(novelIds || archive.novels.map(n => n.id));
+  const restored = [];
+
+  for (const n of archive.novels) {
+    if (!wanted.has(n.id)) continue;
+    const exists = !!(await db.novels.get(n.id));
+    const plan = await importBackup(n.raw, { mode: exists ? mode : "replace", targetNovelId: n.id });
+    if (includeRevisions) await restoreRevisions(plan.targetNovelId, n.revisions);
+    await restoreProgress(plan.targetNovelId, n.progress);
+    restored.push(plan);
+  }
+  return restored;
+}
+
+// Days both sides logged keep whichever saw more writing
+async function restoreProgress(novelId, progress) {
+  await db.transaction("rw", db.progress, async () => {
+    for (const r of progress || []) {
+      const local = await db.progress.get([novelId, r.date]);
+      if (local && local.added + local.removed >= r.added + r.removed) continue;
+      await db.progress.put({ ...r, novelId });
+    }
+  });
+}
+
+async function restoreRevisions(novelId, revisions) {
+  const chapterIds = new Set(await db.chapters.where({ novelId }).primaryKeys());
+  await db.transaction("rw", db.revisions, async () => {
+    for (const r of revisions || []) {
+      if (!chapterIds.has(r.chapterId)) continue;
+      // Skip snapshots this device already has
+      const dupe = await db.revisions.where("[chapterId+createdAt]").equals([r.chapterId, r.createdAt]).first();
+      if (dupe) continue;
+      await db.revisions.add({ ...r, novelId });
+    }
+  });
+}
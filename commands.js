@@ -0,0 +1,155 @@
+// commands.js — one registry for every user action: menus, toolbar, style dropdown, command palette and
+// keyboard shortcuts all run commands by id
+//
+// A command is { id, label, group, keys: ["Mod+Alt+D"], scope: "app" | "editor", run(), active?(), enabled?() }.
+// Key combos are written "Mod+Alt+Shift+K": Mod is Cmd on Apple devices and Ctrl elsewhere, letters and
+// digits are the physical key (so Alt/Shift don't change them). "editor" commands only take their keys while
+// the cursor is in the text, so Ctrl+Z still undoes typing in a text field. The user's own bindings are
+// overrides { [id]: [combo] } on top of the defaults ([] = no shortcut), kept in the app settings.
+
+export const IS_MAC = /Mac|iPhone|iPad|iPod/.test(globalThis.navigator?.platform || "");
+
+const MODIFIERS = ["Mod", "Ctrl", "Alt", "Shift"];
+const CODE_KEYS = {
+  Slash: "/", Backslash: "\\", Comma: ",", Period: ".", Semicolon: ";", Quote: "'", Backquote: "`",
+  BracketLeft: "[", BracketRight: "]", Minus: "-", Equal: "="
+};
+const KEY_NAMES = { " ": "Space", Esc: "Escape", Up: "ArrowUp", Down: "ArrowDown", Left: "ArrowLeft", Right: "ArrowRight" };
+
+// The combo a key press stands for, or null for a lone modifier
+export function eventToKeys(e) {
+  let key;
+  if (/^Key[A-Z]$/.test(e.code)) key = e.code.slice(3);
+  else if (/^(Digit|Numpad)\d$/.test(e.code)) key = e.code.slice(-1);
+  else if (CODE_KEYS[e.code]) key = CODE_KEYS[e.code];
+  else key = KEY_NAMES[e.key] || e.key;
+  if (!key || ["Control", "Meta", "Alt", "Shift", "AltGraph", "CapsLock", "Dead", "Unidentified"].includes(key)) return null;
+  if (key.length === 1) key = key.toUpperCase();
+  const mods = [];
+  if (IS_MAC ? e.metaKey : e.ctrlKey) mods.push("Mod");
+  if (IS_MAC && e.ctrlKey) mods.push("Ctrl");
+  if (e.altKey) mods.push("Alt");
+  if (e.shiftKey) mods.push("Shift");
+  return [...mods, key].join("+");
+}
+
+// Same combo, written the canonical way (modifier order, case) so stored bindings compare equal
+export function normalizeKeys(combo) {
+  const parts = String(combo).split("+").filter(Boolean);
+  const key = parts.pop();
+  if (!key) return "";
+  const mods = MODIFIERS.filter(m => parts.some(p => p.toLowerCase() === m.toLowerCase()));
+  return [...mods, key.length === 1 ? key.toUpperCase() : key].join("+");
+}
+
+const MAC_SYMBOLS = { Mod: "⌘", Ctrl: "⌃", Alt: "⌥", Shift: "⇧" };
+const KEY_LABELS = { ArrowUp: "↑", ArrowDown: "↓", ArrowLeft: "←", ArrowRight: "→", Escape: "Esc", Enter: "Enter" };
+
+// For menus and the cheat sheet: "⌘⌥D" on Apple devices, "Ctrl+Alt+D" elsewhere
+export function formatKeys(combo) {
+  const parts = combo.split("+");
+  const key = KEY_LABELS[parts.at(-1)] || parts.at(-1);
+  const mods = parts.slice(0, -1);
+  if (IS_MAC) return mods.map(m => MAC_SYMBOLS[m]).join("") + key;
+  return [...mods.map(m => (m === "Mod" ? "Ctrl" : m)), key].join("+");
+}
+
+// Fuzzy match for the palette: every query character in order; word starts and runs score higher.
+// → score (higher is better) or -1 when it doesn't match
+export function matchScore(query, text) {
+  const q = query.toLowerCase().replace(/\s+/g, "");
+  const t = text.toLowerCase();
+  if (!q) return 0;
+  let score = 0;
+  let from = 0;
+  let prev = -2;
+  for (const ch of q) {
+    const i = t.indexOf(ch, from);
+    if (i < 0) return -1;
+    score += 1;
+    if (i === prev + 1) score += 2;
+    if (i === 0 || /[\s\-–:/(]/.test(t[i - 1])) score += 3;
+    prev = i;
+    from = i + 1;
+  }
+  // Prefer shorter labels for the same match
+  return score - t.length / 100;
+}
+
+export function createCommands({ onBindingsChange } = {}) {
+  const byId = new Map();
+  let overrides = {};
+
+  const keysOf = (id) => overrides[id] ?? byId.get(id)?.keys ?? [];
+  const changed = () => onBindingsChange?.({ ...overrides });
+
+  const api = {
+    register(...commands) {
+      for (const c of commands) byId.set(c.id, { scope: "app", group: "Other", ...c, keys: (c.keys || []).map(normalizeKeys) });
+    },
+    get: (id) => byId.get(id),
+    list: () => [...byId.values()],
+    keysOf,
+    // Overrides saved by the user (ignores entries for commands that don't exist any more)
+    setOverrides(next = {}) {
+      overrides = {};
+      for (const [id, keys] of Object.entries(next)) {
+        if (Array.isArray(keys)) overrides[id] = keys.map(normalizeKeys).filter(Boolean);
+      }
+    },
+    commandForKeys(combo) {
+      for (const c of byId.values()) if (keysOf(c.id).includes(combo)) return c;
+      return null;
+    },
+    // Gives `combo` to a command, taking it away from any other. → the command it was taken from, or null
+    bind(id, combo) {
+      combo = normalizeKeys(combo);
+      const previous = api.commandForKeys(combo);
+      if (previous?.id === id) return null;
+      if (previous) api.setKeys(previous.id, keysOf(previous.id).filter(k => k !== combo), { silent: true });
+      api.setKeys(id, [...keysOf(id), combo]);
+      return previous;
+    },
+    setKeys(id, keys, { silent = false } = {}) {
+      const defaults = byId.get(id)?.keys || [];
+      if (keys.length === defaults.length && keys.every((k, i) => k === defaults[i])) delete overrides[id];
+      else overrides[id] = keys;
+      if (!silent) changed();
+    },
+    reset(id) {
+      delete overrides[id];
+      changed();
+    },
+    resetAll() {
+      overrides = {};
+      changed();
+    },
+    isEnabled: (id) => !!byId.get(id) && (byId.get(id).enabled?.() ?? true),
+    async run(id) {
+      const c = byId.get(id);
+      if (!c || !api.isEnabled(id)) return false;
+      await c.run();
+      return true;
+    },
+    // Document keydown (capture phase, ahead of the editor). → true when a command took the key
+    handleKeydown(e, { inEditor }) {
+      const combo = eventToKeys(e);
+      if (!combo) return false;
+      const c = api.commandForKeys(combo);
+      if (c && (c.scope !== "editor" || inEditor)) {
+        e.preventDefault();
+        e.stopPropagation();
+        api.run(c.id);
+        return true;
+      }
+      // A default editor shortcut the user moved elsewhere must not fall through to the editor's own keymap
+      if (inEditor && !c && [...byId.values()].some(d => d.scope === "editor" && d.keys.includes(combo))) {
+        e.preventDefault();
+        e.stopPropagation();
+        return true;
+      }
+      return false;
+    }
+  };
+  return api;
+}
@@ -0,0 +1,115 @@
+// comments.js — comment threads anchored to text ranges (margin notes)
+//
+// A thread lives inside its chapter's Tiptap JSON: the commented text carries a `comment` mark with the
+// thread id (see editor.js) and the threads are an attribute of the doc node:
+//   doc.attrs.comments = [{ id, createdAt, resolved, resolvedAt, messages: [{ id, author, text, createdAt }] }]
+// so they are saved, undone, kept in history, backed up and synced together with the text.
+
+export const COMMENT_FILTERS = ["open", "resolved", "all"];
+
+export function threadsOf(doc) {
+  return Array.isArray(doc?.attrs?.comments) ? doc.attrs.comments : [];
+}
+
+const commentIds = (node) => (node.marks || []).filter(m => m.type === "comment").map(m => m.attrs?.threadId);
+
+// Commented text per thread id (pieces from different paragraphs are joined with a space)
+export function anchorTexts(doc) {
+  const found = new Map(); // id → { block, pieces }
+  let block = 0;
+  const walk = (node) => {
+    if (node.type === "text") {
+      for (const id of commentIds(node)) {
+        const entry = found.get(id) || { block, pieces: [""] };
+        if (entry.block !== block) entry.pieces.push("");
+        entry.block = block;
+        entry.pieces[entry.pieces.length - 1] += node.text || "";
+        found.set(id, entry);
+      }
+      return;
+    }
+    for (const child of node.content || []) walk(child);
+    block++;
+  };
+  if (doc) walk(doc);
+  return new Map([...found].map(([id, { pieces }]) => [id, pieces.join(" ")]));
+}
+
+export function newMessage({ author, text }) {
+  return { id: crypto.randomUUID(), author: author || "", text, createdAt: Date.now() };
+}
+
+export function newThread({ author, text }) {
+  return { id: crypto.randomUUID(), createdAt: Date.now(), resolved: false, resolvedAt: null, messages: [newMessage({ author, text })] };
+}
+
+const matchesFilter = (thread, filter) => filter === "all" || (filter === "resolved" ? !!thread.resolved : !thread.resolved);
+
+// Threads of the whole novel for the side panel: [{ chapter, thread, anchor }] in reading order.
+// `rows` are chapters in reading order (outlineRows); anchor is null once the commented text is gone.
+export function novelThreads(rows, filter = "open") {
+  const out = [];
+  for (const chapter of rows) {
+    const threads = threadsOf(chapter.content);
+    if (!threads.length) continue;
+    const anchors = anchorTexts(chapter.content);
+    for (const thread of threads) {
+      if (matchesFilter(thread, filter)) out.push({ chapter, thread, anchor: anchors.get(thread.id) ?? null });
+    }
+  }
+  return out;
+}
+
+/* ---------------------------
+  Editor side (the open chapter)
+--------------------------- */
+function commentMark(state, threadId) {
+  return state.schema.marks.comment.create({ threadId });
+}
+
+// Adds a new thread on from..to as one undoable step
+export function addComment(editor, { from, to }, thread) {
+  const { state } = editor;
+  const tr = state.tr
+    .addMark(from, to, commentMark(state, thread.id))
+    .setDocAttribute("comments", [...threadsOf(state.doc), thread]);
+  editor.view.dispatch(tr);
+}
+
+// fn(thread) → the changed thread, or null to delete it (its marks go too)
+export function updateThread(editor, threadId, fn) {
+  const { state } = editor;
+  const threads = threadsOf(state.doc);
+  const current = threads.find(t => t.id === threadId);
+  if (!current) return false;
+  const next = fn(current);
+  const tr = state.tr.setDocAttribute("comments", next
+    ? threads.map(t => (t.id === threadId ? next : t))
+    : threads.filter(t => t.id !== threadId));
+  if (!next) tr.removeMark(0, state.doc.content.size, commentMark(state, threadId));
+  editor.view.dispatch(tr);
+  return true;
+}
+
+// Editor positions covered by a thread's mark (first to last), or null
+export function threadRange(pmDoc, threadId) {
+  let from = null;
+  let to = null;
+  pmDoc.descendants((node, pos) => {
+    if (!node.isText) return true;
+    if (node.marks.some(m => m.type.name === "comment" && m.attrs.threadId === threadId)) {
+      if (from === null) from = pos;
+      to = pos + node.nodeSize;
+    }
+    return false;
+  });
+  return from === null ? null : { from, to };
+}
+
+// Thread ids under the cursor or in the selection
+export function threadIdsAt(state) {
+  const { $from, empty, from, to } = state.selection;
+  const marks = empty ? [...$from.marks()] : [];
+  if (!empty) state.doc.nodesBetween(from, to, (node) => { if (node.isText) marks.push(...node.marks); });
+  return [...new Set(marks.filter(m => m.type.name === "comment").map(m => m.attrs.threadId))];
+}
@@ -0,0 +1,125 @@
+// compile.js — what goes into an export: chapter selection, front and back matter, heading format and
+// scene breaks, shared by every exporter
+//
+// A novel keeps named presets in its settings (novel.settings.compile = { current, presets: { [name]: preset } }).
+// compileManuscript() turns the outline rows into the rows an exporter prints: excluded parts and chapters (and
+// everything in them) left out, headings formatted, and the front/back matter added as rows of their own with
+// `matter` set ("copyright", "dedication", "toc", "acknowledgements"). Matter rows are level-1 chapters whose
+// heading always prints unless `hideTitle` is set; the "toc" row is listed by export.js as the contents.
+
+export const DEFAULT_PRESET_NAME = "Default";
+
+export const DEFAULT_COMPILE = Object.freeze({
+  exclude: [], // ids of parts/chapters left out (new chapters are in until unticked)
+  titlePage: true,
+  copyright: "",
+  dedication: "",
+  toc: false,
+  acknowledgements: "",
+  includeHeadings: true,
+  chapterFormat: "{title}",
+  partFormat: "{title}",
+  numberStyle: "arabic",
+  sceneBreak: "" // "" = the novel's own (see scenebreak.js), or a SCENE_BREAK_STYLES key
+});
+
+// Suggestions for the format fields; any text with {n} and {title} works
+export const CHAPTER_FORMATS = ["{title}", "Chapter {n}", "Chapter {n}: {title}", "{n}. {title}", "{n}"];
+export const PART_FORMATS = ["{title}", "Part {n}", "Part {n}: {title}"];
+export const NUMBER_STYLES = { arabic: "1, 2, 3", roman: "I, II, III", words: "One, Two, Three" };
+export const COMPILE_SCENE_BREAKS = { "": "The novel's own", asterisks: "* * *", hash: "#", ornament: "❦ (ornament)", blank: "Blank line" };
+
+const MATTER_TITLES = { copyright: "Copyright", dedication: "Dedication", toc: "Contents", acknowledgements: "Acknowledgements" };
+
+// Presets from the novel's settings, with a default one when there are none
+export function compilePresets(saved) {
+  const presets = {};
+  for (const [name, preset] of Object.entries(saved?.presets || {})) presets[name] = { ...DEFAULT_COMPILE, ...preset };
+  if (!Object.keys(presets).length) presets[DEFAULT_PRESET_NAME] = { ...DEFAULT_COMPILE };
+  const current = Object.hasOwn(presets, saved?.current) ? saved.current : Object.keys(presets)[0];
+  return { current, presets };
+}
+
+const ROMAN = [[1000, "M"], [900, "CM"], [500, "D"], [400, "CD"], [100, "C"], [90, "XC"], [50, "L"], [40, "XL"], [10, "X"], [9, "IX"], [5, "V"], [4, "IV"], [1, "I"]];
+const ONES = ["", "One", "Two", "Three", "Four", "Five", "Six", "Seven", "Eight", "Nine", "Ten", "Eleven", "Twelve",
+  "Thirteen", "Fourteen", "Fifteen", "Sixteen", "Seventeen", "Eighteen", "Nineteen"];
+const TENS = ["", "", "Twenty", "Thirty", "Forty", "Fifty", "Sixty", "Seventy", "Eighty", "Ninety"];
+
+export function toRoman(n) {
+  let out = "";
+  for (const [value, numeral] of ROMAN) {
+    while (n >= value) {
+      out += numeral;
+      n -= value;
+    }
+  }
+  return out;
+}
+
+// 21 → "Twenty-One", 105 → "One Hundred Five" (as chapter headings write them); digits from 1000 on
+export function numberWords(n) {
+  if (n < 1 || n > 999) return String(n);
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  const tens = rest < 20 ? ONES[rest] : TENS[Math.floor(rest / 10)] + (rest % 10 ? `-${ONES[rest % 10]}` : "");
+  return [hundreds ? `${ONES[hundreds]} Hundred` : "", tens].filter(Boolean).join(" ");
+}
+
+export function formatNumber(n, style) {
+  if (style === "roman") return toRoman(n);
+  if (style === "words") return numberWords(n);
+  return String(n);
+}
+
+// "Chapter {n}: {title}" → "Chapter 3: The Storm". Without a title the separator before {title} goes too.
+export function formatHeading(format, { n, title, numberStyle }) {
+  const t = String(title || "").trim();
+  let out = String(format || "").trim() || "{title}";
+  if (!t) out = out.replace(/[\s:.,;–—-]*\{title\}/g, "");
+  out = out.replaceAll("{n}", formatNumber(n, numberStyle)).replaceAll("{title}", t).trim();
+  return out || t;
+}
+
+// Text from a matter field → Tiptap doc (a paragraph per line; the dedication in italics)
+function matterDoc(text, marks) {
+  const content = String(text || "").split("\n").map(l => l.trim()).filter(Boolean)
+    .map(line => ({ type: "paragraph", content: [{ type: "text", text: line, ...(marks ? { marks } : {}) }] }));
+  return { type: "doc", content: content.length ? content : [{ type: "paragraph" }] };
+}
+
+const matterRow = (matter, content, props = {}) =>
+  ({ id: `matter-${matter}`, kind: "chapter", depth: 0, parentId: null, title: MATTER_TITLES[matter], matter, content, ...props });
+
+// Outline rows (outlineRows() order, with kind and depth) → { chapters, includeHeadings, titlePage, sceneBreak }
+// for the exporters. `sceneBreak` is the preset's choice, or `novelSceneBreak` when it keeps the novel's own.
+export function compileManuscript(rows, preset = {}, novelSceneBreak = "") {
+  const p = { ...DEFAULT_COMPILE, ...preset };
+  const excluded = new Set(p.exclude);
+  const byId = new Map(rows.map(r => [r.id, r]));
+  const isExcluded = (row) => {
+    for (let r = row; r; r = r.parentId ? byId.get(r.parentId) : null) if (excluded.has(r.id)) return true;
+    return false;
+  };
+
+  const count = { part: 0, chapter: 0 };
+  const body = rows.filter(r => !isExcluded(r)).map(row => {
+    if (row.kind === "scene") return row;
+    const n = ++count[row.kind];
+    const format = row.kind === "part" ? p.partFormat : p.chapterFormat;
+    return { ...row, title: formatHeading(format, { n, title: row.title, numberStyle: p.numberStyle }) };
+  });
+
+  const front = [];
+  if (p.copyright.trim()) front.push(matterRow("copyright", matterDoc(p.copyright), { hideTitle: true }));
+  if (p.dedication.trim()) front.push(matterRow("dedication", matterDoc(p.dedication, [{ type: "italic" }]), { hideTitle: true }));
+  if (p.toc) front.push(matterRow("toc", matterDoc("")));
+  const back = p.acknowledgements.trim() ? [matterRow("acknowledgements", matterDoc(p.acknowledgements))] : [];
+
+  return {
+    chapters: [...front, ...body, ...back],
+    includeHeadings: p.includeHeadings,
+    titlePage: p.titlePage,
+    sceneBreak: p.sceneBreak || novelSceneBreak,
+    sceneBreakChosen: !!p.sceneBreak
+  };
+}
@@ -0,0 +1,108 @@
+// diff.js — word-level text diff (Myers) for revision history
+// Produces runs of { type: "equal" | "insert" | "delete", text } going from `a` (old) to `b` (new).
+
+// Past this many edits we stop and report a whole-text replacement (keeps memory bounded).
+const MAX_EDIT_DISTANCE = 6000;
+
+function tokenize(text) {
+  // A word keeps its trailing whitespace so paragraph breaks survive the round trip
+  return String(text || "").match(/\S+\s*|\s+/g) || [];
+}
+
+function pushRun(out, type, text) {
+  if (!text) return;
+  const last = out[out.length - 1];
+  if (last && last.type === type) last.text += text;
+  else out.push({ type, text });
+}
+
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const off = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    if (d > MAX_EDIT_DISTANCE) return null;
+    // Snapshot only the diagonals reachable so far (O(D²) memory instead of O(D·(N+M)))
+    trace.push(v.slice(off - d, off + d + 1));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[off + k - 1] < v[off + k + 1])) ? v[off + k + 1] : v[off + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+      v[off + k] = x;
+      if (x >= n && y >= m) return backtrack(trace, a, b, d);
+    }
+  }
+  return null;
+}
+
+function backtrack(trace, a, b, dEnd) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = dEnd; d > 0; d--) {
+    const v = trace[d];
+    const at = (k) => v[k + d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: "equal", text: a[--x] });
+      y--;
+    }
+    if (x === prevX) ops.push({ type: "insert", text: b[--y] });
+    else ops.push({ type: "delete", text: a[--x] });
+  }
+  while (x > 0 && y > 0) {
+    ops.push({ type: "equal", text: a[--x] });
+    y--;
+  }
+
+  return ops.reverse();
+}
+
+export function diffWords(oldText, newText) {
+  const a = tokenize(oldText);
+  const b = tokenize(newText);
+
+  // Trim the common head/tail first: revisions usually differ in a small region
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const out = [];
+  pushRun(out, "equal", a.slice(0, start).join(""));
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const ops = myers(midA, midB);
+  if (ops) {
+    for (const op of ops) pushRun(out, op.type, op.text);
+  } else {
+    pushRun(out, "delete", midA.join(""));
+    pushRun(out, "insert", midB.join(""));
+  }
+
+  pushRun(out, "equal", a.slice(endA).join(""));
+  return out;
+}
+
+export function diffStats(runs) {
+  const words = (s) => (String(s).match(/\S+/g) || []).length;
+  let added = 0;
+  let removed = 0;
+  for (const r of runs || []) {
+    if (r.type === "insert") added += words(r.text);
+    if (r.type === "delete") removed += words(r.text);
+  }
+  return { added, removed };
+}
@@ -1,13 +1,447 @@
 // editor.js — Tiptap editor wrapper
-import { Editor } from "https://esm.sh/@tiptap/core@2.11.5";
+import { Editor, Extension, Mark, Node, mergeAttributes, nodeInputRule } from "https://esm.sh/@tiptap/core@2.11.5";
+import { Plugin, PluginKey, Selection } from "https://esm.sh/@tiptap/pm@2.11.5/state";
+import { Decoration, DecorationSet } from "https://esm.sh/@tiptap/pm@2.11.5/view";
 import StarterKit from "https://esm.sh/@tiptap/starter-kit@2.11.5";
 import Underline from "https://esm.sh/@tiptap/extension-underline@2.11.5";
 import HorizontalRule from "https://esm.sh/@tiptap/extension-horizontal-rule@2.11.5";
+import { suggestionsPlugin, changesIn, changeIdsAt, resolveChanges, isDeletedText } from "./suggestions.js";
+import { sceneStarts, sceneBreakText, isSceneBreak } from "./scenebreak.js";
+import { wordsIn, pmBlockText } from "./spellcheck.js";
 
-export function createNovelEditor({ element, onUpdate }) {
+// Commented text: the mark only carries the thread id; the thread itself is stored on the doc (see comments.js)
+const Comment = Mark.create({
+  name: "comment",
+  inclusive: false,
+  // Overlapping comments keep one mark each
+  excludes: "",
+  addAttributes() {
+    return {
+      threadId: {
+        default: null,
+        parseHTML: (el) => el.getAttribute("data-comment-id"),
+        renderHTML: (attrs) => ({ "data-comment-id": attrs.threadId })
+      }
+    };
+  },
+  parseHTML() {
+    return [{ tag: "span[data-comment-id]" }];
+  },
+  renderHTML({ HTMLAttributes }) {
+    return ["span", mergeAttributes({ class: "commentMark" }, HTMLAttributes), 0];
+  }
+});
+
+// Comment threads of the chapter, kept as an attribute of the doc node so they save, undo and sync with the text
+const CommentThreads = Extension.create({
+  name: "commentThreads",
+  addGlobalAttributes() {
+    return [{ types: ["doc"], attributes: { comments: { default: null, rendered: false } } }];
+  }
+});
+
+// Footnote reference with the note's text as an attribute (see footnotes.js); numbered by a CSS counter
+const Footnote = Node.create({
+  name: "footnote",
+  group: "inline",
+  inline: true,
+  atom: true,
+  selectable: true,
+  addAttributes() {
+    return {
+      id: { default: null, parseHTML: (el) => el.getAttribute("data-footnote-id"), renderHTML: (a) => ({ "data-footnote-id": a.id }) },
+      text: {
+        default: "",
+        parseHTML: (el) => el.getAttribute("data-footnote") || "",
+        renderHTML: (a) => ({ "data-footnote": a.text, title: a.text })
+      }
+    };
+  },
+  parseHTML() {
+    return [{ tag: "sup[data-footnote-id]" }];
+  },
+  renderHTML({ HTMLAttributes }) {
+    return ["sup", mergeAttributes({ class: "footnoteRef" }, HTMLAttributes)];
+  },
+  addProseMirrorPlugins() {
+    const hasNote = (fragment) => {
+      let found = false;
+      fragment.descendants((node) => {
+        if (node.type.name === "footnote") found = true;
+        return !found;
+      });
+      return found;
+    };
+    return [new Plugin({
+      key: new PluginKey("footnoteIds"),
+      // Copy & paste duplicates a note; the copy gets an id of its own
+      appendTransaction(transactions, oldState, newState) {
+        if (!transactions.some(tr => tr.steps.some(step => step.slice && hasNote(step.slice.content)))) return null;
+        const seen = new Set();
+        const tr = newState.tr;
+        newState.doc.descendants((node, pos) => {
+          if (node.type.name !== "footnote") return;
+          if (node.attrs.id && !seen.has(node.attrs.id)) seen.add(node.attrs.id);
+          else tr.setNodeAttribute(pos, "id", crypto.randomUUID());
+        });
+        return tr.docChanged ? tr : null;
+      }
+    })];
+  }
+});
+
+// Scene break: an empty block; the glyph comes from the --scene-break CSS variable (see scenebreak.js)
+const SceneBreak = Node.create({
+  name: "sceneBreak",
+  group: "block",
+  atom: true,
+  selectable: true,
+  // Ahead of the horizontal rule, whose input rule also takes "*** "
+  priority: 101,
+  parseHTML() {
+    return [{ tag: "div[data-scene-break]" }];
+  },
+  renderHTML() {
+    return ["div", { class: "sceneBreak", "data-scene-break": "", role: "separator" }];
+  },
+  addInputRules() {
+    return [nodeInputRule({ find: /^(?:\*\*\*|⁂)\s$/, type: this.type })];
+  },
+  addCommands() {
+    return {
+      // Like the horizontal rule: the cursor goes on to the next paragraph (a new one at the end of the doc)
+      insertSceneBreak: () => ({ chain }) => chain()
+        .insertContent({ type: this.name })
+        .command(({ tr, dispatch }) => {
+          if (!dispatch) return true;
+          const { to } = tr.selection;
+          if (!tr.doc.resolve(to).nodeAfter) tr.insert(to, tr.doc.type.schema.nodes.paragraph.create());
+          tr.setSelection(Selection.near(tr.doc.resolve(to + 1))).scrollIntoView();
+          return true;
+        })
+        .run(),
+      // Moves the cursor to the start of scene `index` (0-based) of the chapter
+      goToScene: (index) => ({ state, tr, dispatch }) => {
+        const start = sceneStarts(state.doc)[index];
+        if (start === undefined) return false;
+        if (dispatch) tr.setSelection(Selection.near(tr.doc.resolve(start))).scrollIntoView();
+        return true;
+      },
+      // To the next (1) or previous (-1) scene from the cursor
+      moveScene: (direction) => ({ state, commands }) => {
+        const current = sceneStarts(state.doc).filter(s => s <= state.selection.from).length - 1;
+        return commands.goToScene(current + direction);
+      }
+    };
+  }
+});
+
+// Suggested insertions/deletions (track changes); the recording itself is in suggestions.js
+const changeAttributes = () => ({
+  id: { default: null, parseHTML: (el) => el.getAttribute("data-change-id"), renderHTML: (a) => ({ "data-change-id": a.id }) },
+  author: { default: "", parseHTML: (el) => el.getAttribute("data-author") || "", renderHTML: (a) => ({ "data-author": a.author }) },
+  date: {
+    default: null,
+    parseHTML: (el) => Number(el.getAttribute("data-date")) || null,
+    renderHTML: (a) => ({
+      "data-date": a.date,
+      title: [a.author || "Anonymous", a.date ? new Date(a.date).toLocaleString() : ""].filter(Boolean).join(" · ")
+    })
+  }
+});
+
+const Insertion = Mark.create({
+  name: "insertion",
+  inclusive: false,
+  excludes: "insertion deletion",
+  addAttributes: changeAttributes,
+  parseHTML() {
+    return [{ tag: "ins[data-change-id]" }];
+  },
+  renderHTML({ HTMLAttributes }) {
+    return ["ins", mergeAttributes({ class: "suggestion suggestion--insert" }, HTMLAttributes), 0];
+  }
+});
+
+const Deletion = Mark.create({
+  name: "deletion",
+  inclusive: false,
+  excludes: "insertion deletion",
+  addAttributes: changeAttributes,
+  parseHTML() {
+    return [{ tag: "del[data-change-id]" }];
+  },
+  renderHTML({ HTMLAttributes }) {
+    return ["del", mergeAttributes({ class: "suggestion suggestion--delete" }, HTMLAttributes), 0];
+  }
+});
+
+const Suggestions = Extension.create({
+  name: "suggestions",
+  addOptions() {
+    // author() → the name recorded on new changes
+    return { onToggle: null, author: () => "" };
+  },
+  addStorage() {
+    return { enabled: false };
+  },
+  addProseMirrorPlugins() {
+    return [suggestionsPlugin(() => ({ enabled: this.storage.enabled, author: this.options.author() }))];
+  },
+  addCommands() {
+    const resolveAt = (accept) => () => ({ state, tr, dispatch }) => {
+      const ids = changeIdsAt(state);
+      if (!ids.length) return false;
+      if (dispatch) resolveChanges(tr, ids, accept);
+      return true;
+    };
+    const resolveAll = (accept) => () => ({ state, tr, dispatch }) => {
+      if (!changesIn(state.doc).length) return false;
+      if (dispatch) resolveChanges(tr, null, accept);
+      return true;
+    };
+    return {
+      setSuggesting: (enabled) => () => {
+        this.storage.enabled = !!enabled;
+        this.options.onToggle?.(this.storage.enabled);
+        return true;
+      },
+      toggleSuggesting: () => ({ commands }) => commands.setSuggesting(!this.storage.enabled),
+      acceptChange: resolveAt(true),
+      rejectChange: resolveAt(false),
+      acceptAllChanges: resolveAll(true),
+      rejectAllChanges: resolveAll(false),
+      // Selects the next change after the cursor (wrapping around)
+      nextChange: () => ({ state, commands }) => {
+        const changes = changesIn(state.doc);
+        const next = changes.find(c => c.from >= state.selection.to) || changes[0];
+        if (!next) return false;
+        return commands.setTextSelection({ from: next.from, to: next.to });
+      }
+    };
+  }
+});
+
+// Sentence around `offset` in a textblock's text: [start, end). A sentence ends after . ! ? or …
+// (and any closing quotes or brackets) plus the spaces that follow.
+const SENTENCE_END = /[.!?…]+["'”’»)\]]*(?:\s+|$)/gu;
+function sentenceAt(text, offset) {
+  let start = 0;
+  for (const m of text.matchAll(SENTENCE_END)) {
+    const end = m.index + m[0].length;
+    if (end > offset) return [start, end];
+    start = end;
+  }
+  return [start, text.length];
+}
+
+const writingModesKey = new PluginKey("writingModes");
+export const FOCUS_MODES = ["off", "paragraph", "sentence"];
+
+// Drafting aids: focus dimming ("paragraph" or "sentence": everything but the cursor's block or sentence
+// is dimmed via [data-focus] in styles.css) and typewriter scrolling (the cursor line stays in the middle
+// of the editor's scroll box)
+const WritingModes = Extension.create({
+  name: "writingModes",
+  addStorage() {
+    return { focus: "off", typewriter: false, recentre: false };
+  },
+  addCommands() {
+    // Decorations and attributes are recomputed on the next transaction
+    const refresh = (tr, dispatch) => {
+      if (dispatch) tr.setMeta(writingModesKey, true);
+      return true;
+    };
+    return {
+      setFocusMode: (mode) => ({ tr, dispatch }) => {
+        this.storage.focus = FOCUS_MODES.includes(mode) ? mode : "off";
+        return refresh(tr, dispatch);
+      },
+      setTypewriter: (on) => ({ tr, dispatch }) => {
+        this.storage.typewriter = !!on;
+        this.storage.recentre = !!on;
+        return refresh(tr, dispatch);
+      }
+    };
+  },
+  addProseMirrorPlugins() {
+    const storage = this.storage;
+    const inlineText = (block) => {
+      let text = "";
+      block.forEach((child) => { text += child.isText ? child.text : child.type.name === "hardBreak" ? "\n" : "￼"; });
+      return text;
+    };
+    const centreCursor = (view) => {
+      const scroller = view.dom.parentElement;
+      if (!scroller || !view.hasFocus()) return;
+      const caret = view.coordsAtPos(view.state.selection.head);
+      const box = scroller.getBoundingClientRect();
+      scroller.scrollTop += (caret.top + caret.bottom) / 2 - (box.top + box.height / 2);
+    };
+    return [new Plugin({
+      key: writingModesKey,
+      props: {
+        attributes: () => (storage.focus === "off" ? {} : { "data-focus": storage.focus }),
+        decorations: (state) => {
+          const { $head } = state.selection;
+          if (storage.focus === "off" || $head.depth < 1) return null;
+          const decorations = [Decoration.node($head.before(1), $head.after(1), { class: "is-focused" })];
+          if (storage.focus === "sentence" && $head.parent.isTextblock) {
+            const text = inlineText($head.parent);
+            const [from, to] = sentenceAt(text, $head.parentOffset);
+            const start = $head.start();
+            if (from > 0) decorations.push(Decoration.inline(start, start + from, { class: "focusDim" }));
+            if (to < text.length) decorations.push(Decoration.inline(start + to, start + text.length, { class: "focusDim" }));
+          }
+          return DecorationSet.create(state.doc, decorations);
+        }
+      },
+      view: () => ({
+        update: (view, prevState) => {
+          if (!storage.typewriter) return;
+          const moved = !prevState.selection.eq(view.state.selection) || !prevState.doc.eq(view.state.doc);
+          if (!moved && !storage.recentre) return;
+          storage.recentre = false;
+          centreCursor(view);
+        }
+      })
+    })];
+  }
+});
+
+const spellcheckKey = new PluginKey("spellcheck");
+const SPELLCHECK_DELAY_MS = 400;
+
+// Misspelled words get a squiggle (the `checker` is a spellcheck.js createSpellChecker()). The whole chapter
+// is re-checked a moment after each edit; only words the checker hasn't seen go to the worker. The word
+// being typed is left alone until the cursor leaves it.
+const SpellCheck = Extension.create({
+  name: "spellcheck",
+  addOptions() {
+    return { checker: null };
+  },
+  addStorage() {
+    return { stale: false };
+  },
+  addCommands() {
+    return {
+      // After the language or the novel's dictionary changed
+      recheckSpelling: () => ({ tr, dispatch }) => {
+        this.storage.stale = true;
+        if (dispatch) tr.setMeta(spellcheckKey, "recheck");
+        return true;
+      }
+    };
+  },
+  addProseMirrorPlugins() {
+    const { checker } = this.options;
+    const storage = this.storage;
+    if (!checker) return [];
+
+    // → { words: [{ word, from, to }], skipped: the word at the cursor or null }
+    const collect = (state, spareCursorWord) => {
+      const { empty, head } = state.selection;
+      const words = [];
+      let skipped = null;
+      state.doc.descendants((node, pos) => {
+        if (!node.isTextblock) return true;
+        for (const w of wordsIn(pmBlockText(node))) {
+          const from = pos + 1 + w.start;
+          const to = pos + 1 + w.end;
+          if (spareCursorWord && empty && head >= from && head <= to) skipped = { from, to };
+          else words.push({ word: w.word, from, to });
+        }
+        return false;
+      });
+      return { words, skipped };
+    };
+
+    return [new Plugin({
+      key: spellcheckKey,
+      // { decorations, typed: the last transaction was an edit by the user (not loading a chapter) }
+      state: {
+        init: () => ({ decorations: DecorationSet.empty, typed: false }),
+        apply: (tr, { decorations }) => {
+          const meta = tr.getMeta(spellcheckKey);
+          return {
+            decorations: meta instanceof DecorationSet ? meta : decorations.map(tr.mapping, tr.doc),
+            typed: tr.docChanged && !tr.getMeta("preventUpdate")
+          };
+        }
+      },
+      props: {
+        decorations: (state) => spellcheckKey.getState(state).decorations
+      },
+      view: (view) => {
+        let timer = null;
+        // While typing, the word at the cursor is unfinished: it gets no squiggle until the cursor leaves it
+        let typing = false;
+        let skipped = null;
+        const run = async () => {
+          timer = null;
+          const { words } = collect(view.state, typing);
+          try {
+            await checker.check(words.map(w => w.word));
+          } catch {
+            return; // no dictionary (yet): leave the squiggles as they are
+          }
+          if (view.isDestroyed) return;
+          // The doc may have changed meanwhile (that schedules another run); words not looked up yet
+          // simply get no squiggle this time
+          const current = collect(view.state, typing);
+          skipped = current.skipped;
+          const decorations = current.words
+            .filter(w => checker.isCorrect(w.word) === false)
+            .map(w => Decoration.inline(w.from, w.to, { class: "spellError" }, { word: w.word }));
+          view.dispatch(view.state.tr.setMeta(spellcheckKey, DecorationSet.create(view.state.doc, decorations)).setMeta("addToHistory", false));
+        };
+        const schedule = () => {
+          clearTimeout(timer);
+          timer = setTimeout(run, SPELLCHECK_DELAY_MS);
+        };
+        schedule();
+        return {
+          update: (view, prevState) => {
+            const edited = !prevState.doc.eq(view.state.doc);
+            const left = skipped && (view.state.selection.head < skipped.from || view.state.selection.head > skipped.to);
+            if (edited) typing = spellcheckKey.getState(view.state).typed;
+            else if (left) typing = false;
+            if (storage.stale || left || edited) {
+              storage.stale = false;
+              if (left) skipped = null;
+              schedule();
+            }
+          },
+          destroy: () => clearTimeout(timer)
+        };
+      }
+    })];
+  }
+});
+
+// Misspelled word at a position: { from, to, word } or null
+export function spellErrorAt(state, pos) {
+  const found = spellcheckKey.getState(state)?.decorations.find(pos, pos)[0];
+  return found ? { from: found.from, to: found.to, word: found.spec.word } : null;
+}
+
+export function createNovelEditor({ element, onUpdate, onSuggestingChange, suggestionAuthor, spellChecker }) {
   const editor = new Editor({
     element,
-    extensions: [StarterKit, Underline, HorizontalRule],
+    extensions: [
+      StarterKit,
+      Underline,
+      HorizontalRule,
+      Comment,
+      CommentThreads,
+      Footnote,
+      SceneBreak,
+      Insertion,
+      Deletion,
+      Suggestions.configure({ onToggle: onSuggestingChange, author: suggestionAuthor || (() => "") }),
+      WritingModes,
+      SpellCheck.configure({ checker: spellChecker || null })
+    ],
     content: { type: "doc", content: [{ type: "paragraph" }] },
     autofocus: "end",
     editorProps: {
@@ -25,62 +459,80 @@ export function setEditorDoc(editor, jsonDoc) {
   editor.commands.setContent(jsonDoc || { type: "doc", content: [{ type: "paragraph" }] }, false);
 }
 
-export function bindToolbar(editor, toolbarEl) {
-  const q = (cmd) => toolbarEl.querySelector(`[data-cmd="${cmd}"]`);
+// Editor actions for the command registry (commands.js). The default keys are Tiptap's own, so nothing
+// changes until the user remaps them.
+export function editorCommands(editor) {
+  const chain = () => editor.chain().focus();
+  const command = (id, label, group, keys, run, active) => ({ id, label, group, keys, scope: "editor", run, active });
+  return [
+    command("undo", "Undo", "Edit", ["Mod+Z"], () => chain().undo().run()),
+    command("redo", "Redo", "Edit", ["Mod+Shift+Z", "Mod+Y"], () => chain().redo().run()),
+    command("select-all", "Select All", "Edit", ["Mod+A"], () => chain().selectAll().run()),
+    command("next-scene", "Next Scene", "Edit", ["Mod+Alt+ArrowDown"], () => chain().moveScene(1).run()),
+    command("previous-scene", "Previous Scene", "Edit", ["Mod+Alt+ArrowUp"], () => chain().moveScene(-1).run()),
+    command("bold", "Bold", "Format", ["Mod+B"], () => chain().toggleBold().run(), () => editor.isActive("bold")),
+    command("italic", "Italic", "Format", ["Mod+I"], () => chain().toggleItalic().run(), () => editor.isActive("italic")),
+    command("underline", "Underline", "Format", ["Mod+U"], () => chain().toggleUnderline().run(), () => editor.isActive("underline")),
+    command("strike", "Strikethrough", "Format", ["Mod+Shift+S"], () => chain().toggleStrike().run(), () => editor.isActive("strike")),
+    command("h1", "Heading 1", "Format", ["Mod+Alt+1"], () => chain().toggleHeading({ level: 1 }).run(), () => editor.isActive("heading", { level: 1 })),
+    command("h2", "Heading 2", "Format", ["Mod+Alt+2"], () => chain().toggleHeading({ level: 2 }).run(), () => editor.isActive("heading", { level: 2 })),
+    command("p", "Normal Paragraph", "Format", ["Mod+Alt+0"], () => chain().setParagraph().run()),
+    command("ul", "Bullet List", "Format", ["Mod+Shift+8"], () => chain().toggleBulletList().run(), () => editor.isActive("bulletList")),
+    command("ol", "Numbered List", "Format", ["Mod+Shift+7"], () => chain().toggleOrderedList().run(), () => editor.isActive("orderedList")),
+    command("quote", "Block Quote", "Format", ["Mod+Shift+B"], () => chain().toggleBlockquote().run(), () => editor.isActive("blockquote")),
+    command("scene-break", "Scene Break", "Insert", ["Mod+Alt+Enter"], () => chain().insertSceneBreak().run()),
+    command("hr", "Horizontal Line", "Insert", [], () => chain().setHorizontalRule().run()),
+    command("suggest", "Suggesting Mode", "Review", [], () => editor.commands.toggleSuggesting(), () => !!editor.storage.suggestions?.enabled),
+    command("next-change", "Next Change", "Review", [], () => chain().nextChange().scrollIntoView().run()),
+    command("accept-change", "Accept Change", "Review", [], () => chain().acceptChange().run()),
+    command("reject-change", "Reject Change", "Review", [], () => chain().rejectChange().run()),
+    command("accept-all", "Accept All Changes", "Review", [], () => chain().acceptAllChanges().run()),
+    command("reject-all", "Reject All Changes", "Review", [], () => chain().rejectAllChanges().run())
+  ];
+}
+
+// Toolbar buttons run registry commands by their data-cmd and light up while the command is active
+export function bindToolbar(editor, toolbarEl, commands) {
+  const buttons = [...toolbarEl.querySelectorAll("button[data-cmd]")];
 
   const updateActive = () => {
-    q("bold")?.classList.toggle("is-active", editor.isActive("bold"));
-    q("italic")?.classList.toggle("is-active", editor.isActive("italic"));
-    q("strike")?.classList.toggle("is-active", editor.isActive("strike"));
-    q("underline")?.classList.toggle("is-active", editor.isActive("underline"));
-    q("h1")?.classList.toggle("is-active", editor.isActive("heading", { level: 1 }));
-    q("h2")?.classList.toggle("is-active", editor.isActive("heading", { level: 2 }));
-    q("ul")?.classList.toggle("is-active", editor.isActive("bulletList"));
-    q("ol")?.classList.toggle("is-active", editor.isActive("orderedList"));
-    q("quote")?.classList.toggle("is-active", editor.isActive("blockquote"));
+    for (const btn of buttons) {
+      const active = commands.get(btn.dataset.cmd)?.active;
+      if (active) btn.classList.toggle("is-active", !!active());
+    }
   };
 
   editor.on("selectionUpdate", updateActive);
   editor.on("transaction", updateActive);
   updateActive();
 
-  toolbarEl.addEventListener("click", (e) => {
+  toolbarEl.addEventListener("click", async (e) => {
     const btn = e.target.closest("button[data-cmd]");
     if (!btn) return;
-    const cmd = btn.dataset.cmd;
-
-    const chain = editor.chain().focus();
-
-    switch (cmd) {
-      case "bold": chain.toggleBold().run(); break;
-      case "italic": chain.toggleItalic().run(); break;
-      case "strike": chain.toggleStrike().run(); break;
-      case "underline": chain.toggleUnderline().run(); break;
-      case "h1": chain.toggleHeading({ level: 1 }).run(); break;
-      case "h2": chain.toggleHeading({ level: 2 }).run(); break;
-      case "p": chain.setParagraph().run(); break;
-      case "ul": chain.toggleBulletList().run(); break;
-      case "ol": chain.toggleOrderedList().run(); break;
-      case "quote": chain.toggleBlockquote().run(); break;
-      case "hr": chain.setHorizontalRule().run(); break;
-      case "undo": editor.commands.undo(); break;
-      case "redo": editor.commands.redo(); break;
-      default:
-        break;
-    }
+    await commands.run(btn.dataset.cmd);
     updateActive();
   });
 }
 
-export function editorToPlainText(jsonDoc) {
+export function editorToPlainText(jsonDoc, { sceneBreak } = {}) {
   // Minimal JSON → text for exports. (Tiptap also provides getText(), but we export without editor instance.)
+  // Footnotes become "[1]" markers with the notes listed at the end; scene breaks their glyph (scenebreak.js).
   const lines = [];
+  const notes = [];
   const walk = (node) => {
     if (!node) return;
     if (node.type === "text") {
-      lines.push(node.text || "");
+      // Suggested deletions are not part of the text until they are rejected
+      if (!isDeletedText(node)) lines.push(node.text || "");
+      return;
+    }
+    if (node.type === "footnote") {
+      if (isDeletedText(node)) return;
+      notes.push(node.attrs?.text || "");
+      lines.push(`[${notes.length}]`);
       return;
     }
+    if (isSceneBreak(node)) lines.push("\n", sceneBreakText(sceneBreak));
     if (node.type === "paragraph") lines.push("\n");
     if (node.type === "hardBreak") lines.push("\n");
     const content = node.content || [];
@@ -89,5 +541,6 @@ export function editorToPlainText(jsonDoc) {
     if (node.type === "listItem") lines.push("\n");
   };
   walk(jsonDoc);
+  if (notes.length) lines.push("\n\n", ...notes.map((text, i) => `[${i + 1}] ${text}\n`));
   return lines.join("").replace(/\n{3,}/g, "\n\n").trim();
 }
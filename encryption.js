@@ -0,0 +1,128 @@
+// encryption.js — optional end-to-end encryption of sync payloads (WebCrypto: PBKDF2 → AES-GCM)
+//
+// The server only ever sees an envelope:
+//   { format, version, syncRevision, kdf: { name, hash, iterations, salt }, check: { iv, data }, iv, data }
+// `check` is a known string encrypted with the same key, so a wrong passphrase can be told apart from
+// damaged data (AES-GCM rejects both). `syncRevision` stays in clear text for the sync bookkeeping.
+
+export const ENCRYPTED_FORMAT = "novelwriter-encrypted";
+const ENVELOPE_VERSION = 1;
+const PBKDF2_ITERATIONS = 310000;
+const KEY_CHECK = "novelwriter-key-check";
+
+const enc = new TextEncoder();
+const dec = new TextDecoder();
+
+function toBase64(bytes) {
+  let bin = "";
+  const view = new Uint8Array(bytes);
+  for (let i = 0; i < view.length; i += 0x8000) bin += String.fromCharCode(...view.subarray(i, i + 0x8000));
+  return btoa(bin);
+}
+
+function fromBase64(text) {
+  const bin = atob(String(text || ""));
+  const out = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+  return out;
+}
+
+function cryptoError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// PBKDF2 is deliberately slow; keep derived keys for the session (per passphrase + salt)
+const keyCache = new Map();
+
+async function deriveKey(passphrase, salt, iterations) {
+  const id = `${salt}:${iterations}`;
+  const cached = keyCache.get(id);
+  if (cached?.passphrase === passphrase) return cached.key;
+
+  const material = await crypto.subtle.importKey("raw", enc.encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  const key = await crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt: fromBase64(salt), iterations },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+  keyCache.set(id, { passphrase, key });
+  return key;
+}
+
+async function seal(key, bytes) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, bytes);
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+async function open(key, { iv, data }) {
+  return crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(iv) }, key, fromBase64(data));
+}
+
+export function isEncryptedPayload(raw) {
+  return raw?.format === ENCRYPTED_FORMAT;
+}
+
+export function newSalt() {
+  return toBase64(crypto.getRandomValues(new Uint8Array(16)));
+}
+
+// `salt` lets repeated pushes reuse the cached key; pass nothing to start a fresh key (new passphrase)
+export async function encryptPayload(payload, passphrase, { salt = newSalt() } = {}) {
+  if (!passphrase) throw cryptoError("Enter the sync passphrase first.", "passphrase-required");
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const body = await seal(key, enc.encode(JSON.stringify(payload)));
+  return {
+    format: ENCRYPTED_FORMAT,
+    version: ENVELOPE_VERSION,
+    syncRevision: payload?.syncRevision || 0,
+    kdf: { name: "PBKDF2", hash: "SHA-256", iterations: PBKDF2_ITERATIONS, salt },
+    check: await seal(key, enc.encode(KEY_CHECK)),
+    iv: body.iv,
+    data: body.data
+  };
+}
+
+function envelopeKey(envelope, passphrase) {
+  if (!passphrase) {
+    throw cryptoError("This novel is encrypted on the server. Enter the sync passphrase in Settings.", "passphrase-required");
+  }
+  if (Number(envelope.version) > ENVELOPE_VERSION) {
+    throw new Error("The server copy was encrypted by a newer version of NovelWriter. Update the app first.");
+  }
+  const { name, hash, iterations, salt } = envelope.kdf || {};
+  if (name !== "PBKDF2" || hash !== "SHA-256" || !salt || !iterations) {
+    throw new Error("Encrypted sync data is damaged (unknown key settings).");
+  }
+  // The count comes from the server: a tiny one would weaken the key, a huge one hang the app.
+  // Version 1 envelopes are always written with PBKDF2_ITERATIONS, so anything else is refused.
+  if (Number(iterations) !== PBKDF2_ITERATIONS) {
+    throw new Error("Encrypted sync data uses unexpected key settings (PBKDF2 iterations); it was not decrypted.");
+  }
+  return deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+}
+
+export async function verifyPassphrase(envelope, passphrase) {
+  const key = await envelopeKey(envelope, passphrase);
+  try {
+    return dec.decode(await open(key, envelope.check)) === KEY_CHECK;
+  } catch {
+    return false;
+  }
+}
+
+export async function decryptPayload(envelope, passphrase) {
+  if (!(await verifyPassphrase(envelope, passphrase))) {
+    throw cryptoError("Wrong sync passphrase: the server copy can't be decrypted with it.", "wrong-passphrase");
+  }
+  const key = await envelopeKey(envelope, passphrase);
+  try {
+    return JSON.parse(dec.decode(await open(key, envelope)));
+  } catch {
+    throw cryptoError("Encrypted sync data is damaged (authentication failed).", "damaged");
+  }
+}
@@ -1,5 +1,10 @@
-// export.js — DOCX/PDF/RTF exports (client-side, lazy-loaded libs)
+// export.js — DOCX/PDF/RTF/EPUB/Markdown exports (client-side, lazy-loaded libs)
 import { editorToPlainText } from "./editor.js";
+import { threadsOf } from "./comments.js";
+import { isDeletedText } from "./suggestions.js";
+import { footnotesOf } from "./footnotes.js";
+import { DEFAULT_SCENE_BREAK, sceneBreakText, sceneBreakPdfText, isSceneBreak } from "./scenebreak.js";
+import { PDF_FONTS, FONT_STYLES, CUSTOM_FONT_PREFIX, resolvePdfProfile, roundedWordCount, manuscriptHeader } from "./manuscript.js";
 
 function downloadBlob(blob, filename) {
   const url = URL.createObjectURL(blob);
@@ -27,9 +32,12 @@ function escapeHtml(s) {
     .replaceAll("'", "&#039;");
 }
 
-// Minimal Tiptap JSON → HTML (keeps basic marks).
-function tiptapJsonToHtml(doc) {
+// Minimal Tiptap JSON → HTML (keeps basic marks). Footnotes are numbered in order and listed after the
+// text, unless `footnote(n, text)` renders them in place. Scene breaks print the novel's glyph (`sceneBreak`,
+// a SCENE_BREAK_STYLES key). With `xhtml` the output is well-formed XML for EPUB (no named entities).
+export function tiptapJsonToHtml(doc, { footnote = null, sceneBreak = DEFAULT_SCENE_BREAK, xhtml = false } = {}) {
   if (!doc) return "<p></p>";
+  const notes = [];
   const renderNode = (node) => {
     if (!node) return "";
     const c = node.content || [];
@@ -37,17 +45,22 @@ function tiptapJsonToHtml(doc) {
 
     switch (node.type) {
       case "doc": return inner;
-      case "paragraph": return `<p>${inner || "&nbsp;"}</p>`;
+      case "paragraph": return `<p>${inner || (xhtml ? "&#160;" : "&nbsp;")}</p>`;
       case "heading": {
         const level = node.attrs?.level || 1;
         const tag = level === 1 ? "h2" : "h3";
         return `<${tag}>${inner}</${tag}>`;
       }
+      case "codeBlock": return `<pre><code>${inner}</code></pre>`;
       case "blockquote": return `<blockquote>${inner}</blockquote>`;
       case "bulletList": return `<ul>${inner}</ul>`;
       case "orderedList": return `<ol>${inner}</ol>`;
       case "listItem": return `<li>${inner}</li>`;
+      case "sceneBreak":
+      case "horizontalRule": return `<p class="sceneBreak" style="text-align:center">${escapeHtml(sceneBreakText(sceneBreak))}</p>`;
       case "text": {
+        // Suggested deletions are still pending; the export reads as the text stands
+        if (isDeletedText(node)) return "";
         let out = escapeHtml(node.text || "");
         const marks = node.marks || [];
         for (const m of marks) {
@@ -64,31 +77,386 @@ function tiptapJsonToHtml(doc) {
         return out;
       }
       case "hardBreak": return "<br/>";
+      case "footnote": {
+        if (isDeletedText(node)) return "";
+        notes.push(node.attrs?.text || "");
+        return footnote ? footnote(notes.length, notes[notes.length - 1]) : `<sup class="footnoteRef">${notes.length}</sup>`;
+      }
       default: return inner;
     }
   };
-  return renderNode(doc);
+  const html = renderNode(doc);
+  if (footnote || !notes.length) return html;
+  return `${html}<ol class="footnotes">${notes.map(t => `<li>${escapeHtml(t).replaceAll("\n", "<br/>")}</li>`).join("")}</ol>`;
+}
+
+// A textblock worth printing: any text, footnote or other inline object (not just spaces and line breaks)
+const hasContent = (node) => (node.content || []).some(c => (c.type === "text" ? !!c.text?.trim() : c.type !== "hardBreak"));
+
+// Textblocks of a chapter in reading order with the part they play, for the exports that keep its layout:
+//   { node, role: "body" | "quote" | "code" }
+//   { node, role: "heading", level }                      — the editor's heading level (1 or 2)
+//   { node, role: "list", depth, list: { ordered, id }, number } — number in its list (1-based), null for
+//                                                            further paragraphs of an item
+//   { sceneBreak: true }
+// Blank textblocks are left out. `lists` counts lists across calls, so every list has its own id.
+function layoutBlocks(content, lists = { count: 0 }) {
+  const out = [];
+  const walk = (node, { quote = false, depth = -1, item = null } = {}) => {
+    if (isSceneBreak(node)) {
+      out.push({ sceneBreak: true });
+      return;
+    }
+    switch (node.type) {
+      case "paragraph":
+        if (!hasContent(node)) return;
+        if (item) out.push({ node, role: "list", depth, list: item.list, number: item.number });
+        else out.push({ node, role: quote ? "quote" : "body" });
+        return;
+      case "heading":
+        if (hasContent(node)) out.push({ node, role: "heading", level: node.attrs?.level || 1 });
+        return;
+      case "codeBlock":
+        if (hasContent(node)) out.push({ node, role: "code" });
+        return;
+      case "blockquote":
+        for (const child of node.content || []) walk(child, { quote: true, depth, item });
+        return;
+      case "bulletList":
+      case "orderedList": {
+        const list = { ordered: node.type === "orderedList", id: ++lists.count };
+        const start = node.attrs?.start || 1;
+        (node.content || []).forEach((li, i) => (li.content || []).forEach((child, j) =>
+          walk(child, { quote, depth: depth + 1, item: { list, number: j === 0 ? start + i : null } })));
+        return;
+      }
+      default:
+        for (const child of node.content || []) walk(child, { quote, depth, item });
+    }
+  };
+  walk(content || { type: "doc" });
+  return out;
+}
+
+// Walks the outline (rows in reading order with `kind`, see outline.js; front and back matter rows from
+// compile.js) and yields what to print:
+//   { type: "heading", level, text, kind, node, hidden } — parts are level 1; chapters level 2 (level 1
+//                                                  without parts, and for matter); node is the outline row.
+//                                                  Every part and chapter has one; `hidden` ones (chapter
+//                                                  headings left out, or matter without a title) only
+//                                                  mark where it starts
+//   { type: "toc", entries }                     — the contents, after its heading: [{ text, level, node }]
+//                                                  for every part and chapter with a printed title
+//   { type: "sceneBreak" }                       — between scenes (and between a chapter's own text and its
+//                                                  scenes); breaks inside a text come with the body
+//   { type: "body", node, notes }                — the node's text; notes = its footnotes [{ n, text }] in order
+//   { type: "notes", notes }                     — endnotes, after each chapter or at the end of the book
+// Scene titles are planning labels and are never printed. Notes are numbered through the book, or per
+// chapter when they are printed after each chapter (`notePlacement`, see NOTE_PLACEMENTS).
+// The first printed heading or body of each part and chapter (and its hidden heading) has `chapterStart`
+// set to its kind ("part" or "chapter"): where a new page can begin.
+function* manuscriptBlocks(nodes, includeHeadings, notePlacement = "footnotes") {
+  const hasParts = nodes.some(n => n.kind === "part");
+  const levelOf = (node) => (node.kind === "part" || !hasParts || node.matter ? 1 : 2);
+  const titleOf = (node) => node.title || (node.kind === "part" ? "Untitled Part" : "Untitled Chapter");
+  const entries = nodes.filter(n => n.kind !== "scene" && !n.hideTitle && n.matter !== "toc")
+    .map(node => ({ text: titleOf(node), level: levelOf(node), node }));
+  let textSinceHeading = false;
+  let chapterStart = false;
+  let noteCount = 0;
+  let endnotes = [];
+  for (const node of nodes) {
+    const kind = node.kind || "chapter";
+    if (kind === "scene") {
+      if (textSinceHeading) yield { type: "sceneBreak" };
+    } else {
+      chapterStart = kind;
+      if (notePlacement === "chapter") {
+        if (endnotes.length) yield { type: "notes", notes: endnotes };
+        endnotes = [];
+        noteCount = 0;
+      }
+      textSinceHeading = false;
+      // Matter headings ("Contents", "Acknowledgements") print whether chapter headings do or not
+      const hidden = node.matter ? !!node.hideTitle : !includeHeadings;
+      yield { type: "heading", level: levelOf(node), kind, node, chapterStart, hidden, text: titleOf(node) };
+      if (!hidden) chapterStart = false;
+      if (node.matter === "toc") yield { type: "toc", entries };
+    }
+    if (editorToPlainText(node.content).trim()) {
+      const notes = footnotesOf(node.content).map(note => ({ n: ++noteCount, text: note.text }));
+      if (notePlacement !== "footnotes") endnotes.push(...notes);
+      yield { type: "body", node, notes, chapterStart };
+      textSinceHeading = true;
+      chapterStart = false;
+    }
+  }
+  if (endnotes.length) yield { type: "notes", notes: endnotes };
+}
+
+const NOTES_HEADING = "Notes";
+
+// A suggested change on an inline node as a Word revision ({ id, author, date } for InsertedTextRun /
+// DeletedTextRun), or null. Word wants a unique number on every revision run; the import puts runs with
+// the same author and date back together.
+function revisionOf(node, revisions) {
+  const mark = (node.marks || []).find(m => m.type === "insertion" || m.type === "deletion");
+  if (!mark) return null;
+  return {
+    type: mark.type,
+    id: ++revisions.count,
+    author: mark.attrs?.author || "Anonymous",
+    date: new Date(mark.attrs?.date || Date.now()).toISOString()
+  };
 }
 
-export async function exportDOCX({ novelTitle, chapters, includeHeadings }) {
+// A note's text as runs (its line breaks kept)
+const docxNoteRuns = (docx, text) => String(text || "").split("\n").map((line, i) => new docx.TextRun({ text: line, break: i ? 1 : 0 }));
+
+const initialsOf = (name) => (name || "").split(/\s+/).filter(Boolean).map(w => w[0]).join("").slice(0, 3).toUpperCase();
+
+// Named Word styles of the DOCX manuscript, so an agent or editor can restyle the whole book at once.
+// Title and the headings inside chapters (editor H1/H2 → Word Heading 3/4) are Word's built-in styles.
+const DOCX_STYLE = {
+  body: "Body",
+  quote: "BlockQuote",
+  part: "PartHeading",
+  chapter: "ChapterHeading",
+  sceneBreak: "SceneBreak",
+  code: "CodeBlock",
+  list: "ListParagraph"
+};
+const DOCX_FONT = "Times New Roman";
+const DOCX_CODE_FONT = "Courier New";
+const DOCX_INDENT = 720; // twips (half an inch)
+const DOCX_LIST_LEVELS = 9; // Word's maximum
+
+function docxStyles(docx) {
+  const { AlignmentType } = docx;
+  const heading = (size, italics = false) => ({
+    run: { font: DOCX_FONT, size, bold: true, italics, color: "000000" },
+    paragraph: { spacing: { before: 240, after: 120 }, keepNext: true }
+  });
+  return {
+    default: {
+      document: { run: { font: DOCX_FONT, size: 24 } },
+      title: {
+        run: { font: DOCX_FONT, size: 48, bold: true, color: "000000" },
+        paragraph: { alignment: AlignmentType.CENTER, spacing: { before: 2880, after: 480 } }
+      },
+      heading3: heading(26),
+      heading4: heading(24, true),
+      listParagraph: { paragraph: { spacing: { line: 360 } } }
+    },
+    paragraphStyles: [
+      {
+        id: DOCX_STYLE.body, name: "Body", basedOn: "Normal", next: DOCX_STYLE.body, quickFormat: true,
+        paragraph: { indent: { firstLine: DOCX_INDENT }, spacing: { line: 360, after: 0 } }
+      },
+      {
+        id: DOCX_STYLE.quote, name: "Block Quote", basedOn: DOCX_STYLE.body, next: DOCX_STYLE.body, quickFormat: true,
+        paragraph: { indent: { left: DOCX_INDENT, right: DOCX_INDENT, firstLine: 0 }, spacing: { before: 120, after: 120 } }
+      },
+      {
+        id: DOCX_STYLE.part, name: "Part Heading", basedOn: "Normal", next: DOCX_STYLE.body, quickFormat: true,
+        run: { size: 36, bold: true },
+        paragraph: { alignment: AlignmentType.CENTER, spacing: { before: 2400, after: 480 }, keepNext: true }
+      },
+      {
+        id: DOCX_STYLE.chapter, name: "Chapter Heading", basedOn: "Normal", next: DOCX_STYLE.body, quickFormat: true,
+        run: { size: 32, bold: true },
+        paragraph: { alignment: AlignmentType.CENTER, spacing: { before: 1440, after: 480 }, keepNext: true }
+      },
+      {
+        id: DOCX_STYLE.sceneBreak, name: "Scene Break", basedOn: "Normal", next: DOCX_STYLE.body,
+        paragraph: { alignment: AlignmentType.CENTER, spacing: { before: 240, after: 240 } }
+      },
+      {
+        id: DOCX_STYLE.code, name: "Code Block", basedOn: "Normal", next: DOCX_STYLE.body,
+        run: { font: DOCX_CODE_FONT, size: 20 }
+      }
+    ]
+  };
+}
+
+// Bullets and numbers for nested lists (numbers go 1. → a. → i. with depth)
+function docxNumbering(docx) {
+  const { AlignmentType, LevelFormat } = docx;
+  const levels = (format, text) => Array.from({ length: DOCX_LIST_LEVELS }, (_, level) => ({
+    level,
+    format: format(level),
+    text: text(level),
+    alignment: AlignmentType.LEFT,
+    style: { paragraph: { indent: { left: DOCX_INDENT * (level + 1), hanging: 360 } } }
+  }));
+  const numberFormats = [LevelFormat.DECIMAL, LevelFormat.LOWER_LETTER, LevelFormat.LOWER_ROMAN];
+  return {
+    config: [
+      { reference: "bullets", levels: levels(() => LevelFormat.BULLET, level => ["•", "◦", "▪"][level % 3]) },
+      { reference: "numbers", levels: levels(level => numberFormats[level % 3], level => `%${level + 1}.`) }
+    ]
+  };
+}
+
+// Editor marks → docx run options
+function docxRunFormat(marks) {
+  const format = {};
+  for (const m of marks || []) {
+    if (m.type === "bold") format.bold = true;
+    else if (m.type === "italic") format.italics = true;
+    else if (m.type === "underline") format.underline = {};
+    else if (m.type === "strike") format.strike = true;
+    else if (m.type === "code") format.font = DOCX_CODE_FONT;
+  }
+  return format;
+}
+
+// Word paragraph options of a layout block (see layoutBlocks)
+function docxFormat(docx, block) {
+  switch (block.role) {
+    case "quote": return { style: DOCX_STYLE.quote };
+    case "code": return { style: DOCX_STYLE.code };
+    case "heading": return { heading: block.level === 1 ? docx.HeadingLevel.HEADING_3 : docx.HeadingLevel.HEADING_4 };
+    case "list": {
+      const level = Math.min(block.depth, DOCX_LIST_LEVELS - 1);
+      // Further paragraphs of a list item line up with its text
+      if (block.number === null) return { style: DOCX_STYLE.list, indent: { left: DOCX_INDENT * (level + 1) } };
+      return { style: DOCX_STYLE.list, numbering: { reference: block.list.ordered ? "numbers" : "bullets", level, instance: block.list.id } };
+    }
+    default: return { style: DOCX_STYLE.body };
+  }
+}
+
+// One DOCX paragraph per textblock of a node, styled by layoutBlocks and with its marks as run formatting.
+// With `comments` (an array collecting Word comments), the node's open threads become Word comments on
+// their text: one per message, since docx can't thread replies. A Word comment covers a single range, so a
+// thread spans from its first to its last commented text. Suggested insertions/deletions become tracked
+// changes (`revisions` numbers them across the document). Footnote references become Word footnotes
+// collected in `footnotes` (by number), or superscript numbers when `footnotes` is null and the notes are
+// printed as endnotes. Scene breaks are `breakText` in the Scene Break style. `pageBreakBefore` starts the
+// first paragraph on a new page.
+function docxParagraphs(docx, content, { comments, revisions, lists, notes, footnotes, breakText, pageBreakBefore = false }) {
+  const { Paragraph, TextRun, InsertedTextRun, DeletedTextRun, FootnoteReferenceRun, CommentRangeStart, CommentRangeEnd, CommentReference } = docx;
+  const runOf = (child) => {
+    const options = child.type === "hardBreak" ? { break: 1 } : { text: child.text || "", ...docxRunFormat(child.marks) };
+    const revision = revisionOf(child, revisions);
+    if (!revision) return new TextRun(options);
+    const { type, ...change } = revision;
+    return type === "insertion" ? new InsertedTextRun({ ...options, ...change }) : new DeletedTextRun({ ...options, ...change });
+  };
+  const blocks = layoutBlocks(content, lists).map(b => (b.sceneBreak ? b : { ...b, format: docxFormat(docx, b) }));
+  const open = comments ? new Map(threadsOf(content).filter(t => !t.resolved && t.messages?.length).map(t => [t.id, t])) : new Map();
+  const threadIds = (node) => (node.marks || []).filter(m => m.type === "comment" && open.has(m.attrs?.threadId)).map(m => m.attrs.threadId);
+
+  // Where each thread's range ends (index of its last inline node)
+  const last = new Map();
+  let n = 0;
+  for (const { node } of blocks) {
+    for (const child of node?.content || []) {
+      n++;
+      for (const id of threadIds(child)) last.set(id, n);
+    }
+  }
+
+  const wordIds = new Map(); // thread id → Word comment ids, once its range started
+  const paragraphs = [];
+  let noteIndex = 0;
+  n = 0;
+  for (const { node, format, sceneBreak } of blocks) {
+    if (sceneBreak) {
+      paragraphs.push(new Paragraph({ text: breakText, style: DOCX_STYLE.sceneBreak }));
+      continue;
+    }
+    const runs = [];
+    for (const child of node.content || []) {
+      n++;
+      const ids = threadIds(child);
+      for (const id of ids) {
+        if (wordIds.has(id)) continue;
+        wordIds.set(id, open.get(id).messages.map((m) => {
+          const wid = comments.length;
+          comments.push({
+            id: wid,
+            author: m.author || "Anonymous",
+            initials: initialsOf(m.author),
+            date: new Date(m.createdAt || Date.now()),
+            children: String(m.text || "").split("\n").map(line => new Paragraph({ children: [new TextRun(line)] }))
+          });
+          return wid;
+        }));
+        for (const wid of wordIds.get(id)) runs.push(new CommentRangeStart(wid));
+      }
+      if (child.type === "text" || child.type === "hardBreak") runs.push(runOf(child));
+      else if (child.type === "footnote" && !isDeletedText(child)) {
+        const note = notes[noteIndex++];
+        if (footnotes) {
+          footnotes[note.n] = { children: [new Paragraph({ children: docxNoteRuns(docx, note.text) })] };
+          runs.push(new FootnoteReferenceRun(note.n));
+        } else {
+          runs.push(new TextRun({ text: String(note.n), superScript: true }));
+        }
+      }
+      for (const id of ids) {
+        if (last.get(id) !== n) continue;
+        for (const wid of wordIds.get(id)) {
+          runs.push(new CommentRangeEnd(wid));
+          runs.push(new TextRun({ children: [new CommentReference(wid)] }));
+        }
+      }
+    }
+    paragraphs.push(new Paragraph({ ...format, pageBreakBefore: pageBreakBefore && !paragraphs.length, children: runs }));
+  }
+  return paragraphs;
+}
+
+export async function exportDOCX({ novelTitle, chapters, includeHeadings, includeComments = false, notePlacement = "footnotes", sceneBreak, titlePage = true }) {
   // Lazy load docx (big)
   const docx = await import("https://esm.sh/docx@9.5.0");
   const { Document, Packer, Paragraph, TextRun, HeadingLevel } = docx;
 
-  const docChildren = [];
-  for (const ch of chapters) {
-    if (includeHeadings) {
-      docChildren.push(new Paragraph({ text: ch.title || "Untitled Chapter", heading: HeadingLevel.HEADING_1 }));
+  const comments = includeComments ? [] : null;
+  const revisions = { count: 0 };
+  const lists = { count: 0 };
+  const footnotes = notePlacement === "footnotes" ? {} : null;
+  const breakText = sceneBreakText(sceneBreak);
+  // A title page, then every part and chapter on a new page
+  const docChildren = titlePage ? [new Paragraph({ text: novelTitle || "Untitled Novel", heading: HeadingLevel.TITLE })] : [];
+  // (not before the first page)
+  const newPage = (block) => !!block.chapterStart && docChildren.length > 0;
+  for (const block of manuscriptBlocks(chapters, includeHeadings, notePlacement)) {
+    if (block.type === "heading") {
+      if (block.hidden) continue;
+      docChildren.push(new Paragraph({
+        text: block.text,
+        style: block.kind === "part" ? DOCX_STYLE.part : DOCX_STYLE.chapter,
+        outlineLevel: block.level - 1,
+        pageBreakBefore: newPage(block)
+      }));
+    } else if (block.type === "toc") {
+      for (const entry of block.entries) {
+        docChildren.push(new Paragraph({ text: entry.text, indent: { left: DOCX_INDENT * (entry.level - 1) }, spacing: { after: 120 } }));
+      }
+    } else if (block.type === "sceneBreak") {
+      docChildren.push(new Paragraph({ text: breakText, style: DOCX_STYLE.sceneBreak }));
+    } else if (block.type === "notes") {
+      docChildren.push(new Paragraph({ text: NOTES_HEADING, heading: HeadingLevel.HEADING_3 }));
+      for (const note of block.notes) {
+        docChildren.push(new Paragraph({ children: [new TextRun(`${note.n}. `), ...docxNoteRuns(docx, note.text)] }));
+      }
+    } else {
+      docChildren.push(...docxParagraphs(docx, block.node.content, {
+        comments, revisions, lists, notes: block.notes, footnotes, breakText, pageBreakBefore: newPage(block)
+      }));
     }
-    const text = editorToPlainText(ch.content);
-    const paras = text.split(/\n\n+/).filter(Boolean);
-    for (const p of paras) docChildren.push(new Paragraph({ children: [new TextRun(p)] }));
-    docChildren.push(new Paragraph({ text: "" }));
   }
 
   const doc = new Document({
     creator: "NovelWriter",
     title: novelTitle || "Untitled Novel",
+    styles: docxStyles(docx),
+    numbering: docxNumbering(docx),
+    ...(comments?.length ? { comments: { children: comments } } : {}),
+    ...(footnotes && Object.keys(footnotes).length ? { footnotes } : {}),
     sections: [{ properties: {}, children: docChildren }]
   });
 
@@ -96,7 +464,439 @@ export async function exportDOCX({ novelTitle, chapters, includeHeadings }) {
   downloadBlob(blob, `${safeFilename(novelTitle)}.docx`);
 }
 
-export async function exportPDF({ novelTitle, chapters, includeHeadings }) {
+// pdfmake has no footnotes, so they are printed in each page's footer. Footers are laid out after the
+// body, when every paragraph knows the page of each of its lines; a note goes on the page of the line
+// its reference is on (estimated from where the reference sits in the paragraph). Page sizes, fonts and
+// the manuscript conventions of each profile are in manuscript.js.
+const PDF_QUOTE_INDENT = 36;
+const PDF_LIST_INDENT = 18;
+const PDF_SUP_SCALE = 0.58; // pdfmake's superscript size
+const PDF_DROP_CAP_GAP = 0.3; // space after a drop cap, in ems of the text size
+const ROBOTO_FILES = { normal: "Roboto-Regular.ttf", bold: "Roboto-Medium.ttf", italics: "Roboto-Italic.ttf", bolditalics: "Roboto-MediumItalic.ttf" };
+
+// Editor marks → pdfmake text options (inline code keeps the text font: the PDF embeds one family)
+function pdfRunFormat(marks) {
+  const format = {};
+  const decoration = [];
+  for (const m of marks || []) {
+    if (m.type === "bold") format.bold = true;
+    else if (m.type === "italic") format.italics = true;
+    else if (m.type === "underline") decoration.push("underline");
+    else if (m.type === "strike") decoration.push("lineThrough");
+  }
+  if (decoration.length) format.decoration = decoration.length > 1 ? decoration : decoration[0];
+  return format;
+}
+
+// A textblock as pdfmake runs ({ text, ...format }, "\n" for line breaks). Footnote references become
+// superscript numbers from `nextNote()`. → { runs, chars, refs: [{ chars, n, text }] } where `chars` is
+// the length of the text and each ref's `chars` the text before it.
+function pdfRuns(node, nextNote) {
+  const runs = [];
+  const refs = [];
+  let chars = 0;
+  for (const child of node.content || []) {
+    if (isDeletedText(child)) continue;
+    if (child.type === "text") {
+      runs.push({ text: child.text || "", ...pdfRunFormat(child.marks) });
+      chars += (child.text || "").length;
+    } else if (child.type === "hardBreak") {
+      runs.push({ text: "\n" });
+    } else if (child.type === "footnote") {
+      const note = nextNote();
+      runs.push({ text: String(note.n), sup: true });
+      refs.push({ chars, ...note });
+    }
+  }
+  return { runs, chars, refs };
+}
+
+// Runs cut in two after `chars` characters (footnote numbers count as text here)
+function splitRuns(runs, chars) {
+  const before = [];
+  const after = [];
+  let left = chars;
+  for (const run of runs) {
+    if (left >= run.text.length) before.push(run);
+    else if (left <= 0) after.push(run);
+    else {
+      before.push({ ...run, text: run.text.slice(0, left) });
+      after.push({ ...run, text: run.text.slice(left) });
+    }
+    left -= run.text.length;
+  }
+  return [before, after];
+}
+
+// How much of a paragraph fills its first `lines` lines at `width`, wrapping the way pdfmake does: words
+// break after spaces and hyphens, a word that doesn't fit starts the next line. `measure(text, run)` is the
+// width of text in a run. → { chars, lastLineStart, lastLineWidth (without trailing spaces), complete
+// (everything fitted), forced (the last line ends in a line break) }
+function fitLines(runs, width, lines, measure) {
+  const words = [];
+  for (const run of runs) {
+    for (const piece of run.text.match(/\n|[^\s-]*-+|[^\s-]+[^\S\n]*|[^\S\n]+/g) || []) {
+      if (piece === "\n") {
+        words.push({ newline: true, chars: 1 });
+        continue;
+      }
+      const trailing = piece.match(/[^\S\n]*$/)[0];
+      const word = { width: measure(piece, run), trailing: trailing ? measure(trailing, run) : 0, chars: piece.length, open: !/[\s-]$/.test(piece) };
+      // A word split across runs (a mark in the middle of it) wraps as one
+      const last = words.at(-1);
+      if (last?.open) Object.assign(last, { width: last.width + word.width, trailing: word.trailing, chars: last.chars + word.chars, open: word.open });
+      else words.push(word);
+    }
+  }
+  let line = 1;
+  let chars = 0;
+  let lineStart = 0;
+  let used = 0;
+  let trailing = 0;
+  for (const word of words) {
+    if (word.newline || (used > 0 && used + word.width - word.trailing > width)) {
+      if (line === lines) {
+        return { chars: chars + (word.newline ? 1 : 0), lastLineStart: lineStart, lastLineWidth: used - trailing, complete: false, forced: !!word.newline };
+      }
+      line++;
+      if (word.newline) chars++;
+      lineStart = chars;
+      used = 0;
+      trailing = 0;
+      if (word.newline) continue;
+    }
+    used += word.width;
+    trailing = word.trailing;
+    chars += word.chars;
+  }
+  return { chars, lastLineStart: lineStart, lastLineWidth: used - trailing, complete: true, forced: false };
+}
+
+// pdfmake never justifies the last line of a paragraph, and the lines beside a drop cap are a paragraph of
+// their own: their last line gets its spaces widened to the edge. Spaces are invisible, so each one just
+// needs the right measured width: one extra space with a (possibly negative) characterSpacing gives it.
+function justifyLastLine(runs, fit, width, measure) {
+  const [head, last] = splitRuns(runs, fit.lastLineStart);
+  const gaps = last.map(r => r.text).join("").trimEnd().match(/ +/g)?.length || 0;
+  const extra = (width - fit.lastLineWidth - 0.5) / gaps;
+  if (!gaps || !(extra > 0)) return runs;
+  const out = [...head];
+  let seen = 0;
+  for (const run of last) {
+    for (const piece of run.text.split(/( +)/)) {
+      if (!piece) continue;
+      if (piece[0] !== " " || seen === gaps) {
+        out.push({ ...run, text: piece });
+        continue;
+      }
+      seen++;
+      const text = `${piece} `;
+      out.push({ ...run, text, characterSpacing: (measure(piece, run) + extra - measure(text, run)) / (text.length - 1) });
+    }
+  }
+  return out;
+}
+
+// A chapter's first paragraph with a drop cap: the initial (with any opening quote) spans `dropCapLines`
+// lines, its top on the cap height of the first line; the text of those lines sits in a column beside it
+// and the rest of the paragraph follows at full width. → { nodes, parts: [{ node, from, to }] } (which
+// characters of the paragraph each text node holds), or null when the paragraph doesn't start with a letter.
+function dropCapNodes(runs, chars, { profile, tools, textWidth }) {
+  const initial = runs[0]?.sup ? null : runs[0]?.text.match(/^["“‘'«(]*\p{L}/u)?.[0];
+  if (!initial) return null;
+  const size = profile.fontSize;
+  const { ascent, descent, capHeight } = tools.metrics();
+  const lineHeight = size * (ascent - descent) * profile.lineHeight;
+  const lines = profile.dropCapLines;
+  const capSize = ((lines - 1) * lineHeight + capHeight * size) / capHeight;
+  // Lift the cap so its top lines up with the capitals of the first line
+  const lift = (ascent - capHeight) * (capSize - size);
+  const capWidth = tools.measure(initial, {}, capSize) + PDF_DROP_CAP_GAP * size;
+  const width = textWidth - capWidth;
+
+  const rest = [{ ...runs[0], text: runs[0].text.slice(initial.length) }, ...runs.slice(1)];
+  const measure = (text, run) => tools.measure(text, run, run.sup ? size * PDF_SUP_SCALE : size);
+  const fit = fitLines(rest, width, lines, measure);
+  const [beside, below] = splitRuns(rest, fit.chars);
+  const justify = profile.alignment === "justify" && !fit.complete && !fit.forced;
+  const gap = profile.paragraphGap;
+  const besideNode = { text: justify ? justifyLastLine(beside, fit, width, measure) : beside, alignment: profile.alignment };
+  const cap = { width: capWidth, text: initial, fontSize: capSize, margin: [0, -lift, 0, 0], lineHeight: (lines * lineHeight + lift) / (capSize * (ascent - descent)) };
+  const nodes = [{ columns: [cap, { width: "*", stack: [besideNode] }], columnGap: 0, margin: [0, 0, 0, below.length ? 0 : gap] }];
+  const from = initial.length;
+  const parts = [{ node: besideNode, from, to: from + fit.chars }];
+  if (below.length) {
+    const belowNode = { text: below, alignment: profile.alignment, margin: [0, 0, 0, gap] };
+    nodes.push(belowNode);
+    parts.push({ node: belowNode, from: from + fit.chars, to: chars });
+  }
+  return { nodes, parts };
+}
+
+function pdfLayout({ novelTitle, chapters, includeHeadings, notePlacement, sceneBreak, sceneBreakChosen, titlePage, profile, family, tools, author, surname, contact, words, bottomMargin, tocPages = null }) {
+  const { page, margins } = profile;
+  const title = novelTitle || "Untitled Novel";
+  // Mirrored pages are laid out with the inside margin on both sides, then cropped (see mirrorPages)
+  const sideMargin = profile.mirrored ? margins.inside : margins.outside;
+  const pageWidth = profile.mirrored ? page.width + margins.inside - margins.outside : page.width;
+  const textWidth = page.width - margins.inside - margins.outside;
+  const noteSize = profile.fontSize - 2;
+  const lists = { count: 0 };
+  // A break chosen when compiling wins over the profile's
+  const breakNode = () => ({ text: (!sceneBreakChosen && profile.sceneBreak) || sceneBreakPdfText(sceneBreak), alignment: "center", margin: profile.sceneBreakMargin });
+
+  const content = [];
+  const refs = []; // { paragraph, at (0..1), n, text }
+  const openings = []; // first node of each page-opening part or chapter (no running head there)
+  const starts = new Map(); // outline row id → its first node, for the page numbers in the contents
+  let hasToc = false;
+
+  // Profiles without a title page of their own get the book's
+  const titleStyle = titlePage ? profile.titlePage || "book" : null;
+  if (titleStyle === "manuscript") {
+    const contactLines = [author, ...String(contact || "").split("\n")].map(l => l.trim()).filter(Boolean);
+    const contactHeight = Math.max(1, contactLines.length) * profile.fontSize * 1.2;
+    content.push(
+      { columns: [{ width: "*", text: contactLines.join("\n") || " " }, { width: "auto", text: roundedWordCount(words) }], lineHeight: 1 },
+      { stack: [title, ...(author ? [{ text: `by ${author}`, margin: [0, profile.fontSize, 0, 0] }] : [])], alignment: "center", margin: [0, Math.max(24, page.height * 0.4 - margins.top - contactHeight), 0, 0] }
+    );
+  } else if (titleStyle === "book") {
+    content.push({
+      stack: [{ text: title, fontSize: profile.headingSizes[0] + 8 }, ...(author ? [{ text: author, fontSize: profile.fontSize + 3, margin: [0, 24, 0, 0] }] : [])],
+      alignment: "center",
+      margin: [0, page.height * 0.25, 0, 0]
+    });
+  }
+  const frontPages = content.length ? 1 : 0;
+
+  let indentNext = true;
+  let dropCapNext = false;
+  let startRows = []; // rows whose heading isn't printed: their first paragraph is where they start
+  // Front and back matter are pages of their own in every profile, and so is what follows them
+  const ownPage = new Set();
+  let matterBefore = false;
+  let previous = null;
+  for (const row of chapters) {
+    if (row.kind !== "scene") {
+      matterBefore = !!(row.matter || previous?.matter);
+      previous = row;
+    }
+    if (matterBefore) ownPage.add(row.id);
+  }
+  for (const block of manuscriptBlocks(chapters, includeHeadings, notePlacement)) {
+    const newPage = !!block.chapterStart && content.length > 0 &&
+      (profile.chapterPage === "chapter" || block.chapterStart === "part" || ownPage.has(block.node?.id));
+    // The first node of the block carries its page break
+    const opening = (node) => {
+      if (newPage) {
+        node.pageBreak = "before";
+        openings.push(node);
+      }
+      return node;
+    };
+    if (block.chapterStart) dropCapNext = profile.dropCapLines > 0 && !!tools && !block.node?.matter;
+
+    if (block.type === "heading") {
+      if (block.hidden) {
+        startRows.push(block.node.id);
+        continue;
+      }
+      const top = newPage || !content.length ? profile.chapterSink : 12;
+      const node = opening({ text: block.text, style: `h${block.level}`, margin: [0, top, 0, profile.headingGap] });
+      content.push(node);
+      starts.set(block.node.id, node);
+      indentNext = profile.indentFirst;
+    } else if (block.type === "toc") {
+      // Page numbers come from the previous layout (any three digits until then)
+      hasToc = true;
+      for (const entry of block.entries) {
+        const page = tocPages ? tocPages.get(entry.node.id) ?? "" : "000";
+        content.push({ columns: [{ width: "*", text: entry.text }, { width: "auto", text: String(page) }], columnGap: 12, margin: [PDF_LIST_INDENT * (entry.level - 1), 0, 0, 4] });
+      }
+      indentNext = profile.indentFirst;
+    } else if (block.type === "sceneBreak") {
+      content.push(breakNode());
+      indentNext = profile.indentFirst;
+    } else if (block.type === "notes") {
+      content.push({ text: NOTES_HEADING, bold: true, margin: [0, 8, 0, 4] });
+      for (const note of block.notes) content.push({ text: `${note.n}. ${note.text}`, fontSize: profile.fontSize - 1, margin: [0, 0, 0, 4] });
+      content.push({ text: " ", margin: [0, 0, 0, 8] });
+    } else {
+      let noteIndex = 0;
+      const nextNote = () => block.notes[noteIndex++];
+      let first = true;
+      for (const b of layoutBlocks(block.node.content, lists)) {
+        if (b.sceneBreak) {
+          content.push(breakNode());
+          indentNext = profile.indentFirst;
+          continue;
+        }
+        const { runs, chars, refs: paragraphRefs } = pdfRuns(b.node, nextNote);
+        const gap = profile.paragraphGap;
+        let parts = null;
+        if (b.role === "body" && dropCapNext) {
+          const dropped = dropCapNodes(runs, chars, { profile, tools, textWidth });
+          if (dropped) {
+            content.push(...dropped.nodes);
+            ({ parts } = dropped);
+            if (first) opening(dropped.nodes[0]);
+          }
+        }
+        if (!parts) {
+          let node;
+          switch (b.role) {
+            case "quote": node = { text: runs, alignment: profile.alignment, margin: [PDF_QUOTE_INDENT, 0, PDF_QUOTE_INDENT, gap] }; break;
+            case "code": node = { text: runs, preserveLeadingSpaces: true, margin: [0, 0, 0, gap] }; break;
+            case "heading": node = { text: runs, bold: true, fontSize: profile.fontSize + (b.level === 1 ? 2 : 1), margin: [0, gap, 0, gap / 2] }; break;
+            case "list": {
+              const marker = b.number === null ? "" : b.list.ordered ? `${b.number}. ` : "• ";
+              node = { text: [marker, ...runs], margin: [PDF_LIST_INDENT * (b.depth + 1), 0, 0, gap] };
+              break;
+            }
+            default: node = { text: runs, alignment: profile.alignment, leadingIndent: indentNext ? profile.indent : 0, margin: [0, 0, 0, gap] };
+          }
+          content.push(first ? opening(node) : node);
+          parts = [{ node, from: 0, to: chars }];
+        }
+        for (const ref of paragraphRefs) {
+          const part = parts.find(p => ref.chars < p.to) || parts.at(-1);
+          refs.push({ ...ref, paragraph: part.node, at: part.to > part.from ? (ref.chars - part.from) / (part.to - part.from) : 0 });
+        }
+        if (first) for (const id of startRows) starts.set(id, parts[0].node);
+        startRows = [];
+        first = false;
+        dropCapNext = false;
+        indentNext = b.role === "body" || b.role === "quote" || profile.indentFirst;
+      }
+      if (profile.paragraphGap) content.push({ text: " ", margin: [0, 0, 0, profile.paragraphGap] });
+    }
+  }
+
+  const pageOf = ({ paragraph, at }) => {
+    const lines = paragraph.positions || [];
+    return lines.length ? lines[Math.min(lines.length - 1, Math.floor(at * lines.length))].pageNumber : null;
+  };
+  const opensChapter = (pageNumber) => openings.some(node => node.positions?.[0]?.pageNumber === pageNumber);
+
+  const header = (pageNumber) => {
+    if (!profile.header || pageNumber <= frontPages) return null;
+    const margin = [margins.inside, margins.top / 2, sideMargin, 0];
+    if (profile.header === "manuscript") {
+      return { text: manuscriptHeader({ author, surname, title }, pageNumber - frontPages), alignment: "right", lineHeight: 1, margin };
+    }
+    // Book: the author over left-hand (even) pages, the title over right-hand ones; none on opening pages
+    if (opensChapter(pageNumber)) return null;
+    return { text: pageNumber % 2 || !author ? title : author, alignment: "center", italics: true, fontSize: profile.fontSize - 1, lineHeight: 1, margin };
+  };
+
+  const footers = new Map(); // page → the notes printed in its footer
+  const footer = (pageNumber) => {
+    const notes = refs.filter(ref => pageOf(ref) === pageNumber)
+      .map(ref => ({ text: [{ text: `${ref.n} `, sup: true }, ref.text], fontSize: noteSize, lineHeight: 1, margin: [0, 0, 0, 2] }));
+    const number = profile.pageNumbers && pageNumber > frontPages;
+    if (!notes.length && !number) return null;
+    const stack = [];
+    if (notes.length) {
+      footers.set(pageNumber, notes);
+      stack.push({ canvas: [{ type: "line", x1: 0, y1: 0, x2: 120, y2: 0, lineWidth: 0.5 }], margin: [0, 0, 0, 4] }, ...notes);
+    }
+    if (number) stack.push({ text: String(pageNumber - frontPages), alignment: "center", fontSize: noteSize, lineHeight: 1, margin: [0, notes.length ? 4 : margins.bottom / 2 - 6, 0, 0] });
+    return { stack, margin: [margins.inside, 6, sideMargin, 0] };
+  };
+
+  const heading = (level) => ({ fontSize: profile.headingSizes[level - 1], bold: profile.headingBold, alignment: profile.headingAlign });
+  const docDef = {
+    info: { title, ...(author ? { author } : {}) },
+    pageSize: { width: pageWidth, height: page.height },
+    content,
+    header,
+    footer,
+    styles: { h1: heading(1), h2: heading(2) },
+    defaultStyle: { font: family, fontSize: profile.fontSize, lineHeight: profile.lineHeight },
+    pageMargins: [margins.inside, margins.top, sideMargin, bottomMargin]
+  };
+  // Height the longest footer took (call after the layout ran)
+  const footerHeight = () => Math.max(0, ...[...footers.values()].map(notes =>
+    12 + (profile.pageNumbers ? noteSize * 1.2 + 4 : 0) + notes.reduce((sum, note) => sum + Math.max(1, note.positions?.length || 1) * noteSize * 1.2 + 2, 0)));
+  // Page of each part and chapter as the pages are numbered (call after the layout ran)
+  const startPages = () => new Map([...starts]
+    .map(([id, node]) => [id, node.positions?.[0]?.pageNumber])
+    .filter(([, page]) => page)
+    .map(([id, page]) => [id, page - frontPages]));
+  return { docDef, hasFootnotes: refs.length > 0, hasToc, footerHeight, startPages };
+}
+
+const base64Bytes = (data) => Uint8Array.from(atob(data), c => c.charCodeAt(0));
+
+// The PDF's font as a pdfmake font entry ({ family, files }), its files added to `vfs`: Roboto from
+// pdfmake, the others downloaded (see PDF_FONTS), or a custom font ({ id, files }) from the library.
+async function loadPdfFont(fontId, customFont, vfs) {
+  if (fontId.startsWith(CUSTOM_FONT_PREFIX)) {
+    if (!customFont) throw new Error("The PDF font was removed. Choose another font in the export options.");
+    const family = `Custom-${customFont.id}`;
+    const files = {};
+    for (const style of FONT_STYLES) {
+      files[style] = `${family}-${style}.ttf`;
+      // Missing styles fall back to the regular one (no synthetic bold or italics)
+      vfs[files[style]] = new Uint8Array(customFont.files[style] || customFont.files.normal);
+    }
+    return { family, files };
+  }
+  const font = PDF_FONTS[fontId] || PDF_FONTS.roboto;
+  if (!font.files) return { family: "Roboto", files: ROBOTO_FILES };
+  const files = {};
+  await Promise.all(FONT_STYLES.map(async (style) => {
+    const res = await fetch(font.files[style]).catch(() => null);
+    if (!res?.ok) throw new Error(`Couldn't download the font ${font.label}. It is saved for offline use after the first export.`);
+    files[style] = `${font.family}-${style}.ttf`;
+    vfs[files[style]] = new Uint8Array(await res.arrayBuffer());
+  }));
+  return { family: font.family, files };
+}
+
+// Glyph widths and vertical metrics (in ems) of the PDF font, for the layout pdfmake can't do (drop caps)
+async function pdfFontTools(files, vfs) {
+  const fontkitMod = await import("https://esm.sh/fontkit@2.0.4");
+  const fontkit = fontkitMod.create ? fontkitMod : fontkitMod.default;
+  const fonts = {};
+  for (const style of FONT_STYLES) {
+    const data = vfs[files[style]];
+    fonts[style] = fontkit.create(typeof data === "string" ? base64Bytes(data) : data);
+  }
+  const fontOf = (run) => fonts[run.bold ? (run.italics ? "bolditalics" : "bold") : run.italics ? "italics" : "normal"];
+  return {
+    measure(text, run, size) {
+      const font = fontOf(run);
+      return (font.layout(text).advanceWidth / font.unitsPerEm) * size + (run.characterSpacing || 0) * Math.max(0, text.length - 1);
+    },
+    metrics(run = {}) {
+      const font = fontOf(run);
+      return { ascent: font.ascent / font.unitsPerEm, descent: font.descent / font.unitsPerEm, capHeight: font.capHeight / font.unitsPerEm };
+    }
+  };
+}
+
+// Mirrored margins: every page was laid out `inside - outside` wider with the inside margin on both sides;
+// cropping right-hand (odd) pages on the right and left-hand pages on the left leaves the wide margin at
+// the spine.
+async function mirrorPages(bytes, profile) {
+  const { PDFDocument } = await import("https://esm.sh/pdf-lib@1.17.1");
+  const pdf = await PDFDocument.load(bytes);
+  const shift = profile.margins.inside - profile.margins.outside;
+  const { width, height } = profile.page;
+  pdf.getPages().forEach((p, i) => {
+    const x = i % 2 ? shift : 0;
+    p.setMediaBox(x, 0, width, height);
+    p.setCropBox(x, 0, width, height);
+    p.setTrimBox(x, 0, width, height);
+  });
+  return pdf.save();
+}
+
+// `pdf` are the novel's PDF settings (see manuscript.js); `author`, `surname`, `contact` and `words` go on
+// the manuscript title page and running heads. `customFont` is the library font when one is chosen.
+export async function exportPDF({ novelTitle, chapters, includeHeadings, notePlacement = "footnotes", sceneBreak, sceneBreakChosen = false, titlePage = true, pdf = {}, author = "", surname = "", contact = "", words = 0, customFont = null }) {
+  const profile = resolvePdfProfile(pdf);
   // Lazy load pdfmake + fonts (very big)
   const [pdfMakeMod, pdfFontsMod] = await Promise.all([
     import("https://esm.sh/pdfmake@0.2.10/build/pdfmake.js"),
@@ -104,40 +904,489 @@ export async function exportPDF({ novelTitle, chapters, includeHeadings }) {
   ]);
   const pdfMake = pdfMakeMod.default || pdfMakeMod;
   const pdfFonts = pdfFontsMod.default || pdfFontsMod;
-  pdfMake.vfs = pdfFonts.pdfMake.vfs;
+  const vfs = { ...pdfFonts.pdfMake.vfs };
+  const { family, files } = await loadPdfFont(profile.font, customFont, vfs);
+  const fonts = { Roboto: ROBOTO_FILES, [family]: files };
+  const tools = profile.dropCapLines ? await pdfFontTools(files, vfs) : null;
+  const render = (docDef) => new Promise(resolve => pdfMake.createPdf(docDef, null, fonts, vfs).getBuffer(resolve));
 
-  const content = [];
-  for (const ch of chapters) {
-    if (includeHeadings) content.push({ text: ch.title || "Untitled Chapter", style: "h1", margin: [0, 12, 0, 6] });
-    const text = editorToPlainText(ch.content);
-    const paras = text.split(/\n\n+/).filter(Boolean);
-    for (const p of paras) content.push({ text: p, margin: [0, 0, 0, 8] });
-    content.push({ text: " ", margin: [0, 0, 0, 8] });
+  const options = { novelTitle, chapters, includeHeadings, notePlacement, sceneBreak, sceneBreakChosen, titlePage, profile, family, tools, author, surname, contact, words };
+  let bottomMargin = profile.margins.bottom;
+  let layout = pdfLayout({ ...options, bottomMargin });
+  if (layout.hasFootnotes) {
+    // The bottom margin has to fit the fullest page of notes, which is only known after a first layout
+    await render(layout.docDef);
+    bottomMargin = Math.max(profile.margins.bottom, Math.ceil(layout.footerHeight()) + 30);
+    layout = pdfLayout({ ...options, bottomMargin });
+  }
+  if (layout.hasToc) {
+    // The contents take the same lines with the real page numbers, so the pages stay where they were
+    await render(layout.docDef);
+    layout = pdfLayout({ ...options, bottomMargin, tocPages: layout.startPages() });
   }
 
-  const docDef = {
-    info: { title: novelTitle || "Untitled Novel" },
-    content,
-    styles: { h1: { fontSize: 16, bold: true } },
-    defaultStyle: { fontSize: 11 },
-    pageMargins: [54, 54, 54, 54]
-  };
+  let bytes = await render(layout.docDef);
+  if (profile.mirrored) bytes = await mirrorPages(bytes, profile);
+  downloadBlob(new Blob([bytes], { type: "application/pdf" }), `${safeFilename(novelTitle)}.pdf`);
+}
+
+// RTF is 7-bit: anything else is written as \uN (signed 16-bit) with "?" for readers without unicode
+const rtfUnicode = (text) => text.replace(/[^\x00-\x7f]/g, (c) => `\\u${c.charCodeAt(0) > 32767 ? c.charCodeAt(0) - 65536 : c.charCodeAt(0)}?`);
 
-  pdfMake.createPdf(docDef).download(`${safeFilename(novelTitle)}.pdf`);
+// Plain text → RTF (the converter below only takes HTML)
+function rtfEscape(text) {
+  return rtfUnicode(String(text || "")
+    .replace(/[\\{}]/g, (c) => `\\${c}`)
+    .replace(/\n/g, "\\line "));
 }
 
-export async function exportRTF({ novelTitle, chapters, includeHeadings }) {
-  const rtfMod = await import("https://esm.sh/html-to-rtf@2.2.0");
-  const fromHtml = rtfMod.fromHtml || rtfMod.default?.fromHtml || rtfMod.default;
+export async function exportRTF({ novelTitle, chapters, includeHeadings, notePlacement = "footnotes", sceneBreak, titlePage = true }) {
+  const rtfMod = await import("https://esm.sh/html-to-rtf@2.1.0");
+  const rtfLib = rtfMod.default || rtfMod;
 
-  let html = `<h1>${escapeHtml(novelTitle || "Untitled Novel")}</h1>`;
-  for (const ch of chapters) {
-    if (includeHeadings) html += `<h2>${escapeHtml(ch.title || "Untitled Chapter")}</h2>`;
-    html += tiptapJsonToHtml(ch.content);
-    html += `<p></p>`;
+  // Footnotes go through the HTML as placeholders and become RTF footnotes afterwards
+  const footnotes = new Map(); // number → text
+  let html = titlePage ? `<h1>${escapeHtml(novelTitle || "Untitled Novel")}</h1>` : "";
+  for (const block of manuscriptBlocks(chapters, includeHeadings, notePlacement)) {
+    if (block.type === "heading") {
+      if (block.hidden) continue;
+      const tag = block.level === 1 ? "h2" : "h3";
+      html += `<${tag}>${escapeHtml(block.text)}</${tag}>`;
+    } else if (block.type === "toc") {
+      for (const entry of block.entries) html += `<p>${"&nbsp;".repeat(4 * (entry.level - 1))}${escapeHtml(entry.text)}</p>`;
+      html += `<p></p>`;
+    } else if (block.type === "sceneBreak") {
+      html += `<p style="text-align:center">${escapeHtml(sceneBreakText(sceneBreak))}</p>`;
+    } else if (block.type === "notes") {
+      html += `<p><b>${NOTES_HEADING}</b></p>`;
+      for (const note of block.notes) html += `<p>${note.n}. ${escapeHtml(note.text).replaceAll("\n", "<br/>")}</p>`;
+      html += `<p></p>`;
+    } else {
+      const footnote = (i) => {
+        const note = block.notes[i - 1];
+        if (notePlacement !== "footnotes") return `<sup>${note.n}</sup>`;
+        footnotes.set(note.n, note.text);
+        return `@@footnote${note.n}@@`;
+      };
+      html += tiptapJsonToHtml(block.node.content, { footnote, sceneBreak });
+      html += `<p></p>`;
+    }
   }
 
-  const rtf = fromHtml(html);
+  // The converter leaves non-ASCII text (accents, the ornament break) as it is
+  const rtf = rtfUnicode(rtfLib.convertHtmlToRtf(html)).replace(/@@footnote(\d+)@@/g, (_, n) =>
+    `{\\super\\chftn}{\\footnote\\pard\\plain\\fs20{\\super\\chftn} ${rtfEscape(footnotes.get(Number(n)))}}`);
   const blob = new Blob([rtf], { type: "application/rtf" });
   downloadBlob(blob, `${safeFilename(novelTitle)}.rtf`);
 }
+
+// EPUB 3, with the EPUB 2 table of contents (toc.ncx) older readers look for. Every part and chapter is an
+// XHTML file of its own (scenes stay in their chapter, between scene breaks). Footnotes are pop-up notes
+// at the end of their file; endnotes are a list after each chapter or a Notes file at the end of the book.
+const EPUB_NOTES_FILE = "notes.xhtml";
+const EPUB_CSS = `body { margin: 0 5%; font-family: serif; line-height: 1.4; }
+h1 { text-align: center; font-weight: normal; font-size: 1.6em; margin: 2.5em 0 1.5em; page-break-before: always; }
+h1.partTitle { font-size: 2em; margin-top: 30%; }
+h2, h3 { margin: 1.2em 0 0.6em; }
+p { margin: 0; text-indent: 1.5em; }
+h1 + p, h2 + p, h3 + p, .sceneBreak + p, blockquote p, li p { text-indent: 0; }
+.sceneBreak { text-align: center; text-indent: 0; margin: 1em 0; }
+blockquote { margin: 1em 2em; }
+pre { white-space: pre-wrap; font-size: 0.9em; }
+sup a { text-decoration: none; }
+.footnote, .notes { font-size: 0.9em; }
+.notes h2 { font-size: 1.1em; }
+.titlePage { text-align: center; margin-top: 30%; }
+.titlePage h1 { font-size: 2em; page-break-before: avoid; }
+.titlePage .author { text-indent: 0; font-size: 1.2em; margin-top: 2em; }
+.cover { margin: 0; padding: 0; text-align: center; }
+.cover img { max-width: 100%; max-height: 100%; }
+nav ol { list-style: none; padding-left: 1em; }
+nav li { margin: 0.3em 0; }
+`;
+const EPUB_IMAGE_TYPES = { "image/jpeg": "jpg", "image/png": "png", "image/gif": "gif", "image/webp": "webp" };
+
+// Text XML can't hold (control characters pasted from elsewhere)
+const xmlSafe = (text) => text.replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, "");
+
+const xhtmlPage = ({ title, lang, body, bodyClass = "" }) => xmlSafe(`<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${lang}" lang="${lang}">
+<head>
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" type="text/css" href="book.css"/>
+</head>
+<body${bodyClass ? ` class="${bodyClass}"` : ""}>
+${body}
+</body>
+</html>
+`);
+
+// The book split into files: [{ file, title, kind, depth, html, toc }] in reading order. Without printed
+// headings, parts and chapters with no text of their own have no file. The contents (`toc`) have none either.
+function epubSections(chapters, { title, includeHeadings, notePlacement, sceneBreak }) {
+  const sections = [];
+  const refFiles = new Map(); // note number → file of its reference (backlinks from the book's Notes)
+  const breakHtml = tiptapJsonToHtml({ type: "horizontalRule" }, { sceneBreak, xhtml: true });
+  let section = null;
+  const start = (props) => {
+    const n = sections.filter(s => !s.toc).length + 1;
+    section = { file: `section-${String(n).padStart(3, "0")}.xhtml`, html: "", footnotes: "", ...props };
+    sections.push(section);
+  };
+  const noteHref = (n) => (notePlacement === "footnotes" ? `#fn-${n}` : notePlacement === "book" ? `${EPUB_NOTES_FILE}#note-${n}` : `#note-${n}`);
+  const noteList = (notes, backlink) => `<ol>${notes.map(note =>
+    `<li id="note-${note.n}" epub:type="endnote"><p>${escapeHtml(note.text).replaceAll("\n", "<br/>")} <a href="${backlink(note.n)}#ref-${note.n}" role="doc-backlink">↩︎</a></p></li>`).join("")}</ol>`;
+
+  // Hidden headings still start a file
+  for (const block of manuscriptBlocks(chapters, includeHeadings, notePlacement)) {
+    if (block.type === "heading") {
+      start({ title: block.text, kind: block.kind, depth: block.node.depth || 0 });
+      if (!block.hidden) section.html += `<h1 class="${block.kind}Title">${escapeHtml(block.text)}</h1>\n`;
+    } else if (block.type === "toc") {
+      // The contents are nav.xhtml, read at this point of the book (see exportEPUB)
+      Object.assign(section, { toc: true, file: null });
+    } else if (block.type === "notes" && notePlacement === "book") {
+      sections.push({
+        file: EPUB_NOTES_FILE, title: NOTES_HEADING, kind: "notes", depth: 0, footnotes: "",
+        html: `<section class="notes" epub:type="endnotes" role="doc-endnotes"><h1>${NOTES_HEADING}</h1>${noteList(block.notes, n => refFiles.get(n))}</section>`
+      });
+    } else if (block.type === "notes") {
+      section.html += `<section class="notes" epub:type="endnotes" role="doc-endnotes"><h2>${NOTES_HEADING}</h2>${noteList(block.notes, () => "")}</section>\n`;
+    } else {
+      // Text before the first part or chapter (scene titles are never printed, so it goes by the book's)
+      if (!section) start({ title, kind: "chapter", depth: 0 });
+      if (block.type === "sceneBreak") {
+        section.html += `${breakHtml}\n`;
+        continue;
+      }
+      const footnote = (i) => {
+        const { n, text } = block.notes[i - 1];
+        refFiles.set(n, section.file);
+        if (notePlacement === "footnotes") {
+          section.footnotes += `<aside id="fn-${n}" class="footnote" epub:type="footnote" role="doc-footnote"><p><a href="#ref-${n}" role="doc-backlink">${n}.</a> ${escapeHtml(text).replaceAll("\n", "<br/>")}</p></aside>\n`;
+        }
+        return `<sup><a id="ref-${n}" href="${noteHref(n)}" epub:type="noteref" role="doc-noteref">${n}</a></sup>`;
+      };
+      section.html += `${tiptapJsonToHtml(block.node.content, { footnote, sceneBreak, xhtml: true })}\n`;
+    }
+  }
+  return sections.filter(s => s.html || s.toc);
+}
+
+// Sections nested by outline depth (chapters under their part) for the tables of contents
+function epubTree(sections) {
+  const roots = [];
+  const open = [];
+  for (const s of sections) {
+    const item = { ...s, children: [] };
+    // Only parts hold other entries (front matter and parts without a file of their own don't)
+    while (open.length && (open.at(-1).depth >= s.depth || open.at(-1).kind !== "part")) open.pop();
+    (open.at(-1)?.children || roots).push(item);
+    open.push(item);
+  }
+  return roots;
+}
+
+const navList = (items) => `<ol>${items.map(i =>
+  `<li><a href="${i.file}">${escapeHtml(i.title)}</a>${i.children.length ? navList(i.children) : ""}</li>`).join("")}</ol>`;
+
+function ncxPoints(items, counter = { n: 0 }) {
+  return items.map(i => {
+    const n = ++counter.n;
+    return `<navPoint id="nav-${n}" playOrder="${n}"><navLabel><text>${escapeHtml(i.title)}</text></navLabel><content src="${i.file}"/>${ncxPoints(i.children, counter)}</navPoint>`;
+  }).join("");
+}
+
+// A BCP 47 tag for dc:language and xml:lang ("en" when the novel's language isn't one)
+const epubLanguage = (lang) => (/^[A-Za-z]{2,3}(-[A-Za-z0-9]{1,8})*$/.test(String(lang || "").trim()) ? lang.trim() : "en");
+
+// `epub` holds the novel's EPUB details: { language, identifier, description, cover: { type, data } } where
+// data is the image as a data: URL. Without an identifier a new urn:uuid is used.
+export async function exportEPUB({ novelTitle, chapters, includeHeadings, notePlacement = "footnotes", sceneBreak, titlePage = true, author = "", epub = {} }) {
+  const JSZip = (await import("https://esm.sh/jszip@3.10.1")).default;
+  const title = novelTitle || "Untitled Novel";
+  const lang = epubLanguage(epub.language);
+  const identifier = String(epub.identifier || "").trim() || `urn:uuid:${crypto.randomUUID()}`;
+  const description = String(epub.description || "").trim();
+  const coverExt = EPUB_IMAGE_TYPES[epub.cover?.type];
+  const all = epubSections(chapters, { title, includeHeadings, notePlacement, sceneBreak });
+  const sections = all.filter(s => !s.toc);
+  const tree = epubTree(sections);
+
+  const zip = new JSZip();
+  // The mimetype comes first and uncompressed, so readers can recognise the file
+  zip.file("mimetype", "application/epub+zip", { compression: "STORE" });
+  zip.file("META-INF/container.xml", `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`);
+  const add = (name, data) => zip.file(`OEBPS/${name}`, data);
+  add("book.css", EPUB_CSS);
+
+  const manifest = [
+    `<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>`,
+    `<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>`,
+    `<item id="css" href="book.css" media-type="text/css"/>`
+  ];
+  const spine = [];
+  const page = (id, file, html) => {
+    add(file, html);
+    manifest.push(`<item id="${id}" href="${file}" media-type="application/xhtml+xml"/>`);
+    spine.push(`<itemref idref="${id}"/>`);
+  };
+
+  if (coverExt) {
+    add(`cover.${coverExt}`, base64Bytes(epub.cover.data.slice(epub.cover.data.indexOf(",") + 1)));
+    manifest.push(`<item id="cover-image" href="cover.${coverExt}" media-type="${epub.cover.type}" properties="cover-image"/>`);
+    page("cover", "cover.xhtml", xhtmlPage({
+      title, lang, bodyClass: "cover",
+      body: `<section epub:type="cover"><img src="cover.${coverExt}" alt="${escapeHtml(title)}"/></section>`
+    }));
+  }
+  // An empty book keeps its title page, so the contents have something to point to
+  const hasTitlePage = titlePage || !sections.length;
+  if (hasTitlePage) {
+    page("titlepage", "titlepage.xhtml", xhtmlPage({
+      title, lang,
+      body: `<section class="titlePage" epub:type="titlepage"><h1>${escapeHtml(title)}</h1>${author ? `<p class="author">${escapeHtml(author)}</p>` : ""}</section>`
+    }));
+  }
+  const landmarks = [
+    ...(coverExt ? [`<li><a epub:type="cover" href="cover.xhtml">Cover</a></li>`] : []),
+    `<li><a epub:type="toc" href="nav.xhtml">Contents</a></li>`,
+    ...(sections.length ? [`<li><a epub:type="bodymatter" href="${sections[0].file}">Start</a></li>`] : [])
+  ];
+  add("nav.xhtml", xhtmlPage({
+    title, lang,
+    body: `<nav epub:type="toc" id="toc" role="doc-toc"><h1>Contents</h1>${tree.length ? navList(tree) : `<ol><li><a href="titlepage.xhtml">${escapeHtml(title)}</a></li></ol>`}</nav>
+<nav epub:type="landmarks" id="landmarks" hidden="hidden"><h2>Landmarks</h2><ol>${landmarks.join("")}</ol></nav>`
+  }));
+  // The contents are read where the compiled book puts them; otherwise they're only for navigation
+  let n = 0;
+  for (const s of all) {
+    if (s.toc) spine.push(`<itemref idref="nav"/>`);
+    else page(`s${++n}`, s.file, xhtmlPage({ title: s.title, lang, body: s.html + s.footnotes }));
+  }
+  if (!all.some(s => s.toc)) spine.push(`<itemref idref="nav" linear="no"/>`);
+
+  const depth = (items) => (items.length ? 1 + Math.max(...items.map(i => depth(i.children))) : 0);
+  add("toc.ncx", xmlSafe(`<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1" xml:lang="${lang}">
+<head>
+<meta name="dtb:uid" content="${escapeHtml(identifier)}"/>
+<meta name="dtb:depth" content="${Math.max(1, depth(tree))}"/>
+<meta name="dtb:totalPageCount" content="0"/>
+<meta name="dtb:maxPageNumber" content="0"/>
+</head>
+<docTitle><text>${escapeHtml(title)}</text></docTitle>
+<navMap>${tree.length ? ncxPoints(tree) : `<navPoint id="nav-1" playOrder="1"><navLabel><text>${escapeHtml(title)}</text></navLabel><content src="titlepage.xhtml"/></navPoint>`}</navMap>
+</ncx>
+`));
+
+  // dcterms:modified wants whole seconds
+  const modified = new Date().toISOString().replace(/\.\d+Z$/, "Z");
+  add("content.opf", xmlSafe(`<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="bookid" xml:lang="${lang}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="bookid">${escapeHtml(identifier)}</dc:identifier>
+<dc:title>${escapeHtml(title)}</dc:title>
+<dc:language>${lang}</dc:language>
+${author ? `<dc:creator id="creator">${escapeHtml(author)}</dc:creator>
+<meta refines="#creator" property="role" scheme="marc:relators">aut</meta>
+` : ""}${description ? `<dc:description>${escapeHtml(description)}</dc:description>
+` : ""}<meta property="dcterms:modified">${modified}</meta>
+${coverExt ? `<meta name="cover" content="cover-image"/>
+` : ""}</metadata>
+<manifest>
+${manifest.join("\n")}
+</manifest>
+<spine toc="ncx">
+${spine.join("\n")}
+</spine>
+</package>
+`));
+
+  const blob = await zip.generateAsync({ type: "blob", mimeType: "application/epub+zip", compression: "DEFLATE" });
+  downloadBlob(blob, `${safeFilename(novelTitle)}.epub`);
+}
+
+// Markdown as Pandoc, Obsidian and static site generators read it: CommonMark with ~~strike~~, [^n] footnotes
+// and YAML front matter. Parts and chapters are # headings (chapters ## under parts), so the editor's own
+// headings start at ###. Markdown has no underline; it is written as <u>…</u>. importer.js reads all of this back.
+const MD_SCENE_BREAK = "* * *";
+const MD_MARKS = { bold: ["**", "**"], italic: ["*", "*"], strike: ["~~", "~~"], underline: ["<u>", "</u>"] }; // outermost first
+
+const mdEscape = (text) => text.replace(/[\\`*_[\]<~]/g, "\\$&");
+
+// Text at the start of a line that would read as a heading, quote, list or rule
+const mdEscapeLineStart = (line) => line.replace(/^[ \t]+/, "").replace(/^([#>+=-])/, "\\$1").replace(/^(\d+)([.)])/, "$1\\$2");
+
+function mdCode(text) {
+  const fence = "`".repeat(Math.max(0, ...(text.match(/`+/g) || []).map(r => r.length)) + 1);
+  const pad = text.startsWith("`") || text.endsWith("`") ? " " : "";
+  return `${fence}${pad}${text}${pad}${fence}`;
+}
+
+// Inline content of a textblock. Marks open and close between text nodes; spaces at their edges go outside
+// the delimiters ("** bold**" isn't bold in Markdown). `note()` writes the next footnote reference.
+function mdInline(node, note) {
+  let out = "";
+  let space = "";
+  const open = [];
+  const setMarks = (types) => {
+    let keep = 0;
+    while (keep < open.length && types.includes(open[keep])) keep++;
+    for (const type of open.splice(keep).reverse()) out += MD_MARKS[type][1];
+    out += space;
+    space = "";
+    for (const type of Object.keys(MD_MARKS)) {
+      if (types.includes(type) && !open.includes(type)) {
+        out += MD_MARKS[type][0];
+        open.push(type);
+      }
+    }
+  };
+  for (const child of node.content || []) {
+    if (isDeletedText(child)) continue;
+    if (child.type === "text") {
+      const [, lead, core, trail] = (child.text || "").match(/^(\s*)([\s\S]*?)(\s*)$/);
+      space += lead;
+      if (!core) continue;
+      const types = (child.marks || []).map(m => m.type);
+      setMarks(types.filter(t => MD_MARKS[t]));
+      out += types.includes("code") ? mdCode(core) : mdEscape(core);
+      space = trail;
+    } else if (child.type === "hardBreak") {
+      space = "";
+      setMarks([]);
+      out += "\\\n";
+    } else if (child.type === "footnote") {
+      out += space + note();
+      space = "";
+    }
+  }
+  space = "";
+  setMarks([]);
+  return out.replace(/(\\\n)+$/, "");
+}
+
+// A block node as Markdown ("" for one with nothing to print). Blocks are separated by a blank line, or
+// by a line break inside a tight list.
+function mdBlock(node, note) {
+  if (isSceneBreak(node)) return MD_SCENE_BREAK;
+  const blocks = (nodes) => nodes.map(n => mdBlock(n, note)).filter(Boolean).join("\n\n");
+  switch (node.type) {
+    case "paragraph":
+      return hasContent(node) ? mdInline(node, note).split("\n").map(mdEscapeLineStart).join("\n") : "";
+    case "heading":
+      return hasContent(node) ? `${"#".repeat(Math.min(6, (node.attrs?.level || 1) + 2))} ${mdInline(node, note).replaceAll("\\\n", " ")}` : "";
+    case "codeBlock": {
+      const text = (node.content || []).map(c => c.text || "").join("");
+      const fence = "`".repeat(Math.max(3, ...(text.match(/^`+/gm) || []).map(r => r.length + 1)));
+      return text.trim() ? `${fence}\n${text}\n${fence}` : "";
+    }
+    case "blockquote":
+      return blocks(node.content || []).split("\n").map(line => (line ? `> ${line}` : ">")).join("\n");
+    case "bulletList":
+    case "orderedList": {
+      const start = node.attrs?.start || 1;
+      const items = node.content || [];
+      // One paragraph per item (nested lists aside) keeps the list tight
+      const tight = items.every(li => (li.content || []).filter(c => !/List$/.test(c.type)).length <= 1);
+      return items.map((li, i) => {
+        const marker = node.type === "orderedList" ? `${start + i}. ` : "- ";
+        // Only a list starting at 1 can follow a line of text directly
+        const text = (li.content || []).map(c => [c, mdBlock(c, note)]).filter(([, md]) => md)
+          .map(([c, md], j) => (j === 0 ? "" : tight && !(c.type === "orderedList" && (c.attrs?.start || 1) !== 1) ? "\n" : "\n\n") + md)
+          .join("");
+        return text.split("\n").map((line, j) => (j === 0 ? marker : line ? " ".repeat(marker.length) : "") + line).join("\n");
+      }).join(tight ? "\n" : "\n\n");
+    }
+    default:
+      return blocks(node.content || []);
+  }
+}
+
+// [^n]: definitions; further lines of a note are paragraphs indented to stay in it
+const mdNotes = (notes) => notes.map(({ n, text }) =>
+  `[^${n}]: ${mdEscape(text || "").split("\n").map(mdEscapeLineStart).join("\n\n    ")}`);
+
+// YAML front matter (strings as JSON, which YAML reads as double-quoted scalars); empty fields are left out
+function mdFrontMatter(fields) {
+  const lines = Object.entries(fields)
+    .filter(([, v]) => v !== "" && v != null)
+    .map(([k, v]) => `${k}: ${typeof v === "number" ? v : JSON.stringify(String(v))}`);
+  return `---\n${lines.join("\n")}\n---\n\n`;
+}
+
+// The book split at its parts and chapters: [{ title, kind, part, blocks, notes }]. Headings are written
+// at `# ` for the files of a per-chapter export. Footnotes are numbered through the book.
+function markdownSections(chapters, { title, includeHeadings, perChapter }) {
+  const sections = [];
+  let section = null;
+  let part = null;
+  const start = (props) => {
+    section = { blocks: [], notes: [], part: null, ...props };
+    sections.push(section);
+  };
+  for (const block of manuscriptBlocks(chapters, includeHeadings)) {
+    if (block.type === "heading") {
+      part = block.kind === "part" ? block.text : block.node.depth ? part : null;
+      start({ title: block.text, kind: block.kind, part: block.kind === "part" ? null : part });
+      if (!block.hidden) section.blocks.push(`${"#".repeat(perChapter ? 1 : block.level)} ${mdEscape(block.text)}`);
+      continue;
+    }
+    if (!section) start({ title, kind: "chapter" });
+    if (block.type === "toc") {
+      if (block.entries.length) section.blocks.push(block.entries.map(e => `${"  ".repeat(e.level - 1)}- ${mdEscape(e.text)}`).join("\n"));
+    } else if (block.type === "sceneBreak") {
+      section.blocks.push(MD_SCENE_BREAK);
+    } else if (block.type === "body") {
+      let i = 0;
+      const text = mdBlock(block.node.content, () => `[^${block.notes[i++].n}]`);
+      if (text) section.blocks.push(text);
+      section.notes.push(...block.notes);
+    }
+  }
+  return sections;
+}
+
+// A zip with a file per part and chapter whose front matter says where it belongs (what the importer reads back)
+export async function buildMarkdownZip({ novelTitle, chapters, includeHeadings, author = "", epub = {} }) {
+  const title = novelTitle || "Untitled Novel";
+  const language = String(epub.language || "").trim();
+  const JSZip = (await import("https://esm.sh/jszip@3.10.1")).default;
+  const zip = new JSZip();
+  markdownSections(chapters, { title, includeHeadings, perChapter: true }).forEach((s, i) => {
+    const meta = mdFrontMatter({ title: s.title, kind: s.kind, part: s.part, order: i + 1, novel: title, author, lang: language });
+    const text = [...s.blocks, ...mdNotes(s.notes)].join("\n\n");
+    zip.file(`${String(i + 1).padStart(2, "0")}-${safeFilename(s.title)}.md`, `${meta}${text}${text ? "\n" : ""}`);
+  });
+  return zip.generateAsync({ type: "blob", compression: "DEFLATE" });
+}
+
+// One .md for the book, or (`perChapter`) the zip of buildMarkdownZip. `epub` gives the language and
+// description the book's front matter shares with the EPUB.
+// Notes go after each chapter, or at the end of the book with notePlacement "book" (in a single file).
+export async function exportMarkdown({ novelTitle, chapters, includeHeadings, notePlacement = "footnotes", author = "", epub = {}, perChapter = false }) {
+  if (perChapter) {
+    const blob = await buildMarkdownZip({ novelTitle, chapters, includeHeadings, author, epub });
+    downloadBlob(blob, `${safeFilename(novelTitle)}_markdown.zip`);
+    return;
+  }
+
+  const title = novelTitle || "Untitled Novel";
+  const sections = markdownSections(chapters, { title, includeHeadings });
+  const language = String(epub.language || "").trim();
+
+  const atEnd = notePlacement === "book";
+  const parts = sections.map(s => [...s.blocks, ...(atEnd ? [] : mdNotes(s.notes))].join("\n\n")).filter(Boolean);
+  if (atEnd) parts.push(...mdNotes(sections.flatMap(s => s.notes)));
+  const meta = mdFrontMatter({ title, author, lang: language, description: String(epub.description || "").trim() });
+  const text = parts.join("\n\n");
+  downloadBlob(new Blob([`${meta}${text}${text ? "\n" : ""}`], { type: "text/markdown;charset=utf-8" }), `${safeFilename(novelTitle)}.md`);
+}
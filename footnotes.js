@@ -0,0 +1,60 @@
+// footnotes.js — footnotes as inline `footnote` nodes (see editor.js)
+//
+// A note lives where it is referenced: the node's attrs hold { id, text } (text is plain, lines separated
+// by "\n"), so notes move, undo, sync and back up with the text around them. Numbers are never stored —
+// the editor counts them with CSS and the exports number them per chapter or per book (NOTE_PLACEMENTS).
+
+import { isDeletedText } from "./suggestions.js";
+
+// Export option: real footnotes, endnotes after each chapter, or endnotes at the end of the book
+export const NOTE_PLACEMENTS = ["footnotes", "chapter", "book"];
+
+export function newFootnote(text = "") {
+  return { id: crypto.randomUUID(), text };
+}
+
+// Notes of a Tiptap JSON document in reading order: [{ id, text }] (suggested deletions left out)
+export function footnotesOf(doc) {
+  const out = [];
+  const walk = (node) => {
+    if (!node) return;
+    if (node.type === "footnote" && !isDeletedText(node)) out.push({ id: node.attrs?.id || "", text: node.attrs?.text || "" });
+    for (const child of node.content || []) walk(child);
+  };
+  walk(doc);
+  return out;
+}
+
+/* ---------------------------
+  Editor side (the open chapter)
+--------------------------- */
+// Notes in a live ProseMirror doc: [{ id, text, pos }]
+export function footnotesIn(pmDoc) {
+  const out = [];
+  pmDoc.descendants((node, pos) => {
+    if (node.type.name === "footnote") out.push({ id: node.attrs.id, text: node.attrs.text, pos });
+  });
+  return out;
+}
+
+// Inserts a new note after the selection; returns its id
+export function insertFootnote(editor, text = "") {
+  const note = newFootnote(text);
+  const { to } = editor.state.selection;
+  editor.chain().focus().insertContentAt(to, { type: "footnote", attrs: note }).run();
+  return note.id;
+}
+
+export function updateFootnote(editor, id, text) {
+  const note = footnotesIn(editor.state.doc).find(n => n.id === id);
+  if (!note || note.text === text) return false;
+  editor.view.dispatch(editor.state.tr.setNodeAttribute(note.pos, "text", text));
+  return true;
+}
+
+export function removeFootnote(editor, id) {
+  const note = footnotesIn(editor.state.doc).find(n => n.id === id);
+  if (!note) return false;
+  editor.view.dispatch(editor.state.tr.delete(note.pos, note.pos + 1));
+  return true;
+}
@@ -0,0 +1,86 @@
+// goals.js — writing goals, the daily progress log and streaks
+//
+// The log has one row per novel and local calendar day: { novelId, date: "YYYY-MM-DD", added, removed, words }.
+// `added`/`removed` are the words typed and deleted that day (gross = added, net = added - removed) and
+// `words` is the novel's total when the day's last change was logged. Goals are per-novel settings
+// ({ goalWords, goalDeadline }); per-chapter targets are `targetWords` on the outline node itself.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local calendar day of a date, e.g. "2024-03-09"
+export function dayKey(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+const parseDay = (key) => {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(y, m - 1, d);
+};
+
+export function addDays(key, n) {
+  const d = parseDay(key);
+  d.setDate(d.getDate() + n);
+  return dayKey(d);
+}
+
+// Whole days from a to b (rounded, so daylight-saving days still count as one)
+export const daysBetween = (a, b) => Math.round((parseDay(b) - parseDay(a)) / DAY_MS);
+
+export const netWords = (row) => (row?.added || 0) - (row?.removed || 0);
+
+// A day counts towards a streak when something was written (deleting alone doesn't break or extend one)
+const wroteOn = (row) => (row?.added || 0) > 0;
+
+// Consecutive writing days: { current, best }. Today without words yet doesn't end the current streak.
+export function streaks(rows, today = dayKey()) {
+  const days = new Set(rows.filter(wroteOn).map(r => r.date));
+  let current = 0;
+  let day = days.has(today) ? today : addDays(today, -1);
+  while (days.has(day)) {
+    current++;
+    day = addDays(day, -1);
+  }
+  let best = 0;
+  let run = 0;
+  let prev = null;
+  for (const date of [...days].sort()) {
+    run = prev && daysBetween(prev, date) === 1 ? run + 1 : 1;
+    best = Math.max(best, run);
+    prev = date;
+  }
+  return { current, best };
+}
+
+// Pace towards the novel's goal: { left, daysLeft, perDay, todayLeft, overdue }, or null without a goal.
+// perDay spreads what was left this morning over the days left including today, so it doesn't change
+// while you write; todayLeft is what is still missing for today.
+export function goalPace({ goalWords, goalDeadline }, total, todayNet = 0, today = dayKey()) {
+  if (!(goalWords > 0)) return null;
+  const left = Math.max(0, goalWords - total);
+  if (!goalDeadline) return { left, daysLeft: null, perDay: null, todayLeft: null, overdue: false };
+  const daysLeft = daysBetween(today, goalDeadline) + 1;
+  if (daysLeft < 1) return { left, daysLeft: 0, perDay: null, todayLeft: null, overdue: left > 0 };
+  const leftThisMorning = Math.max(0, goalWords - (total - todayNet));
+  const perDay = Math.ceil(leftThisMorning / daysLeft);
+  return { left, daysLeft, perDay, todayLeft: Math.max(0, perDay - todayNet), overdue: false };
+}
+
+// Calendar heatmap: `weeks` columns of Monday → Sunday ending with the current week.
+// → [[{ date, added, removed, net, level (0-4), future }]]; levels scale with the best day shown.
+export function heatmapWeeks(rows, { weeks = 26, today = dayKey() } = {}) {
+  const byDate = new Map(rows.map(r => [r.date, r]));
+  const weekday = (parseDay(today).getDay() + 6) % 7; // Monday = 0
+  const start = addDays(today, -weekday - (weeks - 1) * 7);
+  const cells = [];
+  for (let i = 0; i < weeks * 7; i++) {
+    const date = addDays(start, i);
+    const row = byDate.get(date);
+    cells.push({ date, added: row?.added || 0, removed: row?.removed || 0, net: netWords(row), future: date > today });
+  }
+  const max = Math.max(0, ...cells.map(c => c.net));
+  for (const c of cells) c.level = c.net > 0 ? Math.max(1, Math.ceil((c.net / max) * 4)) : 0;
+  const out = [];
+  for (let w = 0; w < weeks; w++) out.push(cells.slice(w * 7, w * 7 + 7));
+  return out;
+}
@@ -1,8 +1,18 @@
-// importer.js — import DOCX/RTF and split into chapters
+// importer.js — import DOCX/RTF/Markdown and split into parts and chapters
 // Notes:
 // - DOCX parsing uses JSZip (lazy-loaded). First-time DOCX import needs network to fetch JSZip via esm.sh,
 //   then it will be cached by the Service Worker for offline use.
-// - Formatting is simplified: we import text + headings into Tiptap JSON.
+// - Formatting is simplified: we import text + headings into Tiptap JSON. Tracked changes (w:ins/w:del)
+//   are kept as suggested insertions/deletions (see suggestions.js); footnotes and endnotes become
+//   footnote nodes (see footnotes.js).
+// - "Part …" headings become part nodes; the chapters after one (up to the next part, prologue or
+//   epilogue) are nested in it via `parentIndex` (see outline.js).
+// - Break paragraphs ("***", "#", centred asterisks, see scenebreak.js) become sceneBreak nodes.
+// - Markdown keeps its inline formatting, quotes, lists and code; # headings are split on like Word's
+//   heading styles, and the YAML front matter of our Markdown export gives the title. A .zip of .md files
+//   (our per-chapter export) is read in the `order` its front matter gives.
+
+import { isSceneBreakText } from "./scenebreak.js";
 
 const CHAPTER_RE = /^(chapter|chap\.?)\s+([0-9]+|[ivxlcdm]+|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve)\b[\s:\-–—]*/i;
 const PART_RE = /^(part)\s+([0-9]+|[ivxlcdm]+|one|two|three|four|five|six|seven|eight|nine|ten)\b[\s:\-–—]*/i;
@@ -23,8 +33,8 @@ function isHeadingLike(text, style = "") {
   const t = clean(text);
   if (!t) return false;
   const s = (style || "").toLowerCase();
-  // Word heading styles: Heading1, Heading2, heading 1, etc
-  const isStyleHeading = /heading\s*([12])/.test(s) || s === "title";
+  // Word heading styles: Heading1, Heading2, heading 1, etc (and our own export's Part/Chapter Heading)
+  const isStyleHeading = /heading\s*([12])/.test(s) || s === "title" || s === "part heading" || s === "chapter heading";
   return isStyleHeading || CHAPTER_RE.test(t) || PART_RE.test(t) || FRONT_RE.test(t) || isAllCapsShort(t);
 }
 
@@ -44,18 +54,55 @@ function paragraphToTiptap(par) {
   return { type: "paragraph", content: content.length ? content : [{ type: "text", text: "" }] };
 }
 
-function textToDoc(text) {
+function textToBlocks(text) {
   const raw = String(text || "").replace(/\r\n/g, "\n").replace(/\r/g, "\n");
-  const blocks = raw.split(/\n{2,}/).map(s => s.trim()).filter(Boolean);
-  const content = blocks.length ? blocks.map(paragraphToTiptap) : [{ type: "paragraph" }];
-  return { type: "doc", content };
+  return raw.split(/\n{2,}/).map(s => s.trim()).filter(Boolean).map(paragraphToTiptap);
+}
+
+function textToDoc(text) {
+  const content = textToBlocks(text);
+  return { type: "doc", content: content.length ? content : [{ type: "paragraph" }] };
+}
+
+// A paragraph with tracked changes, notes or formatting:
+// runs = [{ text, change: { type, id, author, date } | null, marks?: [{ type }] }], with { note } instead of
+// { text } for a note
+function runsToTiptap(runs) {
+  const content = [];
+  for (const { text, note, change, marks: own = [] } of runs) {
+    const marks = change ? [...own, { type: change.type, attrs: { id: change.id, author: change.author, date: change.date } }] : own;
+    const withMarks = marks.length ? { marks } : {};
+    if (note !== undefined) {
+      content.push({ type: "footnote", attrs: { id: crypto.randomUUID(), text: note }, ...withMarks });
+      continue;
+    }
+    text.split("\n").forEach((line, i) => {
+      if (i > 0) content.push({ type: "hardBreak", ...withMarks });
+      if (line) content.push({ type: "text", text: line, ...withMarks });
+    });
+  }
+  return { type: "paragraph", content };
+}
+
+// Body paragraphs ({ text, runs? }, { text, node } for a ready Tiptap block or { sceneBreak: true }) of one
+// part/chapter → Tiptap doc
+function paragraphsToDoc(paragraphs) {
+  const content = paragraphs.flatMap(p =>
+    (p.sceneBreak ? [{ type: "sceneBreak" }] : p.node ? [p.node] : p.runs ? [runsToTiptap(p.runs)] : textToBlocks(p.text)));
+  return { type: "doc", content: content.length ? content : [{ type: "paragraph" }] };
 }
 
+const hasText = (p) => clean(p.text).length > 0 || !!p.runs || !!p.node;
+
 function splitFromParagraphs(paragraphs, fallbackTitle) {
   const paras = (paragraphs || []).map(p => ({
     text: String(p.text || ""),
     style: p.style || "",
-  })).filter(p => clean(p.text).length);
+    centred: !!p.centred,
+    runs: p.runs || null,
+    node: p.node || null,
+    topLevel: !!p.topLevel
+  })).filter(hasText);
 
   let novelTitle = fallbackTitle || "Untitled Novel";
 
@@ -74,34 +121,54 @@ function splitFromParagraphs(paragraphs, fallbackTitle) {
 
   const chapters = [];
   let current = null;
+  let partIndex = null; // index in `chapters` of the part new chapters belong to
+  let chapterCount = 0;
 
   const pushCurrent = () => {
     if (!current) return;
-    const body = current.body.join("\n\n").trim();
+    // A break just before the next heading separates nothing
+    while (current.body[current.body.length - 1]?.sceneBreak) current.body.pop();
+    if (current.kind === "part") partIndex = chapters.length;
+    else chapterCount++;
     chapters.push({
-      title: clean(current.title) || `Chapter ${chapters.length + 1}`,
-      doc: textToDoc(body)
+      title: clean(current.title) || (current.kind === "part" ? "Part" : `Chapter ${chapterCount}`),
+      kind: current.kind,
+      parentIndex: current.kind === "part" ? null : current.parentIndex,
+      doc: paragraphsToDoc(current.body)
     });
   };
 
+  const startNode = (title, style = "", topLevel = false) => {
+    const t = clean(title);
+    const kind = PART_RE.test(t) || style === "Part Heading" ? "part" : "chapter";
+    // Prologue/epilogue (and chapters a Markdown file places outside parts) stand outside any part
+    if (kind === "part" || topLevel || FRONT_RE.test(t)) partIndex = null;
+    current = { title, kind, parentIndex: partIndex, body: [] };
+  };
+
   for (const p of paras) {
     const t = p.text;
-    if (isHeadingLike(t, p.style)) {
-      // start a new chapter
+    // Quotes, lists and the like (Markdown) are body text whatever they say
+    if (!p.node && isSceneBreakText(t, p.centred)) {
+      // Nothing to separate at the start of a chapter (or twice in a row)
+      const last = current?.body[current.body.length - 1];
+      if (last && !last.sceneBreak) current.body.push({ sceneBreak: true });
+    } else if (!p.node && isHeadingLike(t, p.style)) {
+      // start a new part/chapter
       pushCurrent();
-      current = { title: t, body: [] };
+      startNode(t, p.style, p.topLevel);
     } else {
-      if (!current) current = { title: `Chapter ${chapters.length + 1}`, body: [] };
+      if (!current) startNode(`Chapter ${chapterCount + 1}`);
 
       // Smart subtitle: if we just started a chapter like "Chapter 3" and the next short line
       // looks like a section title, treat it as part of the chapter title.
       const curT = clean(current.title);
       const nextT = clean(t);
-      if (current.body.length === 0 && nextT.length && nextT.length <= 60 && !/[.!?]$/.test(nextT) &&
+      if (current.body.length === 0 && nextT.length && nextT.length <= 60 && !/[.!?]$/.test(nextT) && !p.runs && !p.node &&
           (CHAPTER_RE.test(curT) || PART_RE.test(curT) || FRONT_RE.test(curT))) {
         current.title = curT + ": " + nextT;
       } else {
-        current.body.push(t);
+        current.body.push(p);
       }
     }
   }
@@ -109,14 +176,14 @@ function splitFromParagraphs(paragraphs, fallbackTitle) {
 
   // If we didn't detect any headings, keep as single chapter
   if (!chapters.length) {
-    chapters.push({ title: "Chapter 1", doc: textToDoc(paras.map(p => p.text).join("\n\n")) });
+    chapters.push({ title: "Chapter 1", kind: "chapter", parentIndex: null, doc: paragraphsToDoc(paras) });
   }
 
   // Clean up empty docs
   const cleaned = chapters.map((c, i) => {
     const title = clean(c.title) || `Chapter ${i + 1}`;
     const doc = c.doc || { type: "doc", content: [{ type: "paragraph" }] };
-    return { title, doc };
+    return { title, kind: c.kind, parentIndex: c.parentIndex, doc };
   });
 
   return { novelTitle, chapters: cleaned };
@@ -125,7 +192,7 @@ function splitFromParagraphs(paragraphs, fallbackTitle) {
 function rtfToText(rtf) {
   // Very small RTF -> text converter (good enough for novels)
   // - Converts \par to newlines
-  // - Decodes hex \'hh
+  // - Decodes hex \'hh and unicode \uN
   // - Strips groups/control words
   let s = String(rtf || "");
 
@@ -142,6 +209,9 @@ function rtfToText(rtf) {
     try { return String.fromCharCode(parseInt(h, 16)); } catch { return ""; }
   });
 
+  // Decode unicode escapes \uN (negative above U+7FFF) and their "?" fallback character
+  s = s.replace(/\\u(-?\d+) ?\??/g, (_, n) => String.fromCharCode(n < 0 ? Number(n) + 65536 : Number(n)));
+
   // Strip control words (e.g. \fs24, \b0) but keep spaces
   s = s.replace(/\\[a-zA-Z]+\d* ?/g, "");
 
@@ -160,6 +230,18 @@ function rtfToText(rtf) {
   return s.trim();
 }
 
+// Drops the whitespace at both ends of a paragraph (like trim() on its text) and empty runs
+function trimRuns(runs) {
+  const out = runs.map(r => ({ ...r }));
+  const first = out[0];
+  const last = out[out.length - 1];
+  if (first?.text) first.text = first.text.trimStart();
+  if (last?.text) last.text = last.text.trimEnd();
+  return out.filter(r => r.text || r.note !== undefined);
+}
+
+const runsText = (runs) => runs.filter(r => r.text && r.change?.type !== "deletion").map(r => r.text).join("").replace(/\s+\n/g, "\n").trim();
+
 async function parseDOCX(file) {
   const JSZip = (await import("https://esm.sh/jszip@3.10.1")).default;
   const buf = await file.arrayBuffer();
@@ -173,6 +255,10 @@ async function parseDOCX(file) {
   const ps = Array.from(xml.getElementsByTagName("w:p"));
   const paragraphs = [];
 
+  const isCentred = (p) => {
+    const jc = p.getElementsByTagName("w:pPr")[0]?.getElementsByTagName("w:jc")[0];
+    return jc?.getAttribute("w:val") === "center";
+  };
   const getStyle = (p) => {
     const pPr = p.getElementsByTagName("w:pPr")[0];
     if (!pPr) return "";
@@ -181,32 +267,76 @@ async function parseDOCX(file) {
     return val || "";
   };
 
-  const paragraphText = (p) => {
-    const out = [];
-    const walk = (node) => {
+  // Tracked changes: Word numbers every revision run, so one suggestion per kind, author and date
+  const changes = new Map();
+  const changeOf = (el) => {
+    const key = [el.tagName, el.getAttribute("w:author"), el.getAttribute("w:date")].join("|");
+    if (!changes.has(key)) {
+      changes.set(key, {
+        type: el.tagName === "w:ins" ? "insertion" : "deletion",
+        id: crypto.randomUUID(),
+        author: el.getAttribute("w:author") || "",
+        date: Date.parse(el.getAttribute("w:date") || "") || null
+      });
+    }
+    return changes.get(key);
+  };
+
+  // → [{ text, change }] with neighbouring runs of the same change merged; a note reference is { note, change }
+  const notes = new Map(); // "w:footnote:3" → text
+  const paragraphRuns = (p) => {
+    const runs = [];
+    const push = (text, change) => {
+      const last = runs[runs.length - 1];
+      if (last && last.text !== undefined && last.change === change) last.text += text;
+      else runs.push({ text, change });
+    };
+    const walk = (node, change) => {
       for (const child of Array.from(node.childNodes || [])) {
         if (child.nodeType !== 1) continue; // elements only
         const tag = child.tagName;
-        if (tag === "w:t") out.push(child.textContent || "");
-        else if (tag === "w:tab") out.push("\t");
-        else if (tag === "w:br") out.push("\n");
-        walk(child);
+        if (tag === "w:t" || tag === "w:delText") push(child.textContent || "", change);
+        else if (tag === "w:tab") push("\t", change);
+        else if (tag === "w:br") push("\n", change);
+        else if (tag === "w:footnoteReference" || tag === "w:endnoteReference") {
+          const kind = tag === "w:footnoteReference" ? "w:footnote" : "w:endnote";
+          runs.push({ note: notes.get(`${kind}:${child.getAttribute("w:id")}`) ?? "", change });
+        }
+        walk(child, tag === "w:ins" || tag === "w:del" ? changeOf(child) : change);
       }
     };
-    walk(p);
-    return out.join("").replace(/\s+\n/g, "\n").trim();
+    walk(p, null);
+    return runs;
   };
 
+  // Footnotes and endnotes (both become footnotes; the export decides where they are printed)
+  for (const [path, tag] of [["word/footnotes.xml", "w:footnote"], ["word/endnotes.xml", "w:endnote"]]) {
+    const notesXml = await zip.file(path)?.async("string");
+    if (!notesXml) continue;
+    for (const el of Array.from(parser.parseFromString(notesXml, "application/xml").getElementsByTagName(tag))) {
+      // Skip the separator "notes" Word keeps in the same file
+      const type = el.getAttribute("w:type");
+      if (type && type !== "normal") continue;
+      const text = Array.from(el.getElementsByTagName("w:p")).map(np => runsText(paragraphRuns(np))).join("\n").trim();
+      notes.set(`${tag}:${el.getAttribute("w:id")}`, text);
+    }
+  }
+
   for (const p of ps) {
     const style = getStyle(p);
-    const text = paragraphText(p);
-    if (!clean(text)) continue;
+    const runs = paragraphRuns(p);
+    // The text as it reads with the changes accepted (headings and titles are detected on this)
+    const text = runsText(runs);
+    const rich = runs.some(r => r.note !== undefined || (r.change && r.text.trim()));
+    if (!clean(text) && !rich) continue;
     // Map style ids to friendly names (enough for our heuristics)
     let styleName = style;
     if (/heading1/i.test(style)) styleName = "Heading 1";
     if (/heading2/i.test(style)) styleName = "Heading 2";
     if (/title/i.test(style)) styleName = "Title";
-    paragraphs.push({ text, style: styleName });
+    if (style === "PartHeading") styleName = "Part Heading";
+    if (style === "ChapterHeading") styleName = "Chapter Heading";
+    paragraphs.push({ text, style: styleName, centred: isCentred(p), ...(rich ? { runs: trimRuns(runs) } : {}) });
   }
 
   return paragraphs;
@@ -219,10 +349,382 @@ async function parseRTF(file) {
   return paras.map(t => ({ text: t, style: "" }));
 }
 
+// The YAML front matter our Markdown export writes (key: value lines; strings plain, "double" or 'single'
+// quoted). → { meta, body }; lists and nested values are skipped.
+const FRONT_MATTER_RE = /^---[ \t]*\n([\s\S]*?)\n(?:---|\.\.\.)[ \t]*(?:\n|$)/;
+function frontMatter(text) {
+  const m = text.match(FRONT_MATTER_RE);
+  if (!m) return { meta: {}, body: text };
+  const meta = {};
+  for (const line of m[1].split("\n")) {
+    const kv = line.match(/^([A-Za-z_][\w-]*):[ \t]*(.*?)[ \t]*$/);
+    if (!kv) continue;
+    let value = kv[2];
+    if (/^".*"$/.test(value)) {
+      try { value = JSON.parse(value); } catch { value = value.slice(1, -1); }
+    } else if (/^'.*'$/.test(value)) {
+      value = value.slice(1, -1).replaceAll("''", "'");
+    }
+    meta[kv[1].toLowerCase()] = value;
+  }
+  return { meta, body: text.slice(m[0].length) };
+}
+
+const MD_FENCE_RE = /^ {0,3}(`{3,}|~{3,})/;
+const MD_ATX_RE = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const MD_HR_RE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const MD_QUOTE_RE = /^ {0,3}> ?/;
+const MD_ITEM_RE = /^( {0,3})([-+*]|\d{1,9}[.)])(?:([ \t]+)(.*)|$)/;
+const MD_SETEXT_RE = /^ {0,3}(=+|-+)[ \t]*$/;
+const MD_NOTE_DEF_RE = /^ {0,3}\[\^([^\]\s]+)\]:[ \t]*(.*)$/;
+
+// Lines that end a paragraph without a blank line before them (only "1." starts an ordered list there)
+const mdInterrupts = (line) => MD_FENCE_RE.test(line) || MD_ATX_RE.test(line) || MD_HR_RE.test(line) ||
+  MD_QUOTE_RE.test(line) || MD_NOTE_DEF_RE.test(line) || /^ {0,3}(?:[-+*]|1[.)])[ \t]+\S/.test(line);
+
+// Lines → blocks: { type: "paragraph", lines }, { type: "heading", level, raw }, { type: "code", text },
+// { type: "break" }, { type: "quote", children }, { type: "list", ordered, start, items: [[blocks]] }.
+// Footnote definitions go into `notes` (label → raw text) wherever they are.
+function mdBlocks(lines, notes) {
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    let m;
+    if (!line.trim()) {
+      i++;
+    } else if ((m = line.match(MD_FENCE_RE))) {
+      const fence = m[1];
+      const isClose = (l) => l.match(/^ */)[0].length < 4 && l.trim().length >= fence.length && l.trim() === fence[0].repeat(l.trim().length);
+      const code = [];
+      for (i++; i < lines.length && !isClose(lines[i]); i++) code.push(lines[i]);
+      i++;
+      blocks.push({ type: "code", text: code.join("\n") });
+    } else if ((m = line.match(MD_ATX_RE))) {
+      blocks.push({ type: "heading", level: m[1].length, raw: m[2] || "" });
+      i++;
+    } else if (MD_HR_RE.test(line)) {
+      blocks.push({ type: "break" });
+      i++;
+    } else if (MD_QUOTE_RE.test(line)) {
+      // Lines without ">" go on with the quoted paragraph ("lazy" lines)
+      const inner = [];
+      for (; i < lines.length && lines[i].trim() && (MD_QUOTE_RE.test(lines[i]) || !mdInterrupts(lines[i])); i++) {
+        inner.push(lines[i].replace(MD_QUOTE_RE, ""));
+      }
+      blocks.push({ type: "quote", children: mdBlocks(inner, notes) });
+    } else if ((m = line.match(MD_NOTE_DEF_RE))) {
+      const text = [m[2]];
+      for (i++; i < lines.length && (/^ {4}/.test(lines[i]) || (!lines[i].trim() && /^ {4}/.test(lines[i + 1] || ""))); i++) {
+        text.push(lines[i].trim());
+      }
+      // Paragraphs of a note are lines of the footnote text
+      notes.set(m[1], text.join("\n").trim().split(/\n\s*\n/).map(p => p.replace(/\s*\n\s*/g, " ")).join("\n"));
+    } else if ((m = line.match(MD_ITEM_RE))) {
+      const ordered = /\d/.test(m[2]);
+      const marker = m[2].slice(-1); // a different bullet or delimiter starts a new list
+      const list = { type: "list", ordered, start: ordered ? parseInt(m[2], 10) : 1, items: [] };
+      while (i < lines.length && !MD_HR_RE.test(lines[i])) {
+        const im = lines[i].match(MD_ITEM_RE);
+        if (!im || /\d/.test(im[2]) !== ordered || im[2].slice(-1) !== marker) break;
+        const spaces = (im[3] || "").length;
+        // Text indented further than the marker and one space is a code block in Markdown; here it's text
+        const width = im[1].length + im[2].length + (spaces > 4 || !im[4] ? 1 : spaces);
+        const item = [im[4] || ""];
+        let blank = false;
+        for (i++; i < lines.length; i++) {
+          const next = lines[i];
+          if (!next.trim()) {
+            item.push("");
+            blank = true;
+          } else if (next.match(/^ */)[0].length >= width) {
+            item.push(next.slice(width));
+            blank = false;
+          } else if (!blank && !mdInterrupts(next) && !MD_ITEM_RE.test(next)) {
+            item.push(next);
+          } else {
+            break;
+          }
+        }
+        list.items.push(mdBlocks(item, notes));
+      }
+      blocks.push(list);
+    } else {
+      const para = [line];
+      let level = 0;
+      for (i++; i < lines.length && lines[i].trim(); i++) {
+        const setext = lines[i].match(MD_SETEXT_RE);
+        if (setext) {
+          level = setext[1][0] === "=" ? 1 : 2;
+          i++;
+          break;
+        }
+        if (mdInterrupts(lines[i])) break;
+        para.push(lines[i]);
+      }
+      blocks.push(level ? { type: "heading", level, raw: para.map(l => l.trim()).join(" ") } : { type: "paragraph", lines: para });
+    }
+  }
+  return blocks;
+}
+
+// Inline source of a paragraph: soft line breaks are spaces, hard ones (two spaces or "\" at the end) "\n"
+const mdParagraphSource = (lines) => lines.map((line, j) => {
+  const t = line.replace(/^[ \t]+/, "");
+  if (j === lines.length - 1) return t.replace(/[ \t]+$/, "");
+  if (/(^|[^\\])\\$/.test(t)) return `${t.slice(0, -1)}\n`;
+  if (/ {2,}$/.test(t)) return `${t.replace(/ +$/, "")}\n`;
+  return `${t.replace(/[ \t]+$/, "")} `;
+}).join("");
+
+const MD_PUNCT_RE = /[\p{P}\p{S}]/u;
+const MD_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: "\u00a0" };
+// Inline HTML that has a mark in the editor
+const MD_TAG_MARKS = { u: "underline", ins: "underline", b: "bold", strong: "bold", i: "italic", em: "italic", s: "strike", del: "strike", strike: "strike" };
+
+function mdEntity(name) {
+  if (name[0] !== "#") return MD_ENTITIES[name.toLowerCase()] ?? null;
+  const code = name[1] === "x" || name[1] === "X" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+  return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : null;
+}
+
+// "[label](url)" at `from` → { label, end } (index after it), or null. Reference links stay text.
+function mdLink(src, from) {
+  let depth = 0;
+  let i = from;
+  for (; i < src.length; i++) {
+    if (src[i] === "\\") i++;
+    else if (src[i] === "[") depth++;
+    else if (src[i] === "]" && --depth === 0) break;
+  }
+  if (i >= src.length || src[i + 1] !== "(") return null;
+  const label = src.slice(from + 1, i);
+  let parens = 0;
+  for (let j = i + 1; j < src.length; j++) {
+    if (src[j] === "\\") j++;
+    else if (src[j] === "(") parens++;
+    else if (src[j] === ")" && --parens === 0) return { label, end: j + 1 };
+  }
+  return null;
+}
+
+// Inline Markdown → tokens [{ text, marks: ["bold", …] } | { note }]. Emphasis pairs up the way CommonMark
+// does it (flanking delimiter runs, nearest opener first), without its rarer rules. Links keep their text
+// and images their description: the editor has neither.
+function mdTokens(src, notes) {
+  const tokens = []; // text, notes and delimiters ({ delim, count, canOpen, canClose, marks })
+  let text = "";
+  const flush = () => {
+    if (text) tokens.push({ text, marks: [] });
+    text = "";
+  };
+  const isSpace = (ch) => !ch || /\s/.test(ch);
+  const isPunct = (ch) => !!ch && MD_PUNCT_RE.test(ch);
+  let i = 0;
+  while (i < src.length) {
+    const c = src[i];
+    let m;
+    if (c === "\\" && /[!-/:-@[-`{-~]/.test(src[i + 1] || "")) {
+      text += src[i + 1];
+      i += 2;
+    } else if (c === "`") {
+      const run = src.slice(i).match(/^`+/)[0];
+      const close = new RegExp(`(?<!\`)\`{${run.length}}(?!\`)`, "g");
+      close.lastIndex = i + run.length;
+      const end = close.exec(src);
+      if (!end) {
+        text += run;
+        i += run.length;
+        continue;
+      }
+      let code = src.slice(i + run.length, end.index).replace(/\n/g, " ");
+      if (/^ [\s\S]* $/.test(code) && code.trim()) code = code.slice(1, -1);
+      flush();
+      tokens.push({ text: code, marks: ["code"] });
+      i = end.index + run.length;
+    } else if (c === "[" && (m = src.slice(i).match(/^\[\^([^\]\s]+)\]/)) && notes.has(m[1])) {
+      flush();
+      tokens.push({ note: mdTokens(notes.get(m[1]), new Map()).map(t => t.text || "").join("") });
+      i += m[0].length;
+    } else if ((c === "[" || (c === "!" && src[i + 1] === "[")) && (m = mdLink(src, c === "!" ? i + 1 : i))) {
+      flush();
+      tokens.push(...mdTokens(m.label, notes));
+      i = m.end;
+    } else if (c === "<" && (m = src.slice(i).match(/^<br\s*\/?>|^<(\/?)([a-z]+)>|^<((?:https?|mailto):[^\s<>]+)>|^<!--[\s\S]*?-->|^<\/?[a-z][\w-]*(?:\s[^<>]*)?\/?>/i))) {
+      if (/^<br/i.test(m[0])) text += "\n";
+      else if (m[3]) text += m[3];
+      else if (MD_TAG_MARKS[m[2]?.toLowerCase()]) {
+        flush();
+        tokens.push({ delim: `<${MD_TAG_MARKS[m[2].toLowerCase()]}`, count: 1, canOpen: !m[1], canClose: !!m[1], marks: [] });
+      }
+      // Any other HTML is left out
+      i += m[0].length;
+    } else if (c === "&" && (m = src.slice(i).match(/^&(#\d{1,7}|#x[0-9a-f]{1,6}|[a-z]+);/i)) && mdEntity(m[1]) !== null) {
+      text += mdEntity(m[1]);
+      i += m[0].length;
+    } else if (c === "*" || c === "_" || c === "~") {
+      const run = src.slice(i).match(c === "*" ? /^\*+/ : c === "_" ? /^_+/ : /^~+/)[0];
+      const before = src[i - 1];
+      const after = src[i + run.length];
+      const left = !isSpace(after) && (!isPunct(after) || isSpace(before) || isPunct(before));
+      const right = !isSpace(before) && (!isPunct(before) || isSpace(after) || isPunct(after));
+      if (c === "~" && run.length !== 2) {
+        text += run;
+      } else {
+        flush();
+        // Underscores inside a word ("snake_case") aren't emphasis
+        const canOpen = c === "_" ? left && (!right || isPunct(before)) : left;
+        const canClose = c === "_" ? right && (!left || isPunct(after)) : right;
+        tokens.push({ delim: c, count: run.length, canOpen, canClose, marks: [] });
+      }
+      i += run.length;
+    } else {
+      text += c;
+      i++;
+    }
+  }
+  flush();
+
+  for (let ci = 0; ci < tokens.length; ci++) {
+    const closer = tokens[ci];
+    if (!closer.delim || !closer.canClose) continue;
+    while (closer.count > 0) {
+      let oi = ci - 1;
+      while (oi >= 0 && !(tokens[oi].delim === closer.delim && tokens[oi].canOpen && tokens[oi].count > 0)) oi--;
+      if (oi < 0) break;
+      const opener = tokens[oi];
+      const use = Math.min(2, opener.count, closer.count);
+      const mark = closer.delim[0] === "<" ? closer.delim.slice(1) : closer.delim === "~" ? "strike" : use === 2 ? "bold" : "italic";
+      for (let k = oi + 1; k < ci; k++) {
+        tokens[k].marks?.push(mark);
+        // Delimiters inside a pair can't pair with anything outside it
+        if (tokens[k].delim) tokens[k].canOpen = tokens[k].canClose = false;
+      }
+      opener.count -= use;
+      closer.count -= use;
+    }
+  }
+  // Unpaired delimiters are text (HTML tags nothing)
+  return tokens.map(t => (t.delim ? { text: t.delim[0] === "<" ? "" : t.delim.repeat(t.count), marks: t.marks } : t))
+    .filter(t => t.note !== undefined || t.text);
+}
+
+// Inline Markdown → runs for runsToTiptap (neighbours with the same marks merged)
+function mdRuns(src, notes) {
+  const runs = [];
+  for (const t of mdTokens(src, notes)) {
+    if (t.note !== undefined) {
+      runs.push({ note: t.note });
+      continue;
+    }
+    // Code takes no other marks in the editor
+    const types = t.marks.includes("code") ? ["code"] : [...new Set(t.marks)].sort();
+    const last = runs[runs.length - 1];
+    if (last?.text !== undefined && last.types.join() === types.join()) last.text += t.text;
+    else runs.push({ text: t.text, types });
+  }
+  return runs.map(({ types, ...r }) => (r.note !== undefined ? r : { ...r, change: null, marks: types.map(type => ({ type })) }));
+}
+
+const nodeText = (node) => (node.type === "text" ? node.text || "" : (node.content || []).map(nodeText).join(node.type === "paragraph" ? "" : "\n"));
+
+// Markdown (front matter already taken off) → paragraphs for splitFromParagraphs. Top-level headings of the two
+// highest levels used are parts and chapters: with both, the higher are parts unless they read like chapters
+// (our export writes parts as # and chapters as ##); a lone # above ## headings is the book's title. Deeper
+// headings, quotes, lists and code stay in the text as they are. `meta` is the front matter: a per-chapter file
+// without a heading takes its title, and its `kind` and `part` say where its heading belongs.
+function parseMarkdown(text, meta = {}) {
+  const lines = text.replace(/\r\n?/g, "\n").split("\n").map(l => l.replace(/^\t+/, t => "    ".repeat(t.length)));
+  const notes = new Map();
+  const blocks = mdBlocks(lines, notes);
+
+  const headings = blocks.filter(b => b.type === "heading" && clean(b.raw));
+  const paragraphs = [];
+  const first = headings[0];
+  if (!meta.title && first === blocks[0] && first.level === 1 && headings.filter(h => h.level === 1).length === 1 &&
+      headings.some(h => h.level === 2) && !PART_RE.test(clean(first.raw))) {
+    paragraphs.push({ text: clean(mdRuns(first.raw, notes).map(r => r.text || "").join("")), style: "Title" });
+    blocks.shift();
+    headings.shift();
+  }
+  // Our export's own files always have # for their outline, whatever is printed
+  const top = meta.title || !headings.length ? 1 : Math.min(...headings.map(h => h.level));
+  const withParts = headings.some(h => h.level === top) && headings.some(h => h.level === top + 1);
+  const headingLevel = (level) => Math.min(2, Math.max(1, level - top - 1));
+  // A chapter file of a per-chapter export that names no part stands outside them
+  const outside = meta.novel && meta.kind === "chapter" && !meta.part ? { topLevel: true } : {};
+
+  const toTiptap = (b) => {
+    if (b.type === "paragraph") return runsToTiptap(mdRuns(mdParagraphSource(b.lines), notes));
+    if (b.type === "heading") return { type: "heading", attrs: { level: headingLevel(b.level) }, content: runsToTiptap(mdRuns(b.raw, notes)).content };
+    if (b.type === "code") return { type: "codeBlock", content: b.text ? [{ type: "text", text: b.text }] : [] };
+    if (b.type === "break") return { type: "sceneBreak" };
+    if (b.type === "quote") {
+      const content = b.children.map(toTiptap);
+      return { type: "blockquote", content: content.length ? content : [{ type: "paragraph" }] };
+    }
+    return {
+      type: b.ordered ? "orderedList" : "bulletList",
+      ...(b.ordered ? { attrs: { start: b.start } } : {}),
+      content: b.items.map(item => {
+        const content = item.map(toTiptap);
+        // A list item starts with a paragraph
+        if (content[0]?.type !== "paragraph") content.unshift({ type: "paragraph" });
+        return { type: "listItem", content };
+      })
+    };
+  };
+
+  for (const b of blocks) {
+    if (b.type === "heading" && b.level <= top + 1) {
+      const runs = mdRuns(b.raw, notes);
+      const t = clean(runs.map(r => r.text || "").join(""));
+      const part = meta.kind ? meta.kind === "part" && b.level === top : withParts && b.level === top && !CHAPTER_RE.test(t) && !FRONT_RE.test(t);
+      if (t) paragraphs.push({ text: t, style: part ? "Part Heading" : "Chapter Heading", ...outside });
+    } else if (b.type === "paragraph") {
+      const runs = mdRuns(mdParagraphSource(b.lines), notes);
+      const rich = runs.some(r => r.note !== undefined || r.marks.length);
+      paragraphs.push({ text: runsText(runs), style: "", ...(rich ? { runs: trimRuns(runs) } : {}) });
+    } else if (b.type === "break") {
+      paragraphs.push({ text: "* * *", style: "" });
+    } else {
+      const node = toTiptap(b);
+      paragraphs.push({ text: nodeText(node), style: "", node });
+    }
+  }
+
+  // A file of a per-chapter export whose heading wasn't printed
+  if (meta.novel && meta.title && !/heading/i.test(paragraphs[0]?.style || "")) {
+    paragraphs.unshift({ text: clean(meta.title), style: meta.kind === "part" ? "Part Heading" : "Chapter Heading", ...outside });
+  }
+  return paragraphs;
+}
+
+const normalizeText = (text) => text.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+
+// The zip of a per-chapter Markdown export: its .md files in the `order` of their front matter (then by
+// name), read one by one and joined. → { paragraphs, title }
+async function parseMarkdownZip(file) {
+  const JSZip = (await import("https://esm.sh/jszip@3.10.1")).default;
+  const zip = await JSZip.loadAsync(await file.arrayBuffer());
+  const files = [];
+  for (const entry of Object.values(zip.files)) {
+    if (entry.dir || !/\.(md|markdown)$/i.test(entry.name) || entry.name.startsWith("__MACOSX/")) continue;
+    files.push({ name: entry.name, ...frontMatter(normalizeText(await entry.async("string"))) });
+  }
+  if (!files.length) throw new Error("The zip has no Markdown (.md) files");
+  const order = (f) => Number(f.meta.order) || Infinity;
+  files.sort((a, b) => order(a) - order(b) || a.name.localeCompare(b.name, undefined, { numeric: true }));
+  return {
+    paragraphs: files.flatMap(f => parseMarkdown(f.body, f.meta)),
+    title: clean(files.find(f => f.meta.novel)?.meta.novel || "")
+  };
+}
+
 export async function parseImportFile(file) {
   if (!file) throw new Error("No file selected");
   const name = file.name || "Imported";
-  const fallbackTitle = filenameToTitle(name);
+  let fallbackTitle = filenameToTitle(name);
 
   const ext = (name.split(".").pop() || "").toLowerCase();
   let paragraphs = [];
@@ -230,8 +732,16 @@ export async function parseImportFile(file) {
     paragraphs = await parseRTF(file);
   } else if (ext === "docx" || file.type.includes("officedocument")) {
     paragraphs = await parseDOCX(file);
+  } else if (ext === "md" || ext === "markdown" || file.type === "text/markdown") {
+    const { meta, body } = frontMatter(normalizeText(await file.text()));
+    paragraphs = parseMarkdown(body, meta);
+    fallbackTitle = clean(meta.novel || meta.title) || fallbackTitle;
+  } else if (ext === "zip" || file.type.includes("zip")) {
+    let title;
+    ({ paragraphs, title } = await parseMarkdownZip(file));
+    fallbackTitle = title || fallbackTitle;
   } else {
-    throw new Error("Unsupported file type. Please use .docx or .rtf");
+    throw new Error("Unsupported file type. Please use .docx, .rtf, .md or a .zip of .md files");
   }
 
   return splitFromParagraphs(paragraphs, fallbackTitle);
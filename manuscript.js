@@ -0,0 +1,169 @@
+// manuscript.js — PDF export profiles: page sizes, fonts, margins and the manuscript conventions they follow
+//
+// A novel keeps its PDF choices in its settings (novel.settings.pdf = { profile, font, paper, trim, dropCaps })
+// next to the author details the title page needs (novel.settings.author, .contact). The layout itself is
+// in export.js; this module only says what each profile looks like. Sizes are PDF points (72 per inch).
+
+const INCH = 72;
+
+// Fonts the PDF can embed. Roboto ships with pdfmake; the others are Google Fonts TTFs (OFL) from npm
+// via jsDelivr, downloaded on first use and then cached by the Service Worker. Custom fonts are uploaded
+// by the user and stored in IndexedDB (see storage.js); their ids are "custom:<id>".
+const FONT_CDN = "https://cdn.jsdelivr.net/npm";
+const googleFont = (pkg, prefix) => ({
+  normal: `${FONT_CDN}/${pkg}/${prefix}_400Regular.ttf`,
+  italics: `${FONT_CDN}/${pkg}/${prefix}_400Regular_Italic.ttf`,
+  bold: `${FONT_CDN}/${pkg}/${prefix}_700Bold.ttf`,
+  bolditalics: `${FONT_CDN}/${pkg}/${prefix}_700Bold_Italic.ttf`
+});
+export const PDF_FONTS = {
+  roboto: { label: "Roboto (built in)", family: "Roboto", files: null },
+  times: { label: "Times (Tinos)", family: "Tinos", files: googleFont("@expo-google-fonts/tinos@0.2.3", "Tinos") },
+  courier: { label: "Courier (Courier Prime)", family: "CourierPrime", files: googleFont("@expo-google-fonts/courier-prime@0.2.3", "CourierPrime") },
+  garamond: { label: "Garamond (EB Garamond)", family: "EBGaramond", files: googleFont("@expo-google-fonts/eb-garamond@0.2.3", "EBGaramond") }
+};
+export const FONT_STYLES = ["normal", "bold", "italics", "bolditalics"];
+export const CUSTOM_FONT_PREFIX = "custom:";
+
+export const PAPER_SIZES = {
+  LETTER: { label: "US Letter (8.5 × 11 in)", width: 8.5 * INCH, height: 11 * INCH },
+  A4: { label: "A4 (210 × 297 mm)", width: 595.28, height: 841.89 }
+};
+
+// Common print-on-demand trim sizes, with the inside (gutter) margin growing for thicker books
+export const TRIM_SIZES = {
+  "5x8": { label: "5 × 8 in", width: 5 * INCH, height: 8 * INCH },
+  "5.25x8": { label: "5.25 × 8 in", width: 5.25 * INCH, height: 8 * INCH },
+  "5.5x8.5": { label: "5.5 × 8.5 in", width: 5.5 * INCH, height: 8.5 * INCH },
+  "6x9": { label: "6 × 9 in", width: 6 * INCH, height: 9 * INCH }
+};
+
+// simple:     the plain reading copy the PDF export always made
+// manuscript: standard manuscript format for agents and editors (Shunn): 12 pt Courier or Times, double
+//             spaced, half-inch first-line indents, 1 in margins, a title page with contact details and the
+//             rounded word count, "Surname / TITLE / page" at the top right, chapters a third down a new page
+// paperback:  a proof of the printed book: trim size, mirrored margins (wider on the spine side), justified
+//             text, drop caps at chapter openings, author/title running heads and page numbers
+export const PDF_PROFILES = {
+  simple: {
+    label: "Simple",
+    font: "roboto",
+    fontSize: 11,
+    lineHeight: 1,
+    paragraphGap: 8,
+    indent: 0,
+    indentFirst: true, // indent the first paragraph after a heading or scene break too
+    alignment: "left",
+    headingSizes: [16, 13], // level 1 (parts, or chapters without parts), level 2
+    headingBold: true,
+    headingAlign: "left",
+    headingGap: 6,
+    margins: { top: 54, bottom: 54, inside: 54, outside: 54 },
+    titlePage: null,
+    header: null,
+    pageNumbers: false,
+    chapterPage: "part", // "part": only parts start a new page; "chapter": parts and chapters
+    chapterSink: 0, // extra space above a heading at the top of a page
+    sceneBreak: null, // null = the novel's own glyph
+    sceneBreakMargin: [0, 4, 0, 12]
+  },
+  manuscript: {
+    label: "Standard manuscript format",
+    font: "courier",
+    fontSize: 12,
+    lineHeight: 2,
+    paragraphGap: 0,
+    indent: INCH / 2,
+    indentFirst: true,
+    alignment: "left",
+    headingSizes: [12, 12],
+    headingBold: false,
+    headingAlign: "center",
+    headingGap: 24,
+    margins: { top: INCH, bottom: INCH, inside: INCH, outside: INCH },
+    titlePage: "manuscript",
+    header: "manuscript",
+    pageNumbers: false,
+    chapterPage: "chapter",
+    chapterSink: 2 * INCH,
+    sceneBreak: "#",
+    sceneBreakMargin: [0, 0, 0, 0]
+  },
+  paperback: {
+    label: "Paperback proof",
+    font: "garamond",
+    fontSize: 11,
+    lineHeight: 1.2,
+    paragraphGap: 0,
+    indent: 14,
+    indentFirst: false,
+    alignment: "justify",
+    headingSizes: [20, 16],
+    headingBold: false,
+    headingAlign: "center",
+    headingGap: 24,
+    margins: { top: 0.75 * INCH, bottom: 0.75 * INCH, inside: 0.875 * INCH, outside: 0.625 * INCH },
+    titlePage: "book",
+    header: "book",
+    pageNumbers: true,
+    chapterPage: "chapter",
+    chapterSink: 1.5 * INCH,
+    sceneBreak: null,
+    sceneBreakMargin: [0, 6, 0, 6],
+    dropCapLines: 3
+  }
+};
+export const DEFAULT_PDF_PROFILE = "simple";
+
+export const DEFAULT_PDF_SETTINGS = Object.freeze({ profile: DEFAULT_PDF_PROFILE, font: "", paper: "LETTER", trim: "5.5x8.5", dropCaps: true });
+
+// Everything export.js needs to lay out one PDF: the profile with the novel's choices applied
+// ({ ...profile, font, page: { width, height }, mirrored, dropCapLines })
+export function resolvePdfProfile(settings = {}) {
+  const s = { ...DEFAULT_PDF_SETTINGS, ...settings };
+  const profile = PDF_PROFILES[s.profile] || PDF_PROFILES[DEFAULT_PDF_PROFILE];
+  const font = s.font && (PDF_FONTS[s.font] || s.font.startsWith(CUSTOM_FONT_PREFIX)) ? s.font : profile.font;
+  let page = PAPER_SIZES.A4;
+  if (profile === PDF_PROFILES.manuscript) page = PAPER_SIZES[s.paper] || PAPER_SIZES.LETTER;
+  if (profile === PDF_PROFILES.paperback) page = TRIM_SIZES[s.trim] || TRIM_SIZES["5.5x8.5"];
+  const mirrored = profile.margins.inside !== profile.margins.outside;
+  return { ...profile, font, page: { width: page.width, height: page.height }, mirrored, dropCapLines: s.dropCaps ? profile.dropCapLines || 0 : 0 };
+}
+
+// "about 85,000 words": nearest hundred for short works, nearest thousand from 10,000 words on
+export function roundedWordCount(words) {
+  if (!words) return "0 words";
+  const step = words < 10000 ? 100 : 1000;
+  return `about ${(Math.max(step, Math.round(words / step) * step)).toLocaleString("en-US")} words`;
+}
+
+export const surnameOf = (author) => String(author || "").trim().split(/\s+/).pop() || "";
+
+// Running header of a manuscript page: "Surname / TITLE / 12"
+export function manuscriptHeader({ author, surname, title }, page) {
+  const name = (surname || "").trim() || surnameOf(author);
+  return [name, String(title || "Untitled").toUpperCase(), String(page)].filter(Boolean).join(" / ");
+}
+
+// Style of an uploaded font file, from its name ("Lora-BoldItalic.ttf" → "bolditalics")
+export function fontFileStyle(fileName) {
+  const name = String(fileName).replace(/\.[^.]+$/, "");
+  const bold = /bold|black|heavy|semibold|demi/i.test(name);
+  const italic = /italic|oblique/i.test(name);
+  return bold && italic ? "bolditalics" : bold ? "bold" : italic ? "italics" : "normal";
+}
+
+// Family name of uploaded font files ("Lora-BoldItalic.ttf" → "Lora")
+export function fontFamilyName(fileName) {
+  return String(fileName)
+    .replace(/\.[^.]+$/, "")
+    .replace(/[-_ ]?(regular|roman|book|bold|black|heavy|semibold|demibold|demi|italic|oblique|\d00)+/gi, "")
+    .replace(/[-_]+/g, " ")
+    .trim() || "Custom font";
+}
+
+// TrueType or OpenType font data (WOFF and other web formats can't be embedded in a PDF)
+export function isFontFile(buffer) {
+  const tag = String.fromCharCode(...new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength)));
+  return tag === "\0\u0001\0\0" || tag === "OTTO" || tag === "true";
+}
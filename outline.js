@@ -0,0 +1,121 @@
+// outline.js — parts / chapters / scenes tree over the flat `chapters` rows
+//
+// Every row is a node with `kind` ("part" | "chapter" | "scene"), `parentId` and `order` (position among
+// its siblings). Rows from before the hierarchy have neither field and are top-level chapters. The tree
+// is rebuilt from parentId on every read, so a row whose parent is gone (or which can't nest under it)
+// shows up at the top level instead of disappearing.
+
+export const NODE_KINDS = ["part", "chapter", "scene"];
+export const KIND_LABELS = { part: "Part", chapter: "Chapter", scene: "Scene" };
+
+// Kinds each kind may sit under (null = top level). Kinds only ever nest downwards, so no cycles.
+const ALLOWED_PARENTS = {
+  part: [null],
+  chapter: [null, "part"],
+  scene: ["chapter"]
+};
+
+export const nodeKind = (row) => (NODE_KINDS.includes(row?.kind) ? row.kind : "chapter");
+
+export function canNest(kind, parentKind = null) {
+  return ALLOWED_PARENTS[kind]?.includes(parentKind) ?? false;
+}
+
+// → { roots, byId } of items { node, kind, parent, children, depth }
+export function buildOutline(rows) {
+  const byId = new Map((rows || []).map(r => [r.id, { node: r, kind: nodeKind(r), parent: null, children: [], depth: 0 }]));
+  const roots = [];
+  const sorted = [...(rows || [])].sort((a, b) => (a.order || 0) - (b.order || 0));
+  for (const row of sorted) {
+    const item = byId.get(row.id);
+    const parent = row.parentId ? byId.get(row.parentId) : null;
+    if (parent && canNest(item.kind, parent.kind)) {
+      item.parent = parent;
+      parent.children.push(item);
+    } else {
+      roots.push(item);
+    }
+  }
+  const setDepth = (items, depth) => {
+    for (const item of items) {
+      item.depth = depth;
+      setDepth(item.children, depth + 1);
+    }
+  };
+  setDepth(roots, 0);
+  return { roots, byId };
+}
+
+// Items in reading order (depth first)
+export function flattenOutline(roots) {
+  const out = [];
+  const walk = (items) => {
+    for (const item of items) {
+      out.push(item);
+      walk(item.children);
+    }
+  };
+  walk(roots);
+  return out;
+}
+
+// Rows in reading order, each annotated with its kind and depth (what exporters consume)
+export function outlineRows(rows) {
+  return flattenOutline(buildOutline(rows).roots).map(item => ({ ...item.node, kind: item.kind, depth: item.depth }));
+}
+
+// The node and everything below it, parent first
+export function subtreeIds(rows, id) {
+  const item = buildOutline(rows).byId.get(id);
+  return item ? flattenOutline([item]).map(i => i.node.id) : [];
+}
+
+// Totals per node: its own value plus all of its descendants'
+export function rollUp(roots, valueOf) {
+  const totals = new Map();
+  const sum = (item) => {
+    let total = valueOf(item.node);
+    for (const child of item.children) total += sum(child);
+    totals.set(item.node.id, total);
+    return total;
+  };
+  roots.forEach(sum);
+  return totals;
+}
+
+const toOutline = (roots) => flattenOutline(roots).map(item => ({ id: item.node.id, parentId: item.parent?.node.id ?? null }));
+
+// Moves node `id` before/after/inside `targetId`. Returns the new outline as [{ id, parentId }] in
+// reading order, or null when the move would break the nesting rules.
+export function moveInOutline(rows, id, targetId, position) {
+  const { roots, byId } = buildOutline(rows);
+  const item = byId.get(id);
+  const target = byId.get(targetId);
+  if (!item || !target || item === target) return null;
+  for (let p = target; p; p = p.parent) if (p === item) return null; // into its own subtree
+
+  const parent = position === "inside" ? target : target.parent;
+  if (!canNest(item.kind, parent?.kind ?? null)) return null;
+
+  const from = item.parent ? item.parent.children : roots;
+  from.splice(from.indexOf(item), 1);
+  const into = parent ? parent.children : roots;
+  const at = position === "inside" ? into.length : into.indexOf(target) + (position === "after" ? 1 : 0);
+  into.splice(at, 0, item);
+  item.parent = parent;
+  return toOutline(roots);
+}
+
+// Why a node can't become `kind` ("" when it can)
+export function kindChangeProblem(rows, id, kind) {
+  const item = buildOutline(rows).byId.get(id);
+  if (!item) return "Not found";
+  if (!canNest(kind, item.parent?.kind ?? null)) {
+    return item.parent
+      ? `A ${kind} can't sit inside a ${item.parent.kind}.`
+      : `A ${kind} has to be inside a ${ALLOWED_PARENTS[kind][0]}.`;
+  }
+  const child = item.children.find(c => !canNest(c.kind, kind));
+  if (child) return `It contains a ${child.kind}, which can't sit inside a ${kind}.`;
+  return "";
+}
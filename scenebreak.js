@@ -0,0 +1,55 @@
+// scenebreak.js — scene breaks as `sceneBreak` block nodes (see editor.js)
+//
+// The node stores nothing: the glyph it shows is a per-novel setting (settings.sceneBreak, one of the
+// SCENE_BREAK_STYLES keys), so switching from "* * *" to "#" changes every break in the editor and the
+// exports at once. Breaks split a chapter into scenes for navigation and the word-count breakdown.
+
+export const SCENE_BREAK_STYLES = {
+  asterisks: { text: "* * *" },
+  hash: { text: "#" },
+  // The PDF fonts have no dingbats, so the PDF prints bullets instead
+  ornament: { text: "❦", pdfText: "•  •  •" },
+  // Exports only (chosen when compiling, see compile.js): an empty line, as many printed books have
+  blank: { text: "\u00a0" }
+};
+export const DEFAULT_SCENE_BREAK = "asterisks";
+
+const styleOf = (style) => SCENE_BREAK_STYLES[style] || SCENE_BREAK_STYLES[DEFAULT_SCENE_BREAK];
+export const sceneBreakText = (style) => styleOf(style).text;
+export const sceneBreakPdfText = (style) => styleOf(style).pdfText || styleOf(style).text;
+
+// Horizontal rules from before the sceneBreak node (or typed with "---") print as scene breaks too
+export const isSceneBreak = (node) => node?.type === "sceneBreak" || node?.type === "horizontalRule";
+
+// Paragraphs manuscripts use as breaks: "***", "* * *", "#", "# # #", "⁂", "❦", "~ ~ ~". A centred
+// paragraph of nothing but asterisks (Word manuscripts often centre a lone "*") is one as well.
+const BREAK_RE = /^(?:\*\s*\*\s*\*[\s*]*|#(?:\s*#\s*#)?|⁂|[❦❧☙]|~\s*~\s*~)$/u;
+const CENTRED_BREAK_RE = /^\*(?:\s*\*)*$/;
+
+export function isSceneBreakText(text, centred = false) {
+  const t = String(text || "").trim();
+  return BREAK_RE.test(t) || (centred && CENTRED_BREAK_RE.test(t));
+}
+
+// Top-level blocks of a Tiptap JSON doc split at its breaks: [[...scene 1 blocks], [...scene 2], …].
+// There is always at least one scene; a break at the very start or end leaves an empty one.
+export function scenesOf(doc) {
+  const scenes = [[]];
+  for (const node of doc?.content || []) {
+    if (isSceneBreak(node)) scenes.push([]);
+    else scenes[scenes.length - 1].push(node);
+  }
+  return scenes;
+}
+
+/* ---------------------------
+  Editor side (the open chapter)
+--------------------------- */
+// Where each scene of a live ProseMirror doc starts (the first is 0; the others just after their break)
+export function sceneStarts(pmDoc) {
+  const starts = [0];
+  pmDoc.forEach((node, offset) => {
+    if (node.type.name === "sceneBreak" || node.type.name === "horizontalRule") starts.push(offset + node.nodeSize);
+  });
+  return starts;
+}
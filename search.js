@@ -0,0 +1,178 @@
+// search.js — find/replace over Tiptap JSON (works on stored chapters, no editor needed)
+//
+// Text is searched one textblock (paragraph, heading, …) at a time. Inside a block every text character
+// counts 1 and every inline node (hard break, …) counts 1 as well ("\n" for breaks, U+FFFC otherwise),
+// which is exactly how ProseMirror counts positions — so a hit { block, start, end } can be turned into
+// an editor selection with blockRange().
+
+const TEXTBLOCKS = new Set(["paragraph", "heading", "codeBlock"]);
+const OBJECT_CHAR = "￼";
+const CONTEXT_CHARS = 40;
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// → RegExp (global). Throws a readable error for an invalid pattern.
+export function buildMatcher({ query, caseSensitive = false, wholeWord = false, regex = false }) {
+  if (!query) return null;
+  let source = regex ? query : escapeRegExp(query);
+  // \b only knows ASCII words; look around for letters/digits instead so "Zoë" works too
+  if (wholeWord) source = `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`;
+  try {
+    return new RegExp(source, `gu${caseSensitive ? "" : "i"}`);
+  } catch (e) {
+    // Drop the engine's "/pattern/flags: " prefix — the pattern shown would be our wrapped one
+    throw new Error(`Invalid regular expression: ${e.message.replace(/^Invalid regular expression: \/.*\/[a-z]*: /s, "")}`);
+  }
+}
+
+const inlineText = (node) => (node.type === "text" ? node.text || "" : node.type === "hardBreak" ? "\n" : OBJECT_CHAR);
+
+// Textblocks of a document in order: [{ node, text }]
+export function textblocksOf(doc) {
+  const out = [];
+  const walk = (node) => {
+    if (!node) return;
+    if (TEXTBLOCKS.has(node.type)) {
+      out.push({ node, text: (node.content || []).map(inlineText).join("") });
+      return;
+    }
+    for (const child of node.content || []) walk(child);
+  };
+  walk(doc);
+  return out;
+}
+
+function* matchesIn(text, re) {
+  re.lastIndex = 0;
+  let m;
+  while ((m = re.exec(text))) {
+    if (m[0] === "") {
+      // Empty matches (e.g. /x*/) would loop forever and replace nothing useful
+      re.lastIndex++;
+      continue;
+    }
+    yield m;
+  }
+}
+
+// Hits in one chapter: [{ block, start, end, text, before, after }]
+export function findInDoc(doc, re) {
+  const hits = [];
+  textblocksOf(doc).forEach(({ text }, block) => {
+    for (const m of matchesIn(text, re)) {
+      const start = m.index;
+      const end = start + m[0].length;
+      hits.push({
+        block,
+        start,
+        end,
+        text: m[0],
+        before: text.slice(Math.max(0, start - CONTEXT_CHARS), start),
+        after: text.slice(end, end + CONTEXT_CHARS)
+      });
+    }
+  });
+  return hits;
+}
+
+// "$&", "$1", "$<name>" and "$$" in regex mode; the literal text otherwise
+export function expandReplacement(template, match, regex) {
+  if (!regex) return template;
+  return template.replace(/\$(\$|&|\d{1,2}|<([^>]+)>)/g, (all, token, name) => {
+    if (token === "$") return "$";
+    if (token === "&") return match[0];
+    if (name !== undefined) return match.groups?.[name] ?? "";
+    const group = Number(token);
+    return group > 0 && group < match.length ? (match[group] ?? "") : all;
+  });
+}
+
+const sameMarks = (a, b) => JSON.stringify(a.marks || []) === JSON.stringify(b.marks || []);
+
+// Replaces [start, end) of a textblock's inline content with `text`, which takes the marks of the
+// first replaced character. Returns a new content array.
+function spliceInline(content, start, end, text) {
+  const out = [];
+  let pos = 0;
+  let marks;
+  for (const node of content) {
+    const len = node.type === "text" ? (node.text || "").length : 1;
+    const from = pos;
+    const to = pos + len;
+    pos = to;
+    if (to <= start || from >= end) {
+      out.push(node);
+    } else if (node.type !== "text") {
+      if (marks === undefined) marks = node.marks;
+      // an inline node inside the range is dropped
+    } else {
+      if (marks === undefined) marks = node.marks;
+      const keepHead = node.text.slice(0, Math.max(0, start - from));
+      const keepTail = node.text.slice(Math.max(0, end - from));
+      if (keepHead) out.push({ ...node, text: keepHead });
+      if (keepTail) out.push({ ...node, text: keepTail, _tail: true });
+    }
+  }
+  // Insert the replacement between the kept head and tail
+  let at = out.findIndex(n => n._tail);
+  if (at < 0) {
+    at = 0;
+    let p = 0;
+    for (const node of out) {
+      if (p >= start) break;
+      p += node.type === "text" ? node.text.length : 1;
+      at++;
+    }
+  }
+  if (text) out.splice(at, 0, { type: "text", text, ...(marks?.length ? { marks } : {}) });
+
+  // Merge neighbours with identical marks; ProseMirror rejects empty text nodes
+  const merged = [];
+  for (const { _tail, ...node } of out) {
+    const last = merged[merged.length - 1];
+    if (node.type === "text" && !node.text) continue;
+    if (last && last.type === "text" && node.type === "text" && sameMarks(last, node)) last.text += node.text;
+    else merged.push(node);
+  }
+  return merged;
+}
+
+// Applies replacements to a document. `only` limits it to one hit ({ block, start, end }).
+// Returns { doc, count } with a new doc (the input is not modified).
+export function replaceInDoc(doc, re, replacement, { regex = false, only = null } = {}) {
+  const copy = structuredClone(doc);
+  let count = 0;
+  textblocksOf(copy).forEach(({ node, text }, block) => {
+    if (only && only.block !== block) return;
+    const edits = [];
+    for (const m of matchesIn(text, re)) {
+      const start = m.index;
+      const end = start + m[0].length;
+      if (only && (start !== only.start || end !== only.end)) continue;
+      edits.push({ start, end, text: expandReplacement(replacement, m, regex) });
+    }
+    // Right to left so earlier offsets stay valid
+    for (const e of edits.reverse()) node.content = spliceInline(node.content || [], e.start, e.end, e.text);
+    if (node.content && !node.content.length) delete node.content;
+    count += edits.length;
+  });
+  return { doc: copy, count };
+}
+
+// Editor positions of a hit in a live ProseMirror document (same block/offset counting as above)
+export function blockRange(pmDoc, { block, start, end }) {
+  let index = -1;
+  let range = null;
+  pmDoc.descendants((node, pos) => {
+    if (range) return false;
+    if (!node.isTextblock) return true;
+    index++;
+    if (index === block) {
+      const from = pos + 1 + start;
+      const to = pos + 1 + end;
+      if (to <= pos + 1 + node.content.size) range = { from, to };
+    }
+    return false;
+  });
+  return range;
+}
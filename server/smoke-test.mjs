@@ -0,0 +1,89 @@
+// smoke-test.mjs — checks the reference server against the sync contract (plain Node, no dependencies)
+//
+//   node server/smoke-test.mjs
+//
+// Starts a server on a free port with a temporary data directory, runs the requests below and exits
+// non-zero on the first answer that doesn't match.
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { createSyncServer } from "./sync-server.mjs";
+
+const TOKEN = "smoke-test-token";
+const AUTH = { Authorization: `Bearer ${TOKEN}` };
+
+const dataDir = await mkdtemp(path.join(tmpdir(), "novelwriter-sync-"));
+const server = createSyncServer({ dataDir, tokens: [TOKEN], maxBodyBytes: 64 * 1024 });
+const { port } = await server.start(0, "127.0.0.1");
+const base = `http://127.0.0.1:${port}`;
+
+async function request(method, novelPath, headers = {}, body) {
+  const res = await fetch(base + novelPath, { method, headers, body });
+  return { status: res.status, etag: res.headers.get("ETag"), text: await res.text() };
+}
+
+const checks = [];
+const check = (name, fn) => checks.push({ name, fn });
+const novel = (title, syncRevision) => JSON.stringify({ novel: { title }, chapters: [], syncRevision });
+
+check("401 without a token, or with a wrong one", async () => {
+  assert.equal((await request("GET", "/novels")).status, 401);
+  assert.equal((await request("GET", "/novels/book", { Authorization: "Bearer nope" })).status, 401);
+  assert.equal((await request("PUT", "/novels/book", {}, novel("Book", 1))).status, 401);
+});
+
+check("404 for a novel that was never stored", async () => {
+  assert.equal((await request("GET", "/novels/book", AUTH)).status, 404);
+});
+
+let etag;
+check("PUT creates the novel and GET returns it with the same ETag", async () => {
+  const put = await request("PUT", "/novels/book", { ...AUTH, "If-None-Match": "*" }, novel("Book", 1));
+  assert.equal(put.status, 201);
+  assert.ok(put.etag, "PUT answers with an ETag");
+  const get = await request("GET", "/novels/book", AUTH);
+  assert.equal(get.status, 200);
+  assert.equal(get.etag, put.etag);
+  assert.equal(JSON.parse(get.text).novel.title, "Book");
+  etag = put.etag;
+});
+
+check("412 when the precondition doesn't hold", async () => {
+  assert.equal((await request("PUT", "/novels/book", { ...AUTH, "If-None-Match": "*" }, novel("Again", 2))).status, 412);
+  assert.equal((await request("PUT", "/novels/book", { ...AUTH, "If-Match": '"stale"' }, novel("Stale", 2))).status, 412);
+  assert.equal(JSON.parse((await request("GET", "/novels/book", AUTH)).text).novel.title, "Book", "nothing was written");
+});
+
+check("If-Match on the current ETag replaces the novel", async () => {
+  const put = await request("PUT", "/novels/book", { ...AUTH, "If-Match": etag }, novel("Book, revised", 2));
+  assert.equal(put.status, 200);
+  assert.notEqual(put.etag, etag);
+  const [listed] = JSON.parse((await request("GET", "/novels", AUTH)).text);
+  assert.deepEqual([listed.id, listed.title, listed.syncRevision, listed.etag], ["book", "Book, revised", 2, put.etag]);
+});
+
+check("413 for a body over the size limit", async () => {
+  const res = await request("PUT", "/novels/big", AUTH, novel("x".repeat(100 * 1024), 1));
+  assert.equal(res.status, 413);
+  assert.equal((await request("GET", "/novels/big", AUTH)).status, 404, "nothing was stored");
+});
+
+let failed = 0;
+try {
+  for (const { name, fn } of checks) {
+    try {
+      await fn();
+      console.log(`ok    ${name}`);
+    } catch (err) {
+      failed++;
+      console.log(`FAIL  ${name}\n      ${err.message}`);
+    }
+  }
+} finally {
+  server.close();
+  server.closeAllConnections?.();
+  await rm(dataDir, { recursive: true, force: true });
+}
+console.log(failed ? `${failed} of ${checks.length} failed` : `All ${checks.length} passed`);
+process.exitCode = failed ? 1 : 0;
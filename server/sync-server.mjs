@@ -0,0 +1,301 @@
+// sync-server.mjs — reference server for the NovelWriter sync contract (plain Node, no dependencies)
+//
+//   GET    /novels            → [{ id, title, encrypted, syncRevision, etag, updatedAt, size }]
+//   GET    /novels/{id}       → stored JSON + ETag (404 if missing)
+//   PUT    /novels/{id}       → stores the JSON; honours If-Match / If-None-Match: * (412 on mismatch)
+//   DELETE /novels/{id}       → removes it (If-Match honoured too)
+//
+// Novels are kept as one file each in the data directory. With tokens configured, every request needs
+// `Authorization: Bearer <token>` (or the bare token). Run `node server/sync-server.mjs --help`.
+import http from "node:http";
+import { createHash, timingSafeEqual } from "node:crypto";
+import { mkdir, readdir, readFile, rename, rm, stat, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+
+const DEFAULTS = {
+  port: 8787,
+  host: "127.0.0.1",
+  dataDir: "./sync-data",
+  corsOrigin: "*",
+  maxBodyBytes: 50 * 1024 * 1024
+};
+
+const etagOf = (buf) => `"${createHash("sha256").update(buf).digest("base64url")}"`;
+
+class HttpError extends Error {
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+// Ids become file names: keep them short and unambiguous
+function fileFor(dataDir, id) {
+  if (!id || id.length > 200 || id === "." || id === "..") throw new HttpError(400, "Invalid novel id");
+  return path.join(dataDir, `${encodeURIComponent(id)}.json`);
+}
+
+async function readStored(file) {
+  try {
+    const body = await readFile(file);
+    return { body, etag: etagOf(body) };
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  }
+}
+
+// RFC 9110: "*" matches any current representation; otherwise a list of entity tags
+function matchesEtag(header, etag) {
+  if (!header) return false;
+  if (header.trim() === "*") return !!etag;
+  return !!etag && header.split(",").map(t => t.trim().replace(/^W\//, "")).includes(etag);
+}
+
+function checkPreconditions(req, current) {
+  const ifMatch = req.headers["if-match"];
+  const ifNoneMatch = req.headers["if-none-match"];
+  if (ifMatch && !matchesEtag(ifMatch, current?.etag)) throw new HttpError(412, "The novel changed on the server");
+  if (ifNoneMatch && (ifNoneMatch.trim() === "*" ? current : matchesEtag(ifNoneMatch, current?.etag))) {
+    throw new HttpError(412, "The novel already exists on the server");
+  }
+}
+
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    let chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      if (!chunks) return;
+      size += chunk.length;
+      if (size > limit) {
+        // Drop the rest instead of cutting the connection, so the client still gets the 413
+        chunks = null;
+        reject(new HttpError(413, "Novel too large", { Connection: "close" }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => chunks && resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+function summarize(id, body, etag, mtime) {
+  let json = {};
+  try { json = JSON.parse(body); } catch {}
+  const encrypted = json.format === "novelwriter-encrypted";
+  return {
+    id,
+    title: encrypted ? null : (json.novel?.title ?? null),
+    encrypted,
+    syncRevision: Number(json.syncRevision) || 0,
+    etag,
+    updatedAt: mtime.toISOString(),
+    size: body.length
+  };
+}
+
+function tokenMatches(header, tokens) {
+  if (!tokens.length) return true;
+  const given = Buffer.from(String(header || "").replace(/^Bearer\s+/i, "").trim());
+  return tokens.some((t) => {
+    const want = Buffer.from(t);
+    return want.length === given.length && timingSafeEqual(want, given);
+  });
+}
+
+export function createSyncServer(options = {}) {
+  const { dataDir, tokens = [], corsOrigin, maxBodyBytes } = { ...DEFAULTS, ...options };
+  // One write at a time per novel, so a precondition check and its write can't interleave
+  const locks = new Map();
+  const withLock = (id, fn) => {
+    const run = (locks.get(id) || Promise.resolve()).then(fn, fn);
+    const tail = run.catch(() => {});
+    locks.set(id, tail);
+    tail.then(() => { if (locks.get(id) === tail) locks.delete(id); });
+    return run;
+  };
+
+  function send(res, status, body, headers = {}) {
+    const payload = body === undefined ? "" : (Buffer.isBuffer(body) ? body : JSON.stringify(body));
+    res.writeHead(status, {
+      "Access-Control-Allow-Origin": corsOrigin,
+      "Access-Control-Allow-Methods": "GET, PUT, DELETE, OPTIONS",
+      "Access-Control-Allow-Headers": "Authorization, Content-Type, If-Match, If-None-Match",
+      "Access-Control-Expose-Headers": "ETag",
+      "Cache-Control": "no-store",
+      ...(payload.length ? { "Content-Type": "application/json; charset=utf-8" } : {}),
+      ...headers
+    });
+    res.end(payload);
+  }
+
+  async function listNovels() {
+    const out = [];
+    for (const name of await readdir(dataDir)) {
+      if (!name.endsWith(".json")) continue;
+      const file = path.join(dataDir, name);
+      let body, info;
+      try {
+        [body, info] = await Promise.all([readFile(file), stat(file)]);
+      } catch (e) {
+        if (e.code === "ENOENT") continue; // deleted while listing
+        throw e;
+      }
+      out.push(summarize(decodeURIComponent(name.slice(0, -5)), body, etagOf(body), info.mtime));
+    }
+    return out.sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  async function putNovel(req, id) {
+    const body = await readBody(req, maxBodyBytes);
+    let json;
+    try { json = JSON.parse(body); } catch { throw new HttpError(400, "Body is not valid JSON"); }
+    if (!json || typeof json !== "object" || Array.isArray(json)) throw new HttpError(400, "Body must be a JSON object");
+
+    const file = fileFor(dataDir, id);
+    return withLock(id, async () => {
+      const current = await readStored(file);
+      checkPreconditions(req, current);
+      // Write-then-rename so a crash never leaves half a novel behind
+      const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await writeFile(tmp, body);
+      await rename(tmp, file);
+      return { created: !current, etag: etagOf(body), syncRevision: Number(json.syncRevision) || 0 };
+    });
+  }
+
+  async function handle(req, res) {
+    if (req.method === "OPTIONS") return send(res, 204);
+    if (!tokenMatches(req.headers.authorization, tokens)) {
+      return send(res, 401, { error: "Missing or invalid Authorization" }, { "WWW-Authenticate": "Bearer" });
+    }
+
+    const { pathname } = new URL(req.url, "http://localhost");
+    const parts = pathname.replace(/\/+$/, "").split("/").filter(Boolean);
+    if (parts[0] !== "novels" || parts.length > 2) return send(res, 404, { error: "Not found" });
+
+    if (parts.length === 1) {
+      if (req.method !== "GET") return send(res, 405, { error: "Method not allowed" }, { Allow: "GET" });
+      return send(res, 200, await listNovels());
+    }
+
+    let id;
+    try { id = decodeURIComponent(parts[1]); } catch { throw new HttpError(400, "Invalid novel id"); }
+    const file = fileFor(dataDir, id);
+
+    if (req.method === "GET") {
+      const current = await readStored(file);
+      if (!current) return send(res, 404, { error: "Novel not found" });
+      if (matchesEtag(req.headers["if-none-match"], current.etag)) return send(res, 304, undefined, { ETag: current.etag });
+      return send(res, 200, current.body, { ETag: current.etag });
+    }
+
+    if (req.method === "PUT") {
+      const { created, etag, syncRevision } = await putNovel(req, id);
+      return send(res, created ? 201 : 200, { id, etag, syncRevision }, { ETag: etag });
+    }
+
+    if (req.method === "DELETE") {
+      await withLock(id, async () => {
+        const current = await readStored(file);
+        if (!current) throw new HttpError(404, "Novel not found");
+        checkPreconditions(req, current);
+        await rm(file);
+      });
+      return send(res, 204);
+    }
+
+    return send(res, 405, { error: "Method not allowed" }, { Allow: "GET, PUT, DELETE" });
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      if (!(err instanceof HttpError)) console.error(err);
+      if (res.headersSent) return;
+      // Once the answer is out, stop receiving the rest of a body that was refused
+      if (err.headers?.Connection === "close") res.once("finish", () => req.destroy());
+      send(res, err.status || 500, { error: err.status ? err.message : "Internal error" }, err.headers);
+    });
+  });
+
+  // Creates the data directory, then listens; resolves with the bound address (port 0 picks a free one)
+  server.start = async (port = DEFAULTS.port, host = DEFAULTS.host) => {
+    await mkdir(dataDir, { recursive: true });
+    await new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, host, resolve);
+    });
+    return server.address();
+  };
+  return server;
+}
+
+function parseArgs(argv, env) {
+  const opts = {
+    port: Number(env.PORT) || DEFAULTS.port,
+    host: env.HOST || DEFAULTS.host,
+    dataDir: env.SYNC_DATA_DIR || DEFAULTS.dataDir,
+    corsOrigin: env.SYNC_CORS_ORIGIN || DEFAULTS.corsOrigin,
+    tokens: (env.SYNC_TOKENS || "").split(",").map(t => t.trim()).filter(Boolean),
+    tokensFile: env.SYNC_TOKENS_FILE || ""
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === "--port") opts.port = Number(value());
+    else if (arg === "--host") opts.host = value();
+    else if (arg === "--data") opts.dataDir = value();
+    else if (arg === "--cors-origin") opts.corsOrigin = value();
+    else if (arg === "--token") opts.tokens.push(value());
+    else if (arg === "--tokens-file") opts.tokensFile = value();
+    else if (arg === "--help" || arg === "-h") opts.help = true;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  return opts;
+}
+
+const USAGE = `Usage: node server/sync-server.mjs [options]
+
+  --port <n>            Port to listen on (PORT, default ${DEFAULTS.port})
+  --host <addr>         Interface to bind (HOST, default ${DEFAULTS.host})
+  --data <dir>          Where novels are stored (SYNC_DATA_DIR, default ${DEFAULTS.dataDir})
+  --token <token>       Accepted token; repeatable (SYNC_TOKENS=comma,separated)
+  --tokens-file <file>  File with one token per line (SYNC_TOKENS_FILE)
+  --cors-origin <url>   Allowed browser origin (SYNC_CORS_ORIGIN, default *)
+
+Without any token the server accepts every request — only do that on localhost.`;
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2), process.env);
+  if (opts.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (opts.tokensFile) {
+    const lines = (await readFile(opts.tokensFile, "utf8")).split(/\r?\n/);
+    opts.tokens.push(...lines.map(l => l.trim()).filter(l => l && !l.startsWith("#")));
+  }
+
+  const server = createSyncServer(opts);
+  const { address, port } = await server.start(opts.port, opts.host);
+  console.log(`NovelWriter sync server on http://${address}:${port} (data: ${path.resolve(opts.dataDir)})`);
+  if (!opts.tokens.length) console.warn("Warning: no tokens configured; every request is accepted.");
+
+  const stop = () => server.close(() => process.exit(0));
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  main().catch((err) => {
+    console.error(err.message || err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,174 @@
+// spellcheck.js — offline spell checking with Hunspell dictionaries (lookups run in spellcheck.worker.js)
+//
+// A dictionary is downloaded once per language and then comes from the service worker's cache, so checking
+// works offline after the first use. Each novel has its own language (settings.spellLang, "" = off) and its own
+// word list (settings.dictionary), so invented names are only correct in the book they belong to.
+import { textblocksOf } from "./search.js";
+
+// npm packages of wooorm/dictionaries; jsDelivr serves their raw .aff/.dic files
+const DICTIONARY_CDN = "https://cdn.jsdelivr.net/npm";
+export const SPELL_LANGUAGES = {
+  "en-US": { label: "English (US)", pkg: "dictionary-en@4.0.0" },
+  "en-GB": { label: "English (UK)", pkg: "dictionary-en-gb@3.0.0" },
+  de: { label: "Deutsch", pkg: "dictionary-de@3.0.0" },
+  fr: { label: "Français", pkg: "dictionary-fr@3.0.0" },
+  es: { label: "Español", pkg: "dictionary-es@4.0.0" },
+  nl: { label: "Nederlands", pkg: "dictionary-nl@2.0.0" }
+};
+
+// Language for a novel that never chose one: the browser's, if we have it ("en" alone is US English)
+export function defaultSpellLanguage(locale = navigator.language || "") {
+  if (SPELL_LANGUAGES[locale]) return locale;
+  const base = locale.split("-")[0];
+  if (base === "en") return "en-US";
+  return SPELL_LANGUAGES[base] ? base : "";
+}
+
+const dictionaryUrls = (lang) => ({
+  aff: `${DICTIONARY_CDN}/${SPELL_LANGUAGES[lang].pkg}/index.aff`,
+  dic: `${DICTIONARY_CDN}/${SPELL_LANGUAGES[lang].pkg}/index.dic`
+});
+
+// Letters with inner apostrophes (don't, l’homme). Words glued to digits ("3rd", "A4") are left alone.
+const WORD_RE = /[\p{L}\p{M}]+(?:['’][\p{L}\p{M}]+)*/gu;
+const DIGIT_RE = /[\p{N}_]/u;
+
+// Words of a text: [{ word, start, end }]
+export function wordsIn(text) {
+  const out = [];
+  for (const m of text.matchAll(WORD_RE)) {
+    const start = m.index;
+    const end = start + m[0].length;
+    if (DIGIT_RE.test(text[start - 1] || "") || DIGIT_RE.test(text[end] || "")) continue;
+    out.push({ word: m[0], start, end });
+  }
+  return out;
+}
+
+// Code and suggested deletions are not checked
+const isUnchecked = (marks) => !!marks?.some(m => ["code", "deletion"].includes(m.type?.name ?? m.type));
+
+// Checkable text of one textblock (Tiptap JSON); skipped inline content becomes spaces so offsets match
+// ProseMirror positions (see search.js)
+function blockText(node) {
+  return (node.content || []).map(child => (child.type === "text"
+    ? (isUnchecked(child.marks) ? " ".repeat(child.text.length) : child.text)
+    : " ")).join("");
+}
+
+// Same for a live ProseMirror textblock
+export function pmBlockText(node) {
+  let text = "";
+  node.forEach(child => {
+    text += child.isText ? (isUnchecked(child.marks) ? " ".repeat(child.text.length) : child.text) : " ";
+  });
+  return text;
+}
+
+/* ---------------------------
+  Checker (main thread side)
+--------------------------- */
+// Curly apostrophes are looked up as straight ones; a possessive of an accepted word is accepted too
+const lookupForm = (word) => word.replaceAll("’", "'");
+
+export function createSpellChecker() {
+  let worker = null;
+  let seq = 0;
+  const pending = new Map(); // message id → { resolve, reject }
+  let lang = "";
+  let ready = null; // load of the current language's dictionary
+  let results = new Map(); // word → correct? (current language)
+  let personal = new Set();
+  const ignored = new Set(); // "Ignore" in the popup: this session only
+
+  const call = (message) => {
+    if (!worker) {
+      worker = new Worker(new URL("./spellcheck.worker.js", import.meta.url), { type: "module" });
+      worker.onmessage = ({ data }) => {
+        const p = pending.get(data.id);
+        if (!p) return;
+        pending.delete(data.id);
+        if (data.error) p.reject(new Error(data.error));
+        else p.resolve(data.result);
+      };
+    }
+    return new Promise((resolve, reject) => {
+      const id = ++seq;
+      pending.set(id, { resolve, reject });
+      worker.postMessage({ ...message, id });
+    });
+  };
+
+  const accepted = (word) => {
+    const w = lookupForm(word);
+    const base = w.replace(/'s$/i, "");
+    return [w, base, w.toLowerCase(), base.toLowerCase()].some(form => personal.has(form) || ignored.has(form));
+  };
+
+  return {
+    get language() {
+      return lang;
+    },
+    // "" switches checking off. Rejects when the dictionary can't be downloaded (e.g. offline on first
+    // use); checking is then off until the language is set again.
+    setLanguage(next) {
+      if (next === lang && ready) return ready;
+      lang = SPELL_LANGUAGES[next] ? next : "";
+      results = new Map();
+      ready = lang ? call({ type: "load", ...dictionaryUrls(lang) }) : null;
+      ready?.catch(() => {
+        if (lang !== next) return;
+        lang = "";
+        ready = null;
+      });
+      return ready || Promise.resolve();
+    },
+    setPersonalWords(words) {
+      personal = new Set(words.map(lookupForm));
+    },
+    ignore(word) {
+      ignored.add(lookupForm(word));
+    },
+    // true/false once the word has been checked, undefined before (always true while checking is off)
+    isCorrect(word) {
+      if (!lang || accepted(word)) return true;
+      return results.get(lookupForm(word));
+    },
+    // Looks up the words not seen yet; isCorrect() knows them afterwards
+    async check(words) {
+      if (!lang) return;
+      const current = results;
+      const unknown = [...new Set(words.map(lookupForm))].filter(w => !current.has(w));
+      if (!unknown.length) return;
+      await ready;
+      const wrong = new Set(await call({ type: "check", words: unknown }));
+      for (const w of unknown) current.set(w, !wrong.has(w));
+    },
+    async suggest(word) {
+      if (!lang) return [];
+      await ready;
+      return call({ type: "suggest", word: lookupForm(word) });
+    }
+  };
+}
+
+// Misspelled words of a novel, most frequent first: [{ word, count, chapters: [row] }].
+// `rows` are chapters in reading order (outlineRows).
+export async function spellingReport(checker, rows) {
+  const perChapter = rows.map(chapter => ({
+    chapter,
+    words: textblocksOf(chapter.content).flatMap(({ node }) => wordsIn(blockText(node)).map(w => w.word))
+  }));
+  await checker.check(perChapter.flatMap(c => c.words));
+  const found = new Map();
+  for (const { chapter, words } of perChapter) {
+    for (const word of words) {
+      if (checker.isCorrect(word) !== false) continue;
+      const entry = found.get(word) || { word, count: 0, chapters: [] };
+      entry.count++;
+      if (!entry.chapters.includes(chapter)) entry.chapters.push(chapter);
+      found.set(word, entry);
+    }
+  }
+  return [...found.values()].sort((a, b) => b.count - a.count || a.word.localeCompare(b.word));
+}
@@ -0,0 +1,42 @@
+// spellcheck.worker.js — Hunspell lookups off the main thread (the protocol is in spellcheck.js)
+//
+// Messages: { id, type: "load", aff, dic } (dictionary URLs), { id, type: "check", words } → the misspelled
+// ones, { id, type: "suggest", word } → up to 8 suggestions. Each reply is { id, result } or { id, error }.
+import nspell from "https://esm.sh/nspell@2.1.5";
+
+const MAX_SUGGESTIONS = 8;
+
+let speller = null;
+// Lookups wait for the dictionary being loaded
+let ready = Promise.resolve();
+
+async function download(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Dictionary download failed (${res.status})`);
+  return res.text();
+}
+
+async function load({ aff, dic }) {
+  speller = null;
+  const [affText, dicText] = await Promise.all([download(aff), download(dic)]);
+  speller = nspell(affText, dicText);
+}
+
+self.onmessage = async ({ data }) => {
+  const { id, type } = data;
+  try {
+    let result = null;
+    if (type === "load") {
+      ready = load(data);
+      await ready;
+    } else {
+      await ready;
+      if (!speller) throw new Error("No dictionary loaded");
+      if (type === "check") result = data.words.filter(word => !speller.correct(word));
+      else if (type === "suggest") result = speller.suggest(data.word).slice(0, MAX_SUGGESTIONS);
+    }
+    self.postMessage({ id, result });
+  } catch (e) {
+    self.postMessage({ id, error: e?.message || String(e) });
+  }
+};
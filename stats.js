@@ -0,0 +1,93 @@
+// stats.js — word, character, sentence and paragraph counts for Tiptap JSON documents
+//
+// Words are found with Intl.Segmenter, so accents, apostrophes and non-Latin scripts count like a reader
+// would count them ("café" is one word, "Ελλάδα" and "Москва" too). Chinese and Japanese have no spaces
+// between words; like Word, every Han/kana character counts as one word there. Suggested deletions and
+// footnote texts are left out. Counts are per text block, so a mark in the middle of a word doesn't split it.
+import { isDeletedText } from "./suggestions.js";
+
+export const WORDS_PER_MINUTE = 250; // silent reading
+export const WORDS_PER_PAGE = 250; // standard manuscript page (double-spaced, 12 pt)
+
+export const EMPTY_STATS = Object.freeze({ words: 0, characters: 0, charactersNoSpaces: 0, paragraphs: 0, sentences: 0 });
+
+const segmenter = (granularity) => (typeof Intl.Segmenter === "function" ? new Intl.Segmenter(undefined, { granularity }) : null);
+const wordSegmenter = segmenter("word");
+const sentenceSegmenter = segmenter("sentence");
+const graphemeSegmenter = segmenter("grapheme");
+
+const TEXTBLOCKS = new Set(["paragraph", "heading", "codeBlock"]);
+const CJK_CHAR_RE = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/gu;
+// Without Intl.Segmenter: runs of letters/digits with inner apostrophes, periods or commas ("don't", "3.14")
+const WORD_RE = /[\p{L}\p{M}\p{N}]+(?:['’.,][\p{L}\p{M}\p{N}]+)*/gu;
+const SENTENCE_RE = /[^.!?…。！？]+(?:[.!?…。！？]+["”’»)]*|$)/gu;
+const HAS_WORD_RE = /[\p{L}\p{N}]/u;
+const SPACE_RE = /\s/gu;
+
+const wordValue = (segment) => segment.match(CJK_CHAR_RE)?.length || 1;
+
+export function countWords(text) {
+  if (!text) return 0;
+  let n = 0;
+  if (wordSegmenter) {
+    for (const s of wordSegmenter.segment(text)) if (s.isWordLike) n += wordValue(s.segment);
+  } else {
+    for (const m of text.matchAll(WORD_RE)) n += wordValue(m[0]);
+  }
+  return n;
+}
+
+export function countSentences(text) {
+  let n = 0;
+  const parts = sentenceSegmenter ? Array.from(sentenceSegmenter.segment(text), s => s.segment) : text.match(SENTENCE_RE) || [];
+  for (const part of parts) if (HAS_WORD_RE.test(part)) n++;
+  return n;
+}
+
+// User-perceived characters (an emoji or "é" written as e + accent is one)
+export function countCharacters(text) {
+  if (!graphemeSegmenter) return Array.from(text).length;
+  let n = 0;
+  for (const _ of graphemeSegmenter.segment(text)) n++;
+  return n;
+}
+
+// Counted text of one text block: hard breaks become line breaks, other inline nodes (footnotes) nothing
+function blockText(node) {
+  let text = "";
+  for (const child of node.content || []) {
+    if (child.type === "text") text += isDeletedText(child) ? "" : child.text || "";
+    else if (child.type === "hardBreak") text += "\n";
+  }
+  return text;
+}
+
+function textStats(text) {
+  const characters = countCharacters(text);
+  const charactersNoSpaces = characters - (text.match(SPACE_RE)?.length || 0);
+  if (!HAS_WORD_RE.test(text)) return { ...EMPTY_STATS, characters, charactersNoSpaces };
+  return { words: countWords(text), characters, charactersNoSpaces, paragraphs: 1, sentences: countSentences(text) };
+}
+
+export function addStats(a, b) {
+  return {
+    words: a.words + b.words,
+    characters: a.characters + b.characters,
+    charactersNoSpaces: a.charactersNoSpaces + b.charactersNoSpaces,
+    paragraphs: a.paragraphs + b.paragraphs,
+    sentences: a.sentences + b.sentences
+  };
+}
+
+// Counts of a document (or any node): { words, characters, charactersNoSpaces, paragraphs, sentences }.
+// A paragraph is a text block with at least one letter or digit in it.
+export function docStats(node) {
+  if (!node) return EMPTY_STATS;
+  if (TEXTBLOCKS.has(node.type)) return textStats(blockText(node));
+  let total = EMPTY_STATS;
+  for (const child of node.content || []) total = addStats(total, docStats(child));
+  return total;
+}
+
+export const readingMinutes = (words) => (words ? Math.max(1, Math.round(words / WORDS_PER_MINUTE)) : 0);
+export const pageCount = (words) => Math.ceil(words / WORDS_PER_PAGE);
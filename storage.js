@@ -2,54 +2,204 @@
 
 import Dexie from "https://esm.sh/dexie@4.0.8";
 
-export const db = new Dexie("NovelWriterDB");
+// The test page (test/index.html) sets its own database name, so running it leaves the library alone
+export const db = new Dexie(globalThis.NOVELWRITER_DB_NAME || "NovelWriterDB");
 db.version(1).stores({
-  // single novel (for now)
   novels: "id, title, updatedAt",
   chapters: "id, novelId, order, title, updatedAt"
 });
+db.version(2).stores({
+  // per-chapter snapshots (revision history)
+  revisions: "++id, chapterId, novelId, createdAt, [chapterId+createdAt]"
+});
+db.version(3).stores({
+  // recycle bin for deleted chapters/novels
+  trash: "++id, kind, novelId, deletedAt"
+});
+db.version(4).stores({
+  // what each novel looked like on the server after the last sync (merge base)
+  syncState: "novelId"
+});
+db.version(5).stores({
+  // changes waiting to be synced: one row per chapter ("" = novel details)
+  outbox: "[novelId+chapterId], novelId, queuedAt",
+  // ready-to-send pushes the service worker can deliver while the app is closed
+  outboxJobs: "novelId"
+});
+db.version(6).stores({
+  // words written per novel and day (see goals.js)
+  progress: "[novelId+date], novelId"
+});
+db.version(7).stores({
+  // fonts uploaded for the PDF export: { id, name, files: { normal, bold, italics, bolditalics } } (ArrayBuffers)
+  fonts: "++id, name"
+});
+db.version(8).stores({
+  // EPUB cover images: { id, name, type, data (data: URL) }, found by the novel's settings.epub.coverId.
+  // The images stay in this browser like uploaded fonts (out of backups and sync); ids are UUIDs so a
+  // coverId restored from a backup made elsewhere can't pick up an unrelated image.
+  covers: "id"
+});
+
+/* ---------------------------
+  Outbox (pending sync changes)
+--------------------------- */
+const outboxListeners = new Set();
+
+export function onOutboxChange(fn) {
+  outboxListeners.add(fn);
+  return () => outboxListeners.delete(fn);
+}
+
+export async function markDirty(novelId, chapterId = "") {
+  if (!novelId) return;
+  await db.outbox.put({ novelId, chapterId, queuedAt: Date.now() });
+  for (const fn of outboxListeners) fn(novelId);
+}
+
+const emptyDoc = () => ({ type: "doc", content: [{ type: "paragraph" }] });
+
+/* ---------------------------
+  Novels (library)
+--------------------------- */
+export async function listNovels() {
+  const novels = await db.novels.toArray();
+  for (const n of novels) {
+    n.chapterCount = await db.chapters.where({ novelId: n.id }).count();
+  }
+  // Most recently opened first, then most recently edited
+  return novels.sort((a, b) => (b.openedAt || b.updatedAt || 0) - (a.openedAt || a.updatedAt || 0));
+}
+
+export async function createNovel(title = "Untitled Novel", { id, seedText } = {}) {
+  const now = Date.now();
+  const novel = { id: id || crypto.randomUUID(), title, updatedAt: now, createdAt: now, archived: false };
+
+  await db.transaction("rw", db.novels, db.chapters, async () => {
+    await db.novels.put(novel);
+    // Seed with one chapter
+    await db.chapters.put({
+      id: crypto.randomUUID(),
+      novelId: novel.id,
+      order: 1,
+      title: "Chapter 1",
+      updatedAt: now,
+      // Tiptap JSON document (StarterKit)
+      content: seedText
+        ? { type: "doc", content: [{ type: "paragraph", content: [{ type: "text", text: seedText }] }] }
+        : emptyDoc()
+    });
+  });
+  return novel;
+}
+
+// Returns the preferred novel if it still exists, else the most recent one,
+// creating a first novel on a fresh install.
+export async function ensureNovel(preferredId) {
+  if (preferredId) {
+    const existing = await db.novels.get(preferredId);
+    if (existing) return existing;
+  }
+  const all = await listNovels();
+  const fallback = all.find(n => !n.archived) || all[0];
+  if (fallback) return fallback;
+  return createNovel("Untitled Novel", { id: "default", seedText: "Start writing…" });
+}
 
-export async function ensureDefaultNovel() {
-  const existing = await db.novels.get("default");
-  if (existing) return existing;
+export async function markNovelOpened(novelId) {
+  await db.novels.update(novelId, { openedAt: Date.now() });
+}
+
+export async function setNovelArchived(novelId, archived) {
+  await db.novels.update(novelId, { archived: !!archived, updatedAt: Date.now() });
+}
+
+export async function duplicateNovel(novelId, title) {
+  const { novel, chapters } = await getNovel(novelId);
+  if (!novel) throw new Error("Novel not found");
 
   const now = Date.now();
-  const novel = { id: "default", title: "Untitled Novel", updatedAt: now };
-  await db.novels.put(novel);
-
-  // Seed with one chapter
-  const chapId = crypto.randomUUID();
-  await db.chapters.put({
-    id: chapId,
-    novelId: "default",
-    order: 1,
-    title: "Chapter 1",
+  const copy = {
+    ...novel,
+    id: crypto.randomUUID(),
+    title: title || `${novel.title || "Untitled Novel"} (copy)`,
+    createdAt: now,
     updatedAt: now,
-    // Tiptap JSON document (StarterKit)
-    content: {
-      type: "doc",
-      content: [{ type: "paragraph", content: [{ type: "text", text: "Start writing…" }] }]
+    openedAt: undefined,
+    archived: false,
+    syncId: undefined
+  };
+  const newIds = new Map(chapters.map(c => [c.id, crypto.randomUUID()]));
+  await db.transaction("rw", db.novels, db.chapters, async () => {
+    await db.novels.put(copy);
+    for (const c of chapters) {
+      await db.chapters.put({ ...c, id: newIds.get(c.id), parentId: remapParent(c, newIds), novelId: copy.id, updatedAt: now });
     }
   });
+  return copy;
+}
 
-  return novel;
+// Moves the novel (with its chapters) to the trash. Revisions stay until the item is purged.
+export async function deleteNovel(novelId, { reason = "Deleted" } = {}) {
+  await db.transaction("rw", db.novels, db.chapters, db.trash, async () => {
+    const novel = await db.novels.get(novelId);
+    if (!novel) return;
+    const chapters = await db.chapters.where({ novelId }).sortBy("order");
+    await db.trash.add({
+      kind: "novel",
+      novelId,
+      novelTitle: novel.title,
+      title: novel.title,
+      reason,
+      deletedAt: Date.now(),
+      novel,
+      chapters
+    });
+    await db.chapters.where({ novelId }).delete();
+    await db.novels.delete(novelId);
+  });
 }
 
-export async function getNovel(novelId = "default") {
+export async function getNovel(novelId) {
   const novel = await db.novels.get(novelId);
   const chapters = await db.chapters.where({ novelId }).sortBy("order");
   return { novel, chapters };
 }
 
+// Per-novel settings live on the novel record and travel with backups; a change queues a sync
+export async function updateNovelSettings(novelId, patch) {
+  const n = await db.novels.get(novelId);
+  if (!n) return;
+  n.settings = { ...(n.settings || {}), ...patch };
+  await db.novels.put(n);
+  await markDirty(novelId);
+  return n.settings;
+}
+
+export async function updateNovelMeta(novelId, patch) {
+  const n = await db.novels.get(novelId);
+  if (!n) return;
+  Object.assign(n, patch, { updatedAt: Date.now() });
+  await db.novels.put(n);
+  return n;
+}
+
 export async function updateNovelTitle(novelId, title) {
   const n = await db.novels.get(novelId);
   if (!n) return;
   n.title = title;
   n.updatedAt = Date.now();
   await db.novels.put(n);
+  await markDirty(novelId);
+}
+
+// Parent of a copied row once its siblings got new ids (see outline.js for the tree model)
+export function remapParent(c, newIds) {
+  return c.parentId ? (newIds.get(c.parentId) ?? c.parentId) : null;
 }
 
-export async function createChapter(novelId, title = "New Chapter") {
+// kind: "part" | "chapter" | "scene"; the new node goes last among its siblings under `parentId`
+export async function createChapter(novelId, title = "New Chapter", { kind = "chapter", parentId = null } = {}) {
   const now = Date.now();
   const chapters = await db.chapters.where({ novelId }).toArray();
   const maxOrder = chapters.reduce((m, c) => Math.max(m, c.order || 0), 0);
@@ -58,24 +208,152 @@ export async function createChapter(novelId, title = "New Chapter") {
     id: crypto.randomUUID(),
     novelId,
     order: maxOrder + 1,
+    kind,
+    parentId,
     title,
     updatedAt: now,
-    content: { type: "doc", content: [{ type: "paragraph" }] }
+    content: emptyDoc()
   };
   await db.chapters.put(chap);
+  await markDirty(novelId, chap.id);
   return chap;
 }
 
+export async function getChapter(id) {
+  return db.chapters.get(id);
+}
+
 export async function updateChapterMeta(id, patch) {
   const c = await db.chapters.get(id);
   if (!c) return;
   Object.assign(c, patch, { updatedAt: Date.now() });
   await db.chapters.put(c);
+  await markDirty(c.novelId, id);
   return c;
 }
 
-export async function deleteChapter(id) {
-  await db.chapters.delete(id);
+// Rewrites the content of several chapters at once (find/replace, undo of it). With a `label`, each
+// chapter's previous text is kept in its history first.
+// changes: [{ id, content }]
+export async function updateChapterContents(changes, { label = "" } = {}) {
+  const now = Date.now();
+  const touched = [];
+  await db.transaction("rw", db.chapters, db.revisions, async () => {
+    for (const { id, content } of changes) {
+      const c = await db.chapters.get(id);
+      if (!c) continue;
+      if (label) await captureRevision(id, { kind: "replace", label });
+      c.content = content;
+      c.updatedAt = now;
+      await db.chapters.put(c);
+      touched.push(c);
+    }
+  });
+  for (const c of touched) await markDirty(c.novelId, c.id);
+  return touched;
+}
+
+// Moves the chapter to the trash (keeps its position, title and content).
+export async function deleteChapter(id, { reason = "Deleted" } = {}) {
+  const c = await db.chapters.get(id);
+  await db.transaction("rw", db.novels, db.chapters, db.trash, async () => {
+    if (!c) return;
+    await trashChapterRow(c, reason);
+    await db.chapters.delete(id);
+  });
+  if (c) await markDirty(c.novelId, id);
+}
+
+export async function trashChapterRow(c, reason) {
+  const novel = await db.novels.get(c.novelId);
+  await db.trash.add({
+    kind: "chapter",
+    novelId: c.novelId,
+    novelTitle: novel?.title || "",
+    title: c.title,
+    order: c.order,
+    reason,
+    deletedAt: Date.now(),
+    chapter: c
+  });
+}
+
+/* ---------------------------
+  Revisions (chapter history)
+--------------------------- */
+// Automatic snapshots: at most one per interval, or sooner after a large change.
+const AUTO_SNAPSHOT_INTERVAL_MS = 10 * 60 * 1000;
+const AUTO_SNAPSHOT_SIZE_DELTA = 2000; // characters of stored JSON
+// Retention (per chapter)
+const MAX_AUTO_REVISIONS = 50;
+const MAX_MANUAL_REVISIONS = 50;
+const AUTO_REVISION_MAX_AGE_MS = 90 * 24 * 60 * 60 * 1000;
+
+const contentSize = (content) => JSON.stringify(content || {}).length;
+
+export async function listRevisions(chapterId) {
+  const revs = await db.revisions.where({ chapterId }).sortBy("createdAt");
+  return revs.reverse();
+}
+
+export async function getRevision(id) {
+  return db.revisions.get(id);
+}
+
+export async function captureRevision(chapterId, { kind = "manual", label = "" } = {}) {
+  const c = await db.chapters.get(chapterId);
+  if (!c) return null;
+  const rev = {
+    chapterId,
+    novelId: c.novelId,
+    createdAt: Date.now(),
+    kind, // "auto" | "manual" | "restore" | "replace"
+    label,
+    title: c.title,
+    size: contentSize(c.content),
+    content: c.content
+  };
+  rev.id = await db.revisions.add(rev);
+  await pruneRevisions(chapterId);
+  return rev;
+}
+
+// Call before overwriting a chapter's content: keeps the stored version if it
+// hasn't been captured recently, or if it drifted a lot from the last snapshot.
+export async function maybeAutoSnapshot(chapterId) {
+  const c = await db.chapters.get(chapterId);
+  if (!c) return null;
+  const last = await db.revisions.where("[chapterId+createdAt]")
+    .between([chapterId, Dexie.minKey], [chapterId, Dexie.maxKey])
+    .last();
+
+  const size = contentSize(c.content);
+  if (last) {
+    const unchanged = last.size === size && JSON.stringify(last.content) === JSON.stringify(c.content);
+    if (unchanged) return null;
+    const due = Date.now() - last.createdAt >= AUTO_SNAPSHOT_INTERVAL_MS;
+    const bigChange = Math.abs(size - (last.size || 0)) >= AUTO_SNAPSHOT_SIZE_DELTA;
+    if (!due && !bigChange) return null;
+  }
+  return captureRevision(chapterId, { kind: "auto" });
+}
+
+export async function pruneRevisions(chapterId) {
+  const revs = await listRevisions(chapterId); // newest first
+  const cutoff = Date.now() - AUTO_REVISION_MAX_AGE_MS;
+  const drop = [];
+  let autos = 0;
+  let manuals = 0;
+  for (const r of revs) {
+    if (r.kind === "auto") {
+      autos++;
+      if (autos > MAX_AUTO_REVISIONS || r.createdAt < cutoff) drop.push(r.id);
+    } else {
+      manuals++;
+      if (manuals > MAX_MANUAL_REVISIONS) drop.push(r.id);
+    }
+  }
+  if (drop.length) await db.revisions.bulkDelete(drop);
 }
 
 export async function reorderChapters(novelId, orderedIds) {
@@ -91,62 +369,196 @@ export async function reorderChapters(novelId, orderedIds) {
       await db.chapters.put(c);
     }
   });
+  await markDirty(novelId);
 }
 
-export async function exportBackup(novelId = "default") {
-  const payload = await getNovel(novelId);
-  payload.exportedAt = new Date().toISOString();
-  payload.schemaVersion = 1;
-  return payload;
+// outline: [{ id, parentId }] in reading order (see moveInOutline in outline.js)
+export async function saveOutline(novelId, outline) {
+  const now = Date.now();
+  await db.transaction("rw", db.chapters, async () => {
+    for (let i = 0; i < outline.length; i++) {
+      const { id, parentId = null } = outline[i];
+      const c = await db.chapters.get(id);
+      if (!c || c.novelId !== novelId) continue;
+      if (c.order === i + 1 && (c.parentId ?? null) === parentId) continue;
+      c.order = i + 1;
+      c.parentId = parentId;
+      c.updatedAt = now;
+      await db.chapters.put(c);
+    }
+  });
+  await markDirty(novelId);
 }
 
-export async function importBackup(payload) {
-  if (!payload || payload.schemaVersion !== 1) throw new Error("Unsupported backup format");
-  const { novel, chapters } = payload;
-  if (!novel?.id || !Array.isArray(chapters)) throw new Error("Invalid backup");
+// Trashes chapters of `novelId` that are missing from `incoming` or whose content differs.
+export async function trashReplacedChapters(novelId, incoming, reason) {
+  const byId = new Map((incoming || []).map(c => [c.id, c]));
+  const existing = await db.chapters.where({ novelId }).toArray();
+  for (const c of existing) {
+    const next = byId.get(c.id);
+    if (next && JSON.stringify(next.content) === JSON.stringify(c.content)) continue;
+    await trashChapterRow(c, reason);
+  }
+}
 
-  await db.transaction("rw", db.novels, db.chapters, async () => {
-    await db.novels.put({ ...novel, updatedAt: Date.now() });
-    // remove existing chapters for that novel id
-    await db.chapters.where({ novelId: novel.id }).delete();
-    for (const c of chapters) {
-      await db.chapters.put({ ...c, novelId: novel.id, updatedAt: Date.now() });
-    }
-  });
-  return true;
+/* ---------------------------
+  Daily progress log (goals.js)
+--------------------------- */
+// Oldest day first
+export async function listProgress(novelId) {
+  return db.progress.where({ novelId }).sortBy("date");
 }
 
+export async function getProgressDay(novelId, date) {
+  return db.progress.get([novelId, date]);
+}
 
-export async function replaceFromImport(novelId, novelTitle, chapters) {
-  if (!novelId) novelId = "default";
-  if (!Array.isArray(chapters) || !chapters.length) throw new Error("No chapters to import");
+export async function putProgressDay(row) {
+  await db.progress.put(row);
+}
 
-  const now = Date.now();
-  await db.transaction("rw", db.novels, db.chapters, async () => {
-    const n = await db.novels.get(novelId);
-    if (!n) {
-      await db.novels.put({ id: novelId, title: novelTitle || "Untitled Novel", updatedAt: now });
-    } else {
-      n.title = novelTitle || n.title || "Untitled Novel";
-      n.updatedAt = now;
-      await db.novels.put(n);
+/* ---------------------------
+  PDF fonts (manuscript.js)
+--------------------------- */
+// Without the font files (the export loads the one it needs with getFont)
+export async function listFonts() {
+  const fonts = await db.fonts.orderBy("name").toArray();
+  return fonts.map(({ id, name, files }) => ({ id, name, styles: Object.keys(files || {}) }));
+}
+
+export async function getFont(id) {
+  return db.fonts.get(id);
+}
+
+export async function addFont(name, files) {
+  return db.fonts.add({ name, files });
+}
+
+export async function deleteFont(id) {
+  await db.fonts.delete(id);
+}
+
+/* ---------------------------
+  EPUB covers
+--------------------------- */
+export async function getCover(id) {
+  return id ? db.covers.get(id) : undefined;
+}
+
+export async function addCover({ name, type, data }) {
+  const id = crypto.randomUUID();
+  await db.covers.put({ id, name, type, data });
+  return id;
+}
+
+// Deletes a cover nothing uses any more: a duplicated novel shares its original's, and a novel in the
+// trash keeps its own until it is purged
+export async function releaseCover(id) {
+  if (!id) return;
+  const usesIt = (settings) => settings?.epub?.coverId === id;
+  const used = await db.novels.filter(n => usesIt(n.settings)).count()
+    || await db.trash.filter(t => t.kind === "novel" && usesIt(t.novel?.settings)).count();
+  if (!used) await db.covers.delete(id);
+}
+
+/* ---------------------------
+  Trash (recycle bin)
+--------------------------- */
+export async function listTrash() {
+  const items = await db.trash.orderBy("deletedAt").reverse().toArray();
+  // The list only needs metadata; keep payloads out of the UI
+  return items.map(({ chapter, chapters, novel, ...meta }) => ({
+    ...meta,
+    chapterCount: chapters?.length
+  }));
+}
+
+// Restores a trashed item. Chapters return to their novel at their old position, or to
+// `fallbackNovelId` when that novel is gone. Returns { novelId, chapterId? }.
+export async function restoreTrashItem(id, { fallbackNovelId } = {}) {
+  return db.transaction("rw", db.novels, db.chapters, db.revisions, db.trash, async () => {
+    const item = await db.trash.get(id);
+    if (!item) throw new Error("Item is no longer in the trash");
+    const now = Date.now();
+
+    if (item.kind === "novel") {
+      let novelId = item.novel.id;
+      if (await db.novels.get(novelId)) novelId = crypto.randomUUID();
+      await db.novels.put({ ...item.novel, id: novelId, updatedAt: now });
+      const newIds = new Map();
+      for (const c of item.chapters || []) {
+        newIds.set(c.id, (await db.chapters.get(c.id)) ? crypto.randomUUID() : c.id);
+      }
+      for (const c of item.chapters || []) {
+        const chapterId = newIds.get(c.id);
+        await db.chapters.put({ ...c, id: chapterId, parentId: remapParent(c, newIds), novelId });
+        await moveRevisions(c.id, chapterId, novelId);
+      }
+      if (novelId !== item.novel.id) await db.revisions.where({ novelId: item.novel.id }).modify({ novelId });
+      await db.trash.delete(id);
+      return { novelId };
     }
 
-    await db.chapters.where({ novelId }).delete();
+    const novelId = (await db.novels.get(item.novelId)) ? item.novelId : fallbackNovelId;
+    if (!novelId || !(await db.novels.get(novelId))) throw new Error("The chapter's novel no longer exists");
+
+    const c = item.chapter;
+    const chapterId = (await db.chapters.get(c.id)) ? crypto.randomUUID() : c.id;
+    const restored = { ...c, id: chapterId, novelId, updatedAt: now };
+    await moveRevisions(c.id, chapterId, novelId);
+
+    // Re-insert at the original position and renumber the rest
+    const siblings = await db.chapters.where({ novelId }).sortBy("order");
+    const pos = Math.min(Math.max((item.order || 1) - 1, 0), siblings.length);
+    siblings.splice(pos, 0, restored);
+    for (let i = 0; i < siblings.length; i++) {
+      siblings[i].order = i + 1;
+      await db.chapters.put(siblings[i]);
+    }
+    await db.trash.delete(id);
+    return { novelId, chapterId };
+  }).then(async (result) => {
+    await markDirty(result.novelId, result.chapterId);
+    return result;
+  });
+}
+
+async function moveRevisions(fromChapterId, toChapterId, novelId) {
+  await db.revisions.where({ chapterId: fromChapterId }).modify({ chapterId: toChapterId, novelId });
+}
 
-    for (let i = 0; i < chapters.length; i++) {
-      const ch = chapters[i];
-      await db.chapters.put({
-        id: crypto.randomUUID(),
-        novelId,
-        order: i + 1,
-        title: ch.title || `Chapter ${i + 1}`,
-        updatedAt: now,
-        content: ch.doc || { type: "doc", content: [{ type: "paragraph" }] }
-      });
+// Permanently deletes a trashed item and the history that belonged to it.
+export async function purgeTrashItem(id) {
+  await db.transaction("rw", db.trash, db.revisions, db.chapters, db.novels, db.progress, db.covers, async () => {
+    const item = await db.trash.get(id);
+    if (!item) return;
+    // The novel's progress log goes with it, unless the novel is live again
+    if (item.kind === "novel" && !await db.novels.get(item.novelId)) {
+      await db.progress.where({ novelId: item.novelId }).delete();
+    }
+    const chapterIds = item.kind === "novel" ? (item.chapters || []).map(c => c.id) : [item.chapter?.id];
+    for (const chapterId of chapterIds) {
+      // A chapter id can be live again (e.g. re-imported from a backup); keep its history then
+      if (!chapterId || await db.chapters.get(chapterId)) continue;
+      await db.revisions.where({ chapterId }).delete();
     }
+    await db.trash.delete(id);
+    // Its cover goes too, unless another novel (or this one, live again) still uses it
+    if (item.kind === "novel") await releaseCover(item.novel?.settings?.epub?.coverId);
   });
-  return true;
+}
+
+export async function emptyTrash() {
+  const ids = await db.trash.toCollection().primaryKeys();
+  for (const id of ids) await purgeTrashItem(id);
+}
+
+export async function purgeExpiredTrash(days) {
+  if (!(days > 0)) return 0;
+  const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+  const ids = await db.trash.where("deletedAt").below(cutoff).primaryKeys();
+  for (const id of ids) await purgeTrashItem(id);
+  return ids.length;
 }
 
 export async function resetAllData() {
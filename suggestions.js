@@ -0,0 +1,168 @@
+// suggestions.js — suggesting mode (track changes) for the Tiptap editor
+//
+// While suggesting, edits are recorded instead of applied: typed text gets an `insertion` mark and removed
+// text stays in place with a `deletion` mark, both carrying { id, author, date } (see editor.js). Accepting
+// an insertion drops its mark and accepting a deletion removes the text; rejecting does the opposite.
+// Only inline content (text, breaks, footnotes) is tracked — formatting and paragraph splits/joins are
+// applied directly.
+import { Plugin, PluginKey, TextSelection } from "https://esm.sh/@tiptap/pm@2.11.5/state";
+
+export const suggestionsKey = new PluginKey("suggestions");
+const CHANGE_TYPES = ["insertion", "deletion"];
+
+// Stored JSON: is this text node a suggested deletion? (word counts and plain-text exports skip it)
+export const isDeletedText = (node) => !!node.marks?.some(m => m.type === "deletion");
+
+const changeMark = (node) => node.marks.find(m => CHANGE_TYPES.includes(m.type.name));
+
+// Consecutive typing (or backspacing) by the same author extends the neighbouring change instead of
+// starting a new one, so a typed word is one change to accept or reject.
+function neighbourMark(doc, from, to, type, author) {
+  const candidates = [doc.resolve(from).nodeBefore, doc.resolve(to).nodeAfter];
+  for (const node of candidates) {
+    const mark = node?.marks.find(m => m.type === type);
+    if (mark && mark.attrs.author === author) return mark;
+  }
+  return null;
+}
+
+function markInserted(tr, from, to, author, date) {
+  const { insertion, deletion } = tr.doc.type.schema.marks;
+  tr.removeMark(from, to, deletion);
+  tr.removeMark(from, to, insertion);
+  const mark = neighbourMark(tr.doc, from, to, insertion, author)
+    || insertion.create({ id: crypto.randomUUID(), author, date });
+  tr.addMark(from, to, mark);
+}
+
+// Marks re-inserted text as deleted. Text that was itself a suggested insertion is really removed,
+// and text that is already a deletion keeps its original author.
+function markDeleted(tr, from, to, author, date) {
+  const { insertion, deletion } = tr.doc.type.schema.marks;
+  const mark = neighbourMark(tr.doc, from, to, deletion, author)
+    || deletion.create({ id: crypto.randomUUID(), author, date });
+  const drop = [];
+  tr.doc.nodesBetween(from, to, (node, pos) => {
+    if (!node.isInline) return true;
+    const start = Math.max(pos, from);
+    const end = Math.min(pos + node.nodeSize, to);
+    if (node.marks.some(m => m.type === insertion)) drop.push([start, end]);
+    else if (!node.marks.some(m => m.type === deletion)) tr.addMark(start, end, mark);
+    return false;
+  });
+  for (const [start, end] of drop.reverse()) tr.delete(start, end);
+}
+
+// options() → { enabled, author }, read on every transaction
+export function suggestionsPlugin(options) {
+  return new Plugin({
+    key: suggestionsKey,
+    appendTransaction(transactions, oldState, newState) {
+      const { enabled, author } = options();
+      if (!enabled) return null;
+
+      // Replace steps of user edits, with positions mapped into newState
+      const edits = [];
+      transactions.forEach((tr, t) => {
+        // Skip our own fix-ups, accept/reject, undo/redo and loading a chapter
+        if (!tr.docChanged || tr.getMeta(suggestionsKey) || tr.getMeta("history$") || tr.getMeta("preventUpdate")) return;
+        tr.steps.forEach((step, i) => {
+          if (step.toJSON().stepType !== "replace") return;
+          const rest = tr.mapping.slice(i + 1);
+          for (const later of transactions.slice(t + 1)) rest.appendMapping(later.mapping);
+          const deleted = step.to > step.from ? tr.docs[i].slice(step.from, step.to) : null;
+          edits.push({
+            // Joining two paragraphs removes no text and is not tracked
+            deleted: deleted?.content.textBetween(0, deleted.content.size, "", "￼") ? deleted : null,
+            at: rest.map(step.from, -1),
+            from: rest.map(step.from, 1),
+            to: rest.map(step.from + step.slice.size, -1),
+            // Backspace: the cursor stays in front of the text it "deleted"
+            backward: t === 0 && i === 0 && oldState.selection.empty && oldState.selection.head === step.to
+          });
+        });
+      });
+      if (!edits.length) return null;
+
+      const tr = newState.tr;
+      const date = Date.now();
+      let cursor = null;
+      for (const edit of edits) {
+        const from = tr.mapping.map(edit.from, 1);
+        const to = tr.mapping.map(edit.to, -1);
+        if (to > from) markInserted(tr, from, to, author, date);
+        if (edit.deleted) {
+          const at = tr.mapping.map(edit.at, -1);
+          const size = tr.doc.content.size;
+          tr.replace(at, at, edit.deleted);
+          const end = at + (tr.doc.content.size - size);
+          const sizeBefore = tr.doc.content.size;
+          markDeleted(tr, at, end, author, date);
+          // A plain deletion leaves the cursor next to the struck-through text (typing over a selection
+          // keeps it after the new text)
+          if (to <= from) cursor = edit.backward ? at : end - (sizeBefore - tr.doc.content.size);
+        }
+      }
+      if (cursor !== null && newState.selection.empty) tr.setSelection(TextSelection.create(tr.doc, cursor));
+      tr.setMeta(suggestionsKey, "track");
+      return tr.docChanged ? tr : null;
+    }
+  });
+}
+
+// Changes in a ProseMirror doc, one entry per change id in document order:
+// [{ id, type, author, date, from, to, text }]
+export function changesIn(doc) {
+  const byId = new Map();
+  doc.descendants((node, pos) => {
+    if (!node.isInline) return true;
+    const mark = changeMark(node);
+    if (!mark) return false;
+    const entry = byId.get(mark.attrs.id);
+    if (entry) {
+      entry.to = pos + node.nodeSize;
+      entry.text += node.text || "";
+    } else {
+      byId.set(mark.attrs.id, {
+        id: mark.attrs.id,
+        type: mark.type.name,
+        author: mark.attrs.author,
+        date: mark.attrs.date,
+        from: pos,
+        to: pos + node.nodeSize,
+        text: node.text || ""
+      });
+    }
+    return false;
+  });
+  return [...byId.values()];
+}
+
+// Change ids touching the cursor or selection
+export function changeIdsAt(state) {
+  const { $from, empty, from, to } = state.selection;
+  // Marks are non-inclusive, so look at both sides of a cursor sitting on a change's edge
+  const marks = empty ? [...($from.nodeBefore?.marks || []), ...($from.nodeAfter?.marks || [])] : [];
+  if (!empty) state.doc.nodesBetween(from, to, (node) => { if (node.isInline) marks.push(...node.marks); });
+  return [...new Set(marks.filter(m => CHANGE_TYPES.includes(m.type.name)).map(m => m.attrs.id))];
+}
+
+// Accepts or rejects the given changes (all of them when `ids` is null) on `tr`. Returns how many.
+export function resolveChanges(tr, ids, accept) {
+  const { insertion } = tr.doc.type.schema.marks;
+  const resolved = new Set();
+  const drop = [];
+  tr.doc.descendants((node, pos) => {
+    if (!node.isInline) return true;
+    const mark = changeMark(node);
+    if (!mark || (ids && !ids.includes(mark.attrs.id))) return false;
+    resolved.add(mark.attrs.id);
+    // Accepted insertions and rejected deletions stay as plain text
+    if ((mark.type === insertion) === accept) tr.removeMark(pos, pos + node.nodeSize, mark);
+    else drop.push([pos, pos + node.nodeSize]);
+    return false;
+  });
+  for (const [from, to] of drop.reverse()) tr.delete(from, to);
+  tr.setMeta(suggestionsKey, accept ? "accept" : "reject");
+  return resolved.size;
+}
@@ -1,5 +1,5 @@
 /* NovelWriter Service Worker — offline cache */
-const CACHE_NAME = "novelwriter-v20";
+const CACHE_NAME = "novelwriter-v43";
 const CORE_ASSETS = [
   "./",
   "./index.html",
@@ -9,12 +9,31 @@ const CORE_ASSETS = [
   "./editor.js",
   "./export.js",
   "./importer.js",
+  "./diff.js",
+  "./backup.js",
+  "./sync.js",
+  "./encryption.js",
+  "./outline.js",
+  "./search.js",
+  "./comments.js",
+  "./suggestions.js",
+  "./footnotes.js",
+  "./scenebreak.js",
+  "./spellcheck.js",
+  "./spellcheck.worker.js",
+  "./goals.js",
+  "./stats.js",
+  "./commands.js",
+  "./manuscript.js",
+  "./compile.js",
   "./manifest.webmanifest",
   "./assets/icon-192.png",
   "./assets/icon-512.png",
 ];
 
 // External ESM/CDN modules are cached on-demand via runtime caching.
+// Hosts of the modules, PDF fonts and web fonts the app loads; anything else (a sync server) is left alone.
+const CDN_HOSTS = ["esm.sh", "cdn.jsdelivr.net", "fonts.googleapis.com", "fonts.gstatic.com"];
 
 self.addEventListener("install", (event) => {
   event.waitUntil(
@@ -42,6 +61,10 @@ self.addEventListener("fetch", (event) => {
   // Bypass on demand
   const url = new URL(req.url);
   if (url.searchParams.get("nosw") === "1") return;
+  // Only the app shell and CDN modules come from the cache: sync requests (PUTs, no-store pulls, other
+  // servers) always go to the network, or a stale copy and its ETag would make every push conflict
+  if (req.method !== "GET" || req.cache === "no-store") return;
+  if (url.origin !== self.location.origin && !CDN_HOSTS.includes(url.hostname)) return;
 
   event.respondWith(
     (async () => {
@@ -51,8 +74,8 @@ self.addEventListener("fetch", (event) => {
 
       try {
         const fresh = await fetch(req);
-        // Cache GET only
-        if (req.method === "GET") {
+        // Errors (a 404 while offline-first) aren't kept
+        if (fresh.ok) {
           const cache = await caches.open(CACHE_NAME);
           cache.put(req, fresh.clone()).catch(() => {});
         }
@@ -68,3 +91,82 @@ self.addEventListener("fetch", (event) => {
     })()
   );
 });
+
+/* ---------------------------
+  Background sync (outbox)
+--------------------------- */
+// The app prepares ready-to-send pushes in IndexedDB (`outboxJobs`, see prepareOutboxJob in sync.js).
+// Each is sent with If-Match on the ETag of the last synced server copy, so it can only land if
+// nobody else pushed in between; otherwise (412) the job waits for the app to merge. Any other 4xx
+// (bad token, too large, …) won't get better by retrying: the job keeps the status for the app to show.
+const OUTBOX_SYNC_TAG = "novelwriter-outbox";
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function openAppDB() {
+  return new Promise((resolve, reject) => {
+    // No version: open whatever schema the app (Dexie) created
+    const req = indexedDB.open("NovelWriterDB");
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onupgradeneeded = () => {
+      // The app never ran on this origin: nothing to send
+      req.transaction.abort();
+    };
+  });
+}
+
+async function deliverOutboxJobs() {
+  const db = await openAppDB();
+  try {
+    if (!db.objectStoreNames.contains("outboxJobs")) return;
+    const jobs = await idbRequest(db.transaction("outboxJobs").objectStore("outboxJobs").getAll());
+    let retry = false;
+
+    for (const job of jobs) {
+      if (job.needsMerge || job.failed) continue;
+      let res;
+      try {
+        res = await fetch(job.url, { method: "PUT", headers: job.headers, body: job.body });
+      } catch (e) {
+        retry = true; // still offline: let the browser try again later
+        continue;
+      }
+
+      const tx = db.transaction(["outboxJobs", "outbox", "syncState"], "readwrite");
+      const done = new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+      });
+      if (res.ok) {
+        tx.objectStore("syncState").put({ ...job.base, etag: res.headers.get("ETag"), syncedAt: Date.now() });
+        const outbox = tx.objectStore("outbox");
+        const rows = await idbRequest(outbox.index("novelId").getAll(job.novelId));
+        for (const r of rows) {
+          if (r.queuedAt <= job.preparedAt) outbox.delete([r.novelId, r.chapterId]);
+        }
+        tx.objectStore("outboxJobs").delete(job.novelId);
+      } else if (res.status === 412) {
+        tx.objectStore("outboxJobs").put({ ...job, needsMerge: true });
+      } else if (res.status >= 400 && res.status < 500 && res.status !== 408 && res.status !== 429) {
+        tx.objectStore("outboxJobs").put({ ...job, failed: res.status });
+      } else {
+        retry = true;
+      }
+      await done;
+    }
+
+    if (retry) throw new Error("Outbox not fully delivered");
+  } finally {
+    db.close();
+  }
+}
+
+self.addEventListener("sync", (event) => {
+  if (event.tag === OUTBOX_SYNC_TAG) event.waitUntil(deliverOutboxJobs());
+});
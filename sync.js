@@ -0,0 +1,406 @@
+// sync.js — conflict-aware sync with the REST endpoint `{syncUrl}/novels/{remoteId}`
+//
+// Every sync is a three-way merge per chapter:
+//   base   = fingerprints of what the server held after our last sync with it (db.syncState); none when the
+//            server has no copy (deleted there, or a new server), so nothing counts as deleted on the server
+//   local  = chapters in IndexedDB
+//   remote = the novel returned by GET
+// A chapter that changed on one side only is taken from that side; a chapter that changed on both
+// sides (to different text) is a conflict and goes to `resolveConflicts`. Pushes are conditional
+// (If-Match on the ETag, or If-None-Match: * for a new remote novel) so a concurrent push is
+// detected (412) and the merge is retried instead of overwriting it.
+// The novel's details (title, …) and its per-novel settings merge the same way, one field at a time and without a
+// dialog: a field changed on both sides keeps this device's value.
+// With a passphrase, the server copy is an encrypted envelope (see encryption.js) instead of the backup JSON.
+import { db, getNovel, trashChapterRow } from "./storage.js";
+import { exportBackup, migrateBackup, hashJSON, splitNovelRecord } from "./backup.js";
+import { nodeKind } from "./outline.js";
+import { encryptPayload, decryptPayload, verifyPassphrase, isEncryptedPayload } from "./encryption.js";
+
+const MAX_ATTEMPTS = 3;
+
+// Background Sync tag; sw.js delivers prepared outbox jobs when it fires
+export const OUTBOX_SYNC_TAG = "novelwriter-outbox";
+
+const endpoint = (url, remoteId) => `${url.replace(/\/$/, "")}/novels/${encodeURIComponent(remoteId)}`;
+// Position in the outline counts as content (moving a scene is a change); defaults are left out so
+// chapters from before the outline keep their fingerprints
+const fingerprint = (c) => (c ? hashJSON({
+  title: c.title || "",
+  kind: nodeKind(c) === "chapter" ? undefined : c.kind,
+  parentId: c.parentId || undefined,
+  content: c.content
+}) : null);
+
+function requestHeaders(auth) {
+  const headers = { "Content-Type": "application/json" };
+  if (auth?.trim()) headers["Authorization"] = auth.trim();
+  return headers;
+}
+
+async function fetchRemote(url, headers, passphrase) {
+  const res = await fetch(url, { headers, cache: "no-store" });
+  if (res.status === 404) return { exists: false, etag: null, revision: 0, backup: null, salt: null };
+  if (!res.ok) throw new Error(`Pull failed: ${res.status}`);
+  const raw = await res.json();
+  const encrypted = isEncryptedPayload(raw);
+  return {
+    exists: true,
+    etag: res.headers.get("ETag"),
+    revision: Number(raw.syncRevision) || 0,
+    backup: await migrateBackup(encrypted ? await decryptPayload(raw, passphrase) : raw),
+    // Reusing the server's salt keeps the derived key cached between syncs
+    salt: encrypted ? raw.kdf.salt : null
+  };
+}
+
+// Body for a PUT: the backup itself, or its encrypted envelope
+async function pushBody(payload, passphrase, salt) {
+  if (!passphrase) return payload;
+  return encryptPayload(payload, passphrase, salt ? { salt } : {});
+}
+
+const NO_BASE = { chapters: {}, order: [], novel: {}, settings: {} };
+
+// The base only describes the copy at one endpoint: another Sync URL or remote id means another server copy
+async function loadBase(novelId, ep) {
+  const base = await db.syncState.get(novelId);
+  return base?.endpoint === ep ? base : NO_BASE;
+}
+
+async function saveBase(novelId, remoteId, ep, { chapters, novel, settings, etag, revision, salt }) {
+  const fingerprints = {};
+  for (const c of chapters) fingerprints[c.id] = await fingerprint(c);
+  await db.syncState.put({
+    novelId,
+    remoteId,
+    endpoint: ep,
+    chapters: fingerprints,
+    order: chapters.map(c => c.id),
+    novel: await fieldFingerprints(novel),
+    settings: await fieldFingerprints(settings),
+    etag: etag || null,
+    revision: revision || 0,
+    // Salt of the encrypted server copy (null while it is stored in clear)
+    salt: salt || null,
+    syncedAt: Date.now()
+  });
+}
+
+// What was last synced with `url` for `remoteId` (undefined when nothing was)
+export async function getSyncState(novelId, { url, remoteId }) {
+  const base = await db.syncState.get(novelId);
+  return url && remoteId && base?.endpoint === endpoint(url, remoteId) ? base : undefined;
+}
+
+// Novel fields every device keeps for itself
+const UNMERGED_NOVEL_FIELDS = ["id", "updatedAt"];
+
+// { field: fingerprint } of the novel details or settings
+async function fieldFingerprints(fields) {
+  const out = {};
+  for (const [k, v] of Object.entries(fields || {})) {
+    if (v !== undefined && !UNMERGED_NOVEL_FIELDS.includes(k)) out[k] = await hashJSON(v);
+  }
+  return out;
+}
+
+// Merges the novel details or settings: a field only the server changed (or added, or removed) is taken
+// from it, every other field stays as it is here. Returns { merged, pulled } (pulled: fields from the server).
+async function mergeFields(base = {}, local = {}, remote = {}) {
+  const lf = await fieldFingerprints(local);
+  const rf = await fieldFingerprints(remote);
+  const merged = { ...local };
+  const pulled = [];
+  for (const k of new Set([...Object.keys(lf), ...Object.keys(rf)])) {
+    if (lf[k] === rf[k] || lf[k] !== base[k]) continue;
+    if (k in rf) merged[k] = remote[k];
+    else delete merged[k];
+    pulled.push(k);
+  }
+  return { merged, pulled };
+}
+
+// Works out the merged chapter list. Returns { orderedIds, keep, fromRemote, removed, conflicts }.
+async function mergeChapters(base, localChapters, remoteChapters) {
+  const local = new Map(localChapters.map(c => [c.id, c]));
+  const remote = new Map(remoteChapters.map(c => [c.id, c]));
+  const ids = new Set([...local.keys(), ...remote.keys()]);
+
+  const keep = new Map();  // id -> chapter in merged result
+  const fromRemote = [];   // remote chapters to write locally
+  const removed = [];      // local chapters deleted on the server
+  const conflicts = [];
+
+  for (const id of ids) {
+    const l = local.get(id);
+    const r = remote.get(id);
+    const b = base.chapters[id] ?? null;
+    const lh = await fingerprint(l);
+    const rh = await fingerprint(r);
+
+    if (lh === rh) {
+      if (l) keep.set(id, l);
+    } else if (rh === b) {
+      // only changed here (or deleted here)
+      if (l) keep.set(id, l);
+    } else if (lh === b) {
+      // only changed on the server
+      if (r) { keep.set(id, r); fromRemote.push(r); }
+      else removed.push(l);
+    } else if (l && r) {
+      conflicts.push({ id, title: l.title || r.title, local: l, remote: r });
+      keep.set(id, l); // placeholder until resolved
+    } else {
+      // deleted on one side, edited on the other: keep the edited text
+      keep.set(id, l || r);
+      if (r) fromRemote.push(r);
+    }
+  }
+
+  // Order: follow the server unless chapters were reordered here since the last sync
+  const localOrder = localChapters.map(c => c.id);
+  const baseOrder = base.order.filter(id => local.has(id));
+  const reorderedHere = baseOrder.length !== localOrder.length || baseOrder.some((id, i) => id !== localOrder[i]);
+  const primary = reorderedHere ? localOrder : remoteChapters.map(c => c.id);
+  const secondary = reorderedHere ? remoteChapters.map(c => c.id) : localOrder;
+  const orderedIds = [...primary, ...secondary.filter(id => !primary.includes(id))].filter(id => keep.has(id));
+
+  return { orderedIds, keep, fromRemote, removed, conflicts };
+}
+
+async function applyMerge(novelId, localChapters, plan, resolutions) {
+  const localById = new Map(localChapters.map(c => [c.id, c]));
+  const { keep, fromRemote, removed, conflicts } = plan;
+  const orderedIds = [...plan.orderedIds];
+  const writes = [...fromRemote];
+  const trashed = removed.map(c => ({ row: c, reason: "Deleted on server" }));
+
+  for (const c of conflicts) {
+    const choice = resolutions.get(c.id) || "local";
+    if (choice === "remote") {
+      keep.set(c.id, c.remote);
+      writes.push(c.remote);
+      trashed.push({ row: c.local, reason: "Replaced by server version" });
+    } else if (choice === "both") {
+      const copy = { ...c.remote, id: crypto.randomUUID(), title: `${c.remote.title || "Untitled Chapter"} (server copy)` };
+      keep.set(copy.id, copy);
+      writes.push(copy);
+      orderedIds.splice(orderedIds.indexOf(c.id) + 1, 0, copy.id);
+    }
+  }
+
+  const merged = orderedIds.map((id, i) => ({ ...keep.get(id), novelId, order: i + 1 }));
+
+  await db.transaction("rw", db.novels, db.chapters, db.trash, async () => {
+    for (const { row, reason } of trashed) {
+      await trashChapterRow(row, reason);
+      await db.chapters.delete(row.id);
+    }
+    const written = new Set(writes.map(c => c.id));
+    for (const c of merged) {
+      const before = localById.get(c.id);
+      // Only touch rows whose content or position actually changed
+      if (written.has(c.id) || !before || before.order !== c.order) await db.chapters.put(c);
+    }
+  });
+  return merged;
+}
+
+// direction: "both" (merge + push) | "pull" (merge into this device only)
+// resolveConflicts(conflicts) → Promise<Map<chapterId, "local" | "remote" | "both"> | null> (null cancels)
+// passphrase: encrypts what is pushed and is required to read an encrypted server copy
+export async function syncNovel({ novelId, remoteId, url, auth, passphrase = "", direction = "both", resolveConflicts }) {
+  if (!url || !remoteId) throw new Error("Set Sync URL + Novel ID first.");
+  const ep = endpoint(url, remoteId);
+  const headers = requestHeaders(auth);
+  const startedAt = Date.now();
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const remote = await fetchRemote(ep, headers, passphrase);
+    // Without a server copy, everything here is new to it (as on a first sync)
+    const base = remote.exists ? await loadBase(novelId, ep) : NO_BASE;
+    const { novel, chapters: localChapters } = await getNovel(novelId);
+    if (!novel) throw new Error("Novel not found");
+
+    const remoteChapters = remote.backup?.chapters || [];
+    const plan = await mergeChapters(base, localChapters, remoteChapters);
+
+    let resolutions = new Map();
+    if (plan.conflicts.length) {
+      resolutions = await resolveConflicts?.(plan.conflicts);
+      if (!resolutions) return { cancelled: true };
+    }
+
+    // Title, goal, export options, dictionary, …
+    const mine = splitNovelRecord(novel);
+    const details = await mergeFields(base.novel, mine.novel, remote.backup?.novel);
+    const settings = await mergeFields(base.settings, mine.settings, remote.backup?.settings);
+    const novelFields = details.pulled.length + settings.pulled.length;
+    if (novelFields) {
+      await db.novels.put({ ...details.merged, ...mine.local, settings: settings.merged, id: novelId, updatedAt: Date.now() });
+    }
+
+    const merged = await applyMerge(novelId, localChapters, plan, resolutions);
+    const summary = {
+      pulled: plan.fromRemote.length + [...resolutions.values()].filter(v => v !== "local").length,
+      removed: plan.removed.length,
+      conflicts: plan.conflicts.length,
+      novelFields,
+      pushed: false
+    };
+
+    if (direction === "pull") {
+      if (remote.exists) {
+        await saveBase(novelId, remoteId, ep, {
+          chapters: remoteChapters,
+          novel: remote.backup.novel,
+          settings: remote.backup.settings,
+          etag: remote.etag,
+          revision: remote.revision,
+          salt: remote.salt
+        });
+      }
+      return summary;
+    }
+
+    const payload = await exportBackup(novelId);
+    payload.syncRevision = remote.revision + 1;
+    const putHeaders = { ...headers };
+    if (!remote.exists) putHeaders["If-None-Match"] = "*";
+    else if (remote.etag) putHeaders["If-Match"] = remote.etag;
+
+    const body = await pushBody(payload, passphrase, remote.salt);
+    const res = await fetch(ep, { method: "PUT", headers: putHeaders, body: JSON.stringify(body) });
+    if (res.status === 412) continue; // someone pushed in between: merge again
+    if (!res.ok) throw new Error(`Push failed: ${res.status}`);
+
+    await saveBase(novelId, remoteId, ep, {
+      chapters: merged,
+      novel: payload.novel,
+      settings: payload.settings,
+      etag: res.headers.get("ETag"),
+      revision: payload.syncRevision,
+      salt: body.kdf?.salt
+    });
+    await clearOutbox(novelId, startedAt);
+    summary.pushed = true;
+    return summary;
+  }
+  throw new Error("The server copy kept changing during sync; try again.");
+}
+
+/* ---------------------------
+  Outbox
+--------------------------- */
+export async function pendingChangeCount(novelId) {
+  return novelId ? db.outbox.where({ novelId }).count() : db.outbox.count();
+}
+
+export async function novelsWithPendingChanges() {
+  return db.outbox.orderBy("novelId").uniqueKeys();
+}
+
+// Drops outbox rows that were queued before `until` (later edits stay pending)
+async function clearOutbox(novelId, until) {
+  await db.outbox.where({ novelId }).filter(r => r.queuedAt <= until).delete();
+  await db.outboxJobs.delete(novelId);
+}
+
+// Prepares a push the service worker can send without the app (no merge possible there):
+// it is only valid while the server still holds the version we last synced, so it is sent
+// with If-Match on that ETag. A 412 leaves the job for the app to merge on next launch; a job the
+// server refused (`failed`, see backgroundSyncError) stays until a sync from the app clears it.
+export async function prepareOutboxJob({ novelId, remoteId, url, auth, passphrase = "" }) {
+  if ((await db.outboxJobs.get(novelId))?.failed) return false;
+  const base = url && remoteId ? await loadBase(novelId, endpoint(url, remoteId)) : NO_BASE;
+  if (!base.etag) return false;
+  // Never downgrade an encrypted server copy to clear text
+  if (base.salt && !passphrase) return false;
+
+  const payload = await exportBackup(novelId);
+  payload.syncRevision = (base.revision || 0) + 1;
+  const body = await pushBody(payload, passphrase, base.salt);
+  const { chapters } = await getNovel(novelId);
+  const fingerprints = {};
+  for (const c of chapters) fingerprints[c.id] = await fingerprint(c);
+
+  await db.outboxJobs.put({
+    novelId,
+    url: endpoint(url, remoteId),
+    headers: { ...requestHeaders(auth), "If-Match": base.etag },
+    body: JSON.stringify(body),
+    preparedAt: Date.now(),
+    // syncState to store once the push succeeds (the etag comes from the response)
+    base: {
+      novelId,
+      remoteId,
+      endpoint: base.endpoint,
+      chapters: fingerprints,
+      order: chapters.map(c => c.id),
+      novel: await fieldFingerprints(payload.novel),
+      settings: await fieldFingerprints(payload.settings),
+      revision: payload.syncRevision,
+      salt: body.kdf?.salt || null
+    }
+  });
+  return true;
+}
+
+// The HTTP status the server refused a background push with (e.g. 401), or 0
+export async function backgroundSyncError(novelId) {
+  return (await db.outboxJobs.get(novelId))?.failed || 0;
+}
+
+// "ok" | "wrong" (encrypted with another passphrase) | "clear" (not encrypted) | "missing" (no server copy)
+export async function checkRemotePassphrase({ remoteId, url, auth, passphrase }) {
+  if (!url || !remoteId) throw new Error("Set Sync URL + Novel ID first.");
+  const res = await fetch(endpoint(url, remoteId), { headers: requestHeaders(auth), cache: "no-store" });
+  if (res.status === 404) return "missing";
+  if (!res.ok) throw new Error(`Pull failed: ${res.status}`);
+  const raw = await res.json();
+  if (!isEncryptedPayload(raw)) return "clear";
+  return (await verifyPassphrase(raw, passphrase)) ? "ok" : "wrong";
+}
+
+// Re-encrypts the server copy under a new passphrase (or from clear text when `oldPassphrase` is empty).
+// Content is unchanged, so the stored base keeps its fingerprints; only etag/revision/salt move on.
+export async function reencryptRemote({ novelId, remoteId, url, auth, oldPassphrase = "", newPassphrase }) {
+  if (!url || !remoteId) throw new Error("Set Sync URL + Novel ID first.");
+  if (!newPassphrase) throw new Error("Enter the new passphrase.");
+  const ep = endpoint(url, remoteId);
+  const headers = requestHeaders(auth);
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const res = await fetch(ep, { headers, cache: "no-store" });
+    if (res.status === 404) return false; // nothing uploaded yet: the next sync encrypts
+    if (!res.ok) throw new Error(`Pull failed: ${res.status}`);
+    const raw = await res.json();
+    const payload = isEncryptedPayload(raw) ? await decryptPayload(raw, oldPassphrase) : raw;
+    payload.syncRevision = (Number(raw.syncRevision) || 0) + 1;
+
+    const body = await encryptPayload(payload, newPassphrase);
+    const put = await fetch(ep, {
+      method: "PUT",
+      headers: { ...headers, "If-Match": res.headers.get("ETag") || "*" },
+      body: JSON.stringify(body)
+    });
+    if (put.status === 412) continue;
+    if (!put.ok) throw new Error(`Push failed: ${put.status}`);
+
+    const base = await loadBase(novelId, ep);
+    if (base !== NO_BASE) {
+      // Only vouch for the new ETag if our base matched the copy we just re-encrypted
+      const current = base.etag && base.etag === res.headers.get("ETag");
+      await db.syncState.update(novelId, {
+        etag: current ? put.headers.get("ETag") : null,
+        revision: payload.syncRevision,
+        salt: body.kdf.salt
+      });
+    }
+    // Jobs prepared with the old key would be rejected anyway (If-Match); drop them
+    await db.outboxJobs.delete(novelId);
+    return true;
+  }
+  throw new Error("The server copy kept changing during re-encryption; try again.");
+}
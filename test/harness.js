@@ -0,0 +1,60 @@
+// harness.js — a small test runner for the browser (the app has no build step, so neither do its tests)
+//
+// Serve the repository root and open /test/. Each *.test.js module registers its cases with `test` and
+// runs in this page against the real modules, with IndexedDB under a database of its own
+// (NOVELWRITER_DB_NAME, set in index.html before storage.js loads); it is emptied before every case.
+
+const cases = [];
+
+export function test(name, fn) {
+  cases.push({ name, fn });
+}
+
+export function assert(condition, message = "Assertion failed") {
+  if (!condition) throw new Error(message);
+}
+
+// Deep equality through JSON (enough for records and Tiptap documents)
+export function assertEqual(actual, expected, message = "") {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new Error(`${message ? `${message}: ` : ""}expected ${e}, got ${a}`);
+}
+
+async function resetDatabase() {
+  const { db } = await import("../storage.js");
+  await Promise.all(db.tables.map(t => t.clear()));
+}
+
+export async function run(files) {
+  for (const file of files) {
+    const before = cases.length;
+    await import(file);
+    for (const c of cases.slice(before)) c.file = file.replace(/^\.\//, "");
+  }
+
+  const list = document.getElementById("results");
+  let failed = 0;
+  for (const { name, fn, file } of cases) {
+    const item = document.createElement("li");
+    try {
+      await resetDatabase();
+      await fn();
+      item.className = "pass";
+      item.textContent = `${file}: ${name}`;
+    } catch (e) {
+      failed++;
+      item.className = "fail";
+      item.textContent = `${file}: ${name}`;
+      const detail = document.createElement("pre");
+      detail.textContent = e?.stack || String(e);
+      item.append(detail);
+      console.error(name, e);
+    }
+    list.append(item);
+  }
+  document.getElementById("summary").textContent = failed
+    ? `${failed} of ${cases.length} failed`
+    : `All ${cases.length} passed`;
+  return failed;
+}
@@ -0,0 +1,35 @@
+// markdown.test.js — a Markdown zip (one file per part and chapter) imports back as the same outline
+import { test, assertEqual } from "./harness.js";
+import { outlineRows } from "../outline.js";
+import { buildMarkdownZip } from "../export.js";
+import { parseImportFile } from "../importer.js";
+
+const doc = (...texts) => ({ type: "doc", content: texts.map(text => ({ type: "paragraph", content: [{ type: "text", text }] })) });
+const row = (id, kind, title, parentId, order, ...texts) => ({ id, kind, title, parentId, order, content: doc(...texts) });
+
+test("parts and chapters come back in order, with their parents", async () => {
+  const rows = [
+    row("p1", "part", "Ash", null, 0),
+    row("c1", "chapter", "The Storm", "p1", 0, "Rain fell."),
+    row("s1", "scene", "Night", "c1", 0, "It kept falling."),
+    row("c2", "chapter", "Calm", "p1", 1, "Sun."),
+    row("p2", "part", "Embers", null, 1),
+    row("c3", "chapter", "Coda", "p2", 0, "In part two."),
+    row("c4", "chapter", "Afterwards", null, 2, "Top level.")
+  ];
+  const blob = await buildMarkdownZip({ novelTitle: "Ash and Ember", chapters: outlineRows(rows), includeHeadings: true });
+  const { novelTitle, chapters } = await parseImportFile(new File([blob], "ash-and-ember.zip", { type: "application/zip" }));
+
+  assertEqual(novelTitle, "Ash and Ember", "title");
+  assertEqual(chapters.map(c => [c.kind, c.title, c.parentIndex]), [
+    ["part", "Ash", null],
+    ["chapter", "The Storm", 0],
+    ["chapter", "Calm", 0],
+    ["part", "Embers", null],
+    ["chapter", "Coda", 3],
+    ["chapter", "Afterwards", null]
+  ], "outline");
+  const text = (c) => JSON.stringify(c.doc);
+  assertEqual(["Rain fell.", "It kept falling."].map(t => text(chapters[1]).includes(t)), [true, true], "the scene stays in its chapter");
+  assertEqual(text(chapters[5]).includes("Top level."), true, "top-level chapter text");
+});
@@ -0,0 +1,139 @@
+// sync.test.js — syncNovel between two devices through a server held in memory
+import { test, assert, assertEqual } from "./harness.js";
+import { db, createNovel, createChapter, getNovel, updateNovelSettings, updateNovelTitle, listTrash } from "../storage.js";
+import { syncNovel } from "../sync.js";
+
+// One server copy with ETags and conditional PUTs, answering like server/sync-server.mjs
+function memoryServer() {
+  const server = { body: null, etag: 0 };
+  server.fetch = async (url, { method = "GET", headers = {}, body } = {}) => {
+    const reply = (status, json) => new Response(json ? JSON.stringify(json) : null, {
+      status,
+      headers: server.body ? { ETag: `"${server.etag}"` } : {}
+    });
+    if (method === "GET") return server.body ? reply(200, JSON.parse(server.body)) : reply(404);
+    if (headers["If-Match"] && headers["If-Match"] !== `"${server.etag}"`) return reply(412);
+    if (headers["If-None-Match"] === "*" && server.body) return reply(412);
+    server.body = body;
+    server.etag++;
+    return reply(200, {});
+  };
+  return server;
+}
+
+// Routes fetch by origin to the given servers while `fn` runs
+async function withServers(servers, fn) {
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = (url, options) => servers[new URL(url).origin].fetch(url, options);
+  try {
+    await fn();
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+}
+
+// The test database plays one device at a time: `use(name)` stores the current device's rows and loads the other's
+function devices() {
+  const saved = {};
+  let current = null;
+  return async (name) => {
+    if (current) saved[current] = Object.fromEntries(await Promise.all(db.tables.map(async t => [t.name, await t.toArray()])));
+    for (const t of db.tables) {
+      await t.clear();
+      if (saved[name]?.[t.name]) await t.bulkPut(saved[name][t.name]);
+    }
+    current = name;
+  };
+}
+
+const pick = (obj, keys) => Object.fromEntries(keys.map(k => [k, obj?.[k]]));
+const SETTINGS = ["sceneBreak", "goalWords", "dictionary"];
+
+test("novel details and settings changed on one device reach the other", async () => {
+  const server = memoryServer();
+  await withServers({ "https://sync.example": server }, async () => {
+    const use = devices();
+    await use("laptop");
+    const novel = await createNovel("Ash and Ember");
+    await updateNovelSettings(novel.id, { sceneBreak: "hash", goalWords: 50000 });
+    const laptop = { novelId: novel.id, remoteId: "ash", url: "https://sync.example", auth: "" };
+    await syncNovel(laptop);
+
+    await use("tablet");
+    const copy = await createNovel("Ash and Ember");
+    const tablet = { ...laptop, novelId: copy.id };
+    const pulled = await syncNovel({ ...tablet, direction: "pull" });
+    assert(pulled.novelFields > 0, "the pull reports the settings it took");
+    assertEqual(pick((await getNovel(copy.id)).novel.settings, SETTINGS),
+      { sceneBreak: "hash", goalWords: 50000, dictionary: undefined }, "tablet after its first pull");
+    await updateNovelSettings(copy.id, { dictionary: ["Quendi"] });
+    await syncNovel(tablet);
+
+    await use("laptop");
+    await updateNovelSettings(novel.id, { goalWords: 80000 });
+    await updateNovelTitle(novel.id, "Embers");
+    await syncNovel(laptop);
+    assertEqual(pick((await getNovel(novel.id)).novel.settings, SETTINGS),
+      { sceneBreak: "hash", goalWords: 80000, dictionary: ["Quendi"] }, "laptop keeps its goal and gets the word");
+
+    await use("tablet");
+    await syncNovel(tablet);
+    const { novel: merged } = await getNovel(copy.id);
+    assertEqual(pick(merged.settings, SETTINGS),
+      { sceneBreak: "hash", goalWords: 80000, dictionary: ["Quendi"] }, "tablet gets the new goal");
+    assertEqual(merged.title, "Embers", "tablet gets the new title");
+    assertEqual(merged.id, copy.id, "the record keeps this device's id");
+  });
+});
+
+test("a field changed on both devices keeps this device's value", async () => {
+  const server = memoryServer();
+  await withServers({ "https://sync.example": server }, async () => {
+    const use = devices();
+    await use("laptop");
+    const novel = await createNovel("Book");
+    const laptop = { novelId: novel.id, remoteId: "book", url: "https://sync.example", auth: "" };
+    await updateNovelSettings(novel.id, { goalWords: 1000 });
+    await syncNovel(laptop);
+
+    await use("tablet");
+    const copy = await createNovel("Book");
+    const tablet = { ...laptop, novelId: copy.id };
+    await syncNovel({ ...tablet, direction: "pull" });
+    await updateNovelSettings(copy.id, { goalWords: 3000 });
+    await syncNovel(tablet);
+
+    await use("laptop");
+    await updateNovelSettings(novel.id, { goalWords: 2000 });
+    await syncNovel(laptop);
+    assertEqual((await getNovel(novel.id)).novel.settings.goalWords, 2000);
+    assertEqual(JSON.parse(server.body).settings.goalWords, 2000, "and pushes it");
+  });
+});
+
+test("a server without the novel gets this device's copy, with nothing deleted", async () => {
+  const first = memoryServer();
+  const second = memoryServer();
+  await withServers({ "https://one.example": first, "https://two.example": second }, async () => {
+    const novel = await createNovel("Book");
+    await createChapter(novel.id, "Two");
+    const options = { novelId: novel.id, remoteId: "book", url: "https://one.example", auth: "" };
+    await syncNovel(options);
+
+    // Deleted on the server (DELETE /novels/{id})
+    first.body = null;
+    await syncNovel(options);
+    assertEqual(JSON.parse(first.body).chapters.length, 2, "uploaded again in full");
+
+    // Another server whose copy lacks "Two": our base from the first server must not count it as deleted there
+    const copy = JSON.parse(first.body);
+    copy.chapters = copy.chapters.filter(c => c.title !== "Two");
+    second.body = JSON.stringify(copy);
+    second.etag = 1;
+    const result = await syncNovel({ ...options, url: "https://two.example" });
+    assertEqual(result.removed, 0, "nothing removed");
+    assertEqual((await getNovel(novel.id)).chapters.map(c => c.title), ["Chapter 1", "Two"]);
+    assertEqual(JSON.parse(second.body).chapters.length, 2);
+    assertEqual((await listTrash()).length, 0, "trash");
+  });
+});